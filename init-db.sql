@@ -1,6 +1,26 @@
 -- Zekka Framework Database Schema
 -- PostgreSQL initialization script
 
+-- Tenants table (see migrations/008_multi_tenancy.sql; budgets from 017)
+CREATE TABLE IF NOT EXISTS tenants (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    slug VARCHAR(100) NOT NULL UNIQUE,
+    plan VARCHAR(50) NOT NULL DEFAULT 'free',
+    subscription_status VARCHAR(50) NOT NULL DEFAULT 'active'
+        CHECK (subscription_status IN ('trialing', 'active', 'past_due', 'canceled', 'suspended')),
+    subscription_period_start TIMESTAMP WITH TIME ZONE,
+    subscription_period_end TIMESTAMP WITH TIME ZONE,
+    seat_limit INTEGER NOT NULL DEFAULT 5 CHECK (seat_limit > 0),
+    budget_daily DECIMAL(10, 2),
+    budget_monthly DECIMAL(10, 2),
+    metadata JSONB DEFAULT '{}',
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP WITH TIME ZONE
+);
+
 -- Projects table
 CREATE TABLE IF NOT EXISTS orchestration_projects (
     id SERIAL PRIMARY KEY,
@@ -11,6 +31,11 @@ CREATE TABLE IF NOT EXISTS orchestration_projects (
     story_points INTEGER,
     budget_daily DECIMAL(10, 2),
     budget_monthly DECIMAL(10, 2),
+    tenant_id UUID,
+    workflow JSONB,
+    execution_id VARCHAR(64),
+    current_stage INTEGER,
+    completed_stages INTEGER[] NOT NULL DEFAULT '{}',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -23,6 +48,8 @@ CREATE TABLE IF NOT EXISTS orchestration_tasks (
     stage INTEGER NOT NULL,
     agent_name VARCHAR(255),
     status VARCHAR(50) DEFAULT 'pending',
+    execution_id VARCHAR(64),
+    depends_on TEXT[] NOT NULL DEFAULT '{}',
     input_data JSONB,
     output_data JSONB,
     error_message TEXT,
@@ -70,6 +97,57 @@ CREATE TABLE IF NOT EXISTS conflicts (
     resolved_at TIMESTAMP
 );
 
+-- Task trace table (one row per agent-loop step)
+CREATE TABLE IF NOT EXISTS orchestration_task_steps (
+    id SERIAL PRIMARY KEY,
+    task_id VARCHAR(255) REFERENCES orchestration_tasks(task_id),
+    run_id VARCHAR(64),
+    step INTEGER NOT NULL,
+    prompt_hash VARCHAR(64) NOT NULL,
+    model VARCHAR(100),
+    model_text TEXT,
+    action JSONB,
+    observation JSONB,
+    tokens_input INTEGER,
+    tokens_output INTEGER,
+    native BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Stage approvals table
+CREATE TABLE IF NOT EXISTS orchestration_approvals (
+    id SERIAL PRIMARY KEY,
+    approval_id VARCHAR(64) UNIQUE NOT NULL,
+    project_id VARCHAR(255) REFERENCES orchestration_projects(project_id),
+    execution_id VARCHAR(64),
+    stage INTEGER NOT NULL,
+    attempt INTEGER NOT NULL DEFAULT 1,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+    files JSONB NOT NULL DEFAULT '[]',
+    comment TEXT,
+    decided_by VARCHAR(255),
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    decided_at TIMESTAMP
+);
+
+-- Arbitration rulings table
+CREATE TABLE IF NOT EXISTS orchestration_arbitrations (
+    id SERIAL PRIMARY KEY,
+    project_id VARCHAR(255) REFERENCES orchestration_projects(project_id),
+    execution_id VARCHAR(64),
+    stage INTEGER NOT NULL,
+    file_path TEXT NOT NULL,
+    candidates JSONB NOT NULL DEFAULT '[]',
+    decision VARCHAR(20) NOT NULL
+        CHECK (decision IN ('winner', 'merged', 'fallback')),
+    winner_task_id VARCHAR(255),
+    reason TEXT,
+    model VARCHAR(100),
+    response TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Cost tracking table
 CREATE TABLE IF NOT EXISTS cost_tracking (
     id SERIAL PRIMARY KEY,
@@ -80,9 +158,26 @@ CREATE TABLE IF NOT EXISTS cost_tracking (
     tokens_input INTEGER,
     tokens_output INTEGER,
     cost_usd DECIMAL(10, 4),
+    cache_hit BOOLEAN NOT NULL DEFAULT false,
     timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Estimated cost held for in-flight model calls (see TokenEconomics.reserve)
+CREATE TABLE IF NOT EXISTS budget_reservations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id VARCHAR(255),
+    tenant_id UUID,
+    task_id VARCHAR(255),
+    model VARCHAR(100),
+    amount DECIMAL(10, 4) NOT NULL CHECK (amount >= 0),
+    actual_cost DECIMAL(10, 4),
+    status VARCHAR(20) NOT NULL DEFAULT 'reserved'
+        CHECK (status IN ('reserved', 'settled', 'released', 'expired')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    settled_at TIMESTAMP
+);
+
 -- Audit log table
 CREATE TABLE IF NOT EXISTS audit_log (
     id SERIAL PRIMARY KEY,
@@ -96,16 +191,23 @@ CREATE TABLE IF NOT EXISTS audit_log (
 );
 
 -- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_tenants_slug ON tenants(slug) WHERE is_active = TRUE;
 CREATE INDEX IF NOT EXISTS idx_orch_projects_project_id ON orchestration_projects(project_id);
 CREATE INDEX IF NOT EXISTS idx_orch_tasks_task_id ON orchestration_tasks(task_id);
 CREATE INDEX IF NOT EXISTS idx_orch_tasks_project_id ON orchestration_tasks(project_id);
 CREATE INDEX IF NOT EXISTS idx_orch_tasks_stage ON orchestration_tasks(stage);
 CREATE INDEX IF NOT EXISTS idx_orch_tasks_status ON orchestration_tasks(status);
+CREATE INDEX IF NOT EXISTS idx_orch_tasks_execution_stage ON orchestration_tasks(project_id, execution_id, stage);
 CREATE INDEX IF NOT EXISTS idx_agent_states_task_id ON agent_states(task_id);
 CREATE INDEX IF NOT EXISTS idx_file_locks_task_id ON file_locks(task_id);
 CREATE INDEX IF NOT EXISTS idx_conflicts_task_id ON conflicts(task_id);
+CREATE INDEX IF NOT EXISTS idx_orch_approvals_project_status ON orchestration_approvals(project_id, status);
+CREATE INDEX IF NOT EXISTS idx_orch_task_steps_task_run ON orchestration_task_steps(task_id, run_id, step);
+CREATE INDEX IF NOT EXISTS idx_orch_arbitrations_project_stage ON orchestration_arbitrations(project_id, stage);
 CREATE INDEX IF NOT EXISTS idx_cost_tracking_project_id ON cost_tracking(project_id);
 CREATE INDEX IF NOT EXISTS idx_cost_tracking_timestamp ON cost_tracking(timestamp);
+CREATE INDEX IF NOT EXISTS idx_budget_reservations_active
+    ON budget_reservations(project_id, expires_at) WHERE status = 'reserved';
 CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log(timestamp);
 CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
 
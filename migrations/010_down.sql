@@ -0,0 +1,11 @@
+-- =====================================================
+-- Rollback: 010_orchestrator_workflows.sql
+-- =====================================================
+-- Drops stored workflows; affected projects fall back to the default
+-- pipeline on their next execution.
+
+BEGIN;
+
+ALTER TABLE orchestration_projects DROP COLUMN IF EXISTS workflow;
+
+COMMIT;
@@ -0,0 +1,18 @@
+-- =====================================================
+-- Migration: 010 - Per-Project Workflow Definitions
+-- =====================================================
+-- Description: Stores each orchestration project's declarative workflow
+--              (stages, agent counts, tool allowlists, entry/exit
+--              conditions) alongside the project. NULL means the project
+--              predates configurable workflows and runs the default
+--              eight-stage pipeline.
+-- Author: Zekka Framework Team
+-- Date: 2026-10-19
+-- Dependencies: 009_fresh_deployment_baseline.sql
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE orchestration_projects ADD COLUMN IF NOT EXISTS workflow JSONB;
+
+COMMIT;
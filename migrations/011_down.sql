@@ -0,0 +1,17 @@
+-- =====================================================
+-- Rollback: 011_orchestrator_checkpoints.sql
+-- =====================================================
+-- Drops execution checkpoints; interrupted projects can then only be
+-- re-executed from the first stage.
+
+BEGIN;
+
+DROP INDEX IF EXISTS idx_orch_tasks_execution_stage;
+ALTER TABLE orchestration_tasks DROP COLUMN IF EXISTS execution_id;
+
+ALTER TABLE orchestration_projects
+    DROP COLUMN IF EXISTS completed_stages,
+    DROP COLUMN IF EXISTS current_stage,
+    DROP COLUMN IF EXISTS execution_id;
+
+COMMIT;
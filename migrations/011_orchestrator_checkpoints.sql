@@ -0,0 +1,26 @@
+-- =====================================================
+-- Migration: 011 - Resumable Orchestrator Executions
+-- =====================================================
+-- Description: Durable stage checkpoints so an interrupted project
+--              execution can resume from the last completed stage.
+--              * execution_id groups the tasks of one execute run, so a
+--                resume only picks up the interrupted run's tasks.
+--              * current_stage / completed_stages record progress.
+-- Author: Zekka Framework Team
+-- Date: 2026-10-19
+-- Dependencies: 010_orchestrator_workflows.sql
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE orchestration_projects
+    ADD COLUMN IF NOT EXISTS execution_id VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS current_stage INTEGER,
+    ADD COLUMN IF NOT EXISTS completed_stages INTEGER[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE orchestration_tasks ADD COLUMN IF NOT EXISTS execution_id VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_orch_tasks_execution_stage
+    ON orchestration_tasks(project_id, execution_id, stage);
+
+COMMIT;
@@ -0,0 +1,11 @@
+-- =====================================================
+-- Rollback: 012_orchestrator_approvals.sql
+-- =====================================================
+-- Drops the stage approval history.
+
+BEGIN;
+
+DROP INDEX IF EXISTS idx_orch_approvals_project_status;
+DROP TABLE IF EXISTS orchestration_approvals;
+
+COMMIT;
@@ -0,0 +1,33 @@
+-- =====================================================
+-- Migration: 012 - Orchestrator Stage Approvals
+-- =====================================================
+-- Description: Human sign-off requests for workflow stages marked with
+--              `approval`. One row per request; a rejected stage is re-run
+--              and asks again with the next attempt number.
+-- Author: Zekka Framework Team
+-- Date: 2026-10-19
+-- Dependencies: 011_orchestrator_checkpoints.sql
+-- =====================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS orchestration_approvals (
+    id SERIAL PRIMARY KEY,
+    approval_id VARCHAR(64) UNIQUE NOT NULL,
+    project_id VARCHAR(255) REFERENCES orchestration_projects(project_id),
+    execution_id VARCHAR(64),
+    stage INTEGER NOT NULL,
+    attempt INTEGER NOT NULL DEFAULT 1,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+    files JSONB NOT NULL DEFAULT '[]',
+    comment TEXT,
+    decided_by VARCHAR(255),
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    decided_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_orch_approvals_project_status
+    ON orchestration_approvals(project_id, status);
+
+COMMIT;
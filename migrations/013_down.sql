@@ -0,0 +1,11 @@
+-- =====================================================
+-- Rollback: 013_orchestrator_task_steps.sql
+-- =====================================================
+-- Drops recorded task traces; replay is unavailable afterwards.
+
+BEGIN;
+
+DROP INDEX IF EXISTS idx_orch_task_steps_task_run;
+DROP TABLE IF EXISTS orchestration_task_steps;
+
+COMMIT;
@@ -0,0 +1,34 @@
+-- =====================================================
+-- Migration: 013 - Orchestrator Task Traces
+-- =====================================================
+-- Description: One row per agent-loop step, so a task run can be inspected
+--              (GET /api/projects/:id/tasks/:taskId/trace) and replayed
+--              against its recorded model outputs.
+--              * run_id identifies one executeTask run; a task re-run after a
+--                conflict or a rejected approval gets a new one.
+-- Author: Zekka Framework Team
+-- Date: 2026-10-19
+-- Dependencies: 012_orchestrator_approvals.sql
+-- =====================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS orchestration_task_steps (
+    id SERIAL PRIMARY KEY,
+    task_id VARCHAR(255) REFERENCES orchestration_tasks(task_id),
+    run_id VARCHAR(64),
+    step INTEGER NOT NULL,
+    prompt_hash VARCHAR(64) NOT NULL,
+    model VARCHAR(100),
+    model_text TEXT,
+    action JSONB,
+    observation JSONB,
+    tokens_input INTEGER,
+    tokens_output INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_orch_task_steps_task_run
+    ON orchestration_task_steps(task_id, run_id, step);
+
+COMMIT;
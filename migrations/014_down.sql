@@ -0,0 +1,10 @@
+-- =====================================================
+-- Rollback: 014_orchestrator_task_dependencies.sql
+-- =====================================================
+-- Drops task dependency edges; graph workflows can no longer be executed.
+
+BEGIN;
+
+ALTER TABLE orchestration_tasks DROP COLUMN IF EXISTS depends_on;
+
+COMMIT;
@@ -0,0 +1,18 @@
+-- =====================================================
+-- Migration: 014 - Orchestrator Task Dependencies
+-- =====================================================
+-- Description: Dependency edges between tasks, so a workflow whose stages
+--              declare dependsOn runs as a graph
+--              (GET /api/projects/:id/graph).
+--              * depends_on lists the task_ids that must complete before
+--                the task may run.
+-- Author: Zekka Framework Team
+-- Date: 2026-10-19
+-- Dependencies: 013_orchestrator_task_steps.sql
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE orchestration_tasks ADD COLUMN IF NOT EXISTS depends_on TEXT[] NOT NULL DEFAULT '{}';
+
+COMMIT;
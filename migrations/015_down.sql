@@ -0,0 +1,10 @@
+-- =====================================================
+-- Rollback: 015_orchestrator_arbitrations.sql
+-- =====================================================
+-- Drops the recorded Arbitrator rulings.
+
+BEGIN;
+
+DROP TABLE IF EXISTS orchestration_arbitrations;
+
+COMMIT;
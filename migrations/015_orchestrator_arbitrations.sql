@@ -0,0 +1,36 @@
+-- =====================================================
+-- Migration: 015 - Orchestrator Arbitration Rulings
+-- =====================================================
+-- Description: One row per Arbitrator ruling on a conflicted file, kept for
+--              audit (GET /api/projects/:id/arbitrations).
+--              * decision is 'winner' (one task's version kept), 'merged'
+--                (the Arbitrator wrote a merged file) or 'fallback' (the
+--                ruling was unusable and the first agent's version was kept).
+--              * response is the Arbitrator's raw reply.
+-- Author: Zekka Framework Team
+-- Date: 2026-10-19
+-- Dependencies: 014_orchestrator_task_dependencies.sql
+-- =====================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS orchestration_arbitrations (
+    id SERIAL PRIMARY KEY,
+    project_id VARCHAR(255) REFERENCES orchestration_projects(project_id),
+    execution_id VARCHAR(64),
+    stage INTEGER NOT NULL,
+    file_path TEXT NOT NULL,
+    candidates JSONB NOT NULL DEFAULT '[]',
+    decision VARCHAR(20) NOT NULL
+        CHECK (decision IN ('winner', 'merged', 'fallback')),
+    winner_task_id VARCHAR(255),
+    reason TEXT,
+    model VARCHAR(100),
+    response TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_orch_arbitrations_project_stage
+    ON orchestration_arbitrations(project_id, stage);
+
+COMMIT;
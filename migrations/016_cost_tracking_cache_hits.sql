@@ -0,0 +1,17 @@
+-- =====================================================
+-- Migration: 016 - Response Cache Hits in Cost Tracking
+-- =====================================================
+-- Description: Marks cost_tracking rows for model responses served from the
+--              response cache. Their tokens are recorded at cost_usd 0, so
+--              cache_hit tells them apart from free (local) models.
+-- Author: Zekka Framework Team
+-- Date: 2026-10-19
+-- Dependencies: 015_orchestrator_arbitrations.sql
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE cost_tracking
+    ADD COLUMN IF NOT EXISTS cache_hit BOOLEAN NOT NULL DEFAULT false;
+
+COMMIT;
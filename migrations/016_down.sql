@@ -0,0 +1,10 @@
+-- =====================================================
+-- Rollback: 016_cost_tracking_cache_hits.sql
+-- =====================================================
+-- Drops the cache-hit marker; the zero-cost rows stay.
+
+BEGIN;
+
+ALTER TABLE cost_tracking DROP COLUMN IF EXISTS cache_hit;
+
+COMMIT;
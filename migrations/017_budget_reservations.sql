@@ -0,0 +1,44 @@
+-- =====================================================
+-- Migration: 017 - Budget Reservations
+-- =====================================================
+-- Description: Holds the estimated cost of in-flight model calls so that
+--              parallel agents cannot all pass the budget check and then
+--              overspend together. A reservation is taken before a call,
+--              settled when its cost is recorded and released if the call
+--              fails; an unsettled one stops counting at expires_at.
+--              Also links orchestration projects to a tenant and gives
+--              tenants their own daily and monthly budgets (NULL = none).
+-- Author: Zekka Framework Team
+-- Date: 2026-10-19
+-- Dependencies: 008_multi_tenancy.sql, 016_cost_tracking_cache_hits.sql
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE orchestration_projects
+    ADD COLUMN IF NOT EXISTS tenant_id UUID REFERENCES tenants(id) ON DELETE SET NULL;
+
+ALTER TABLE tenants
+    ADD COLUMN IF NOT EXISTS budget_daily DECIMAL(10, 2),
+    ADD COLUMN IF NOT EXISTS budget_monthly DECIMAL(10, 2);
+
+CREATE TABLE IF NOT EXISTS budget_reservations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id VARCHAR(255),
+    tenant_id UUID,
+    task_id VARCHAR(255),
+    model VARCHAR(100),
+    amount DECIMAL(10, 4) NOT NULL CHECK (amount >= 0),
+    actual_cost DECIMAL(10, 4),
+    status VARCHAR(20) NOT NULL DEFAULT 'reserved'
+        CHECK (status IN ('reserved', 'settled', 'released', 'expired')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    settled_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_orchestration_projects_tenant_id ON orchestration_projects(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_budget_reservations_active
+    ON budget_reservations(project_id, expires_at) WHERE status = 'reserved';
+
+COMMIT;
@@ -0,0 +1,18 @@
+-- =====================================================
+-- Rollback: 017_budget_reservations.sql
+-- =====================================================
+-- Drops reservations, tenant budgets and the project-tenant link.
+
+BEGIN;
+
+DROP TABLE IF EXISTS budget_reservations;
+
+DROP INDEX IF EXISTS idx_orchestration_projects_tenant_id;
+
+ALTER TABLE tenants
+    DROP COLUMN IF EXISTS budget_monthly,
+    DROP COLUMN IF EXISTS budget_daily;
+
+ALTER TABLE orchestration_projects DROP COLUMN IF EXISTS tenant_id;
+
+COMMIT;
@@ -0,0 +1,11 @@
+-- =====================================================
+-- Rollback: 018_orchestrator_task_steps_native.sql
+-- =====================================================
+-- Drops the native-step marker; replays then render every step's prompt for
+-- the JSON protocol.
+
+BEGIN;
+
+ALTER TABLE orchestration_task_steps DROP COLUMN IF EXISTS native;
+
+COMMIT;
@@ -0,0 +1,18 @@
+-- =====================================================
+-- Migration: 018 - Native Steps in Task Traces
+-- =====================================================
+-- Description: Marks trace steps whose action came from a native tool call
+--              (Anthropic, OpenAI) rather than the JSON protocol, so a
+--              replay renders the same prompt for them. Earlier rows read
+--              as JSON-protocol steps.
+-- Author: Zekka Framework Team
+-- Date: 2026-10-19
+-- Dependencies: 013_orchestrator_task_steps.sql
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE orchestration_task_steps
+    ADD COLUMN IF NOT EXISTS native BOOLEAN NOT NULL DEFAULT false;
+
+COMMIT;
@@ -15,7 +15,8 @@ const config = require('./config');
 
 // Middleware
 const { apiLimiter, createProjectLimiter } = require('./middleware/rateLimit');
-const { optionalAuth } = require('./middleware/auth');
+const { authenticate, optionalAuth } = require('./middleware/auth');
+const { optionalTenantContext } = require('./middleware/tenant-context');
 const {
   metricsMiddleware,
   getMetrics,
@@ -232,6 +233,15 @@ app.use('/api/users', usersRoutes);
  *                 type: integer
  *               budget:
  *                 type: object
+ *               workflow:
+ *                 oneOf:
+ *                   - type: object
+ *                   - type: string
+ *                 description: >-
+ *                   Versioned workflow definition (object, or JSON/YAML
+ *                   string) listing stages, agent counts, tool allowlists
+ *                   and entry/exit conditions. Defaults to the standard
+ *                   eight-stage pipeline.
  *     responses:
  *       201:
  *         description: Project created
@@ -245,11 +255,12 @@ app.post(
   apiLimiter,
   createProjectLimiter,
   optionalAuth,
+  optionalTenantContext,
   idempotency(),
   async (req, res) => {
     try {
       const {
-        name, requirements, storyPoints, budget
+        name, requirements, storyPoints, budget, workflow
       } = req.body;
 
       if (!name || !requirements || !Array.isArray(requirements)) {
@@ -266,7 +277,9 @@ app.post(
           daily: parseFloat(process.env.DAILY_BUDGET) || 50,
           monthly: parseFloat(process.env.MONTHLY_BUDGET) || 1000
         },
-        userId: req.user?.userId
+        workflow,
+        userId: req.user?.userId,
+        tenantId: req.tenant?.id
       });
 
       trackProject('started', 'pending');
@@ -280,6 +293,9 @@ app.post(
       logger.info(`Project created: ${project.projectId}`);
       return res.status(201).json(project);
     } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message, details: error.details });
+      }
       logger.error('Error creating project:', error);
       return res.status(500).json({ error: error.message });
     }
@@ -292,6 +308,10 @@ app.post(
  * /api/projects/{projectId}/execute:
  *   post:
  *     summary: Execute project workflow
+ *     description: >
+ *       Starts a new execution from the first stage, or with `resume` continues
+ *       the last one from its checkpoint - completed stages are skipped and
+ *       pending or interrupted tasks are re-run.
  *     tags: [Projects]
  *     parameters:
  *       - in: path
@@ -299,9 +319,23 @@ app.post(
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: resume
+ *         schema:
+ *           type: boolean
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resume:
+ *                 type: boolean
  *     responses:
  *       200:
  *         description: Execution started
+ *       409:
+ *         description: The project is already executing
  */
 app.post(
   '/api/projects/:projectId/execute',
@@ -311,11 +345,17 @@ app.post(
     try {
       const { projectId } = req.params;
 
+      if (orchestrator.isExecuting(projectId)) {
+        return res.status(409).json({ error: `Project ${projectId} is already executing` });
+      }
+
+      const resume = req.body?.resume === true || req.query.resume === 'true';
+
       logger.info(`Starting execution for project: ${projectId}`);
 
       // Start execution asynchronously
       orchestrator
-        .executeProject(projectId)
+        .executeProject(projectId, { resume })
         .then((result) => {
           logger.info(`Project completed: ${projectId}`, result);
         })
@@ -323,14 +363,480 @@ app.post(
           logger.error(`Project failed: ${projectId}`, error);
         });
 
-      res.json({
-        message: 'Execution started',
+      return res.json({
+        message: resume ? 'Execution resumed' : 'Execution started',
         projectId,
-        status: 'running'
+        status: 'running',
+        resume
       });
     } catch (error) {
       logger.error('Error starting execution:', error);
-      res.status(500).json({ error: error.message });
+      return res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Pause a running project execution
+/**
+ * @swagger
+ * /api/projects/{projectId}/pause:
+ *   post:
+ *     summary: Pause a running project execution
+ *     description: >
+ *       Agents finish their current step and wait; the project keeps its place until resumed.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Execution paused
+ *       404:
+ *         description: The project is not executing
+ *       409:
+ *         description: The execution is already paused or being cancelled
+ */
+app.post(
+  '/api/projects/:projectId/pause',
+  apiLimiter,
+  optionalAuth,
+  async (req, res) => {
+    try {
+      const result = await orchestrator.pauseExecution(req.params.projectId);
+      return res.json(result);
+    } catch (error) {
+      if (error.statusCode === 404 || error.statusCode === 409) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      logger.error('Error pausing execution:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Resume a paused project execution
+/**
+ * @swagger
+ * /api/projects/{projectId}/resume:
+ *   post:
+ *     summary: Resume a paused project execution
+ *     description: >
+ *       Continues a paused execution where it stopped. To continue an execution that was interrupted by a restart, use `POST /api/projects/{projectId}/execute` with `resume`.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Execution resumed
+ *       404:
+ *         description: The project is not executing
+ *       409:
+ *         description: The execution is not paused
+ */
+app.post(
+  '/api/projects/:projectId/resume',
+  apiLimiter,
+  optionalAuth,
+  async (req, res) => {
+    try {
+      const result = await orchestrator.resumeExecution(req.params.projectId);
+      return res.json(result);
+    } catch (error) {
+      if (error.statusCode === 404 || error.statusCode === 409) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      logger.error('Error resuming execution:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Cancel a running project execution
+/**
+ * @swagger
+ * /api/projects/{projectId}/cancel:
+ *   post:
+ *     summary: Cancel a running project execution
+ *     description: >
+ *       Running agents stop before their next step and queued agents never start; their tasks and the project end as `cancelled`.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cancellation requested
+ *       404:
+ *         description: The project is not executing
+ *       409:
+ *         description: The execution is already being cancelled
+ */
+app.post(
+  '/api/projects/:projectId/cancel',
+  apiLimiter,
+  optionalAuth,
+  async (req, res) => {
+    try {
+      const result = await orchestrator.cancelExecution(req.params.projectId);
+      return res.json(result);
+    } catch (error) {
+      if (error.statusCode === 404 || error.statusCode === 409) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      logger.error('Error cancelling execution:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Get the pending stage approval
+/**
+ * @swagger
+ * /api/projects/{projectId}/approval:
+ *   get:
+ *     summary: Get the pending stage approval
+ *     description: >
+ *       The stage sign-off a project is waiting on, with the files its agents wrote.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pending approval request
+ *       404:
+ *         description: No approval is pending for the project
+ */
+app.get(
+  '/api/projects/:projectId/approval',
+  apiLimiter,
+  optionalAuth,
+  (req, res) => {
+    const approval = orchestrator.getPendingApproval(req.params.projectId);
+    if (!approval) {
+      return res.status(404).json({ error: 'No approval pending' });
+    }
+    return res.json(approval);
+  }
+);
+
+// Approve the stage awaiting sign-off
+/**
+ * @swagger
+ * /api/projects/{projectId}/approve:
+ *   post:
+ *     summary: Approve the stage awaiting sign-off
+ *     description: >
+ *       Lets the execution continue past a stage whose workflow `approval` held it.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Stage approved
+ *       404:
+ *         description: No approval is pending for the project
+ */
+app.post(
+  '/api/projects/:projectId/approve',
+  apiLimiter,
+  optionalAuth,
+  async (req, res) => {
+    try {
+      const result = await orchestrator.approveStage(req.params.projectId, {
+        comment: req.body?.comment,
+        reviewer: req.user?.userId
+      });
+      return res.json(result);
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 404) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      logger.error('Error deciding stage approval:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Reject the stage awaiting sign-off
+/**
+ * @swagger
+ * /api/projects/{projectId}/reject:
+ *   post:
+ *     summary: Reject the stage awaiting sign-off
+ *     description: >
+ *       Re-runs the stage's tasks with the comment added to their goal, then asks for approval again.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [comment]
+ *             properties:
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Stage rejected
+ *       400:
+ *         description: A comment is required
+ *       404:
+ *         description: No approval is pending for the project
+ */
+app.post(
+  '/api/projects/:projectId/reject',
+  apiLimiter,
+  optionalAuth,
+  async (req, res) => {
+    try {
+      const result = await orchestrator.rejectStage(req.params.projectId, {
+        comment: req.body?.comment,
+        reviewer: req.user?.userId
+      });
+      return res.json(result);
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 404) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      logger.error('Error deciding stage approval:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Get a task's execution trace
+/**
+ * @swagger
+ * /api/projects/{projectId}/tasks/{taskId}/trace:
+ *   get:
+ *     summary: Get a task's step-level execution trace
+ *     description: >
+ *       Every agent-loop step of one run of the task: prompt hash, model, raw
+ *       model reply, parsed action, observation and token usage.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: runId
+ *         description: Run to return (default - the latest)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The run's steps, and every run id of the task
+ *       404:
+ *         description: Task or run not found
+ */
+app.get(
+  '/api/projects/:projectId/tasks/:taskId/trace',
+  apiLimiter,
+  optionalAuth,
+  async (req, res) => {
+    try {
+      const { projectId, taskId } = req.params;
+      const trace = await orchestrator.getTaskTrace(projectId, taskId, { runId: req.query.runId });
+      return res.json(trace);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return res.status(404).json({ error: error.message });
+      }
+      logger.error('Error fetching task trace:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Replay a task run
+/**
+ * @swagger
+ * /api/projects/{projectId}/tasks/{taskId}/replay:
+ *   post:
+ *     summary: Replay a recorded task run
+ *     description: >
+ *       Re-runs the agent loop with the model replies taken from the trace.
+ *       With `tools: recorded` (default) tool calls return their recorded
+ *       observations; `live` executes them against the workspace. Nothing is
+ *       persisted.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               runId:
+ *                 type: string
+ *               tools:
+ *                 type: string
+ *                 enum: [recorded, live]
+ *     responses:
+ *       200:
+ *         description: The replayed run
+ *       400:
+ *         description: Invalid replay mode
+ *       404:
+ *         description: Task, run or trace not found
+ */
+app.post(
+  '/api/projects/:projectId/tasks/:taskId/replay',
+  apiLimiter,
+  optionalAuth,
+  async (req, res) => {
+    try {
+      const { projectId, taskId } = req.params;
+      const result = await orchestrator.replayTask(projectId, taskId, {
+        runId: req.body?.runId,
+        tools: req.body?.tools
+      });
+      return res.json(result);
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 404) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      logger.error('Error replaying task:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Get a project's dependency graph
+/**
+ * @swagger
+ * /api/projects/{projectId}/graph:
+ *   get:
+ *     summary: Get a project's stage and task dependency graph
+ *     description: >
+ *       The workflow's stages with their `dependsOn` edges and live status, and
+ *       the current execution's tasks with their dependencies and status.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The project's graph
+ *       404:
+ *         description: Project not found
+ */
+app.get(
+  '/api/projects/:projectId/graph',
+  apiLimiter,
+  optionalAuth,
+  async (req, res) => {
+    try {
+      const graph = await orchestrator.getProjectGraph(req.params.projectId);
+      return res.json(graph);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return res.status(404).json({ error: error.message });
+      }
+      logger.error('Error fetching project graph:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Get a project's arbitration rulings
+/**
+ * @swagger
+ * /api/projects/{projectId}/arbitrations:
+ *   get:
+ *     summary: Get the Arbitrator's rulings on a project's file conflicts
+ *     description: >
+ *       Every ruling on a conflicted file, newest first: the competing tasks,
+ *       whether one version was kept, the versions were merged or the ruling
+ *       fell back to the first agent, and the Arbitrator's reason.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: stage
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The recorded rulings
+ *       400:
+ *         description: Invalid stage
+ *       404:
+ *         description: Project not found
+ */
+app.get(
+  '/api/projects/:projectId/arbitrations',
+  apiLimiter,
+  optionalAuth,
+  async (req, res) => {
+    try {
+      const { projectId } = req.params;
+      const arbitrations = await orchestrator.getArbitrations(projectId, { stage: req.query.stage });
+      return res.json({ projectId, arbitrations });
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 404) {
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+      logger.error('Error fetching arbitrations:', error);
+      return res.status(500).json({ error: error.message });
     }
   }
 );
@@ -459,6 +965,31 @@ app.get('/api/metrics', apiLimiter, optionalAuth, async (req, res) => {
   }
 });
 
+// List agent tool plugins (registered ahead of the agents router so
+// "plugins" is not read as an agent id)
+/**
+ * @swagger
+ * /api/v1/agents/plugins:
+ *   get:
+ *     summary: List the tool plugins loaded at startup
+ *     description: |
+ *       Each plugin's name, version, source (`directory` or `package`) and the
+ *       namespaced tools it registered. Plugins that failed to load are listed
+ *       with `status: failed` and their error.
+ *     tags: [Agents]
+ *     responses:
+ *       200:
+ *         description: The loaded plugins
+ *       503:
+ *         description: Service is still initializing
+ */
+app.get('/api/v1/agents/plugins', apiLimiter, authenticate, (req, res) => {
+  if (!orchestrator) {
+    return res.status(503).json({ error: 'Service is still initializing' });
+  }
+  return res.json({ plugins: orchestrator.getToolPlugins() });
+});
+
 // Register API v1 routes (Team 3 - Core Services)
 app.use('/api/v1/projects', projectsRoutes);
 app.use('/api/v1/conversations', conversationsRoutes);
@@ -41,6 +41,16 @@ async function initialize() {
   console.log('✅ Arbitrator Agent initialized with Claude Sonnet 4.5');
 }
 
+// Whether a model reply parses as JSON (the resolution format asked for)
+function isJson(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 // Middleware
 app.use(express.json());
 
@@ -189,7 +199,9 @@ Respond with a JSON object containing:
     const response = await modelClient.generateArbitratorResponse(prompt, {
       taskId: conflictId,
       maxTokens: 4000,
-      temperature: 0.3 // Lower temperature for deterministic decisions
+      temperature: 0.3, // Lower temperature for deterministic decisions
+      // Cache only a JSON resolution; a non-JSON reply is asked for again next time
+      cache: { accept: (text) => isJson(text) }
     });
 
     // Parse the AI response (attempt JSON parse, fallback to raw text)
@@ -145,6 +145,8 @@ const envSchema = joi
 
     MONTHLY_BUDGET: joi.number().default(1000),
 
+    BUDGET_RESERVATION_TTL: joi.number().min(1).default(600),
+
     // TwinGate & Wazuh
     TWINGATE_API_URL: joi.string().allow('').default(''),
 
@@ -165,6 +167,28 @@ const envSchema = joi
 
     MAX_CONCURRENT_AGENTS: joi.number().default(10),
 
+    AGENT_FAILURE_POLICY: joi.string().valid('continue', 'cancel').default('continue'),
+
+    CONFLICT_MAX_ROUNDS: joi.number().integer().min(0).default(2),
+
+    AGENT_ISOLATION: joi.string().valid('shared', 'worktree').default('shared'),
+
+    AGENT_COMMANDS: joi.string().allow('').default(''),
+
+    AGENT_COMMAND_TIMEOUT_MS: joi.number().integer().min(1000).default(120000),
+
+    AGENT_COMMAND_CPU_SECONDS: joi.number().integer().min(1).default(60),
+
+    AGENT_COMMAND_MAX_OUTPUT_BYTES: joi.number().integer().min(1024).default(1048576),
+
+    AGENT_NATIVE_TOOLS: joi.boolean().default(true),
+
+    AGENT_CONTEXT_TOKENS: joi.number().integer().min(1000).default(8000),
+
+    AGENT_TOOL_PLUGIN_DIR: joi.string().allow('').default(''),
+
+    AGENT_TOOL_PLUGINS: joi.string().allow('').default(''),
+
     // Model Configuration
     ARBITRATOR_MODEL: joi.string().default('claude-sonnet-4-5'),
 
@@ -172,6 +196,17 @@ const envSchema = joi
 
     FALLBACK_MODEL: joi.string().default('llama3.1:8b'),
 
+    // JSON array of OpenAI-compatible model providers (see src/services/providers)
+    MODEL_PROVIDERS: joi.string().allow('').default(''),
+
+    // JSON object of routing policies and fallback chains by component (see src/services/model-router.js)
+    MODEL_ROUTING: joi.string().allow('').default(''),
+
+    // Response cache for model calls that opt in (see src/services/response-cache.js)
+    LLM_CACHE_ENABLED: joi.boolean().default(false),
+
+    LLM_CACHE_TTL: joi.number().min(1).default(3600),
+
     // Gemini API Configuration
     GEMINI_API_KEY: joi.string().allow('').default(''),
 
@@ -318,13 +353,27 @@ const config = {
   // Budget
   budget: {
     daily: env.DAILY_BUDGET,
-    monthly: env.MONTHLY_BUDGET
+    monthly: env.MONTHLY_BUDGET,
+    reservationTtl: env.BUDGET_RESERVATION_TTL
   },
 
   // Agent Config
   agents: {
     defaultModel: env.DEFAULT_MODEL,
-    maxConcurrent: env.MAX_CONCURRENT_AGENTS
+    maxConcurrent: env.MAX_CONCURRENT_AGENTS,
+    failurePolicy: env.AGENT_FAILURE_POLICY,
+    maxConflictRounds: env.CONFLICT_MAX_ROUNDS,
+    isolation: env.AGENT_ISOLATION,
+    commands: env.AGENT_COMMANDS.split(',').map((c) => c.trim()).filter(Boolean),
+    commandLimits: {
+      wallTimeMs: env.AGENT_COMMAND_TIMEOUT_MS,
+      cpuSeconds: env.AGENT_COMMAND_CPU_SECONDS,
+      maxOutputBytes: env.AGENT_COMMAND_MAX_OUTPUT_BYTES
+    },
+    nativeTools: env.AGENT_NATIVE_TOOLS,
+    contextTokens: env.AGENT_CONTEXT_TOKENS,
+    toolPluginDir: env.AGENT_TOOL_PLUGIN_DIR || null,
+    toolPlugins: env.AGENT_TOOL_PLUGINS.split(',').map((p) => p.trim()).filter(Boolean)
   },
 
   // Model Configuration (NEW)
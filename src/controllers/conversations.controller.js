@@ -15,6 +15,17 @@ const { uploadFile } = require('../utils/file-storage');
 const conversationService = require('../services/conversation.service');
 const { validateUploadedFile } = require('../utils/upload-validation');
 
+// `X-LLM-Cache: bypass` makes the assistant answer afresh instead of from the response cache
+const CACHE_BYPASS_HEADER = 'x-llm-cache';
+
+function turnMetadata(req) {
+  const metadata = req.body.metadata || {};
+  const header = (req.headers && req.headers[CACHE_BYPASS_HEADER]) || '';
+  return String(header).toLowerCase() === 'bypass'
+    ? { ...metadata, noCache: true }
+    : metadata;
+}
+
 class ConversationsController {
   writeSseEvent(res, payload) {
     res.write(`data: ${JSON.stringify(payload)}\n\n`);
@@ -220,13 +231,13 @@ class ConversationsController {
     try {
       const { userId } = req.user;
       const { id } = req.params;
-      const { content, metadata } = req.body;
+      const { content } = req.body;
 
       const turnResult = await conversationService.sendMessageTurn(
         id,
         userId,
         content,
-        metadata || {}
+        turnMetadata(req)
       );
 
       res.status(201).json({
@@ -261,13 +272,13 @@ class ConversationsController {
     try {
       const { userId } = req.user;
       const { id } = req.params;
-      const { content, metadata } = req.body;
+      const { content } = req.body;
 
       await conversationService.sendMessageTurnStream(
         id,
         userId,
         content,
-        metadata || {},
+        turnMetadata(req),
         {
           onUserMessage: async (userMessage) => {
             this.writeSseEvent(res, { type: 'userMessage', data: userMessage });
@@ -355,6 +355,9 @@ module.exports = {
   broadcastConflict: (projectId, conflict) => {
     if (io) io.to(`project:${projectId}`).emit('project:conflict', conflict);
   },
+  broadcastApproval: (projectId, approval) => {
+    if (io) io.to(`project:${projectId}`).emit('project:approval', approval);
+  },
   broadcastCostUpdate: (projectId, cost) => {
     if (io) io.to(`project:${projectId}`).emit('project:cost', { cost });
   },
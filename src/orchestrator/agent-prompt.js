@@ -3,7 +3,12 @@
  *
  * Renders the agent's role, goal, the available tool catalogue (with JSON arg
  * schemas), and the running observation trail into a single text prompt, plus the
- * strict output contract the parser expects (one JSON action per turn).
+ * strict output contract the parser expects (one JSON object per turn, holding
+ * one action or a batch of tool calls). With `nativeTools` the catalogue travels
+ * as provider tool definitions instead, and the contract asks for tool calls.
+ *
+ * On long runs the ContextWindow (./context-window) hands in only the recent
+ * steps, with a summary of the earlier ones and the facts pinned across them.
  *
  * @module orchestrator/agent-prompt
  */
@@ -17,61 +22,98 @@ function renderTools(tools) {
     .join('\n');
 }
 
-function clip(value) {
+function clip(value, max = MAX_OBSERVATION_CHARS) {
   const str = typeof value === 'string' ? value : JSON.stringify(value);
   if (typeof str !== 'string') return String(str);
-  return str.length > MAX_OBSERVATION_CHARS
-    ? `${str.slice(0, MAX_OBSERVATION_CHARS)}… [truncated]`
+  return str.length > max
+    ? `${str.slice(0, max)}… [truncated]`
     : str;
 }
 
-function renderHistory(memory) {
+function renderHistory(memory, observationChars) {
   if (!memory.length) return '(no actions yet — this is your first step)';
   return memory
     .map((entry) => {
       if (entry.parseError) {
-        return `Step ${entry.step}: your reply could not be parsed as a single JSON `
-          + `action. ${entry.hint}`;
+        return `Step ${entry.step}: your reply held no usable action. ${entry.hint}`;
       }
       const action = entry.action.type === 'finish'
         ? 'finish'
         : `${entry.action.tool}(${JSON.stringify(entry.action.args)})`;
-      return `Step ${entry.step}: ${action}\n  observation: ${clip(entry.observation)}`;
+      const label = entry.batch ? `Step ${entry.step} (${entry.batch.index}/${entry.batch.size})` : `Step ${entry.step}`;
+      return `${label}: ${action}\n  observation: ${clip(entry.observation, observationChars)}`;
     })
     .join('\n');
 }
 
+function renderEarlier(options) {
+  let out = '';
+  if (options.summary) out += `EARLIER STEPS (summarised):\n${options.summary}\n\n`;
+  if (options.facts && options.facts.length) out += `KEY FACTS:\n${options.facts.map((f) => `- ${f}`).join('\n')}\n\n`;
+  return out;
+}
+
+function renderWriteScope(policy) {
+  if (!policy || !Array.isArray(policy.writePaths) || !Array.isArray(policy.tools)) return '';
+  if (!policy.tools.some((name) => name === 'write_file' || name === 'edit_file')) return '';
+  return `- You may only write files matching: ${policy.writePaths.join(', ')}.\n`;
+}
+
+const JSON_CONTRACT = `OUTPUT CONTRACT — reply with a SINGLE JSON object and nothing else:
+  To call a tool:   {"thought": "<brief reasoning>", "tool": "<name>", "args": { ... }}
+  To call several:  {"thought": "<brief reasoning>", "actions": [{"tool": "<name>", "args": { ... }}, ...]}
+  To finish:        {"thought": "<brief reasoning>", "type": "finish", "result": { "summary": "..." }}
+
+Rules:
+- Exactly one JSON object per reply. No prose outside the JSON.
+- Only use tools from the list above with args matching their schema.
+- Batch calls that do not depend on each other (e.g. reading several files); they
+  run in order, and you see every result next turn. Finish on its own, never in a batch.`;
+
+const NATIVE_CONTRACT = `OUTPUT CONTRACT — call tools, no prose answers:
+  To act:    call one of the tools above, with args matching its schema.
+  To finish: call "finish" with {"result": { "summary": "..." }}.
+
+Rules:
+- Call several tools at once when the calls do not depend on each other (e.g.
+  reading several files); you see every result next turn. Call "finish" on its own.
+- Keep any text to a brief reason for the calls.
+- Only use the tools you were given.`;
+
 /**
- * @param {Object} task - { agentName, goal, stage }
+ * @param {Object} task - { agentName, goal, stage, toolPolicy? }
  * @param {Array}  tools - output of ToolRegistry.describe()
  * @param {Array}  memory - accumulated { step, action, observation } entries
+ * @param {Object} [options]
+ * @param {boolean} [options.nativeTools=false] - The tools are sent as provider tool
+ *   definitions; list them by name only and ask for a tool call.
+ * @param {string} [options.summary] - Summary of the steps left out of `memory`
+ * @param {string[]} [options.facts] - Facts pinned across the whole run
+ * @param {number} [options.observationChars=1500] - Per-observation clip length
  * @returns {string}
  */
-function buildAgentPrompt(task, tools, memory) {
+function buildAgentPrompt(task, tools, memory, options = {}) {
+  const catalogue = options.nativeTools
+    ? tools.map((t) => `- ${t.name}`).join('\n') || '(no tools available)'
+    : renderTools(tools);
   return `You are "${task.agentName}", an autonomous engineering agent in the Zekka orchestrator.
 
 GOAL:
 ${task.goal || 'Complete the assigned task.'}
 
-You work in a loop. Each turn you choose exactly ONE action, observe its result,
-then decide the next action. Continue until the goal is met, then finish.
+You work in a loop. Each turn you choose ONE action (or a batch of independent tool
+calls), observe the results, then decide the next action. Continue until the goal is met, then finish.
 
 AVAILABLE TOOLS:
-${renderTools(tools)}
-
-OUTPUT CONTRACT — reply with a SINGLE JSON object and nothing else:
-  To call a tool: {"thought": "<brief reasoning>", "tool": "<name>", "args": { ... }}
-  To finish:      {"thought": "<brief reasoning>", "type": "finish", "result": { "summary": "..." }}
+${catalogue}
 
-Rules:
-- Exactly one JSON object per reply. No prose outside the JSON.
-- Only use tools from the list above with args matching their schema.
+${options.nativeTools ? NATIVE_CONTRACT : JSON_CONTRACT}
 - Finish as soon as the goal is achieved; do not loop needlessly.
+${renderWriteScope(task.toolPolicy)}
+${renderEarlier(options)}HISTORY SO FAR:
+${renderHistory(memory, options.observationChars)}
 
-HISTORY SO FAR:
-${renderHistory(memory)}
-
-Respond with your next action as a single JSON object.`;
+${options.nativeTools ? 'Call the tool for your next action.' : 'Respond with your next action as a single JSON object.'}`;
 }
 
 module.exports = { buildAgentPrompt };
@@ -6,36 +6,104 @@
  * the ToolRegistry, feeds the observation back, and continues until the model emits
  * a `finish` action or a guard trips.
  *
+ * A turn may hold a batch of tool calls (see parse-action). It counts as one
+ * step: consecutive read-only tools (ToolRegistry.isReadOnly) run in parallel,
+ * any other tool runs alone and in order, and every call's observation goes into
+ * memory under the turn's step number.
+ *
  * Guards (any one terminates the loop, always with a durable terminal status):
- *   - MAX_STEPS          hard iteration cap
- *   - budget             tokenEconomics.getBudgetStatus() exhausted
- *   - no-progress        the same action repeated N times in a row
+ *   - MAX_STEPS          hard iteration cap (on turns, whatever their batch size)
+ *   - budget             tokenEconomics.getBudgetStatus() exhausted, or a model
+ *                        call's estimated cost could not be reserved; a budget
+ *                        that cannot be read counts as exhausted
+ *   - no-progress        the same action (or the same batch) repeated N times in a row
+ *   - cancelled          task.signal (an AbortSignal) was aborted, e.g. a sibling
+ *                        agent failed under the stage's 'cancel' policy or an
+ *                        operator cancelled the execution
  *   - finish             the model declared the goal met
  *
+ * While task.control (an execution control) is paused, the loop waits before its
+ * next step; nothing is interrupted mid-step.
+ *
+ * Models with native tool calling (ModelClient.supportsNativeTools: Anthropic,
+ * OpenAI) are handed the catalogue as provider tool definitions and answer with a
+ * tool call (see native-tools); the rest, or a native call that fails, use the
+ * JSON-in-text protocol read by parseAction.
+ *
+ * The prompt is kept under `contextTokens` by a per-run ContextWindow, which
+ * summarises older steps once the full history no longer fits (see
+ * context-window); the memory returned with the result is always complete.
+ *
+ * Before every model call the runner reserves its estimated cost (the prompt's
+ * tokens plus reserveOutputTokens of completion) with tokenEconomics.reserve,
+ * priced for the model the call is sent to: the native tool call's selected
+ * model, or the routing policy's pick for the prompt (ModelClient.routedModel),
+ * so agents running in parallel cannot all pass the budget guard and then
+ * overspend together. Recording the call's cost settles the reservation; the
+ * runner releases it if the call failed.
+ *
+ * With a `tracer`, every step is also recorded (prompt hash, model, raw reply,
+ * parsed action, observation, token usage, native or not) for the task's trace
+ * and replay.
+ *
+ * After every write the runner snapshots the written file (`fileVersions`), so
+ * the orchestrator can restore and show an arbitration winner's version even if
+ * a sibling agent overwrote it afterwards.
+ *
  * @module orchestrator/agent-runner
  */
 
+const fs = require('fs/promises');
+const { countTokens } = require('../services/tokenizer');
+const { BudgetExceededError } = require('../utils/errors');
 const { parseAction } = require('./parse-action');
 const { buildAgentPrompt } = require('./agent-prompt');
+const { ContextWindow } = require('./context-window');
+const { hashPrompt } = require('./trace');
+const { toProviderTools, actionFromResponse, renderAction } = require('./native-tools');
+const { resolveInWorkspace } = require('./tools/workspace');
 
 const DEFAULTS = {
   maxSteps: 12,
   budgetThresholdPercent: 100,
-  noProgressLimit: 3
+  noProgressLimit: 3,
+  maxBatchSize: 8,
+  reserveOutputTokens: 2000
 };
 
+// Files larger than this are not snapshotted (their version is recorded as null).
+const MAX_SNAPSHOT_BYTES = 64 * 1024;
+
+// A budget lookup that failed is not a budget that passed: the call is refused.
+function budgetUnavailable(err) {
+  if (err instanceof BudgetExceededError) return err;
+  return new BudgetExceededError(`budget check failed: ${err.message}`, { cause: err.message });
+}
+
 class AgentRunner {
   /**
    * @param {Object} options
-   * @param {Object} options.modelClient - must expose generateOrchestratorResponse()
+   * @param {Object} options.modelClient - must expose generateOrchestratorResponse();
+   *   supportsNativeTools() + generateWithTools() enable native tool calling
    * @param {Object} options.toolRegistry - ToolRegistry instance
-   * @param {Object} [options.tokenEconomics] - for model selection + budget guard
+   * @param {Object} [options.tokenEconomics] - for model selection, the budget guard and
+   *   reservations (reserve() + release())
    * @param {Object} [options.contextBus] - for per-step state persistence
    * @param {Object} [options.logger]
    * @param {Object} [options.toolContext] - base ctx passed to every tool (workspaceRoot, exec…)
+   * @param {Object} [options.tracer] - { recordStep(task, entry) } — receives every step
    * @param {number} [options.maxSteps]
    * @param {number} [options.budgetThresholdPercent]
    * @param {number} [options.noProgressLimit]
+   * @param {number} [options.maxBatchSize=8] - Tool calls run per turn; later calls in a
+   *   bigger batch are answered with an error instead
+   * @param {number} [options.reserveOutputTokens=2000] - Completion tokens reserved per model
+   *   call, on top of the prompt's (the orchestrator model's maxTokens)
+   * @param {boolean} [options.nativeTools=true] - Use native tool calling where the model has it
+   * @param {number} [options.contextTokens] - Prompt budget in tokens (ContextWindow's default if unset)
+   * @param {Object|null} [options.summaryClient] - Writes the history summaries; defaults to
+   *   modelClient, null keeps a plain step digest instead (replays, whose model client only
+   *   answers recorded steps)
    */
   constructor(options = {}) {
     if (!options.modelClient) throw new Error('AgentRunner requires a modelClient');
@@ -47,103 +115,258 @@ class AgentRunner {
     this.contextBus = options.contextBus || null;
     this.logger = options.logger || console;
     this.toolContext = options.toolContext || {};
+    this.tracer = options.tracer || null;
 
     this.maxSteps = options.maxSteps || DEFAULTS.maxSteps;
     this.budgetThresholdPercent = options.budgetThresholdPercent
       ?? DEFAULTS.budgetThresholdPercent;
     this.noProgressLimit = options.noProgressLimit || DEFAULTS.noProgressLimit;
+    this.maxBatchSize = options.maxBatchSize || DEFAULTS.maxBatchSize;
+    this.reserveOutputTokens = options.reserveOutputTokens || DEFAULTS.reserveOutputTokens;
+    this.nativeTools = options.nativeTools !== false;
+    this.contextTokens = options.contextTokens || null;
+    this.summaryClient = options.summaryClient === undefined ? this.modelClient : options.summaryClient;
   }
 
   /**
-   * @param {Object} task - { taskId, projectId, agentName, goal, complexity, stage }
+   * @param {Object} task - { taskId, projectId, agentName, goal, complexity, stage,
+   *   allowedTools?, allowedCommands?, toolPolicy?, signal?, control?, workspaceRoot? } —
+   *   `allowedTools` (a workflow stage's tool allowlist) limits both the catalogue
+   *   shown to the model and what the registry will dispatch; `allowedCommands`
+   *   (the project workflow's `commands`) narrows the tool context's run_command
+   *   allowlist; `toolPolicy` (from the agent's capabilities, see tools/permissions)
+   *   further limits the catalogue and the files the agent may write; `signal` is
+   *   checked before every step, after waiting out a pause of `control`;
+   *   `workspaceRoot` (the task's own worktree) replaces the tool context's root.
    * @returns {Promise<{
-   *   status: 'completed'|'failed'|'budget_exhausted'|'max_steps'|'no_progress',
-   *   reason: string, steps: number, result: *, filesWritten: string[], memory: Array
+   *   status: 'completed'|'failed'|'budget_exhausted'|'max_steps'|'no_progress'|'cancelled',
+   *   reason: string, steps: number, result: *, filesWritten: string[],
+   *   fileVersions: Object<string, ?string>, memory: Array
    * }>}
    */
   async run(task) {
     const memory = [];
     const filesWritten = [];
+    const fileVersions = {};
     const recentSignatures = [];
+    const context = new ContextWindow({
+      modelClient: this.summaryClient,
+      logger: this.logger,
+      budgetTokens: this.contextTokens,
+      task: { projectId: task.projectId, taskId: task.taskId }
+    });
+    const allowedTools = Array.isArray(task.allowedTools) ? task.allowedTools : null;
+    const toolContext = { ...this.toolContext };
+    if (allowedTools) toolContext.allowedTools = allowedTools;
+    if (task.workspaceRoot) toolContext.workspaceRoot = task.workspaceRoot;
+    if (Array.isArray(task.allowedCommands)) {
+      // A project's list narrows the operator's allowlist; it never extends it
+      const permitted = Array.isArray(toolContext.allowedCommands) ? toolContext.allowedCommands : [];
+      toolContext.allowedCommands = task.allowedCommands.filter((command) => permitted.includes(command));
+    }
+    if (task.toolPolicy) toolContext.toolPolicy = task.toolPolicy;
+    let catalogue = allowedTools;
+    if (task.toolPolicy && Array.isArray(task.toolPolicy.tools)) {
+      catalogue = (allowedTools || this.toolRegistry.names()).filter((name) => task.toolPolicy.tools.includes(name));
+    }
 
     for (let step = 0; step < this.maxSteps; step += 1) {
+      // --- pause gate ---
+      if (task.control) await task.control.waitWhilePaused();
+
+      // --- cancellation guard ---
+      if (task.signal && task.signal.aborted) {
+        return this._terminate('cancelled', `cancelled: ${task.signal.reason}`, {
+          task, step, memory, filesWritten, fileVersions
+        });
+      }
+
       // --- budget guard ---
       if (await this._overBudget(task.projectId)) {
         return this._terminate('budget_exhausted', 'budget exhausted before step', {
-          task, step, memory, filesWritten
+          task, step, memory, filesWritten, fileVersions
         });
       }
 
       // --- PLAN ---
-      const model = await this._selectModel(task);
-      const prompt = buildAgentPrompt(task, this.toolRegistry.describe(), memory);
-
-      let text;
+      const trace = { step, promptHash: null, model: null, native: false };
+      let planned;
       try {
-        const response = await this.modelClient.generateOrchestratorResponse(prompt, {
-          projectId: task.projectId,
-          taskId: task.taskId,
-          model
-        });
-        text = response && response.text;
+        const model = await this._selectModel(task);
+        trace.model = model || null;
+        planned = await this._plan(task, model, this.toolRegistry.describe(catalogue), memory, context, trace);
       } catch (err) {
+        if (err instanceof BudgetExceededError) {
+          return this._terminate('budget_exhausted', err.message, {
+            task, step, memory, filesWritten, fileVersions
+          });
+        }
+        await this._recordTrace(task, {
+          ...trace, text: null, observation: { ok: false, error: `model call failed: ${err.message}` }
+        });
         return this._terminate('failed', `model call failed: ${err.message}`, {
-          task, step, memory, filesWritten
+          task, step, memory, filesWritten, fileVersions
         });
       }
 
       // --- PARSE (repair on failure rather than crash) ---
-      const action = parseAction(text);
+      const { action } = planned;
+      trace.action = action;
       if (!action) {
+        await this._recordTrace(task, trace);
         memory.push({
           step,
           parseError: true,
-          hint: 'Reply with exactly one JSON action object matching the output contract.'
+          hint: planned.native
+            ? 'Call the tools with arguments matching their schemas; call finish on its own when done.'
+            : 'Reply with exactly one JSON action object matching the output contract.'
         });
         continue;
       }
 
       if (action.type === 'finish') {
+        await this._recordTrace(task, trace);
         return this._terminate('completed', 'agent finished', {
-          task, step: step + 1, memory, filesWritten, result: action.result
+          task, step: step + 1, memory, filesWritten, fileVersions, result: action.result
         });
       }
 
       // --- ACT ---
-      const observation = await this.toolRegistry.invoke(
-        action.tool,
-        action.args,
-        this.toolContext
-      );
+      const calls = action.type === 'batch' ? action.actions : [action];
+      const observations = await this._act(calls, toolContext);
 
       // --- OBSERVE ---
-      memory.push({ step, action, observation });
-      if (Array.isArray(observation.writes)) {
+      calls.forEach((call, i) => {
+        const entry = { step, action: call, observation: observations[i] };
+        if (calls.length > 1) entry.batch = { index: i + 1, size: calls.length };
+        memory.push(entry);
+      });
+      await this._recordTrace(task, {
+        ...trace, observation: action.type === 'batch' ? observations : observations[0]
+      });
+      for (const observation of observations) {
+        if (!Array.isArray(observation.writes)) continue;
         for (const w of observation.writes) {
           if (!filesWritten.includes(w)) filesWritten.push(w);
+          fileVersions[w] = await this._snapshot(w, toolContext);
         }
       }
-      await this._persistStep(task, step, action, observation, filesWritten);
+      await this._persistStep(task, step, calls, observations, filesWritten);
 
-      // --- no-progress guard: same action signature N times in a row ---
-      const signature = `${action.tool}:${JSON.stringify(action.args)}`;
+      // --- no-progress guard: same action (or batch) signature N times in a row ---
+      const signature = calls.map((call) => `${call.tool}:${JSON.stringify(call.args)}`).join('|');
       recentSignatures.push(signature);
       if (recentSignatures.length > this.noProgressLimit) recentSignatures.shift();
       if (
         recentSignatures.length === this.noProgressLimit
         && recentSignatures.every((s) => s === signature)
       ) {
-        return this._terminate('no_progress', `repeated "${action.tool}" ${this.noProgressLimit}x`, {
-          task, step: step + 1, memory, filesWritten
+        const repeated = calls.map((call) => call.tool).join(', ');
+        return this._terminate('no_progress', `repeated "${repeated}" ${this.noProgressLimit}x`, {
+          task, step: step + 1, memory, filesWritten, fileVersions
         });
       }
     }
 
     return this._terminate('max_steps', `hit MAX_STEPS (${this.maxSteps})`, {
-      task, step: this.maxSteps, memory, filesWritten
+      task, step: this.maxSteps, memory, filesWritten, fileVersions
     });
   }
 
+  /**
+   * Ask the model for the next action: natively where the model calls tools,
+   * otherwise (or if the native call fails) over the JSON protocol. Fills in the
+   * step's trace (prompt hash, model, text, usage, and whether it was native).
+   * The prompt is rendered through `context`, which compacts the history when
+   * it is over budget.
+   * Each model call holds a budget reservation while it runs.
+   * @returns {Promise<{ action: ?Object, native: boolean }>}
+   * @throws {BudgetExceededError} When a call's estimated cost cannot be reserved
+   */
+  async _plan(task, model, tools, memory, context, trace) {
+    const request = { projectId: task.projectId, taskId: task.taskId, model };
+    const render = (nativeTools) => context.render(memory, model, (view) => buildAgentPrompt(task, tools, view.memory, {
+      nativeTools, summary: view.summary, facts: view.facts, observationChars: view.observationChars
+    }));
+
+    if (this.nativeTools && typeof this.modelClient.supportsNativeTools === 'function'
+      && this.modelClient.supportsNativeTools(model)) {
+      const prompt = await render(true);
+      trace.promptHash = hashPrompt(prompt);
+      const reservation = await this._reserve(task, model, prompt);
+      try {
+        const response = await this.modelClient.generateWithTools(
+          prompt,
+          toProviderTools(tools),
+          { ...request, ...(reservation ? { reservation } : {}), parallelToolCalls: true }
+        );
+        const action = actionFromResponse(response);
+        trace.model = response.model || trace.model;
+        trace.usage = response.usage || null;
+        trace.text = action ? renderAction(action) : (response.text || null);
+        trace.native = true;
+        return { action, native: true };
+      } catch (err) {
+        this.logger.warn(`native tool call failed, using the JSON protocol for this step: ${err.message}`);
+      } finally {
+        await this._release(reservation);
+      }
+    }
+
+    const prompt = await render(false);
+    trace.promptHash = hashPrompt(prompt);
+    const routed = this._routedModel(prompt);
+    const reservation = await this._reserve(task, routed || model, prompt);
+    let response;
+    try {
+      response = await this.modelClient.generateOrchestratorResponse(prompt, {
+        ...request,
+        ...(routed ? { model: routed, pinModel: true } : {}),
+        ...(reservation ? { reservation } : {})
+      });
+    } finally {
+      await this._release(reservation);
+    }
+    const text = response && response.text;
+    trace.model = (response && response.model) || trace.model;
+    trace.usage = response && response.usage ? response.usage : null;
+    trace.text = text === undefined ? null : text;
+    return { action: parseAction(text), native: false };
+  }
+
+  /**
+   * Run a turn's tool calls. Consecutive read-only calls run together; any other
+   * call waits for everything before it and runs alone. Calls past maxBatchSize
+   * are not run.
+   * @returns {Promise<Object[]>} One observation per call, in call order.
+   */
+  async _act(calls, toolContext) {
+    const observations = new Array(calls.length);
+    let parallel = [];
+    const flush = async () => {
+      const results = await Promise.all(parallel.map((i) => this.toolRegistry.invoke(
+        calls[i].tool,
+        calls[i].args,
+        toolContext
+      )));
+      parallel.forEach((i, k) => { observations[i] = results[k]; });
+      parallel = [];
+    };
+
+    for (let i = 0; i < calls.length; i += 1) {
+      if (i >= this.maxBatchSize) {
+        observations[i] = { ok: false, error: `not run: at most ${this.maxBatchSize} tool calls per turn` };
+      } else if (typeof this.toolRegistry.isReadOnly === 'function' && this.toolRegistry.isReadOnly(calls[i].tool)) {
+        parallel.push(i);
+      } else {
+        await flush();
+        observations[i] = await this.toolRegistry.invoke(calls[i].tool, calls[i].args, toolContext);
+      }
+    }
+    await flush();
+    return observations;
+  }
+
   async _overBudget(projectId) {
     if (!this.tokenEconomics || typeof this.tokenEconomics.getBudgetStatus !== 'function') {
       return false;
@@ -155,30 +378,93 @@ class AgentRunner {
       const exhausted = (b) => b && (b.remaining <= 0 || b.percent >= this.budgetThresholdPercent);
       return exhausted(daily) || exhausted(monthly);
     } catch (err) {
-      this.logger.warn(`budget check failed, continuing: ${err.message}`);
-      return false;
+      // An unknown budget is treated as an exhausted one
+      this.logger.warn(`budget check failed, stopping: ${err.message}`);
+      return true;
+    }
+  }
+
+  /**
+   * Reserve a model call's estimated cost. Null without a tokenEconomics that
+   * takes reservations.
+   * @throws {BudgetExceededError} When a project, tenant or global budget cannot
+   *   cover it, or the reservation could not be made at all
+   */
+  async _reserve(task, model, prompt) {
+    if (!this.tokenEconomics || typeof this.tokenEconomics.reserve !== 'function') return null;
+    try {
+      return await this.tokenEconomics.reserve({
+        projectId: task.projectId,
+        taskId: task.taskId,
+        model,
+        tokensInput: countTokens(prompt, model),
+        tokensOutput: this.reserveOutputTokens
+      });
+    } catch (err) {
+      throw budgetUnavailable(err);
+    }
+  }
+
+  /** Release a reservation the call left unsettled (a no-op once its cost is recorded). */
+  async _release(reservation) {
+    if (!reservation) return;
+    try {
+      await this.tokenEconomics.release(reservation.id);
+    } catch (err) {
+      this.logger.warn(`budget release failed: ${err.message}`);
     }
   }
 
+  /**
+   * The model the routing policy picks for a JSON-protocol call with `prompt`
+   * (null if the model client cannot say). The call is pinned to it, so its
+   * reservation is priced for the model whose cost settles it.
+   */
+  _routedModel(prompt) {
+    if (typeof this.modelClient.routedModel !== 'function') return null;
+    return this.modelClient.routedModel('orchestrator', prompt);
+  }
+
   async _selectModel(task) {
     if (this.tokenEconomics && typeof this.tokenEconomics.selectModel === 'function') {
       try {
         return await this.tokenEconomics.selectModel(task.complexity, task.projectId);
-      } catch {
-        return undefined;
+      } catch (err) {
+        throw budgetUnavailable(err);
       }
     }
     return undefined;
   }
 
-  async _persistStep(task, step, action, observation, filesWritten) {
+  /** Read back a file the agent just wrote; null if it is too large or unreadable. */
+  async _snapshot(file, toolContext) {
+    try {
+      const abs = resolveInWorkspace(toolContext.workspaceRoot, file);
+      const { size } = await fs.stat(abs);
+      if (size > MAX_SNAPSHOT_BYTES) return null;
+      return await fs.readFile(abs, 'utf8');
+    } catch {
+      return null;
+    }
+  }
+
+  async _recordTrace(task, entry) {
+    if (!this.tracer) return;
+    try {
+      await this.tracer.recordStep(task, entry);
+    } catch (err) {
+      this.logger.warn(`trace step failed: ${err.message}`);
+    }
+  }
+
+  async _persistStep(task, step, calls, observations, filesWritten) {
     if (!this.contextBus || typeof this.contextBus.setAgentState !== 'function') return;
     try {
       await this.contextBus.setAgentState(task.taskId, task.agentName, {
         status: 'running',
         step,
-        lastTool: action.tool,
-        lastOk: observation.ok,
+        lastTool: calls[calls.length - 1].tool,
+        lastOk: observations.every((o) => o.ok),
         filesWritten
       });
     } catch (err) {
@@ -188,14 +474,14 @@ class AgentRunner {
 
   _terminate(status, reason, ctx) {
     const {
-      task, step, memory, filesWritten, result = null
+      task, step, memory, filesWritten, fileVersions = {}, result = null
     } = ctx;
     const success = status === 'completed';
     this.logger[success ? 'info' : 'warn'](
       `agent ${task.agentName} (${task.taskId}) → ${status}: ${reason} [${step} steps]`
     );
     return {
-      status, reason, steps: step, result, filesWritten, memory
+      status, reason, steps: step, result, filesWritten, fileVersions, memory
     };
   }
 }
@@ -0,0 +1,60 @@
+/**
+ * Concurrency limiting for agent execution.
+ *
+ * `createLimiter(n)` returns a FIFO semaphore: `run(fn)` starts `fn` as soon as
+ * fewer than `n` functions started through the same limiter are still pending,
+ * and resolves/rejects with `fn`'s outcome. Limiters nest — the orchestrator
+ * runs each agent through its stage's limiter and then the process-wide one, so
+ * both the per-stage and the global cap hold.
+ *
+ * @module orchestrator/concurrency
+ */
+
+/**
+ * @param {number} limit - Maximum functions in flight (>= 1).
+ * @returns {{ run: function(Function): Promise<*>, readonly active: number,
+ *   readonly pending: number, readonly limit: number }}
+ */
+function createLimiter(limit) {
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`concurrency limit must be a positive integer, got ${limit}`);
+  }
+
+  let active = 0;
+  const queue = [];
+
+  function next() {
+    if (active >= limit || queue.length === 0) return;
+    active += 1;
+    const { fn, resolve, reject } = queue.shift();
+    // Free the slot before settling, so callers observe an accurate `active`.
+    const settle = (done) => (value) => {
+      active -= 1;
+      next();
+      done(value);
+    };
+    Promise.resolve()
+      .then(fn)
+      .then(settle(resolve), settle(reject));
+  }
+
+  return {
+    run(fn) {
+      return new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        next();
+      });
+    },
+    get active() {
+      return active;
+    },
+    get pending() {
+      return queue.length;
+    },
+    get limit() {
+      return limit;
+    }
+  };
+}
+
+module.exports = { createLimiter };
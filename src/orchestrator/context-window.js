@@ -0,0 +1,213 @@
+/**
+ * Context window - keeps an agent's prompt under a token budget on long runs.
+ *
+ * The agent's memory (every step's action and observation) only grows, and the
+ * prompt used to render all of it. A ContextWindow is created per run; each step
+ * it renders the prompt with the whole memory and, if that is over budget:
+ *
+ *   1. folds the older steps into a running summary, keeping the last
+ *      `keepRecent` steps verbatim. Summaries are written by the model client's
+ *      text path (generateOrchestratorResponse: the orchestrator's cost-effective
+ *      model, with Ollama as its fallback), never the agent's own model; if that
+ *      fails, a one-line-per-step digest stands in. Each step goes to the
+ *      summariser once, with its observation clipped: a fold hands over the
+ *      summary so far and the newly folded steps, and the model rewrites the
+ *      summary to cover both (the digest fallback is appended instead);
+ *   2. pins key facts that must survive summarising: every file written so far
+ *      and the last test run;
+ *   3. if still over, clips observations harder, keeps fewer recent steps, and
+ *      finally cuts the summary.
+ *
+ * Tokens are counted with the model family's tokenizer (see
+ * services/tokenizer).
+ *
+ * @module orchestrator/context-window
+ */
+
+const { countTokens } = require('../services/tokenizer');
+
+const DEFAULTS = {
+  budgetTokens: 8000,
+  keepRecent: 4
+};
+const OBSERVATION_CHARS = [1500, 500, 200];
+const MAX_SUMMARY_CHARS = 6000;
+const DIGEST_ARGS_CHARS = 120;
+// Few texts run below this many characters per token; used to turn spare
+// tokens into characters of summary to keep.
+const MIN_CHARS_PER_TOKEN = 3;
+
+/**
+ * Facts worth keeping whatever gets summarised: the files written so far and
+ * the outcome of the last test run.
+ * @param {Array} memory
+ * @returns {string[]}
+ */
+function pinnedFacts(memory) {
+  const files = [];
+  let lastTests = null;
+  for (const entry of memory) {
+    const obs = entry.observation;
+    if (!obs) continue;
+    for (const file of obs.writes || []) {
+      if (!files.includes(file)) files.push(file);
+    }
+    if (entry.action && entry.action.tool === 'run_tests' && obs.ok && obs.output) {
+      lastTests = { step: entry.step, output: obs.output };
+    }
+  }
+
+  const facts = [];
+  if (files.length) facts.push(`Files written so far: ${files.join(', ')}`);
+  if (lastTests) {
+    const { report } = lastTests.output;
+    let line = `Last test run (step ${lastTests.step}): ${lastTests.output.passed ? 'passed' : 'FAILED'}`;
+    if (report) {
+      line += ` - ${report.failed} failed, ${report.passed} passed of ${report.total}`;
+      const failing = report.failures.map((f) => f.name);
+      if (failing.length) line += `; failing: ${failing.slice(0, 5).join('; ')}`;
+    }
+    facts.push(line);
+  }
+  return facts;
+}
+
+/** One line per step; stands in for a model summary. */
+function digest(entries) {
+  return entries.map((entry) => {
+    if (entry.parseError) return `- step ${entry.step}: (unparseable reply)`;
+    const args = JSON.stringify(entry.action.args || {});
+    const call = `${entry.action.tool}(${args.length > DIGEST_ARGS_CHARS ? `${args.slice(0, DIGEST_ARGS_CHARS)}…` : args})`;
+    const obs = entry.observation || {};
+    return `- step ${entry.step}: ${call} -> ${obs.ok ? 'ok' : `error: ${String(obs.error).slice(0, 200)}`}`;
+  }).join('\n');
+}
+
+/** The digest line plus the clipped observation, for the model summariser. */
+function summaryInput(entries) {
+  const chars = OBSERVATION_CHARS.at(-1);
+  return entries.map((entry) => {
+    const line = digest([entry]);
+    if (!entry.observation) return line;
+    const obs = JSON.stringify(entry.observation);
+    return `${line}\n  observation: ${obs.length > chars ? `${obs.slice(0, chars)}…` : obs}`;
+  }).join('\n');
+}
+
+function clipSummary(text) {
+  return text.length > MAX_SUMMARY_CHARS ? `…${text.slice(text.length - MAX_SUMMARY_CHARS)}` : text;
+}
+
+class ContextWindow {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.modelClient] - Writes summaries (generateOrchestratorResponse)
+   * @param {Object} [options.logger]
+   * @param {number} [options.budgetTokens=8000] - Prompt budget, in estimated tokens
+   * @param {number} [options.keepRecent=4] - Steps kept verbatim once summarising starts
+   * @param {Object} [options.task] - { projectId, taskId }, for the summary calls' cost records
+   */
+  constructor(options = {}) {
+    this.modelClient = options.modelClient || null;
+    this.logger = options.logger || console;
+    this.budgetTokens = options.budgetTokens || DEFAULTS.budgetTokens;
+    this.keepRecent = options.keepRecent || DEFAULTS.keepRecent;
+    this.task = options.task || {};
+    this.summary = null;
+    this.summarized = 0; // leading memory entries folded into the summary
+    this.warned = false;
+  }
+
+  /**
+   * Render the step's prompt within budget.
+   * @param {Array} memory - The run's full memory.
+   * @param {string} [model] - The model the prompt is for.
+   * @param {function(Object): string} build - Renders a view
+   *   `{ memory, summary, facts, observationChars }` into a prompt.
+   * @returns {Promise<string>}
+   */
+  async render(memory, model, build) {
+    const fits = (prompt) => countTokens(prompt, model) <= this.budgetTokens;
+    if (this.summarized === 0) {
+      const full = build({
+        memory, summary: null, facts: [], observationChars: OBSERVATION_CHARS[0]
+      });
+      if (fits(full)) return full;
+    }
+
+    const facts = pinnedFacts(memory);
+    let prompt = null;
+    for (const keep of [this.keepRecent, 1]) {
+      await this.foldUpTo(memory, memory.length - keep);
+      for (const observationChars of OBSERVATION_CHARS) {
+        prompt = build({
+          memory: memory.slice(this.summarized), summary: this.summary, facts, observationChars
+        });
+        if (fits(prompt)) return prompt;
+      }
+    }
+
+    // Last resort: cut the summary to whatever room is left.
+    const without = build({
+      memory: memory.slice(this.summarized), summary: '', facts, observationChars: OBSERVATION_CHARS.at(-1)
+    });
+    const room = Math.floor((this.budgetTokens - countTokens(without, model)) * MIN_CHARS_PER_TOKEN);
+    if (this.summary && room > 0) {
+      prompt = build({
+        memory: memory.slice(this.summarized),
+        summary: `…${this.summary.slice(-room)}`,
+        facts,
+        observationChars: OBSERVATION_CHARS.at(-1)
+      });
+    } else {
+      prompt = without;
+    }
+    if (!fits(prompt) && !this.warned) {
+      this.warned = true;
+      this.logger.warn(
+        `agent prompt for ${this.task.taskId || 'task'} is over its ${this.budgetTokens}-token budget even compacted`
+      );
+    }
+    return prompt;
+  }
+
+  /** Fold memory entries [summarized, end) into the summary. */
+  async foldUpTo(memory, end) {
+    if (end <= this.summarized) return;
+    const entries = memory.slice(this.summarized, end);
+    this.summary = clipSummary(await this.summarize(this.summary, entries));
+    this.summarized = end;
+  }
+
+  async summarize(previous, entries) {
+    const steps = digest(entries);
+    if (this.modelClient && typeof this.modelClient.generateOrchestratorResponse === 'function') {
+      const prompt = `You are compressing an autonomous coding agent's working memory.
+${previous ? `\nSUMMARY SO FAR:\n${previous}\n` : ''}
+NEW STEPS (tool call -> result, then the observation, clipped):
+${summaryInput(entries)}
+
+Rewrite the summary so it also covers the new steps, in at most 200 words. Keep
+file paths, decisions, errors still unresolved and anything the agent learned
+about the code. Reply with the summary only.`;
+      try {
+        const response = await this.modelClient.generateOrchestratorResponse(prompt, {
+          projectId: this.task.projectId,
+          taskId: this.task.taskId,
+          maxTokens: 400,
+          temperature: 0.2
+        });
+        const text = response && typeof response.text === 'string' ? response.text.trim() : '';
+        if (text) return text;
+      } catch (err) {
+        this.logger.warn(`memory summary failed, keeping a step digest: ${err.message}`);
+      }
+    }
+    return previous ? `${previous}\n${steps}` : steps;
+  }
+}
+
+module.exports = {
+  ContextWindow,
+  pinnedFacts
+};
@@ -0,0 +1,70 @@
+/**
+ * Execution control - operator pause / resume / cancel for a running project.
+ *
+ * executeProject creates one control per execution and threads it down to every
+ * agent. Nothing is interrupted mid-step: the orchestrator waits between stages
+ * and AgentRunner waits before each step while the control is paused, and
+ * `cancel` aborts `signal`, which the same checkpoints turn into a `cancelled`
+ * terminal status. Cancelling also releases anyone waiting on a pause.
+ *
+ * @module orchestrator/execution-control
+ */
+
+/**
+ * @returns {{
+ *   signal: AbortSignal,
+ *   readonly paused: boolean,
+ *   readonly cancelled: boolean,
+ *   pause: function(): boolean,
+ *   resume: function(): boolean,
+ *   cancel: function(string=): boolean,
+ *   waitWhilePaused: function(): Promise<void>
+ * }} `pause`, `resume` and `cancel` return false when the call changed nothing.
+ */
+function createExecutionControl() {
+  const controller = new AbortController();
+  let paused = false;
+  let waiters = [];
+
+  function release() {
+    const pending = waiters;
+    waiters = [];
+    for (const resolve of pending) resolve();
+  }
+
+  return {
+    signal: controller.signal,
+    get paused() {
+      return paused;
+    },
+    get cancelled() {
+      return controller.signal.aborted;
+    },
+    pause() {
+      if (paused || controller.signal.aborted) return false;
+      paused = true;
+      return true;
+    },
+    resume() {
+      if (!paused) return false;
+      paused = false;
+      release();
+      return true;
+    },
+    cancel(reason = 'cancelled by operator') {
+      if (controller.signal.aborted) return false;
+      paused = false;
+      controller.abort(reason);
+      release();
+      return true;
+    },
+    waitWhilePaused() {
+      if (!paused) return Promise.resolve();
+      return new Promise((resolve) => {
+        waiters.push(resolve);
+      });
+    }
+  };
+}
+
+module.exports = { createExecutionControl };
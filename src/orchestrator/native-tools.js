@@ -0,0 +1,109 @@
+/**
+ * Native tool calling - the agent loop's bridge to providers that call tools
+ * themselves (Anthropic, OpenAI).
+ *
+ * The registry's schemas (`{ arg: { type, required } }`) become JSON Schema tool
+ * definitions, plus a `finish` tool standing in for the JSON protocol's finish
+ * action. The provider's tool call is turned back into the same action object
+ * parseAction returns, so the loop after PLAN does not care how the action was
+ * produced. Several tool calls in one response become a batch action, as a
+ * JSON-protocol `actions` list would. Models without native tool calling keep
+ * the JSON protocol.
+ *
+ * @module orchestrator/native-tools
+ */
+
+const { parseAction, actionForCalls } = require('./parse-action');
+
+const FINISH_TOOL = {
+  name: 'finish',
+  description: 'Finish the task once the goal is met. args: { result: { summary: string, ... } }.',
+  parameters: {
+    type: 'object',
+    properties: {
+      result: { type: 'object', description: 'What was done, with at least a "summary".' }
+    }
+  }
+};
+
+/**
+ * A registry schema as a JSON Schema object.
+ * @param {Object} schema - { <argName>: { type, required? } }
+ * @returns {Object}
+ */
+function toJsonSchema(schema = {}) {
+  const properties = {};
+  const required = [];
+  for (const [name, spec] of Object.entries(schema)) {
+    properties[name] = spec.type === 'array' ? { type: 'array', items: {} } : { type: spec.type };
+    if (spec.required) required.push(name);
+  }
+  return {
+    type: 'object', properties, ...(required.length ? { required } : {})
+  };
+}
+
+/**
+ * Provider-neutral tool definitions for ModelClient.generateWithTools.
+ * @param {Array} catalogue - ToolRegistry.describe() output
+ * @returns {Array<{ name: string, description: string, parameters: Object }>}
+ */
+function toProviderTools(catalogue) {
+  return [
+    ...catalogue.map((t) => ({ name: t.name, description: t.description, parameters: toJsonSchema(t.schema) })),
+    FINISH_TOOL
+  ];
+}
+
+/**
+ * The action a native response asks for, shaped like parseAction's result. A
+ * response without a tool call is read with parseAction, in case the model
+ * answered in the JSON protocol anyway.
+ * @param {{ text?: string, toolCalls?: Array<{ name: string, args: ?Object }> }} response
+ * @returns {Object|null} null when there is no usable action: a call with
+ *   unreadable arguments, or `finish` called alongside other tools.
+ */
+function actionFromResponse(response) {
+  const calls = (response && response.toolCalls) || [];
+  if (calls.length === 0) return parseAction(response && response.text);
+  if (calls.some((call) => !call.args)) return null;
+
+  const thought = typeof response.text === 'string' ? response.text.trim() : '';
+  const finish = calls.find((call) => call.name === FINISH_TOOL.name);
+  if (finish) {
+    if (calls.length > 1) return null;
+    return {
+      type: 'finish',
+      result: Object.prototype.hasOwnProperty.call(finish.args, 'result') ? finish.args.result : null,
+      thought
+    };
+  }
+  return actionForCalls(calls.map((call) => ({ tool: call.name, args: call.args })), thought);
+}
+
+/**
+ * The action in the JSON protocol, recorded as the step's model text so traces
+ * read (and replay) the same whichever way the action came in.
+ * @param {Object} action
+ * @returns {string}
+ */
+function renderAction(action) {
+  if (action.type === 'finish') {
+    return JSON.stringify({ thought: action.thought, type: 'finish', result: action.result });
+  }
+  if (action.type === 'batch') {
+    return JSON.stringify({
+      thought: action.thought,
+      actions: action.actions.map(({ tool, args }) => ({ tool, args }))
+    });
+  }
+  return JSON.stringify({ thought: action.thought, tool: action.tool, args: action.args });
+}
+
+module.exports = {
+  FINISH_TOOL,
+  toJsonSchema,
+  toProviderTools,
+  actionFromResponse,
+  renderAction
+};
@@ -1,13 +1,115 @@
 const { promisify } = require('util');
 const childProcess = require('child_process');
+const fs = require('fs/promises');
 const { Pool } = require('pg');
 const { v4: uuidv4 } = require('uuid');
 const axios = require('axios');
 const ModelClient = require('../services/model-client');
 const { getDatabaseSsl } = require('../config/database-ssl');
-const { createDefaultRegistry } = require('./tools');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { createDefaultRegistry, loadToolPlugins } = require('./tools');
+const { policyForAgent } = require('./tools/permissions');
+const { resolveInWorkspace } = require('./tools/workspace');
 const { AgentRunner } = require('./agent-runner');
 const { extractJsonObject } = require('./parse-action');
+const {
+  DEFAULT_WORKFLOW, FAILURE_POLICIES, parseWorkflow, usesDependencies, evaluateConditions
+} = require('./workflow');
+const { createLimiter } = require('./concurrency');
+const { createExecutionControl } = require('./execution-control');
+const { REPLAY_TOOL_MODES, createReplay } = require('./trace');
+const { createDependencyTracker, createStageRelease, defer } = require('./task-graph');
+const { WorktreeManager } = require('./worktrees');
+
+// Longest winner's version quoted into a re-queued agent's goal.
+const MAX_WINNER_VERSION_CHARS = 16000;
+// Longest version of each side quoted into an arbitration prompt.
+const MAX_ARBITRATION_VERSION_CHARS = 8000;
+// Longest goal / reported result of each agent quoted into an arbitration prompt.
+const MAX_ARBITRATION_CONTEXT_CHARS = 1500;
+// Longest raw Arbitrator reply kept with a recorded ruling.
+const MAX_RULING_RESPONSE_CHARS = 16000;
+
+const AGENT_ISOLATION_MODES = new Set(['shared', 'worktree']);
+// Stands in for the owner of a workspace version no task of the stage wrote.
+const WORKSPACE_OWNER = 'workspace';
+
+// Restricts an orchestration_tasks query on `project_id = $1` to the tasks of the
+// project's current execution (legacy tasks and projects both have a NULL id).
+const CURRENT_EXECUTION = ` AND execution_id IS NOT DISTINCT FROM
+  (SELECT execution_id FROM orchestration_projects WHERE project_id = $1)`;
+
+// Outcomes of a dependency stage that let the stages depending on it run.
+const STAGE_DEPENDENCY_MET = new Set(['completed', 'skipped']);
+
+/** An agent's version of a conflicted file, as quoted to the Arbitrator. */
+function describeVersion(agent) {
+  if (agent.deleted) return '(deletes the file)';
+  if (typeof agent.version !== 'string') return '(content unavailable)';
+  return truncate(agent.version, MAX_ARBITRATION_VERSION_CHARS);
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max)}\n[... truncated]` : text;
+}
+
+/**
+ * Read the Arbitrator's reply: a winner among the candidates, or a merged file.
+ * @returns {{ ruling: Object }|{ error: string }}
+ */
+function parseRuling(text, conflict) {
+  const json = extractJsonObject(text || '');
+  if (!json) return { error: 'no JSON ruling in the response' };
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (err) {
+    return { error: `unparseable ruling: ${err.message}` };
+  }
+  const reason = typeof parsed.reason === 'string' ? parsed.reason : '';
+  if (typeof parsed.merged === 'string') {
+    return {
+      ruling: {
+        decision: 'merged', winner: null, merged: parsed.merged, reason
+      }
+    };
+  }
+  if (!conflict.agents.some((a) => a.taskId === parsed.winner)) {
+    return { error: `winner ${JSON.stringify(parsed.winner)} is not a candidate` };
+  }
+  return {
+    ruling: {
+      decision: 'winner', winner: parsed.winner, merged: null, reason
+    }
+  };
+}
+
+/**
+ * The outcome of the last run_tests call of an agent run, for the task's
+ * output_data; null if the agent never ran the tests. Counts are null when the
+ * runner gave no machine-readable report.
+ */
+function testHealth(memory) {
+  const runs = (memory || []).filter((m) => m.action && m.action.tool === 'run_tests'
+    && m.observation && m.observation.ok && m.observation.output);
+  if (runs.length === 0) return null;
+  const { output } = runs[runs.length - 1].observation;
+  const report = output.report || null;
+  return {
+    passed: output.passed,
+    exitCode: output.exitCode,
+    format: report ? report.format : null,
+    total: report ? report.total : null,
+    failed: report ? report.failed : null,
+    skipped: report ? report.skipped : null,
+    failing: report ? report.failures.map((f) => f.name) : []
+  };
+}
+
+/** The 1-based slot of an agent within its stage ("agent-7-3" -> 3). */
+function agentSlot(agentName) {
+  return Number(String(agentName).split('-').pop());
+}
 
 /**
  * Zekka Orchestrator - Central Coordination for Multi-Agent Workflows
@@ -25,7 +127,8 @@ const { extractJsonObject } = require('./parse-action');
  * @requires axios - HTTP client for external API calls (Ollama, etc.)
  *
  * @description
- * The Orchestrator implements a staged workflow for software development:
+ * Each project runs a declarative workflow (see orchestrator/workflow) stored
+ * with the project. Without one, the default staged workflow applies:
  * 1. Authentication - Verify user and project access
  * 2. Security Setup - Configure security policies
  * 3. Research - AI agents research requirements (3 agents)
@@ -51,7 +154,8 @@ const { extractJsonObject } = require('./parse-action');
  *   name: 'My App',
  *   requirements: ['User authentication', 'Dashboard'],
  *   storyPoints: 13,
- *   budget: { daily: 50, monthly: 1000 }
+ *   budget: { daily: 50, monthly: 1000 },
+ *   workflow: { version: 1, stages: [{ number: 1, name: 'Testing', complexity: 'medium' }] }
  * });
  * await orchestrator.executeProject(project.projectId);
  *
@@ -67,12 +171,43 @@ class ZekkaOrchestrator {
    * @param {Object} options.contextBus - Context Bus instance for state management
    * @param {Object} options.tokenEconomics - Token Economics instance for cost tracking
    * @param {Object} [options.logger=console] - Logger instance
+   * @param {Object} [options.worktrees] - WorktreeManager for 'worktree' isolation
+   *   (default: one over the workspace)
+   * @param {Object} [options.broadcaster] - Project event broadcaster, e.g. the
+   *   websocket middleware (broadcastProjectUpdate, broadcastApproval, ...)
    * @param {Object} [options.config={}] - Additional configuration
    * @param {string} [options.config.githubToken] - GitHub API token
    * @param {string} [options.config.anthropicKey] - Anthropic API key
    * @param {string} [options.config.openaiKey] - OpenAI API key
    * @param {string} [options.config.ollamaHost] - Ollama server URL
    * @param {number} [options.config.maxConcurrentAgents=10] - Max parallel agents
+   *   across every stage and project this orchestrator runs
+   * @param {string} [options.config.agentFailurePolicy='continue'] - What a failed
+   *   agent does to its running siblings ('continue' | 'cancel') when the stage
+   *   does not set onFailure
+   * @param {number} [options.config.maxConflictRounds=2] - Re-run rounds for the
+   *   losers of a stage's file conflicts before they are given up on
+   * @param {string} [options.config.agentIsolation='shared'] - 'shared': agents
+   *   write straight into the workspace; 'worktree': each task gets its own git
+   *   worktree, merged back at the end of its stage (the workspace must be a git
+   *   repository)
+   * @param {string} [options.config.testCommand='npm test --silent'] - What run_tests runs
+   * @param {string} [options.config.testReporter='auto'] - run_tests report format:
+   *   'auto' | 'jest' | 'tap' | 'junit' | 'none'
+   * @param {string} [options.config.testReportPath] - Workspace-relative JUnit XML
+   *   file the test command writes, for testReporter 'junit'
+   * @param {string[]} [options.config.commandAllowlist=[]] - Programs the
+   *   run_command tool may start when a project's workflow has no `commands`
+   * @param {Object} [options.config.commandLimits] - run_command limits per run:
+   *   { wallTimeMs, cpuSeconds, maxOutputBytes }
+   * @param {boolean} [options.config.agentNativeTools=true] - Let agents on Anthropic and
+   *   OpenAI models call tools through the provider's tool-calling API instead of
+   *   the JSON-in-text protocol
+   * @param {string} [options.config.toolPluginDir] - Directory of tool plugin modules,
+   *   loaded by initialize() (see tools/plugins)
+   * @param {string[]} [options.config.toolPlugins=[]] - npm packages to load as tool plugins
+   * @param {number} [options.config.agentContextTokens=8000] - Token budget of an
+   *   agent's prompt; older steps are summarised once the history outgrows it
    * @param {string} [options.config.defaultModel='ollama'] - Default LLM model
    *
    * @throws {Error} If DATABASE_URL environment variable is not set
@@ -81,6 +216,7 @@ class ZekkaOrchestrator {
     this.contextBus = options.contextBus;
     this.tokenEconomics = options.tokenEconomics;
     this.logger = options.logger || console;
+    this.broadcaster = options.broadcaster || null;
     this.config = options.config || {};
 
     // Initialize the unified Model Client for AI interactions
@@ -104,14 +240,55 @@ class ZekkaOrchestrator {
         contextBus: this.contextBus,
         logger: this.logger,
         maxSteps: this.config.agentMaxSteps,
+        nativeTools: this.config.agentNativeTools !== false,
+        contextTokens: this.config.agentContextTokens,
+        tracer: { recordStep: (task, entry) => this.recordTraceStep(task, entry) },
         toolContext: {
           workspaceRoot: this.workspaceRoot,
           testCommand: this.config.testCommand,
+          testReporter: this.config.testReporter,
+          testReportPath: this.config.testReportPath,
+          allowedCommands: this.config.commandAllowlist || [],
+          commandLimits: this.config.commandLimits,
           exec: promisify(childProcess.exec),
           execFile: promisify(childProcess.execFile)
         }
       });
 
+    // Under 'worktree' isolation every task runs on its own branch, and only the
+    // conflicts git cannot merge at stage end reach arbitration.
+    this.agentIsolation = this.config.agentIsolation || 'shared';
+    if (!AGENT_ISOLATION_MODES.has(this.agentIsolation)) {
+      throw new Error(`Unknown agentIsolation: ${this.agentIsolation}`);
+    }
+    this.worktrees = this.agentIsolation === 'worktree'
+      ? options.worktrees || new WorktreeManager({
+        repoRoot: this.workspaceRoot,
+        execFile: promisify(childProcess.execFile),
+        logger: this.logger
+      })
+      : null;
+
+    // Global cap on concurrently running agents; each stage adds its own cap on top.
+    this.agentLimiter = createLimiter(this.config.maxConcurrentAgents || 10);
+    this.agentFailurePolicy = this.config.agentFailurePolicy || 'continue';
+    if (!FAILURE_POLICIES.has(this.agentFailurePolicy)) {
+      throw new Error(`Unknown agentFailurePolicy: ${this.agentFailurePolicy}`);
+    }
+
+    // Pause/resume/cancel controls of the executeProject calls in flight in this
+    // process, by project id.
+    this.activeExecutions = new Map();
+
+    // Stage approvals waiting for a human decision, by project id.
+    this.pendingApprovals = new Map();
+
+    // Re-run passes for conflict losers per stage; 0 gives up right after arbitration.
+    this.maxConflictRounds = this.config.maxConflictRounds ?? 2;
+    if (!Number.isInteger(this.maxConflictRounds) || this.maxConflictRounds < 0) {
+      throw new Error(`maxConflictRounds must be a non-negative integer, got ${this.maxConflictRounds}`);
+    }
+
     // Validate required environment variables
     if (!process.env.DATABASE_URL) {
       throw new Error('DATABASE_URL environment variable is required');
@@ -136,6 +313,7 @@ class ZekkaOrchestrator {
       this.logger.error('Unexpected database pool error:', err.message);
     });
 
+    this.toolPlugins = [];
     this.ready = false;
   }
 
@@ -161,6 +339,15 @@ class ZekkaOrchestrator {
       this.logger.warn('⚠️  Ollama not available:', error.message);
     }
 
+    // Custom tools; a plugin that fails to load is reported, not fatal
+    if (this.config.toolPluginDir || (this.config.toolPlugins || []).length > 0) {
+      this.toolPlugins = loadToolPlugins(this.toolRegistry, {
+        dir: this.config.toolPluginDir,
+        packages: this.config.toolPlugins,
+        logger: this.logger
+      });
+    }
+
     this.ready = true;
     this.logger.info('✅ Orchestrator ready');
   }
@@ -169,10 +356,27 @@ class ZekkaOrchestrator {
     return this.ready;
   }
 
+  /**
+   * The tool plugins loaded at startup, failed ones included.
+   * @returns {Array<{ name: string, version: ?string, source: string, module: string,
+   *   tools: string[], status: 'loaded'|'failed', error?: string }>}
+   */
+  getToolPlugins() {
+    return this.toolPlugins;
+  }
+
   // ========================================
   // Project Management
   // ========================================
 
+  /**
+   * Create a project. An optional `workflow` (object or JSON/YAML string) is
+   * validated here — before anything is persisted — and stored normalized.
+   * A `tenantId` links the project to its tenant, whose budgets (if any) then
+   * apply to the project's model calls alongside its own.
+   *
+   * @throws {ValidationError} If the workflow definition is invalid.
+   */
   async createProject(data) {
     const projectId = `proj-${uuidv4().substring(0, 8)}`;
 
@@ -180,10 +384,16 @@ class ZekkaOrchestrator {
       name, requirements, storyPoints, budget
     } = data;
 
+    const workflow = parseWorkflow(data.workflow || DEFAULT_WORKFLOW, {
+      toolNames: this.toolRegistry.names(),
+      commandAllowlist: this.config.commandAllowlist || []
+    });
+
     // Insert into database
     await this.db.query(
-      `INSERT INTO orchestration_projects (project_id, name, description, story_points, budget_daily, budget_monthly, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      `INSERT INTO orchestration_projects
+         (project_id, name, description, story_points, budget_daily, budget_monthly, status, workflow, tenant_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
       [
         projectId,
         name,
@@ -191,7 +401,9 @@ class ZekkaOrchestrator {
         storyPoints || 8,
         budget?.daily || this.tokenEconomics?.dailyBudget || 1000,
         budget?.monthly || this.tokenEconomics?.monthlyBudget || 30000,
-        'created'
+        'created',
+        JSON.stringify(workflow),
+        data.tenantId || null
       ]
     );
 
@@ -202,13 +414,31 @@ class ZekkaOrchestrator {
       requirements,
       storyPoints,
       budget,
+      workflow: { name: workflow.name, version: workflow.version },
       status: 'created',
       createdAt: new Date().toISOString()
     });
 
     this.logger.info(`✅ Project created: ${projectId}`);
 
-    return { projectId, name, status: 'created' };
+    return {
+      projectId, name, status: 'created', workflow: workflow.name
+    };
+  }
+
+  /**
+   * Load a project's stored workflow. Projects created before workflows were
+   * configurable have none and run DEFAULT_WORKFLOW.
+   *
+   * @returns {Promise<Object>} Normalized workflow.
+   */
+  async getProjectWorkflow(projectId) {
+    const result = await this.db.query(
+      'SELECT workflow FROM orchestration_projects WHERE project_id = $1',
+      [projectId]
+    );
+    const stored = result.rows[0] && result.rows[0].workflow;
+    return parseWorkflow(stored || DEFAULT_WORKFLOW);
   }
 
   async getProject(projectId) {
@@ -257,60 +487,247 @@ class ZekkaOrchestrator {
     return result.rows;
   }
 
+  /**
+   * The project's dependency graph with its live status: the workflow's stages
+   * with their `dependsOn` edges, and the current execution's tasks with theirs.
+   *
+   * A stage is `completed`, `awaiting_approval`, `waiting` (no tasks yet),
+   * `in_progress` (it has tasks and the project is executing) or `incomplete`
+   * (it has tasks, but the execution stopped before the stage completed).
+   *
+   * @param {string} projectId
+   * @returns {Promise<{ projectId: string, executionId: string|null, scheduling: 'sequential'|'graph',
+   *   executing: boolean, stages: Object[], tasks: Object[] }>}
+   * @throws {NotFoundError}
+   */
+  async getProjectGraph(projectId) {
+    const checkpoint = await this.getExecutionCheckpoint(projectId);
+    const workflow = await this.getProjectWorkflow(projectId);
+    const rows = await this.getExecutionTasks(projectId);
+    const executing = this.isExecuting(projectId);
+    const approval = this.pendingApprovals.get(projectId);
+    const completed = new Set(checkpoint.completedStages);
+
+    const stages = workflow.stages.map((stage) => {
+      const taskIds = rows.filter((t) => t.stage === stage.number).map((t) => t.task_id);
+      let status = 'incomplete';
+      if (completed.has(stage.number)) status = 'completed';
+      else if (approval && approval.stage === stage.number) status = 'awaiting_approval';
+      else if (taskIds.length === 0) status = 'waiting';
+      else if (executing) status = 'in_progress';
+
+      return {
+        number: stage.number,
+        name: stage.name,
+        dependsOn: stage.dependsOn,
+        status,
+        tasks: taskIds
+      };
+    });
+
+    return {
+      projectId,
+      executionId: checkpoint.executionId,
+      scheduling: usesDependencies(workflow) ? 'graph' : 'sequential',
+      executing,
+      stages,
+      tasks: rows.map((t) => ({
+        taskId: t.task_id,
+        stage: t.stage,
+        agentName: t.agent_name,
+        status: t.status,
+        dependsOn: t.depends_on || []
+      }))
+    };
+  }
+
   // ========================================
   // Workflow Execution
   // ========================================
 
-  async executeProject(projectId) {
-    this.logger.info(`🚀 Starting execution for project: ${projectId}`);
+  /**
+   * Run the project's workflow.
+   *
+   * Progress is checkpointed on the project row: `execution_id` identifies the
+   * run (its tasks carry the same id), `current_stage` is the stage in progress
+   * and `completed_stages` the stages that finished. A fresh run starts a new
+   * execution; `resume` continues the last one, skipping completed stages and
+   * re-running tasks left `pending` (never started, or requeued after losing a
+   * conflict) or `running` (interrupted mid-loop).
+   *
+   * @param {string} projectId
+   * @param {Object} [options]
+   * @param {boolean} [options.resume=false] - Continue the last execution.
+   * The run can be paused, resumed and cancelled through pauseExecution,
+   * resumeExecution and cancelExecution while it is in flight.
+   *
+   * @returns {Promise<{ projectId: string, executionId: string, status: 'completed'|'cancelled' }>}
+   * @throws {ConflictError} If the project is already executing in this process.
+   * @throws {NotFoundError} If resuming a project that does not exist.
+   */
+  async executeProject(projectId, options = {}) {
+    if (this.isExecuting(projectId)) {
+      throw new ConflictError(`Project ${projectId} is already executing`);
+    }
+    const control = createExecutionControl();
+    this.activeExecutions.set(projectId, control);
 
     try {
-      // Update project status
-      await this.db.query(
-        'UPDATE orchestration_projects SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE project_id = $2',
-        ['running', projectId]
-      );
+      return await this.runExecution(projectId, Boolean(options.resume), control);
+    } finally {
+      this.activeExecutions.delete(projectId);
+    }
+  }
+
+  /** Whether an executeProject call for the project is in flight. */
+  isExecuting(projectId) {
+    return this.activeExecutions.has(projectId);
+  }
+
+  /**
+   * Pause a running execution. Agents finish their current step and wait; the
+   * project keeps its place and continues on resumeExecution.
+   * @throws {NotFoundError} If the project is not executing.
+   * @throws {ConflictError} If it is already paused or being cancelled.
+   */
+  async pauseExecution(projectId) {
+    const control = this.getExecutionControl(projectId);
+    if (!control.pause()) {
+      throw new ConflictError(`Project ${projectId} is already ${control.cancelled ? 'cancelling' : 'paused'}`);
+    }
+    await this.db.query(
+      'UPDATE orchestration_projects SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE project_id = $2',
+      ['paused', projectId]
+    );
+    this.logger.info(`⏸️  Paused execution for project: ${projectId}`);
+    return { projectId, status: 'paused' };
+  }
 
-      // Execute stages sequentially
-      const stages = [
-        { number: 1, name: 'Authentication', complexity: 'low' },
-        { number: 2, name: 'Security Setup', complexity: 'low' },
-        {
-          number: 3,
-          name: 'Research',
-          complexity: 'high',
-          agents: 3
-        },
-        { number: 4, name: 'Documentation', complexity: 'medium' },
-        {
-          number: 7,
-          name: 'Development',
-          complexity: 'high',
-          agents: 6
-        },
-        {
-          number: 8,
-          name: 'Testing',
-          complexity: 'medium',
-          agents: 2
-        },
-        { number: 9, name: 'Validation', complexity: 'low' },
-        { number: 10, name: 'Deployment', complexity: 'medium' }
-      ];
-
-      for (const stage of stages) {
-        await this.executeStage(projectId, stage);
+  /**
+   * Resume a paused execution.
+   * @throws {NotFoundError} If the project is not executing.
+   * @throws {ConflictError} If it is not paused.
+   */
+  async resumeExecution(projectId) {
+    const control = this.getExecutionControl(projectId);
+    if (!control.resume()) {
+      throw new ConflictError(`Project ${projectId} is not paused`);
+    }
+    await this.db.query(
+      'UPDATE orchestration_projects SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE project_id = $2',
+      ['running', projectId]
+    );
+    this.logger.info(`▶️  Resumed execution for project: ${projectId}`);
+    return { projectId, status: 'running' };
+  }
+
+  /**
+   * Cancel an execution (paused or not). Running agents stop before their next
+   * step and queued ones never start; all end as `cancelled`, as does the
+   * project once executeProject unwinds.
+   * @throws {NotFoundError} If the project is not executing.
+   * @throws {ConflictError} If it is already being cancelled.
+   */
+  cancelExecution(projectId, reason = 'cancelled by operator') {
+    const control = this.getExecutionControl(projectId);
+    if (!control.cancel(reason)) {
+      throw new ConflictError(`Project ${projectId} is already being cancelled`);
+    }
+    this.logger.warn(`🛑 Cancelling execution for project: ${projectId} (${reason})`);
+    return { projectId, status: 'cancelling' };
+  }
+
+  getExecutionControl(projectId) {
+    const control = this.activeExecutions.get(projectId);
+    if (!control) throw new NotFoundError(`Active execution for project ${projectId}`);
+    return control;
+  }
+
+  async runExecution(projectId, resume, control) {
+    const checkpoint = resume ? await this.getExecutionCheckpoint(projectId) : null;
+    const resuming = Boolean(checkpoint && checkpoint.executionId);
+    const executionId = resuming ? checkpoint.executionId : uuidv4();
+
+    this.logger.info(
+      resuming
+        ? `🔁 Resuming execution ${executionId} for project: ${projectId}`
+        : `🚀 Starting execution for project: ${projectId}`
+    );
+
+    try {
+      if (resuming) {
+        await this.db.query(
+          'UPDATE orchestration_projects SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE project_id = $2',
+          ['running', projectId]
+        );
+      } else {
+        await this.db.query(
+          `UPDATE orchestration_projects SET status = $1, execution_id = $3, current_stage = NULL,
+           completed_stages = '{}', updated_at = CURRENT_TIMESTAMP WHERE project_id = $2`,
+          ['running', projectId, executionId]
+        );
       }
 
-      // Mark as completed
+      // Execute the project's workflow stages sequentially, or as a graph when
+      // they declare dependsOn. A stage whose entry conditions are unmet is
+      // skipped; later stages may still run.
+      const workflow = await this.getProjectWorkflow(projectId);
+      const completedStages = new Set(resuming ? checkpoint.completedStages : []);
+
+      if (usesDependencies(workflow)) {
+        await this.runStageGraph(projectId, workflow, {
+          resuming, control, completedStages, commands: workflow.commands || null
+        });
+      } else {
+        for (const stage of workflow.stages) {
+          await control.waitWhilePaused();
+          if (control.cancelled) break;
+
+          if (completedStages.has(stage.number)) {
+            this.logger.info(`⏭️  Stage ${stage.number}: ${stage.name} already completed`);
+            continue;
+          }
+
+          const entry = await evaluateConditions(stage.entry, {
+            workspaceRoot: this.workspaceRoot,
+            completedStages
+          });
+          if (!entry.met) {
+            this.logger.info(
+              `⏭️  Stage ${stage.number}: ${stage.name} skipped (${entry.unmet.join('; ')})`
+            );
+            continue;
+          }
+
+          await this.db.query(
+            'UPDATE orchestration_projects SET current_stage = $2, updated_at = CURRENT_TIMESTAMP WHERE project_id = $1',
+            [projectId, stage.number]
+          );
+          await this.executeStage(projectId, stage, { resume: resuming, control, commands: workflow.commands || null });
+          // A cancelled stage did not complete; leave it as the checkpoint's current stage.
+          if (control.cancelled) break;
+          await this.db.query(
+            `UPDATE orchestration_projects SET completed_stages = array_append(completed_stages, $2),
+             current_stage = NULL, updated_at = CURRENT_TIMESTAMP WHERE project_id = $1`,
+            [projectId, stage.number]
+          );
+          completedStages.add(stage.number);
+        }
+      }
+
+      const status = control.cancelled ? 'cancelled' : 'completed';
       await this.db.query(
         'UPDATE orchestration_projects SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE project_id = $2',
-        ['completed', projectId]
+        [status, projectId]
       );
 
-      this.logger.info(`✅ Project completed: ${projectId}`);
+      this.logger.info(
+        status === 'completed'
+          ? `✅ Project completed: ${projectId}`
+          : `🛑 Project cancelled: ${projectId} (${control.signal.reason})`
+      );
 
-      return { projectId, status: 'completed' };
+      return { projectId, executionId, status };
     } catch (error) {
       this.logger.error(`❌ Project failed: ${projectId}`, error);
 
@@ -323,13 +740,201 @@ class ZekkaOrchestrator {
     }
   }
 
-  async executeStage(projectId, stageInfo) {
+  /**
+   * Run a workflow whose stages declare `dependsOn` as a graph: every stage starts
+   * once the stages it depends on are done (completed, or skipped by their entry
+   * conditions), so independent stages run side by side. Per-agent dependencies
+   * become `depends_on` edges between tasks and are released task by task; an
+   * upstream task is held only while its outcome may still change (its stage has
+   * an approval gate, or it is part of a conflict, see createStageRelease). A
+   * failed, cancelled, unresolved or unapproved upstream task blocks it.
+   *
+   * A stage whose dependency failed or was cancelled or blocked does not run. The
+   * first stage failure cancels the rest of the execution and is re-thrown once
+   * every stage has stopped. Approval requests are made one at a time, as a
+   * project has a single pending approval, and `current_stage` is left alone
+   * since several stages can be in progress at once.
+   *
+   * @param {string} projectId
+   * @param {Object} workflow - The normalized workflow.
+   * @param {{ resuming: boolean, control: Object, completedStages: Set<number> }} ctx
+   */
+  async runStageGraph(projectId, workflow, ctx) {
+    const { control } = ctx;
+    const known = ctx.resuming ? await this.getExecutionTasks(projectId) : [];
+    const graph = {
+      ...ctx,
+      // Tasks of stages still to run are settled as those stages report them
+      dependencies: createDependencyTracker(known.filter((task) => ctx.completedStages.has(task.stage))),
+      approvals: createLimiter(1),
+      // Per stage: its tasks once created (null if it never creates any, [] if
+      // skipped), and its outcome once it is done.
+      nodes: new Map(workflow.stages.map((stage) => [stage.number, { tasks: defer(), done: defer() }]))
+    };
+    let failure = null;
+
+    await Promise.all(workflow.stages.map(async (stage) => {
+      const node = graph.nodes.get(stage.number);
+      let outcome = 'failed';
+      try {
+        outcome = await this.runGraphStage(projectId, stage, graph);
+      } catch (error) {
+        failure = failure || error;
+        control.cancel(`stage ${stage.number} failed: ${error.message}`);
+      } finally {
+        node.tasks.resolve(null);
+        node.done.resolve(outcome);
+      }
+    }));
+
+    if (failure) throw failure;
+  }
+
+  /**
+   * Run one stage of a graph execution once its dependencies allow it.
+   * @returns {Promise<'completed'|'skipped'|'blocked'|'cancelled'>}
+   */
+  async runGraphStage(projectId, stage, graph) {
+    const { control, completedStages, nodes } = graph;
+    const node = nodes.get(stage.number);
+
+    if (completedStages.has(stage.number)) {
+      this.logger.info(`⏭️  Stage ${stage.number}: ${stage.name} already completed`);
+      node.tasks.resolve(await this.getStageTasks(projectId, stage.number));
+      return 'completed';
+    }
+
+    const waits = stage.dependsOn.filter((dep) => dep.per === 'stage');
+    const outcomes = await Promise.all(waits.map((dep) => nodes.get(dep.stage).done.promise));
+    await control.waitWhilePaused();
+    if (control.cancelled) return 'cancelled';
+
+    const unmetIndex = outcomes.findIndex((outcome) => !STAGE_DEPENDENCY_MET.has(outcome));
+    if (unmetIndex !== -1) {
+      this.logger.warn(
+        `⛔ Stage ${stage.number}: ${stage.name} blocked (stage ${waits[unmetIndex].stage} ${outcomes[unmetIndex]})`
+      );
+      return 'blocked';
+    }
+
+    const entry = await evaluateConditions(stage.entry, {
+      workspaceRoot: this.workspaceRoot,
+      completedStages
+    });
+    if (!entry.met) {
+      this.logger.info(`⏭️  Stage ${stage.number}: ${stage.name} skipped (${entry.unmet.join('; ')})`);
+      node.tasks.resolve([]);
+      return 'skipped';
+    }
+
+    // Agent N of this stage depends on agent N of each per-agent upstream stage.
+    const upstream = new Map();
+    for (const dep of stage.dependsOn.filter((d) => d.per === 'agent')) {
+      const tasks = await nodes.get(dep.stage).tasks.promise;
+      if (tasks === null) {
+        this.logger.warn(`⛔ Stage ${stage.number}: ${stage.name} blocked (stage ${dep.stage} did not run)`);
+        return 'blocked';
+      }
+      for (const task of tasks) {
+        const slot = agentSlot(task.agent_name);
+        upstream.set(slot, [...(upstream.get(slot) || []), task.task_id]);
+      }
+    }
+
+    await this.executeStage(projectId, stage, {
+      resume: graph.resuming,
+      control,
+      commands: graph.commands,
+      graph: {
+        dependencies: graph.dependencies,
+        approvals: graph.approvals,
+        dependsOn: (slot) => upstream.get(slot) || [],
+        onTasks: (tasks) => node.tasks.resolve(tasks)
+      }
+    });
+    if (control.cancelled) return 'cancelled';
+
+    await this.db.query(
+      `UPDATE orchestration_projects SET completed_stages = array_append(completed_stages, $2),
+       updated_at = CURRENT_TIMESTAMP WHERE project_id = $1`,
+      [projectId, stage.number]
+    );
+    completedStages.add(stage.number);
+    return 'completed';
+  }
+
+  /** Every task of the project's current execution, with its status. */
+  async getExecutionTasks(projectId) {
+    const { rows } = await this.db.query(
+      `SELECT task_id, stage, agent_name, status, depends_on FROM orchestration_tasks
+       WHERE project_id = $1${CURRENT_EXECUTION} ORDER BY id`,
+      [projectId]
+    );
+    return rows;
+  }
+
+  /**
+   * Load the project's execution checkpoint.
+   *
+   * @param {string} projectId
+   * @returns {Promise<{ executionId: string|null, currentStage: number|null, completedStages: number[] }>}
+   * @throws {NotFoundError}
+   */
+  async getExecutionCheckpoint(projectId) {
+    const { rows } = await this.db.query(
+      `SELECT execution_id, current_stage, completed_stages
+       FROM orchestration_projects WHERE project_id = $1`,
+      [projectId]
+    );
+    if (rows.length === 0) throw new NotFoundError(`Project ${projectId}`);
+
+    return {
+      executionId: rows[0].execution_id || null,
+      currentStage: rows[0].current_stage ?? null,
+      completedStages: rows[0].completed_stages || []
+    };
+  }
+
+  /**
+   * Run one workflow stage: spawn its agents, resolve write conflicts, then check
+   * the stage's exit conditions. A stage with `approval` then waits for a human
+   * decision (requestStageApproval); a rejection re-runs all of the stage's tasks
+   * with the reviewer's comment and asks again.
+   *
+   * When resuming, the stage's tasks from the current execution are reused:
+   * `pending` and `running` ones are run again, finished ones are left alone, and
+   * only agents without a task get a new one.
+   *
+   * @param {string} projectId
+   * @param {Object} stageInfo - A normalized workflow stage.
+   * @param {Object} [options]
+   * @param {boolean} [options.resume=false]
+   * @param {string[]} [options.commands] - The project workflow's run_command allowlist.
+   * @param {Object} [options.control] - The execution's control (see
+   *   execution-control); a cancelled stage returns once its tasks have stopped,
+   *   without resolving conflicts or checking exit conditions.
+   * @param {Object} [options.graph] - Set by runGraphStage: the execution's
+   *   `dependencies` tracker and `approvals` limiter, `dependsOn(slot)` giving the
+   *   upstream task ids of an agent slot, and `onTasks(tasks)` called once the
+   *   stage's tasks exist.
+   * @throws {Error} If the stage's exit conditions are not met.
+   */
+  async executeStage(projectId, stageInfo, options = {}) {
     const {
-      number, name, complexity, agents: agentCount = 1
+      number, name, complexity, agents: agentCount = 1, tools = null,
+      concurrency = null, onFailure = null, agent = null
     } = stageInfo;
 
     this.logger.info(`📍 Stage ${number}: ${name} (${agentCount} agents)`);
 
+    const existing = options.resume ? await this.getStageTasks(projectId, number) : [];
+    const tasks = existing.filter((t) => t.status === 'pending' || t.status === 'running');
+    if (existing.length > 0) {
+      this.logger.info(
+        `🔁 Stage ${number}: re-running ${tasks.length} of ${existing.length} existing task(s)`
+      );
+    }
+
     // Select appropriate model based on complexity and budget
     // The Orchestrator uses Gemini Pro by default for workflow coordination
     // Falls back to Ollama if Gemini is unavailable or budget is exceeded
@@ -337,49 +942,284 @@ class ZekkaOrchestrator {
       ? await this.tokenEconomics.selectModel(complexity, projectId)
       : 'gemini-pro';
 
-    // Create tasks for each agent
-    const tasks = [];
+    // Create tasks for each agent that doesn't have one yet
+    const graph = options.graph || null;
+    const assigned = new Set(existing.map((t) => t.agent_name));
     for (let i = 0; i < agentCount; i++) {
-      const taskId = `task-${uuidv4().substring(0, 8)}`;
       const agentName = `agent-${number}-${i + 1}`;
+      if (assigned.has(agentName)) continue;
 
+      const taskId = `task-${uuidv4().substring(0, 8)}`;
       const task = await this.createTask({
         taskId,
         projectId,
         stage: number,
         agentName,
-        model
+        model,
+        dependsOn: graph ? graph.dependsOn(i + 1) : []
       });
 
       tasks.push(task);
     }
-
-    // Run each agent's loop.
-    for (const task of tasks) {
-      await this.executeTask(task.task_id, projectId, { complexity, stageName: name });
+    const stageTasks = [...existing, ...tasks.filter((t) => !assigned.has(t.agent_name))];
+    if (graph) graph.onTasks(stageTasks);
+
+    // Run the agents' loops concurrently, within the stage and global caps.
+    const taskOpts = {
+      complexity,
+      stageName: name,
+      tools,
+      commands: options.commands || null,
+      toolPolicy: agent ? policyForAgent(agent) : null,
+      control: options.control,
+      dependencies: graph && graph.dependencies,
+      release: graph ? createStageRelease(graph.dependencies, { holdAll: Boolean(stageInfo.approval) }) : null
+    };
+    if (graph) {
+      // Tasks a resumed stage does not run again already have their outcome
+      const rerun = new Set(tasks.map((t) => t.task_id));
+      for (const task of existing) {
+        if (!rerun.has(task.task_id)) taskOpts.release.report(task.task_id, task.status);
+      }
+    }
+    const policy = {
+      concurrency: concurrency || agentCount,
+      onFailure: onFailure || this.agentFailurePolicy
+    };
+    const control = options.control || null;
+    if (this.worktrees) {
+      await this.worktrees.snapshot(`Workspace before stage ${number} (${name})`);
     }
+    let runnable = tasks;
+    let final = 'failed';
+    try {
+      for (let attempt = 1; ; attempt += 1) {
+        if (!(await this.runStageAttempt(projectId, stageInfo, runnable, taskOpts, policy, control))) {
+          this.logger.warn(`🛑 Stage ${number} cancelled`);
+          final = 'cancelled';
+          return;
+        }
 
-    // Detect + resolve conflicts between agents that touched the same files.
-    await this.resolveStageConflicts(projectId, number);
+        const request = () => this.requestStageApproval(projectId, stageInfo, attempt, control);
+        const decision = await (graph ? graph.approvals.run(request) : request());
+        if (decision.status === 'cancelled') {
+          this.logger.warn(`🛑 Stage ${number} cancelled while awaiting approval`);
+          final = 'cancelled';
+          return;
+        }
+        if (decision.status !== 'rejected') break;
+        runnable = await this.requestStageChanges(projectId, number, decision);
+      }
+      final = 'completed';
+    } finally {
+      if (graph) taskOpts.release.finish(final);
+    }
 
     this.logger.info(`✅ Stage ${number} completed`);
   }
 
+  /**
+   * Run a stage's tasks, re-run conflict losers, and check the exit conditions.
+   * @returns {Promise<boolean>} false if the execution was cancelled meanwhile.
+   * @throws {Error} If the stage's exit conditions are not met.
+   */
+  async runStageAttempt(projectId, stageInfo, tasks, taskOpts, policy, control) {
+    const { number, name, exit = [] } = stageInfo;
+
+    await this.runStageTasks(projectId, tasks, taskOpts, policy);
+    if (control && control.cancelled) return false;
+
+    // Detect + resolve conflicts between agents that touched the same files, then
+    // re-run the losers against the winners' versions until they stop colliding.
+    let { requeued } = await this.resolveStageConflicts(projectId, number);
+    for (let round = 1; requeued.length > 0 && round <= this.maxConflictRounds; round++) {
+      this.logger.info(
+        `🔁 Stage ${number}: conflict round ${round}, re-running ${requeued.length} task(s)`
+      );
+      await this.runStageTasks(projectId, requeued.map((id) => ({ task_id: id })), taskOpts, policy);
+      if (control && control.cancelled) return false;
+      ({ requeued } = await this.resolveStageConflicts(projectId, number, { taskIds: requeued }));
+    }
+    if (requeued.length > 0) {
+      await this.markConflictUnresolved(requeued, this.maxConflictRounds);
+      if (taskOpts.release) requeued.forEach((id) => taskOpts.release.hold(id, 'conflict_unresolved'));
+    }
+
+    if (exit.length > 0) {
+      const { rows } = await this.db.query(
+        `SELECT status FROM orchestration_tasks WHERE project_id = $1 AND stage = $2${CURRENT_EXECUTION}`,
+        [projectId, number]
+      );
+      const result = await evaluateConditions(exit, {
+        workspaceRoot: this.workspaceRoot,
+        tasks: rows
+      });
+      if (!result.met) {
+        throw new Error(
+          `Stage ${number} (${name}) exit conditions not met: ${result.unmet.join('; ')}`
+        );
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * A stage's tasks from the project's current execution.
+   * @returns {Promise<Array<{task_id: string, agent_name: string, status: string, depends_on: string[]}>>}
+   */
+  async getStageTasks(projectId, stage) {
+    const { rows } = await this.db.query(
+      `SELECT task_id, agent_name, status, depends_on FROM orchestration_tasks
+       WHERE project_id = $1 AND stage = $2${CURRENT_EXECUTION} ORDER BY id`,
+      [projectId, stage]
+    );
+    return rows;
+  }
+
+  /**
+   * Run a stage's tasks in parallel. At most `concurrency` of them run at once,
+   * and every task also holds a slot of the orchestrator-wide agent limiter.
+   *
+   * Failure policy: with 'continue' a failed agent leaves its siblings alone;
+   * with 'cancel' the first failure aborts the running siblings (they stop
+   * before their next step) and the not-yet-started ones are never run. Either
+   * way every task reaches a terminal status before this resolves, and an
+   * executeTask error is re-thrown afterwards so the stage fails as before.
+   *
+   * Cancelling the execution (`taskOpts.control`) aborts the stage the same way
+   * regardless of policy; while it is paused, queued tasks wait before taking a
+   * global agent slot.
+   *
+   * With `taskOpts.dependencies` (a graph execution), a task with `depends_on`
+   * edges waits for them before taking a stage slot, and ends `blocked` if one of
+   * them did not complete. Every task's outcome goes to `taskOpts.release` (see
+   * createStageRelease), which passes it on to the tracker or holds it until the
+   * stage is final.
+   *
+   * @param {string} projectId
+   * @param {Array<{task_id: string}>} tasks
+   * @param {Object} taskOpts - Passed to executeTask.
+   * @param {{ concurrency: number, onFailure: 'continue'|'cancel' }} policy
+   * @returns {Promise<Object[]>} Per-task AgentRunner results, in task order.
+   */
+  async runStageTasks(projectId, tasks, taskOpts, policy) {
+    const stageLimiter = createLimiter(policy.concurrency);
+    const controller = new AbortController();
+    const cancelSiblings = (taskId, why) => {
+      if (policy.onFailure !== 'cancel' || controller.signal.aborted) return;
+      this.logger.warn(`🛑 Cancelling stage siblings: ${taskId} ${why}`);
+      controller.abort(`sibling ${taskId} ${why}`);
+    };
+
+    const control = taskOpts.control || null;
+    const onExecutionCancel = () => controller.abort(control.signal.reason);
+    if (control) {
+      if (control.cancelled) onExecutionCancel();
+      else control.signal.addEventListener('abort', onExecutionCancel, { once: true });
+    }
+
+    const dependencies = taskOpts.dependencies || null;
+    const report = (task, status, filesWritten) => {
+      if (taskOpts.release) taskOpts.release.report(task.task_id, status, filesWritten);
+    };
+
+    const settled = await Promise.allSettled(tasks.map(async (task) => {
+      if (dependencies && Array.isArray(task.depends_on) && task.depends_on.length > 0) {
+        const ready = await dependencies.waitFor(task.depends_on, controller.signal);
+        if (!ready.ok && !controller.signal.aborted) {
+          await this.markTaskBlocked(task.task_id, ready.reason);
+          report(task, 'blocked');
+          return { status: 'blocked', reason: ready.reason };
+        }
+      }
+
+      return stageLimiter.run(async () => {
+        if (control) await control.waitWhilePaused();
+        return this.agentLimiter.run(async () => {
+          if (controller.signal.aborted) {
+            await this.markTaskCancelled(task.task_id, controller.signal.reason);
+            report(task, 'cancelled');
+            return { status: 'cancelled', reason: controller.signal.reason };
+          }
+          try {
+            const result = await this.executeTask(task.task_id, projectId, {
+              ...taskOpts,
+              signal: controller.signal
+            });
+            report(
+              task,
+              ['completed', 'cancelled'].includes(result.status) ? result.status : 'failed',
+              result.filesWritten
+            );
+            if (result.status !== 'completed' && result.status !== 'cancelled') {
+              cancelSiblings(task.task_id, result.status);
+            }
+            return result;
+          } catch (error) {
+            report(task, 'failed');
+            cancelSiblings(task.task_id, 'errored');
+            throw error;
+          }
+        });
+      });
+    }));
+    if (control) control.signal.removeEventListener('abort', onExecutionCancel);
+
+    const rejected = settled.find((s) => s.status === 'rejected');
+    if (rejected) throw rejected.reason;
+    return settled.map((s) => s.value);
+  }
+
+  /** Mark a task that never started as cancelled. */
+  async markTaskCancelled(taskId, reason) {
+    await this.db.query(
+      `UPDATE orchestration_tasks SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP,
+       error_message = $2 WHERE task_id = $1`,
+      [taskId, `cancelled: ${reason}`]
+    );
+  }
+
+  /** Mark a task whose dependencies did not complete as blocked; it never runs. */
+  async markTaskBlocked(taskId, reason) {
+    await this.db.query(
+      `UPDATE orchestration_tasks SET status = 'blocked', completed_at = CURRENT_TIMESTAMP,
+       error_message = $2 WHERE task_id = $1`,
+      [taskId, `blocked: ${reason}`]
+    );
+  }
+
+  /**
+   * Create a pending task for an agent.
+   *
+   * `dependsOn` lists tasks that must complete before this one may run (in a
+   * graph execution, see runStageTasks). A task can only depend on tasks that
+   * already exist, so these edges cannot form a cycle.
+   *
+   * @param {Object} data - { taskId, projectId, stage, agentName, model, dependsOn }
+   * @returns {Promise<{task_id: string, agent_name: string, status: string, depends_on: string[]}>}
+   * @throws {ValidationError} If a dependency is the task itself or not a task of the project.
+   */
   async createTask(data) {
     const {
-      taskId, projectId, stage, agentName, model
+      taskId, projectId, stage, agentName, model, dependsOn = []
     } = data;
 
+    if (dependsOn.length > 0) await this.validateTaskDependencies(taskId, projectId, dependsOn);
+
     await this.db.query(
-      `INSERT INTO orchestration_tasks (task_id, project_id, stage, agent_name, status, input_data)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
+      `INSERT INTO orchestration_tasks
+         (task_id, project_id, stage, agent_name, status, input_data, depends_on, execution_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7,
+         (SELECT execution_id FROM orchestration_projects WHERE project_id = $2))`,
       [
         taskId,
         projectId,
         stage,
         agentName,
         'pending',
-        JSON.stringify({ model })
+        JSON.stringify({ model }),
+        dependsOn
       ]
     );
 
@@ -389,7 +1229,24 @@ class ZekkaOrchestrator {
       model
     });
 
-    return { task_id: taskId, agent_name: agentName, status: 'pending' };
+    return {
+      task_id: taskId, agent_name: agentName, status: 'pending', depends_on: dependsOn
+    };
+  }
+
+  async validateTaskDependencies(taskId, projectId, dependsOn) {
+    const errors = [];
+    if (dependsOn.includes(taskId)) errors.push(`task ${taskId} cannot depend on itself`);
+
+    const { rows } = await this.db.query(
+      'SELECT task_id FROM orchestration_tasks WHERE project_id = $1 AND task_id = ANY($2)',
+      [projectId, dependsOn]
+    );
+    const found = new Set(rows.map((r) => r.task_id));
+    for (const id of dependsOn) {
+      if (id !== taskId && !found.has(id)) errors.push(`dependency ${id} is not a task of project ${projectId}`);
+    }
+    if (errors.length > 0) throw new ValidationError('Invalid task dependencies', { errors });
   }
 
   /**
@@ -397,7 +1254,12 @@ class ZekkaOrchestrator {
    *
    * @param {string} taskId
    * @param {string} projectId
-   * @param {Object} [opts] - { complexity, stageName }
+   * @param {Object} [opts] - { complexity, stageName, tools, commands, toolPolicy, signal, control } —
+   *   `tools` is the stage's tool allowlist (null for every registered tool);
+   *   `commands` the project's run_command allowlist (null for the default);
+   *   `toolPolicy` the permissions of the stage's catalogue agent (null for none);
+   *   `signal` is an AbortSignal that stops the agent before its next step;
+   *   `control` is the execution's control, whose pause holds the agent between steps.
    * @returns {Promise<Object>} AgentRunner result summary.
    */
   async executeTask(taskId, projectId, opts = {}) {
@@ -415,26 +1277,43 @@ class ZekkaOrchestrator {
       );
       const task = taskResult.rows[0];
       const goal = await this.buildTaskGoal(task, projectId, opts.stageName);
+      // Each run of the task gets its own trace.
+      const runId = uuidv4();
+      // ...and, under worktree isolation, its own checkout of the workspace.
+      const worktree = this.worktrees ? await this.worktrees.prepare(taskId) : null;
 
       // Drive the perceive → plan → act → observe loop.
       const result = await this.agentRunner.run({
         taskId,
+        runId,
         projectId,
         agentName: task.agent_name,
         stage: task.stage,
         complexity: opts.complexity,
+        allowedTools: opts.tools || null,
+        allowedCommands: opts.commands || null,
+        toolPolicy: opts.toolPolicy || null,
+        signal: opts.signal,
+        control: opts.control,
+        workspaceRoot: worktree ? worktree.path : undefined,
         goal
       });
+      if (worktree) {
+        await this.worktrees.commit(taskId, `${task.agent_name}: ${opts.stageName || `stage ${task.stage}`} (${taskId})`);
+      }
 
       // Persist the agent's file footprint so stage-level conflict detection can
       // compare it against sibling agents.
       await this.contextBus.setAgentState(taskId, task.agent_name, {
         status: result.status,
         stage: task.stage,
-        filesWritten: result.filesWritten
+        filesWritten: result.filesWritten,
+        fileVersions: result.fileVersions || {}
       });
 
-      const dbStatus = result.status === 'completed' ? 'completed' : 'failed';
+      const dbStatus = ['completed', 'cancelled'].includes(result.status)
+        ? result.status
+        : 'failed';
       await this.db.query(
         `UPDATE orchestration_tasks SET status = $1, completed_at = CURRENT_TIMESTAMP, output_data = $2
          WHERE task_id = $3`,
@@ -445,7 +1324,10 @@ class ZekkaOrchestrator {
             reason: result.reason,
             steps: result.steps,
             result: result.result,
-            filesWritten: result.filesWritten
+            filesWritten: result.filesWritten,
+            runId,
+            goal,
+            tests: testHealth(result.memory)
           }),
           taskId
         ]
@@ -484,8 +1366,406 @@ class ZekkaOrchestrator {
     const reqLine = requirements.length
       ? `\nProject requirements:\n- ${requirements.join('\n- ')}`
       : '';
+    const conflictLines = await this.describeLostConflicts(task);
+    const feedbackLines = this.describeReviewFeedback(task);
     return `As agent "${task.agent_name}", carry out the "${stageLabel}" work for `
-      + `project ${projectId}.${reqLine}`;
+      + `project ${projectId}.${reqLine}${conflictLines}${feedbackLines}`;
+  }
+
+  /**
+   * For a task re-run after its stage was rejected, quote the reviewers' comments.
+   * @returns {string} Goal suffix ('' if the stage was never rejected).
+   */
+  describeReviewFeedback(task) {
+    const feedback = task.input_data && Array.isArray(task.input_data.reviewFeedback)
+      ? task.input_data.reviewFeedback
+      : [];
+    if (feedback.length === 0) return '';
+
+    const lines = feedback.map((f) => `- attempt ${f.attempt}${f.reviewer ? ` (${f.reviewer})` : ''}: ${f.comment}`);
+    return '\n\nA human reviewer rejected the previous result of this stage. '
+      + `Address their feedback:\n${lines.join('\n')}`;
+  }
+
+  /**
+   * For a re-queued task, quote the winning version of every file it lost so the
+   * re-run builds on it instead of overwriting it.
+   * @returns {Promise<string>} Goal suffix ('' if the task never lost a conflict).
+   */
+  async describeLostConflicts(task) {
+    const lost = task.input_data && Array.isArray(task.input_data.lostConflicts)
+      ? task.input_data.lostConflicts
+      : [];
+    if (lost.length === 0) return '';
+
+    // Latest ruling per file wins.
+    const winners = new Map(lost.map((c) => [c.file, c.winner]));
+    const sections = [];
+    for (const [file, winner] of winners) {
+      let content;
+      try {
+        content = await fs.readFile(resolveInWorkspace(this.workspaceRoot, file), 'utf8');
+      } catch {
+        content = null;
+      }
+      if (content === null) {
+        sections.push(`--- ${file} (kept from ${winner}; could not be read) ---`);
+      } else {
+        const shown = content.length > MAX_WINNER_VERSION_CHARS
+          ? `${content.slice(0, MAX_WINNER_VERSION_CHARS)}\n[... truncated]`
+          : content;
+        sections.push(`--- ${file} (kept from ${winner}) ---\n${shown}`);
+      }
+    }
+    return '\n\nYour earlier changes to these files conflicted with another agent\'s and '
+      + 'were not kept. The current versions are below; apply your changes on top of '
+      + `them rather than replacing them.\n${sections.join('\n')}`;
+  }
+
+  // ========================================
+  // Execution Traces
+  // ========================================
+
+  /** AgentRunner tracer: store one step of a task run. */
+  async recordTraceStep(task, entry) {
+    const usage = entry.usage || {};
+    await this.db.query(
+      `INSERT INTO orchestration_task_steps (task_id, run_id, step, prompt_hash, model, model_text,
+         action, observation, tokens_input, tokens_output, native)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        task.taskId,
+        task.runId || null,
+        entry.step,
+        entry.promptHash,
+        entry.model || null,
+        entry.text,
+        entry.action ? JSON.stringify(entry.action) : null,
+        entry.observation ? JSON.stringify(entry.observation) : null,
+        usage.promptTokens ?? null,
+        usage.completionTokens ?? null,
+        Boolean(entry.native)
+      ]
+    );
+  }
+
+  /**
+   * Read a task's recorded steps.
+   *
+   * @param {string} projectId
+   * @param {string} taskId
+   * @param {Object} [options]
+   * @param {string} [options.runId] - Defaults to the task's latest run.
+   * @returns {Promise<{ projectId, taskId, runId, runs: string[], steps: Object[] }>}
+   * @throws {NotFoundError} If the task is not part of the project, or has no such run.
+   */
+  async getTaskTrace(projectId, taskId, options = {}) {
+    const task = await this.db.query(
+      'SELECT task_id FROM orchestration_tasks WHERE task_id = $1 AND project_id = $2',
+      [taskId, projectId]
+    );
+    if (task.rows.length === 0) throw new NotFoundError(`Task ${taskId}`);
+
+    const { rows: runRows } = await this.db.query(
+      `SELECT run_id FROM orchestration_task_steps WHERE task_id = $1
+       GROUP BY run_id ORDER BY MIN(id)`,
+      [taskId]
+    );
+    const runs = runRows.map((r) => r.run_id);
+    const runId = options.runId || runs[runs.length - 1] || null;
+    if (options.runId && !runs.includes(options.runId)) {
+      throw new NotFoundError(`Run ${options.runId} of task ${taskId}`);
+    }
+
+    const { rows } = runId
+      ? await this.db.query(
+        `SELECT step, prompt_hash, model, model_text, action, observation, tokens_input, tokens_output,
+           native, created_at
+         FROM orchestration_task_steps WHERE task_id = $1 AND run_id = $2 ORDER BY step, id`,
+        [taskId, runId]
+      )
+      : { rows: [] };
+
+    return {
+      projectId,
+      taskId,
+      runId,
+      runs,
+      steps: rows.map((r) => ({
+        step: r.step,
+        promptHash: r.prompt_hash,
+        model: r.model,
+        text: r.model_text,
+        action: r.action,
+        observation: r.observation,
+        usage: { promptTokens: r.tokens_input, completionTokens: r.tokens_output },
+        native: Boolean(r.native),
+        createdAt: r.created_at
+      }))
+    };
+  }
+
+  /**
+   * Re-run a recorded task run with the model's replies taken from its trace.
+   * Nothing is persisted: the task's status and trace are left untouched.
+   *
+   * @param {string} projectId
+   * @param {string} taskId
+   * @param {Object} [options]
+   * @param {string} [options.runId] - Defaults to the latest run.
+   * @param {'recorded'|'live'} [options.tools='recorded'] - Return the recorded
+   *   observations, or really execute the tool calls against the workspace.
+   * @returns {Promise<Object>} The replayed run's summary and its steps, each
+   *   flagged with `promptChanged` when its prompt differs from the recording.
+   * @throws {ValidationError} For an unknown tools mode.
+   * @throws {NotFoundError} If there is no recorded run to replay.
+   */
+  async replayTask(projectId, taskId, options = {}) {
+    const tools = options.tools || 'recorded';
+    if (!REPLAY_TOOL_MODES.has(tools)) {
+      throw new ValidationError('Invalid replay mode', {
+        errors: [`tools must be one of: ${[...REPLAY_TOOL_MODES].join(', ')}`]
+      });
+    }
+
+    const trace = await this.getTaskTrace(projectId, taskId, options);
+    if (trace.steps.length === 0) throw new NotFoundError(`Trace of task ${taskId}`);
+
+    const { rows } = await this.db.query('SELECT * FROM orchestration_tasks WHERE task_id = $1', [taskId]);
+    const task = rows[0];
+    const workflow = await this.getProjectWorkflow(projectId);
+    const stage = workflow.stages.find((st) => st.number === task.stage) || {};
+
+    const replayed = [];
+    const { modelClient, toolRegistry } = createReplay(trace.steps, this.toolRegistry, tools);
+    const runner = new AgentRunner({
+      modelClient,
+      toolRegistry,
+      logger: this.logger,
+      maxSteps: Math.max(trace.steps.length, 1),
+      contextTokens: this.agentRunner.contextTokens,
+      summaryClient: null,
+      toolContext: this.agentRunner.toolContext || {},
+      tracer: { recordStep: async (_task, entry) => { replayed.push(entry); } }
+    });
+
+    const result = await runner.run({
+      taskId,
+      projectId,
+      agentName: task.agent_name,
+      stage: task.stage,
+      allowedTools: stage.tools || null,
+      allowedCommands: workflow.commands || null,
+      toolPolicy: stage.agent ? policyForAgent(stage.agent) : null,
+      goal: await this.buildTaskGoal(task, projectId, stage.name)
+    });
+
+    return {
+      projectId,
+      taskId,
+      runId: trace.runId,
+      tools,
+      status: result.status,
+      reason: result.reason,
+      steps: result.steps,
+      result: result.result,
+      trace: replayed.map((entry) => {
+        const recorded = trace.steps.find((st) => st.step === entry.step);
+        return { ...entry, promptChanged: !recorded || recorded.promptHash !== entry.promptHash };
+      })
+    };
+  }
+
+  // ========================================
+  // Approval Gates
+  // ========================================
+
+  /**
+   * Hold a finished stage for a human decision if its workflow `approval` asks
+   * for one: record the request, set the project to `awaiting_approval`,
+   * broadcast it to the project's websocket room, and wait for approveStage /
+   * rejectStage (or for the execution to be cancelled).
+   *
+   * @returns {Promise<{ status: 'not_required'|'approved'|'rejected'|'cancelled',
+   *   comment?: string, reviewer?: string, attempt?: number }>}
+   */
+  async requestStageApproval(projectId, stageInfo, attempt, control = null) {
+    const { number, name, approval } = stageInfo;
+    if (!approval) return { status: 'not_required' };
+
+    const files = await this.getStageFilesWritten(projectId, number);
+    if (approval === 'files_written' && files.length === 0) return { status: 'not_required' };
+
+    const approvalId = `approval-${uuidv4().substring(0, 8)}`;
+    // A request left pending by an interrupted execution is superseded.
+    await this.db.query(
+      `UPDATE orchestration_approvals SET status = 'cancelled', decided_at = CURRENT_TIMESTAMP
+       WHERE project_id = $1 AND status = 'pending'`,
+      [projectId]
+    );
+    await this.db.query(
+      `INSERT INTO orchestration_approvals (approval_id, project_id, execution_id, stage, attempt, files)
+       VALUES ($1, $2, (SELECT execution_id FROM orchestration_projects WHERE project_id = $2), $3, $4, $5)`,
+      [approvalId, projectId, number, attempt, JSON.stringify(files)]
+    );
+    await this.db.query(
+      'UPDATE orchestration_projects SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE project_id = $2',
+      ['awaiting_approval', projectId]
+    );
+
+    const request = {
+      approvalId, stage: number, stageName: name, attempt, files, status: 'pending'
+    };
+    this.broadcast('broadcastApproval', projectId, request);
+    this.logger.info(`✋ Stage ${number}: ${name} awaiting approval (${approvalId})`);
+
+    const decision = await new Promise((resolve) => {
+      const onCancel = () => resolve({ status: 'cancelled' });
+      this.pendingApprovals.set(projectId, {
+        ...request,
+        resolve: (result) => {
+          if (control) control.signal.removeEventListener('abort', onCancel);
+          resolve(result);
+        }
+      });
+      if (control) {
+        if (control.cancelled) onCancel();
+        else control.signal.addEventListener('abort', onCancel, { once: true });
+      }
+    });
+    this.pendingApprovals.delete(projectId);
+
+    if (decision.status === 'cancelled') {
+      await this.db.query(
+        `UPDATE orchestration_approvals SET status = 'cancelled', decided_at = CURRENT_TIMESTAMP
+         WHERE approval_id = $1`,
+        [approvalId]
+      );
+      return decision;
+    }
+
+    await this.db.query(
+      'UPDATE orchestration_projects SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE project_id = $2',
+      [control && control.paused ? 'paused' : 'running', projectId]
+    );
+    return decision;
+  }
+
+  /**
+   * The approval request a project is waiting on, without its internals.
+   * @returns {Object|null}
+   */
+  getPendingApproval(projectId) {
+    const pending = this.pendingApprovals.get(projectId);
+    if (!pending) return null;
+    const { resolve: _resolve, ...request } = pending;
+    return { projectId, ...request };
+  }
+
+  /**
+   * Approve the stage a project is waiting on; the execution continues.
+   * @param {string} projectId
+   * @param {{ comment?: string, reviewer?: string }} [decision]
+   * @throws {NotFoundError} If no approval is pending.
+   */
+  approveStage(projectId, decision = {}) {
+    return this.decideApproval(projectId, 'approved', decision);
+  }
+
+  /**
+   * Reject the stage a project is waiting on. Its tasks are re-run with the
+   * comment added to their goal, and approval is requested again.
+   * @param {string} projectId
+   * @param {{ comment: string, reviewer?: string }} decision
+   * @throws {NotFoundError} If no approval is pending.
+   * @throws {ValidationError} Without a comment.
+   */
+  rejectStage(projectId, decision = {}) {
+    return this.decideApproval(projectId, 'rejected', decision);
+  }
+
+  async decideApproval(projectId, status, { comment, reviewer } = {}) {
+    const pending = this.pendingApprovals.get(projectId);
+    if (!pending) throw new NotFoundError(`Pending approval for project ${projectId}`);
+
+    const text = typeof comment === 'string' ? comment.trim() : '';
+    if (status === 'rejected' && !text) {
+      throw new ValidationError('A comment is required to reject a stage', {
+        errors: ['comment is required']
+      });
+    }
+
+    // Claim the request before any await so a concurrent decision gets a 404.
+    this.pendingApprovals.delete(projectId);
+    await this.db.query(
+      `UPDATE orchestration_approvals SET status = $2, comment = $3, decided_by = $4,
+       decided_at = CURRENT_TIMESTAMP WHERE approval_id = $1`,
+      [pending.approvalId, status, text || null, reviewer || null]
+    );
+
+    const result = {
+      approvalId: pending.approvalId,
+      stage: pending.stage,
+      attempt: pending.attempt,
+      status,
+      comment: text || null,
+      reviewer: reviewer || null
+    };
+    this.broadcast('broadcastApproval', projectId, result);
+    this.logger.info(`${status === 'approved' ? '👍' : '👎'} Stage ${pending.stage} ${status} (${pending.approvalId})`);
+    pending.resolve(result);
+    return { projectId, ...result };
+  }
+
+  /**
+   * Reset every task of a rejected stage to pending, recording the reviewer's
+   * feedback in its input_data (`reviewFeedback`) for buildTaskGoal.
+   * @returns {Promise<Array<{task_id: string}>>} The tasks to re-run.
+   */
+  async requestStageChanges(projectId, stage, decision) {
+    const { rows } = await this.db.query(
+      `UPDATE orchestration_tasks
+       SET status = 'pending', completed_at = NULL, error_message = $3,
+           input_data = jsonb_set(COALESCE(input_data, '{}'::jsonb), '{reviewFeedback}',
+             COALESCE(input_data->'reviewFeedback', '[]'::jsonb) || $4::jsonb)
+       WHERE project_id = $1 AND stage = $2${CURRENT_EXECUTION}
+       RETURNING task_id`,
+      [
+        projectId,
+        stage,
+        `changes requested: ${decision.comment}`,
+        JSON.stringify([{ attempt: decision.attempt, comment: decision.comment, reviewer: decision.reviewer }])
+      ]
+    );
+    this.logger.info(`↩️  Stage ${stage}: re-running ${rows.length} task(s) after rejection`);
+    return rows;
+  }
+
+  /** Every file the stage's agents wrote in the current execution. */
+  async getStageFilesWritten(projectId, stage) {
+    const files = new Set();
+    for (const row of await this.getStageTasks(projectId, stage)) {
+      let state;
+      try {
+        state = await this.contextBus.getAgentState(row.task_id, row.agent_name);
+      } catch {
+        state = null;
+      }
+      if (state && Array.isArray(state.filesWritten)) {
+        for (const file of state.filesWritten) files.add(file);
+      }
+    }
+    return [...files].sort();
+  }
+
+  /** Send a project event through the broadcaster, if one is configured. */
+  broadcast(method, ...args) {
+    if (!this.broadcaster || typeof this.broadcaster[method] !== 'function') return;
+    try {
+      this.broadcaster[method](...args);
+    } catch (err) {
+      this.logger.warn(`broadcast ${method} failed: ${err.message}`);
+    }
   }
 
   // ========================================
@@ -500,16 +1780,21 @@ class ZekkaOrchestrator {
    *
    * @param {string} projectId
    * @param {number} stage
-   * @returns {Promise<Array<{ file: string, agents: Array<{taskId, agentName}> }>>}
+   * @param {Object} [options]
+   * @param {string[]} [options.taskIds] - Only compare these tasks' footprints.
+   * @returns {Promise<Array<{ file: string, agents: Array<{taskId, agentName, version}> }>>}
+   *   `version` is the agent's last written content of the file, when known.
    */
-  async checkForConflicts(projectId, stage) {
+  async checkForConflicts(projectId, stage, options = {}) {
     const { rows } = await this.db.query(
-      'SELECT task_id, agent_name FROM orchestration_tasks WHERE project_id = $1 AND stage = $2',
+      `SELECT task_id, agent_name FROM orchestration_tasks WHERE project_id = $1 AND stage = $2${CURRENT_EXECUTION}`,
       [projectId, stage]
     );
 
+    const only = options.taskIds ? new Set(options.taskIds) : null;
     const byFile = new Map();
     for (const row of rows) {
+      if (only && !only.has(row.task_id)) continue;
       let state;
       try {
         state = await this.contextBus.getAgentState(row.task_id, row.agent_name);
@@ -517,9 +1802,14 @@ class ZekkaOrchestrator {
         state = null;
       }
       const files = state && Array.isArray(state.filesWritten) ? state.filesWritten : [];
+      const versions = (state && state.fileVersions) || {};
       for (const file of files) {
         if (!byFile.has(file)) byFile.set(file, []);
-        byFile.get(file).push({ taskId: row.task_id, agentName: row.agent_name });
+        byFile.get(file).push({
+          taskId: row.task_id,
+          agentName: row.agent_name,
+          version: typeof versions[file] === 'string' ? versions[file] : null
+        });
       }
     }
 
@@ -532,15 +1822,23 @@ class ZekkaOrchestrator {
 
   /**
    * Detect and resolve stage conflicts. For each conflicted file the Arbitrator
-   * model picks a winning agent; the losing agents' tasks are re-queued (reset to
-   * pending) so they can redo their work against the winner's version.
+   * model picks a winning agent whose version is restored in the workspace; the
+   * losing agents' tasks are re-queued (reset to pending) so they can redo their
+   * work against the winner's version. If it merges the versions instead, the
+   * merged file is written and nobody is re-queued.
+   *
+   * Under worktree isolation the stage's branches are merged instead (see
+   * mergeStageWorktrees).
    *
    * @param {string} projectId
    * @param {number} stage
+   * @param {Object} [options] - See checkForConflicts.
    * @returns {Promise<{ conflicts: number, requeued: string[] }>}
    */
-  async resolveStageConflicts(projectId, stage) {
-    const conflicts = await this.checkForConflicts(projectId, stage);
+  async resolveStageConflicts(projectId, stage, options = {}) {
+    if (this.worktrees) return this.mergeStageWorktrees(projectId, stage, options);
+
+    const conflicts = await this.checkForConflicts(projectId, stage, options);
     if (conflicts.length === 0) return { conflicts: 0, requeued: [] };
 
     this.logger.warn(
@@ -549,10 +1847,16 @@ class ZekkaOrchestrator {
 
     const requeued = new Set();
     for (const conflict of conflicts) {
-      const winner = await this.arbitrateConflict(projectId, stage, conflict);
+      const ruling = await this.arbitrateConflict(projectId, stage, conflict);
+      if (ruling.decision === 'merged') {
+        // Everyone's work is in the merged file; nobody has to redo theirs.
+        await fs.writeFile(resolveInWorkspace(this.workspaceRoot, conflict.file), ruling.merged, 'utf8');
+        continue;
+      }
+      await this.restoreWinnerVersion(conflict, ruling.winner);
       for (const agent of conflict.agents) {
-        if (agent.taskId !== winner) {
-          await this.requeueTask(agent.taskId, conflict.file, winner);
+        if (agent.taskId !== ruling.winner) {
+          await this.requeueTask(agent.taskId, conflict.file, ruling.winner);
           requeued.add(agent.taskId);
         }
       }
@@ -562,14 +1866,104 @@ class ZekkaOrchestrator {
   }
 
   /**
-   * Ask the Arbitrator model to pick the winning task for a conflicted file.
-   * Falls back to the first agent if the ruling can't be parsed.
+   * Merge the branches of a stage's completed tasks back into the workspace, in
+   * task order. Files git merges cleanly need no ruling; for each file it cannot
+   * merge, the Arbitrator sees the workspace's version (written by the task
+   * merged before, or already there) and the incoming task's, and the loser is
+   * re-queued like any conflict loser (unless the Arbitrator merged the two). Merged branches are deleted, as are the
+   * worktrees of tasks that failed, were cancelled or were blocked: their work
+   * is discarded.
    *
-   * @returns {Promise<string>} winning taskId
+   * @param {string} projectId
+   * @param {number} stage
+   * @param {Object} [options]
+   * @param {string[]} [options.taskIds] - Only merge these tasks' branches.
+   * @returns {Promise<{ conflicts: number, requeued: string[] }>}
+   */
+  async mergeStageWorktrees(projectId, stage, options = {}) {
+    const only = options.taskIds ? new Set(options.taskIds) : null;
+    const tasks = (await this.getStageTasks(projectId, stage))
+      .filter((t) => !only || only.has(t.task_id));
+
+    const owners = new Map(); // file -> the task whose version the workspace holds
+    const requeued = new Set();
+    let conflicts = 0;
+
+    for (const task of tasks) {
+      if (task.status !== 'completed') {
+        if (['failed', 'cancelled', 'blocked'].includes(task.status)) await this.worktrees.remove(task.task_id);
+        continue;
+      }
+
+      const result = await this.worktrees.merge(task.task_id, async (clashes) => {
+        const sides = new Map();
+        for (const clash of clashes) {
+          conflicts += 1;
+          const owner = owners.get(clash.file);
+          const conflict = {
+            file: clash.file,
+            agents: [
+              {
+                taskId: owner ? owner.task_id : WORKSPACE_OWNER,
+                agentName: owner ? owner.agent_name : WORKSPACE_OWNER,
+                version: clash.ours,
+                deleted: clash.ours === null
+              },
+              {
+                taskId: task.task_id, agentName: task.agent_name, version: clash.theirs, deleted: clash.theirs === null
+              }
+            ]
+          };
+          const ruling = await this.arbitrateConflict(projectId, stage, conflict);
+          if (ruling.decision === 'merged') {
+            sides.set(clash.file, { content: ruling.merged });
+            continue;
+          }
+          sides.set(clash.file, ruling.winner === task.task_id ? 'theirs' : 'ours');
+
+          const loser = conflict.agents.find((a) => a.taskId !== ruling.winner);
+          if (loser.taskId !== WORKSPACE_OWNER) {
+            await this.requeueTask(loser.taskId, clash.file, ruling.winner);
+            requeued.add(loser.taskId);
+          }
+        }
+        return sides;
+      });
+
+      const keptOurs = new Set(result.conflicts.filter((c) => c.side === 'ours').map((c) => c.file));
+      for (const file of result.files) {
+        if (!keptOurs.has(file)) owners.set(file, task);
+      }
+      await this.worktrees.remove(task.task_id);
+    }
+
+    if (conflicts > 0) this.logger.warn(`⚠️  ${conflicts} merge conflict(s) arbitrated in stage ${stage}`);
+    return { conflicts, requeued: [...requeued] };
+  }
+
+  /**
+   * Ask the Arbitrator model to resolve a conflicted file. It sees every agent's
+   * version of the file (`deleted` marks a version that removes it), the goal the
+   * agent was given and the result it reported, and either picks a winner or
+   * returns a merged file. A failed call or an unusable ruling falls back to the
+   * first agent. Every ruling is recorded with its reason (getArbitrations).
+   *
+   * @returns {Promise<{ decision: 'winner'|'merged'|'fallback', winner: ?string,
+   *   merged: ?string, reason: string }>} `winner` is null for a merged file.
    */
   async arbitrateConflict(projectId, stage, conflict) {
-    const candidates = conflict.agents
-      .map((a) => `- taskId "${a.taskId}" (agent ${a.agentName})`)
+    const context = await this.getArbitrationContext(conflict.agents.map((a) => a.taskId));
+    const candidates = conflict.agents.map((a) => {
+      const lines = [`- taskId "${a.taskId}" (agent ${a.agentName})`];
+      const task = context.get(a.taskId);
+      if (task && task.goal) lines.push(`  goal: ${truncate(task.goal, MAX_ARBITRATION_CONTEXT_CHARS)}`);
+      if (task && task.result !== undefined && task.result !== null) {
+        lines.push(`  reported result: ${truncate(JSON.stringify(task.result), MAX_ARBITRATION_CONTEXT_CHARS)}`);
+      }
+      return lines.join('\n');
+    }).join('\n');
+    const versions = conflict.agents
+      .map((a) => `--- version of ${a.taskId} ---\n${describeVersion(a)}`)
       .join('\n');
     const prompt = `You are the Zekka Arbitrator resolving a file-write conflict.
 
@@ -577,42 +1971,179 @@ Project: ${projectId}, stage ${stage}.
 File "${conflict.file}" was written by multiple agents:
 ${candidates}
 
-Choose exactly one task to keep. Reply with a single JSON object:
-{"winner": "<taskId>", "reason": "<brief>"}`;
+The competing versions:
+${versions}
 
-    let winner = null;
+Keep one task's version, or merge the versions if both changes belong in the
+file. Reply with a single JSON object, either
+{"winner": "<taskId>", "reason": "<brief>"}
+or
+{"merged": "<the complete merged file>", "reason": "<brief>"}`;
+
+    let ruling = null;
+    let failure;
+    let response = null;
     try {
-      const response = await this.modelClient.generateArbitratorResponse(prompt, {
-        projectId
+      // A re-run over the same conflict gets the same ruling from the response cache;
+      // a reply that is not a valid ruling is not cached, so a re-run asks again
+      response = await this.modelClient.generateArbitratorResponse(prompt, {
+        projectId,
+        cache: { accept: (text) => Boolean(parseRuling(text, conflict).ruling) }
       });
-      const ruling = extractJsonObject(response && response.text ? response.text : '');
-      if (ruling) {
-        const parsed = JSON.parse(ruling);
-        if (typeof parsed.winner === 'string') winner = parsed.winner;
+      const parsed = parseRuling(response && response.text, conflict);
+      ruling = parsed.ruling || null;
+      failure = parsed.error;
+    } catch (err) {
+      failure = `arbitration failed: ${err.message}`;
+    }
+
+    if (!ruling) {
+      this.logger.warn(`⚠️  ${failure}; keeping ${conflict.agents[0].taskId}'s "${conflict.file}"`);
+      ruling = {
+        decision: 'fallback', winner: conflict.agents[0].taskId, merged: null, reason: failure
+      };
+    }
+    await this.recordArbitration(projectId, stage, conflict, ruling, response);
+    return ruling;
+  }
+
+  /**
+   * The goal and reported result of each candidate task, from its output_data.
+   * @returns {Promise<Map<string, { goal: ?string, result: * }>>}
+   */
+  async getArbitrationContext(taskIds) {
+    const context = new Map();
+    try {
+      const { rows } = await this.db.query(
+        'SELECT task_id, output_data FROM orchestration_tasks WHERE task_id = ANY($1)',
+        [taskIds]
+      );
+      for (const row of rows) {
+        const output = row.output_data || {};
+        context.set(row.task_id, { goal: output.goal || null, result: output.result });
       }
     } catch (err) {
-      this.logger.warn(`arbitration failed, defaulting winner: ${err.message}`);
+      this.logger.warn(`arbitration context unavailable: ${err.message}`);
+    }
+    return context;
+  }
+
+  /** Record an arbitration ruling for audit; a failure to record does not block the stage. */
+  async recordArbitration(projectId, stage, conflict, ruling, response) {
+    const text = response && typeof response.text === 'string' ? response.text : null;
+    try {
+      await this.db.query(
+        `INSERT INTO orchestration_arbitrations
+           (project_id, execution_id, stage, file_path, candidates, decision, winner_task_id, reason, model, response)
+         VALUES ($1, (SELECT execution_id FROM orchestration_projects WHERE project_id = $1),
+           $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [
+          projectId,
+          stage,
+          conflict.file,
+          JSON.stringify(conflict.agents.map((a) => ({ taskId: a.taskId, agentName: a.agentName }))),
+          ruling.decision,
+          ruling.winner,
+          ruling.reason,
+          (response && response.model) || null,
+          text === null ? null : truncate(text, MAX_RULING_RESPONSE_CHARS)
+        ]
+      );
+    } catch (err) {
+      this.logger.warn(`recording arbitration failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * A project's recorded arbitration rulings, newest first.
+   *
+   * @param {string} projectId
+   * @param {Object} [options]
+   * @param {number|string} [options.stage] - Only this stage's rulings.
+   * @returns {Promise<Object[]>}
+   * @throws {ValidationError} For a stage that is not a positive integer.
+   * @throws {NotFoundError}
+   */
+  async getArbitrations(projectId, options = {}) {
+    const stage = options.stage === undefined ? undefined : Number(options.stage);
+    if (stage !== undefined && !(Number.isInteger(stage) && stage > 0)) {
+      throw new ValidationError('Invalid stage', { errors: ['stage must be a positive integer'] });
     }
+    await this.getExecutionCheckpoint(projectId);
+    const params = [projectId];
+    let filter = '';
+    if (stage !== undefined) {
+      params.push(stage);
+      filter = ' AND stage = $2';
+    }
+    const { rows } = await this.db.query(
+      `SELECT id, execution_id, stage, file_path, candidates, decision, winner_task_id, reason, model, created_at
+       FROM orchestration_arbitrations WHERE project_id = $1${filter} ORDER BY id DESC`,
+      params
+    );
+    return rows.map((r) => ({
+      id: r.id,
+      executionId: r.execution_id,
+      stage: r.stage,
+      file: r.file_path,
+      candidates: r.candidates,
+      decision: r.decision,
+      winner: r.winner_task_id,
+      reason: r.reason,
+      model: r.model,
+      createdAt: r.created_at
+    }));
+  }
 
-    // Guard: winner must be one of the candidates; otherwise keep the first.
-    const valid = conflict.agents.some((a) => a.taskId === winner);
-    return valid ? winner : conflict.agents[0].taskId;
+  /**
+   * Put the winning agent's version of a conflicted file back in the workspace; a
+   * losing sibling may have written it last. Without a snapshot of the winner's
+   * version (e.g. the file was too large) the workspace is left as is.
+   */
+  async restoreWinnerVersion(conflict, winnerTaskId) {
+    const winner = conflict.agents.find((a) => a.taskId === winnerTaskId);
+    if (!winner || typeof winner.version !== 'string') {
+      this.logger.warn(`⚠️  No snapshot of ${winnerTaskId}'s "${conflict.file}"; keeping the workspace copy`);
+      return;
+    }
+    const abs = resolveInWorkspace(this.workspaceRoot, conflict.file);
+    await fs.writeFile(abs, winner.version, 'utf8');
   }
 
   /**
    * Re-queue a losing task: reset it to pending and record why, so a subsequent
-   * execution pass redoes the work against the winner's changes.
+   * execution pass redoes the work against the winner's changes. The loss is
+   * also appended to the task's input_data (`lostConflicts`), which buildTaskGoal
+   * turns into the winner's version of the file for the re-run.
    */
   async requeueTask(taskId, file, winnerTaskId) {
     await this.db.query(
       `UPDATE orchestration_tasks
-       SET status = 'pending', completed_at = NULL, error_message = $2
+       SET status = 'pending', completed_at = NULL, error_message = $2,
+           input_data = jsonb_set(COALESCE(input_data, '{}'::jsonb), '{lostConflicts}',
+             COALESCE(input_data->'lostConflicts', '[]'::jsonb) || $3::jsonb)
        WHERE task_id = $1`,
-      [taskId, `re-queued: lost conflict on ${file} to ${winnerTaskId}`]
+      [
+        taskId,
+        `re-queued: lost conflict on ${file} to ${winnerTaskId}`,
+        JSON.stringify([{ file, winner: winnerTaskId }])
+      ]
     );
     this.logger.info(`↩️  Re-queued task ${taskId} (lost "${file}" to ${winnerTaskId})`);
   }
 
+  /** Give up on tasks still losing conflicts after the stage's re-run rounds. */
+  async markConflictUnresolved(taskIds, rounds) {
+    for (const taskId of taskIds) {
+      await this.db.query(
+        `UPDATE orchestration_tasks SET status = 'conflict_unresolved', completed_at = CURRENT_TIMESTAMP,
+         error_message = $2 WHERE task_id = $1`,
+        [taskId, `conflict unresolved after ${rounds} re-run round(s)`]
+      );
+    }
+    this.logger.warn(`⚠️  Gave up on ${taskIds.length} conflicted task(s): ${taskIds.join(', ')}`);
+  }
+
   // ========================================
   // Metrics & Monitoring
   // ========================================
@@ -641,6 +2172,11 @@ Choose exactly one task to keep. Reply with a single JSON object:
         running: parseInt(runningTasks.rows[0].count, 10),
         completed: parseInt(completedTasks.rows[0].count, 10)
       },
+      agents: {
+        active: this.agentLimiter.active,
+        queued: this.agentLimiter.pending,
+        limit: this.agentLimiter.limit
+      },
       budget: budgetStatus,
       context: contextMetrics
     };
@@ -1,13 +1,19 @@
 /**
- * parseAction - Coerce a model's free-text reply into a single structured action.
+ * parseAction - Coerce a model's free-text reply into a structured action.
  *
- * The Zekka model client is text-in / text-out (no native tool-calling API), so
- * agent tool use rides on a structured-JSON protocol. The model is instructed to
- * reply with exactly one JSON object of one of these shapes:
+ * Models without a native tool-calling API (Ollama, Gemini) are text-in /
+ * text-out, so their tool use rides on a structured-JSON protocol (Anthropic and
+ * OpenAI models call tools natively, see native-tools). The model is instructed
+ * to reply with exactly one JSON object of one of these shapes:
  *
  *   Tool call:  { "thought": "...", "tool": "read_file", "args": { ... } }
+ *   Batch:      { "thought": "...", "actions": [{ "tool": "...", "args": { ... } }, ...] }
  *   Finish:     { "thought": "...", "type": "finish", "result": { ... } }
  *
+ * A batch lets the model ask for several tool calls in one turn (reading five
+ * files costs one model call, not five); a batch of one is a plain tool call.
+ * Finishing is never part of a batch.
+ *
  * This parser is deliberately tolerant: models wrap JSON in markdown fences, add
  * prose around it, or emit the object mid-sentence. We extract the first balanced
  * JSON object and validate its shape. On any failure we return null — the agent
@@ -61,6 +67,37 @@ function extractJsonObject(text) {
   return null;
 }
 
+/** A tool call's `{ tool, args }`, or null when it does not name a tool. */
+function toolCall(parsed) {
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+  if (typeof parsed.tool !== 'string' || parsed.tool.trim() === '') return null;
+  const { args } = parsed;
+  return {
+    tool: parsed.tool,
+    // `args` defaults to an empty object.
+    args: args !== null && typeof args === 'object' && !Array.isArray(args)
+      ? args
+      : {}
+  };
+}
+
+/**
+ * The action for a list of tool calls: a plain tool action for one, a batch for
+ * several, null for none.
+ * @param {Array<{ tool: string, args: Object }>} calls
+ * @param {string} thought
+ * @returns {Object|null}
+ */
+function actionForCalls(calls, thought) {
+  if (calls.length === 0) return null;
+  if (calls.length === 1) return { type: 'tool', ...calls[0], thought };
+  return {
+    type: 'batch',
+    actions: calls.map((call) => ({ type: 'tool', ...call })),
+    thought
+  };
+}
+
 /**
  * Parse a model reply into a normalized action object.
  *
@@ -68,8 +105,10 @@ function extractJsonObject(text) {
  * @returns {(
  *   { type: 'finish', result: *, thought: string } |
  *   { type: 'tool', tool: string, args: Object, thought: string } |
+ *   { type: 'batch', actions: Array<{ type: 'tool', tool: string, args: Object }>, thought: string } |
  *   null
- * )} Normalized action, or null when the reply cannot be parsed into a valid action.
+ * )} Normalized action, or null when the reply cannot be parsed into a valid action
+ *   (including a batch with an entry that is not a tool call).
  */
 function parseAction(text) {
   if (typeof text !== 'string' || text.trim() === '') return null;
@@ -101,20 +140,15 @@ function parseAction(text) {
     };
   }
 
-  // Tool action: must name a tool. `args` defaults to an empty object.
-  if (typeof parsed.tool === 'string' && parsed.tool.trim() !== '') {
-    const { args } = parsed;
-    return {
-      type: 'tool',
-      tool: parsed.tool,
-      args: args !== null && typeof args === 'object' && !Array.isArray(args)
-        ? args
-        : {},
-      thought
-    };
+  // Batch: every entry must be a tool call.
+  if (Array.isArray(parsed.actions)) {
+    const calls = parsed.actions.map(toolCall);
+    return calls.includes(null) ? null : actionForCalls(calls, thought);
   }
 
-  return null;
+  // Tool action: must name a tool.
+  const call = toolCall(parsed);
+  return call ? { type: 'tool', ...call, thought } : null;
 }
 
-module.exports = { parseAction, extractJsonObject };
+module.exports = { parseAction, extractJsonObject, actionForCalls };
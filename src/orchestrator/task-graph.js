@@ -0,0 +1,191 @@
+/**
+ * Task graphs - dependency scheduling between workflow stages and their tasks.
+ *
+ * A workflow stage may declare `dependsOn`: the stages it waits for. A stage
+ * dependency (`{ stage, per: 'stage' }`) holds the whole stage until the other
+ * stage is done; an agent dependency (`{ stage, per: 'agent' }`) pairs the two
+ * stages' agents, so agent N's task waits only for agent N's task upstream.
+ * Those edges are stored on the tasks (`depends_on`), and the orchestrator
+ * releases each task once the tasks it depends on have completed. A task's
+ * outcome is passed on as soon as it finishes, unless it may still change: its
+ * stage has an approval gate, or it is part of a conflict the stage will
+ * arbitrate (see createStageRelease).
+ *
+ * Cycles are rejected when the workflow is defined (findCycle), so a running
+ * graph always drains.
+ *
+ * @module orchestrator/task-graph
+ */
+
+const DEPENDENCY_KINDS = new Set(['stage', 'agent']);
+
+/** Task statuses that release the tasks depending on them. */
+const SATISFIED = new Set(['completed']);
+/** Terminal task statuses that block the tasks depending on them. */
+const BLOCKING = new Set(['failed', 'cancelled', 'blocked', 'conflict_unresolved']);
+/** Final task statuses, passed on as they are; anything else counts as failed. */
+const FINAL = new Set([...SATISFIED, ...BLOCKING]);
+
+/**
+ * Find a cycle in a directed graph.
+ *
+ * @param {Iterable<*>} nodes
+ * @param {function(*): Iterable<*>} edgesOf - The nodes a node points to.
+ * @returns {Array<*>|null} The cycle as a path whose first and last node are the
+ *   same (e.g. [3, 5, 3]), or null if the graph is acyclic.
+ */
+function findCycle(nodes, edgesOf) {
+  const state = new Map(); // node -> 'visiting' | 'done'
+  const path = [];
+
+  function visit(node) {
+    state.set(node, 'visiting');
+    path.push(node);
+    for (const next of edgesOf(node)) {
+      if (state.get(next) === 'visiting') return [...path.slice(path.indexOf(next)), next];
+      if (!state.has(next)) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+    path.pop();
+    state.set(node, 'done');
+    return null;
+  }
+
+  for (const node of nodes) {
+    if (!state.has(node)) {
+      const cycle = visit(node);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+}
+
+/** A promise together with the functions that settle it. */
+function defer() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+/**
+ * Track task outcomes for one execution and let tasks wait for their dependencies.
+ *
+ * @param {Array<{task_id: string, status: string}>} [known] - Tasks that already
+ *   finished, e.g. earlier in a resumed execution.
+ * @returns {{
+ *   settle: function(string, string): void,
+ *   waitFor: function(string[], AbortSignal=): Promise<{ ok: boolean, blockedBy?: string, reason?: string }>
+ * }}
+ */
+function createDependencyTracker(known = []) {
+  const outcomes = new Map();
+  const waiters = new Map(); // taskId -> [resolve]
+
+  function settle(taskId, status) {
+    if (!SATISFIED.has(status) && !BLOCKING.has(status)) return;
+    outcomes.set(taskId, status);
+    const pending = waiters.get(taskId) || [];
+    waiters.delete(taskId);
+    for (const resolve of pending) resolve(status);
+  }
+
+  function outcomeOf(taskId) {
+    if (outcomes.has(taskId)) return Promise.resolve(outcomes.get(taskId));
+    return new Promise((resolve) => {
+      if (!waiters.has(taskId)) waiters.set(taskId, []);
+      waiters.get(taskId).push(resolve);
+    });
+  }
+
+  for (const task of known) settle(task.task_id, task.status);
+
+  return {
+    settle,
+    async waitFor(taskIds, signal) {
+      let onAbort;
+      const aborted = new Promise((resolve) => {
+        if (!signal) return;
+        onAbort = () => resolve({ ok: false, reason: String(signal.reason) });
+        if (signal.aborted) onAbort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+      });
+      try {
+        for (const taskId of taskIds || []) {
+          const status = await Promise.race([outcomeOf(taskId), aborted]);
+          if (typeof status === 'object') return status;
+          if (!SATISFIED.has(status)) {
+            return { ok: false, blockedBy: taskId, reason: `dependency ${taskId} ${status}` };
+          }
+        }
+        return { ok: true };
+      } finally {
+        if (signal && onAbort) signal.removeEventListener('abort', onAbort);
+      }
+    }
+  };
+}
+
+/**
+ * Pass one stage's task outcomes on to a dependency tracker.
+ *
+ * A finished task is settled at once, so its dependents can start while its
+ * siblings still work. Its outcome is held instead while it may still change:
+ * when the stage has an approval gate (`holdAll`), or when the task wrote a file
+ * a sibling already wrote, i.e. a conflict the stage will arbitrate and may
+ * re-run. A sibling that wrote the file first was already released; the
+ * arbitration can still re-run it, but its dependents have started by then.
+ * Held outcomes are settled by `finish(stageOutcome)` once the conflict rounds
+ * are over and any approval was granted; a stage that did not complete settles
+ * them with its own outcome, so no dependent runs on work that was cancelled or
+ * never approved.
+ *
+ * @param {{ settle: function(string, string): void }} dependencies
+ * @param {{ holdAll?: boolean }} [options]
+ * @returns {{
+ *   report: function(string, string, string[]=): void,
+ *   hold: function(string, string): void,
+ *   finish: function(string): void
+ * }}
+ */
+function createStageRelease(dependencies, { holdAll = false } = {}) {
+  const held = new Map(); // taskId -> status
+  const footprints = new Map(); // taskId -> Set of files written
+
+  function hold(taskId, status) {
+    held.set(taskId, status);
+  }
+
+  return {
+    report(taskId, status, filesWritten = []) {
+      const written = new Set(filesWritten);
+      footprints.set(taskId, written);
+      const conflicted = [...footprints].some(([other, files]) => (
+        other !== taskId && [...written].some((file) => files.has(file))
+      ));
+      if (holdAll || conflicted || held.has(taskId)) hold(taskId, status);
+      else dependencies.settle(taskId, FINAL.has(status) ? status : 'failed');
+    },
+    hold,
+    finish(stageOutcome) {
+      for (const [taskId, status] of held) {
+        if (stageOutcome !== 'completed') dependencies.settle(taskId, stageOutcome);
+        else dependencies.settle(taskId, FINAL.has(status) ? status : 'failed');
+      }
+      held.clear();
+    }
+  };
+}
+
+module.exports = {
+  DEPENDENCY_KINDS,
+  findCycle,
+  defer,
+  createDependencyTracker,
+  createStageRelease
+};
@@ -0,0 +1,248 @@
+/**
+ * edit_file tool - patch a UTF-8 text file inside the workspace sandbox.
+ *
+ * Instead of resending a whole file (write_file), the agent sends either a
+ * unified diff (`diff`) or a list of search/replace edits (`edits`). Every hunk
+ * is checked against the file's exact current content before anything is
+ * written: if one does not apply, the file is left untouched and the failure
+ * observation says which hunk failed and what the file holds there, so the
+ * agent can re-read and retry.
+ *
+ * Like write_file it reports the path via `writes`, so the edited file joins the
+ * agent's footprint for conflict detection.
+ *
+ * @module orchestrator/tools/edit-file.tool
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { resolveInWorkspace } = require('./workspace');
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+/** Quote a line of the file for a failure message. */
+function quote(line) {
+  return line === undefined ? 'end of file' : JSON.stringify(line);
+}
+
+/** A `---`/`+++` pair, `diff --git` or `index` line: a file header, not hunk content. */
+function isFileHeader(lines, i) {
+  const line = lines[i];
+  if (/^(diff|index) /.test(line)) return true;
+  if (line.startsWith('+++ ')) return i > 0 && lines[i - 1].startsWith('--- ');
+  return line.startsWith('--- ') && i + 1 < lines.length && lines[i + 1].startsWith('+++ ');
+}
+
+/**
+ * Split a single-file unified diff into hunks. File headers are skipped; a
+ * blank line inside a hunk is read as an empty context line. Until the line
+ * counts in a hunk's header are used up its lines are content, so a removed
+ * `-- x` next to an added `++ y` is not mistaken for a file header.
+ * @returns {Array<{ header: string, oldStart: number, before: string[], after: string[],
+ *   noNewline: boolean }>} `noNewline` is set by a "\ No newline at end of file"
+ *   marker on the new side.
+ * @throws {Error} For a diff without hunks, a line outside a hunk, or a second file.
+ */
+function parseUnifiedDiff(diff) {
+  const lines = diff.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+  const hunks = [];
+  let hunk = null;
+  let last = null;
+  let oldLeft = 0; // lines of the current hunk its header still promises
+  let newLeft = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const header = HUNK_HEADER.exec(line);
+    if (header) {
+      hunk = {
+        header: header[0], oldStart: Number(header[1]), before: [], after: [], noNewline: false
+      };
+      hunks.push(hunk);
+      last = null;
+      oldLeft = header[2] === undefined ? 1 : Number(header[2]);
+      newLeft = header[4] === undefined ? 1 : Number(header[4]);
+    } else if (oldLeft <= 0 && newLeft <= 0 && isFileHeader(lines, i)) {
+      if (hunks.length > 0) throw new Error('the diff touches more than one file; send one edit_file call per file');
+    } else if (!hunk) {
+      if (line.trim() !== '') throw new Error(`unexpected line before the first hunk header: ${quote(line)}`);
+    } else if (line.startsWith(NO_NEWLINE_MARKER)) {
+      if (last === ' ' || last === '+') hunk.noNewline = true;
+    } else if (line.startsWith(' ') || line === '') {
+      hunk.before.push(line.slice(1));
+      hunk.after.push(line.slice(1));
+      last = ' ';
+      oldLeft--;
+      newLeft--;
+    } else if (line.startsWith('-')) {
+      hunk.before.push(line.slice(1));
+      last = '-';
+      oldLeft--;
+    } else if (line.startsWith('+')) {
+      hunk.after.push(line.slice(1));
+      last = '+';
+      newLeft--;
+    } else {
+      throw new Error(`unexpected line in ${hunk.header}: ${quote(line)}`);
+    }
+  }
+  if (hunks.length === 0) throw new Error('diff has no hunks (expected "@@ -l,s +l,s @@" headers)');
+  return hunks;
+}
+
+function matchesAt(lines, block, at) {
+  if (at < 0 || at + block.length > lines.length) return false;
+  return block.every((line, i) => lines[at + i] === line);
+}
+
+/**
+ * Apply diff hunks to a file's lines. A hunk must match exactly, at its stated
+ * line or, if the file has shifted, at the one place after the previous hunk
+ * where it occurs.
+ * @returns {{ lines: string[] } | { error: string }}
+ */
+function applyHunks(lines, hunks) {
+  let result = lines.slice();
+  let offset = 0; // how far earlier hunks moved the lines below them
+  let floor = 0; // hunks apply in order and never overlap
+  for (const [i, hunk] of hunks.entries()) {
+    const stated = (hunk.before.length === 0 ? hunk.oldStart : hunk.oldStart - 1) + offset;
+    let at = stated;
+    if (!(at >= floor && matchesAt(result, hunk.before, at))) {
+      const found = [];
+      for (let candidate = floor; candidate + hunk.before.length <= result.length; candidate++) {
+        if (matchesAt(result, hunk.before, candidate)) found.push(candidate);
+      }
+      if (found.length !== 1 || hunk.before.length === 0) {
+        const mismatch = Math.max(0, hunk.before.findIndex((line, j) => result[stated + j] !== line));
+        let detail;
+        if (hunk.before.length === 0) detail = `line ${stated} is outside the file (${result.length} lines)`;
+        else if (found.length > 1) detail = `its lines occur ${found.length} times; add context lines`;
+        else {
+          detail = `expected line ${stated + mismatch + 1} to be ${quote(hunk.before[mismatch])}, `
+            + `found ${quote(result[stated + mismatch])}`;
+        }
+        return { error: `hunk ${i + 1} (${hunk.header}) does not apply: ${detail}` };
+      }
+      [at] = found;
+    }
+    result = [...result.slice(0, at), ...hunk.after, ...result.slice(at + hunk.before.length)];
+    offset += at - stated + hunk.after.length - hunk.before.length;
+    floor = at + hunk.after.length;
+  }
+  return { lines: result };
+}
+
+function countOccurrences(text, search) {
+  let count = 0;
+  for (let at = text.indexOf(search); at !== -1; at = text.indexOf(search, at + search.length)) count++;
+  return count;
+}
+
+/**
+ * Apply search/replace edits in order. Each `search` must occur exactly once,
+ * or at least once with `all: true`.
+ * @returns {{ content: string } | { error: string }}
+ */
+function applyEdits(content, edits) {
+  let result = content;
+  for (const [i, edit] of edits.entries()) {
+    if (!edit || typeof edit.search !== 'string' || typeof edit.replace !== 'string') {
+      return { error: `edit ${i + 1} must be { search: string, replace: string, all?: boolean }` };
+    }
+    if (edit.search === '') return { error: `edit ${i + 1} has an empty search` };
+    const count = countOccurrences(result, edit.search);
+    if (count === 0) {
+      return { error: `edit ${i + 1} does not apply: search text not found (it must match the file exactly)` };
+    }
+    if (count > 1 && edit.all !== true) {
+      return {
+        error: `edit ${i + 1} does not apply: search text occurs ${count} times; `
+          + 'include more context or set all: true'
+      };
+    }
+    result = result.split(edit.search).join(edit.replace);
+  }
+  return { content: result };
+}
+
+const editFileTool = {
+  name: 'edit_file',
+  description:
+    'Edit a UTF-8 text file without resending all of it. args: { path: string (relative to '
+    + 'workspace), diff?: string (unified diff; hunks must match the file exactly), edits?: '
+    + '[{ search: string, replace: string, all?: boolean }] (each search must match exactly once '
+    + 'unless all is true) }. Pass diff or edits, not both. Nothing is written unless every hunk '
+    + 'applies; a diff with only "+" lines against a missing file creates it.',
+  schema: {
+    path: { type: 'string', required: true },
+    diff: { type: 'string', required: false },
+    edits: { type: 'array', required: false }
+  },
+  writeTargets: (args) => [args.path],
+
+  async run(args, ctx = {}) {
+    const hasDiff = typeof args.diff === 'string';
+    const hasEdits = Array.isArray(args.edits);
+    if (hasDiff === hasEdits) {
+      return { ok: false, error: 'pass exactly one of "diff" or "edits"' };
+    }
+    if (hasEdits && args.edits.length === 0) {
+      return { ok: false, error: '"edits" is empty' };
+    }
+
+    const abs = resolveInWorkspace(ctx.workspaceRoot, args.path);
+    let original = null;
+    try {
+      original = await fs.readFile(abs, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    let content;
+    let applied;
+    if (hasEdits) {
+      if (original === null) return { ok: false, error: `file not found: ${args.path}` };
+      const edited = applyEdits(original, args.edits);
+      if (edited.error) return { ok: false, error: `${args.path}: ${edited.error}` };
+      ({ content } = edited);
+      applied = { edits: args.edits.length };
+    } else {
+      let hunks;
+      try {
+        hunks = parseUnifiedDiff(args.diff);
+      } catch (err) {
+        return { ok: false, error: `${args.path}: invalid diff: ${err.message}` };
+      }
+      const creating = original === null;
+      if (creating && hunks.some((h) => h.before.length > 0)) {
+        return { ok: false, error: `file not found: ${args.path} (a diff creating it may only add lines)` };
+      }
+      const text = creating ? '' : original;
+      const finalNewline = text === '' || text.endsWith('\n');
+      const lines = text === '' ? [] : text.split('\n');
+      if (text.endsWith('\n')) lines.pop();
+
+      const patched = applyHunks(lines, hunks);
+      if (patched.error) return { ok: false, error: `${args.path}: ${patched.error}` };
+      const keepNewline = hunks.some((h) => h.noNewline) ? false : finalNewline;
+      content = patched.lines.length === 0 ? '' : patched.lines.join('\n') + (keepNewline ? '\n' : '');
+      applied = { hunks: hunks.length, created: creating };
+    }
+
+    await fs.mkdir(path.dirname(abs), { recursive: true });
+    await fs.writeFile(abs, content, 'utf8');
+
+    return {
+      ok: true,
+      output: {
+        path: args.path,
+        bytes: Buffer.byteLength(content, 'utf8'),
+        ...applied
+      },
+      writes: [args.path]
+    };
+  }
+};
+
+module.exports = { editFileTool };
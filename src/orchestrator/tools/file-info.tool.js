@@ -0,0 +1,134 @@
+/**
+ * file_info tool - describe a workspace file without reading it into context.
+ *
+ * Reports size, line count, language (from the file name) and the last git
+ * commit that touched the file. The commit is looked up with `git log` through
+ * the caller-injected `ctx.execFile` (argv only, like the git tool); without a
+ * runner, or outside a git repository, `lastCommit` is null.
+ *
+ * @module orchestrator/tools/file-info.tool
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { resolveInWorkspace } = require('./workspace');
+
+const MAX_COUNTED_BYTES = 5 * 1024 * 1024; // larger files get no line count
+const BINARY_SNIFF_BYTES = 8 * 1024;
+
+const LANGUAGES = {
+  '.js': 'JavaScript',
+  '.cjs': 'JavaScript',
+  '.mjs': 'JavaScript',
+  '.jsx': 'JavaScript (JSX)',
+  '.ts': 'TypeScript',
+  '.cts': 'TypeScript',
+  '.mts': 'TypeScript',
+  '.tsx': 'TypeScript (TSX)',
+  '.json': 'JSON',
+  '.md': 'Markdown',
+  '.py': 'Python',
+  '.rb': 'Ruby',
+  '.go': 'Go',
+  '.rs': 'Rust',
+  '.java': 'Java',
+  '.kt': 'Kotlin',
+  '.swift': 'Swift',
+  '.c': 'C',
+  '.h': 'C',
+  '.cc': 'C++',
+  '.cpp': 'C++',
+  '.hpp': 'C++',
+  '.cs': 'C#',
+  '.php': 'PHP',
+  '.sh': 'Shell',
+  '.bash': 'Shell',
+  '.sql': 'SQL',
+  '.html': 'HTML',
+  '.css': 'CSS',
+  '.scss': 'SCSS',
+  '.vue': 'Vue',
+  '.xml': 'XML',
+  '.yml': 'YAML',
+  '.yaml': 'YAML',
+  '.toml': 'TOML'
+};
+const NAMED_LANGUAGES = {
+  Dockerfile: 'Dockerfile',
+  Makefile: 'Makefile',
+  '.env': 'dotenv'
+};
+
+function languageOf(file) {
+  const base = path.basename(file);
+  return NAMED_LANGUAGES[base] || LANGUAGES[path.extname(base).toLowerCase()] || null;
+}
+
+/** The line count of a text file, or null for a binary or very large one. */
+async function countLines(abs, size) {
+  if (size > MAX_COUNTED_BYTES) return { lines: null, binary: false };
+  const buf = await fs.readFile(abs);
+  if (buf.subarray(0, BINARY_SNIFF_BYTES).includes(0)) return { lines: null, binary: true };
+  if (buf.length === 0) return { lines: 0, binary: false };
+  let lines = 0;
+  for (let i = buf.indexOf(10); i !== -1; i = buf.indexOf(10, i + 1)) lines += 1;
+  return { lines: buf[buf.length - 1] === 10 ? lines : lines + 1, binary: false };
+}
+
+async function lastCommit(ctx, root, rel) {
+  if (typeof ctx.execFile !== 'function') return null;
+  try {
+    const { stdout } = await ctx.execFile(
+      'git',
+      ['log', '-1', '--format=%H%x00%an%x00%aI%x00%s', '--', rel],
+      { cwd: root, timeout: ctx.gitTimeoutMs || 30000, maxBuffer: 1024 * 1024 }
+    );
+    const [hash, author, date, subject] = stdout.replace(/\n$/, '').split('\0');
+    return hash ? {
+      hash, author, date, subject
+    } : null;
+  } catch {
+    return null; // not a repository, or git is unavailable
+  }
+}
+
+const fileInfoTool = {
+  name: 'file_info',
+  description:
+    'Describe a file or directory without reading it. args: { path: string (relative to '
+    + 'workspace) }. Returns { path, type, size, lines, binary, language, modified, '
+    + 'lastCommit: { hash, author, date, subject } | null }.',
+  schema: {
+    path: { type: 'string', required: true }
+  },
+  readOnly: true,
+
+  async run(args, ctx = {}) {
+    const root = resolveInWorkspace(ctx.workspaceRoot, '.');
+    const abs = resolveInWorkspace(ctx.workspaceRoot, args.path);
+    const stat = await fs.lstat(abs);
+    const rel = path.relative(root, abs).split(path.sep).join('/') || '.';
+
+    let type = 'other';
+    if (stat.isSymbolicLink()) type = 'symlink';
+    else if (stat.isDirectory()) type = 'dir';
+    else if (stat.isFile()) type = 'file';
+
+    const counted = type === 'file' ? await countLines(abs, stat.size) : { lines: null, binary: false };
+    return {
+      ok: true,
+      output: {
+        path: rel,
+        type,
+        size: stat.size,
+        lines: counted.lines,
+        binary: counted.binary,
+        language: type === 'file' ? languageOf(rel) : null,
+        modified: stat.mtime.toISOString(),
+        lastCommit: await lastCommit(ctx, root, rel)
+      }
+    };
+  }
+};
+
+module.exports = { fileInfoTool };
@@ -0,0 +1,65 @@
+/**
+ * find_symbol tool - answer "where is X defined", "who calls X" and "what does
+ * module Y export" for JavaScript and TypeScript code.
+ *
+ * Unlike search_code this reads the syntax tree, so a definition is not confused
+ * with a mention in a comment and a call is attributed to the function making it.
+ * Answers come from the workspace's symbol index, brought up to date before each
+ * query (see ./symbol-index).
+ *
+ * @module orchestrator/tools/find-symbol.tool
+ */
+
+const { indexFor } = require('./symbol-index');
+
+const QUERIES = ['definition', 'callers', 'exports'];
+const DEFAULT_MAX_RESULTS = 50;
+
+function limit(results, maxResults) {
+  return { count: results.length, truncated: results.length > maxResults, results: results.slice(0, maxResults) };
+}
+
+const findSymbolTool = {
+  name: 'find_symbol',
+  description:
+    'Look up JavaScript/TypeScript symbols. args: { query: "definition" | "callers" | "exports", '
+    + 'name?: string (for definition/callers; "Class.method" narrows a method), module?: string '
+    + '(for exports; workspace path, extension optional), maxResults?: number }. definition returns '
+    + '{ file, line, column, kind, container, exported, signature }; callers returns { file, line, '
+    + 'column, caller, receiver, text }; exports returns { file, exports: [{ name, kind, line, local?, from? }] }.',
+  schema: {
+    query: { type: 'string', required: true },
+    name: { type: 'string', required: false },
+    module: { type: 'string', required: false },
+    maxResults: { type: 'number', required: false }
+  },
+  readOnly: true,
+
+  async run(args, ctx = {}) {
+    if (!QUERIES.includes(args.query)) {
+      return { ok: false, error: `query must be one of ${QUERIES.join(', ')}` };
+    }
+    const maxResults = Number.isFinite(args.maxResults) && args.maxResults > 0
+      ? Math.floor(args.maxResults)
+      : DEFAULT_MAX_RESULTS;
+
+    const index = indexFor(ctx.workspaceRoot);
+    await index.refresh();
+
+    if (args.query === 'exports') {
+      if (!args.module) return { ok: false, error: 'query "exports" needs a module' };
+      const found = index.exportsOf(args.module);
+      if (!found) return { ok: false, error: `no indexed JavaScript/TypeScript module at ${args.module}` };
+      return { ok: true, output: { query: args.query, module: args.module, ...found } };
+    }
+
+    if (!args.name) return { ok: false, error: `query "${args.query}" needs a name` };
+    const results = args.query === 'definition' ? index.definitions(args.name) : index.callers(args.name);
+    return {
+      ok: true,
+      output: { query: args.query, name: args.name, ...limit(results, maxResults) }
+    };
+  }
+};
+
+module.exports = { findSymbolTool };
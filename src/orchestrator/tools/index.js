@@ -2,9 +2,12 @@
  * Tool wiring for the agent loop.
  *
  * `createDefaultRegistry` builds a ToolRegistry with the read-only tools that are
- * always safe to expose. Write tools (write_file, git) are additive and gated
- * behind the conflict-resolution machinery — pass `{ includeWrite: true }` to add
- * them once the caller has conflict detection in place.
+ * always safe to expose. Write tools (write_file, edit_file, git, run_command) are
+ * additive and gated behind the conflict-resolution machinery — pass
+ * `{ includeWrite: true }` to add them once the caller has conflict detection in place.
+ * Every registry keeps find_symbol's per-workspace index in step with the writes
+ * its tools report. Teams add their own tools as plugins (see ./plugins), loaded
+ * into a registry with `loadToolPlugins`.
  *
  * @module orchestrator/tools
  */
@@ -12,34 +15,54 @@
 const { ToolRegistry } = require('./tool-registry');
 const { readFileTool } = require('./read-file.tool');
 const { searchCodeTool } = require('./search-code.tool');
+const { listDirectoryTool } = require('./list-directory.tool');
+const { fileInfoTool } = require('./file-info.tool');
+const { findSymbolTool } = require('./find-symbol.tool');
+const { invalidateIndex } = require('./symbol-index');
 const { runTestsTool } = require('./run-tests.tool');
 const { writeFileTool } = require('./write-file.tool');
+const { editFileTool } = require('./edit-file.tool');
 const { gitTool } = require('./git.tool');
+const { runCommandTool } = require('./run-command.tool');
+const { loadToolPlugins } = require('./plugins');
 
 /**
  * @param {Object} [options]
  * @param {Object} [options.logger]
- * @param {boolean} [options.includeWrite=false] - Also register write_file + git.
+ * @param {boolean} [options.includeWrite=false] - Also register write_file, edit_file, git
+ *   + run_command.
  * @returns {ToolRegistry}
  */
 function createDefaultRegistry(options = {}) {
   const registry = new ToolRegistry({ logger: options.logger });
   registry.register(readFileTool);
   registry.register(searchCodeTool);
+  registry.register(listDirectoryTool);
+  registry.register(fileInfoTool);
+  registry.register(findSymbolTool);
   registry.register(runTestsTool);
   if (options.includeWrite) {
     registry.register(writeFileTool);
+    registry.register(editFileTool);
     registry.register(gitTool);
+    registry.register(runCommandTool);
   }
+  registry.onWrite((writes, ctx) => invalidateIndex(ctx.workspaceRoot, writes));
   return registry;
 }
 
 module.exports = {
   ToolRegistry,
   createDefaultRegistry,
+  loadToolPlugins,
   readFileTool,
   searchCodeTool,
+  listDirectoryTool,
+  fileInfoTool,
+  findSymbolTool,
   runTestsTool,
   writeFileTool,
-  gitTool
+  editFileTool,
+  gitTool,
+  runCommandTool
 };
@@ -0,0 +1,153 @@
+/**
+ * list_directory tool - list part of the workspace as a depth-limited tree.
+ *
+ * Entries come in tree order (each directory followed by its contents), with
+ * paths relative to the workspace root. Directories search_code skips
+ * (node_modules, .git, build output, ...) are left out, and symlinks are listed
+ * but never followed, so the listing stays inside the sandbox. A `glob` keeps
+ * only the matching files and the directories leading to them.
+ *
+ * @module orchestrator/tools/list-directory.tool
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { resolveInWorkspace } = require('./workspace');
+const { SKIP_DIRS } = require('./search-code.tool');
+
+const DEFAULT_DEPTH = 2;
+const MAX_DEPTH = 8;
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * Compile a glob: `*` and `?` stay within a path segment, `**` spans segments,
+ * `{a,b}` is an alternation and `[...]` a character class. A pattern without a
+ * slash matches the file name at any depth.
+ * @returns {function(string): boolean} Tests a workspace-relative, /-separated path.
+ */
+function compileGlob(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        const options = glob.slice(i + 1, end).split(',').map((o) => o.replace(/[.+^$()|[\]\\]/g, '\\$&'));
+        source += `(?:${options.join('|')})`;
+        i = end;
+      }
+    } else if (c === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else {
+      source += c.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+  const regex = new RegExp(`^${source}$`);
+  return glob.includes('/')
+    ? (rel) => regex.test(rel)
+    : (rel) => regex.test(rel.slice(rel.lastIndexOf('/') + 1));
+}
+
+const listDirectoryTool = {
+  name: 'list_directory',
+  description:
+    'List files and directories as a tree. args: { path?: string (relative to workspace, '
+    + `default "."), depth?: number (default ${DEFAULT_DEPTH}, max ${MAX_DEPTH}), glob?: string `
+    + '(e.g. "**/*.test.js" or "*.{ts,tsx}"), maxEntries?: number }. Returns entries as '
+    + '{ path, type: "file"|"dir"|"symlink", size? }; a dir at the depth limit has unlisted: true.',
+  schema: {
+    path: { type: 'string', required: false },
+    depth: { type: 'number', required: false },
+    glob: { type: 'string', required: false },
+    maxEntries: { type: 'number', required: false }
+  },
+  readOnly: true,
+
+  async run(args, ctx = {}) {
+    const root = resolveInWorkspace(ctx.workspaceRoot, '.');
+    const start = resolveInWorkspace(ctx.workspaceRoot, args.path || '.');
+    const depth = Number.isFinite(args.depth) && args.depth >= 1
+      ? Math.min(Math.floor(args.depth), MAX_DEPTH)
+      : DEFAULT_DEPTH;
+    const maxEntries = Number.isFinite(args.maxEntries) && args.maxEntries > 0
+      ? Math.floor(args.maxEntries)
+      : DEFAULT_MAX_ENTRIES;
+    let matches;
+    try {
+      matches = args.glob ? compileGlob(args.glob) : null;
+    } catch (err) {
+      return { ok: false, error: `invalid glob: ${err.message}` };
+    }
+
+    const stat = await fs.stat(start);
+    if (!stat.isDirectory()) {
+      return { ok: false, error: `not a directory: ${args.path}` };
+    }
+
+    const toRel = (full) => path.relative(root, full).split(path.sep).join('/');
+
+    // Stop walking once the listing is over the cap; big trees are cut short, not walked.
+    let listed = 0;
+    // Returns the entries under dir (in tree order), or [] if nothing in it matched.
+    async function list(dir, level) {
+      const entries = [];
+      const children = (await fs.readdir(dir, { withFileTypes: true }))
+        .filter((e) => !(e.isDirectory() && SKIP_DIRS.has(e.name)))
+        .sort((a, b) => a.name.localeCompare(b.name));
+      for (const child of children) {
+        if (listed > maxEntries) break;
+        const full = path.join(dir, child.name);
+        const rel = toRel(full);
+        if (child.isDirectory()) {
+          if (level >= depth) {
+            if (!matches) entries.push({ path: rel, type: 'dir', unlisted: true });
+          } else {
+            const below = await list(full, level + 1);
+            if (!matches || below.length > 0) entries.push({ path: rel, type: 'dir' }, ...below);
+          }
+          listed += 1;
+        } else if (!matches || matches(rel)) {
+          if (child.isSymbolicLink()) {
+            entries.push({ path: rel, type: 'symlink' });
+          } else if (child.isFile()) {
+            const { size } = await fs.stat(full).catch(() => ({ size: null }));
+            entries.push({ path: rel, type: 'file', size });
+          }
+          listed += 1;
+        }
+      }
+      return entries;
+    }
+
+    const entries = await list(start, 1);
+    const truncated = entries.length > maxEntries;
+    return {
+      ok: true,
+      output: {
+        path: toRel(start) || '.',
+        depth,
+        count: Math.min(entries.length, maxEntries),
+        truncated,
+        entries: entries.slice(0, maxEntries)
+      }
+    };
+  }
+};
+
+module.exports = { listDirectoryTool, compileGlob };
@@ -0,0 +1,155 @@
+/**
+ * Tool permissions - what an agent may do, derived from its capabilities.
+ *
+ * Each capability in the agent catalogue (services/agent-definitions) maps to a
+ * profile:
+ *
+ *   read-only   - read_file, search_code, list_directory, file_info, find_symbol,
+ *                 run_tests; nothing that changes the workspace (reviewers,
+ *                 planners, analysts)
+ *   docs-writer - read-only + write_file/edit_file under docs/
+ *   test-writer - read-only + write_file/edit_file on test files
+ *   full        - every registered tool, writes anywhere (implementers)
+ *
+ * An agent gets the union of its capabilities' profiles; an agent with no known
+ * capability gets read-only. The resulting policy
+ *
+ *   { agent, profiles: string[], tools: string[] | null, writePaths: string[] | null }
+ *
+ * travels in the tool context as `toolPolicy` and is enforced by
+ * ToolRegistry.invoke: a tool outside `tools` is refused, and a tool that declares
+ * `writeTargets(args)` is refused when a target falls outside `writePaths`. null
+ * means no restriction.
+ *
+ * @module orchestrator/tools/permissions
+ */
+
+const path = require('path');
+const { AGENT_DEFINITIONS } = require('../../services/agent-definitions');
+const { compileGlob } = require('./list-directory.tool');
+const { resolveInWorkspace } = require('./workspace');
+
+const READ_TOOLS = ['read_file', 'search_code', 'list_directory', 'file_info', 'find_symbol', 'run_tests'];
+const SCOPED_WRITE_TOOLS = ['write_file', 'edit_file'];
+
+const PROFILES = {
+  'read-only': { tools: READ_TOOLS, writePaths: [] },
+  'docs-writer': { tools: [...READ_TOOLS, ...SCOPED_WRITE_TOOLS], writePaths: ['docs/**'] },
+  'test-writer': {
+    tools: [...READ_TOOLS, ...SCOPED_WRITE_TOOLS],
+    writePaths: ['test/**', 'tests/**', '**/__tests__/**', '*.test.*', '*.spec.*']
+  },
+  full: { tools: null, writePaths: null }
+};
+
+const CAPABILITY_PROFILES = {
+  planning: 'read-only',
+  research: 'read-only',
+  architecture: 'read-only',
+  coordination: 'read-only',
+  'context-management': 'read-only',
+  orchestration: 'read-only',
+  'code-review': 'read-only',
+  'quality-analysis': 'read-only',
+  'best-practices': 'read-only',
+  'bug-detection': 'read-only',
+  'security-analysis': 'read-only',
+  'vulnerability-scanning': 'read-only',
+  'client-support': 'read-only',
+  documentation: 'docs-writer',
+  'api-docs': 'docs-writer',
+  markdown: 'docs-writer',
+  testing: 'test-writer',
+  coding: 'full',
+  implementation: 'full',
+  debugging: 'full',
+  frontend: 'full',
+  'ui-development': 'full',
+  prototyping: 'full',
+  'rapid-prototyping': 'full',
+  iteration: 'full',
+  backend: 'full',
+  'api-development': 'full',
+  database: 'full',
+  optimization: 'full',
+  refactoring: 'full',
+  performance: 'full',
+  integration: 'full',
+  deployment: 'full',
+  'autonomous-coding': 'full',
+  'complex-problem-solving': 'full',
+  automation: 'full',
+  operations: 'full'
+};
+
+/**
+ * Combine the profiles behind a list of capabilities.
+ * @param {string[]} capabilities
+ * @param {string} [agent] - Named in denials.
+ * @returns {{ agent: string|null, profiles: string[], tools: string[]|null, writePaths: string[]|null }}
+ */
+function policyForCapabilities(capabilities, agent = null) {
+  const profiles = [...new Set(capabilities.map((c) => CAPABILITY_PROFILES[c]).filter(Boolean))];
+  if (profiles.length === 0) profiles.push('read-only');
+  if (profiles.includes('full')) {
+    return {
+      agent, profiles, tools: null, writePaths: null
+    };
+  }
+  const tools = new Set();
+  const writePaths = new Set();
+  for (const name of profiles) {
+    PROFILES[name].tools.forEach((t) => tools.add(t));
+    PROFILES[name].writePaths.forEach((p) => writePaths.add(p));
+  }
+  return {
+    agent, profiles, tools: [...tools], writePaths: [...writePaths]
+  };
+}
+
+/**
+ * The policy of an agent in the catalogue.
+ * @param {string} agentId - A key of AGENT_DEFINITIONS.
+ * @returns {Object|null} null for an unknown agent.
+ */
+function policyForAgent(agentId) {
+  if (!Object.prototype.hasOwnProperty.call(AGENT_DEFINITIONS, agentId)) return null;
+  return policyForCapabilities(AGENT_DEFINITIONS[agentId].capabilities, agentId);
+}
+
+/**
+ * Why `policy` forbids this call, or null if it allows it.
+ * @param {Object} policy
+ * @param {Object} tool - A registered tool.
+ * @param {Object} args
+ * @param {Object} ctx - Tool context (for workspaceRoot).
+ * @returns {string|null}
+ */
+function checkPolicy(policy, tool, args, ctx) {
+  const who = policy.agent ? `agent "${policy.agent}"` : 'this agent';
+  const profile = policy.profiles.join(' + ');
+  if (Array.isArray(policy.tools) && !policy.tools.includes(tool.name)) {
+    return `permission denied: ${who} (${profile}) may not use "${tool.name}"`;
+  }
+  if (!Array.isArray(policy.writePaths) || typeof tool.writeTargets !== 'function') return null;
+
+  const root = resolveInWorkspace(ctx.workspaceRoot, '.');
+  const allowed = policy.writePaths.map(compileGlob);
+  for (const target of tool.writeTargets(args)) {
+    const rel = path.relative(root, resolveInWorkspace(root, target)).split(path.sep).join('/');
+    if (!allowed.some((matches) => matches(rel))) {
+      return policy.writePaths.length === 0
+        ? `permission denied: ${who} (${profile}) may not write files`
+        : `permission denied: ${who} (${profile}) may only write ${policy.writePaths.join(', ')}, not "${rel}"`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  PROFILES,
+  CAPABILITY_PROFILES,
+  policyForCapabilities,
+  policyForAgent,
+  checkPolicy
+};
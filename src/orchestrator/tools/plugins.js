@@ -0,0 +1,178 @@
+/**
+ * Tool plugins - agent tools that live outside this repository.
+ *
+ * A plugin is a module (a file or directory in the plugin directory, or an
+ * installed npm package) exporting:
+ *
+ *   module.exports = {
+ *     name?: string,      // defaults to the package name, or the file name
+ *     version?: string,   // defaults to the version in the plugin's package.json
+ *     tools: [ <tool>, ... ]   // same shape as the built-in tools (see tool-registry)
+ *   };
+ *
+ * Each tool is registered as `<plugin>__<tool>` (the plugin name lower-cased,
+ * anything outside [a-z0-9_-] turned into `_`, so `@acme/jira` becomes
+ * `acme_jira`), which keeps plugins from shadowing built-in tools or each other
+ * and stays a valid provider tool name. A plugin's tools are validated with
+ * ToolRegistry.register on a scratch registry first, so a plugin registers all
+ * of its tools or none.
+ *
+ * A tool that only reads should say so with `readOnly: true`, so an agent can
+ * batch it with other reads in parallel.
+ *
+ * A plugin that fails to load is logged and reported with its error; it never
+ * stops the orchestrator from starting. Plugin tools fall under the same
+ * permissions as the built-ins: only agents with the `full` profile see them
+ * (see ./permissions).
+ *
+ * @module orchestrator/tools/plugins
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ToolRegistry } = require('./tool-registry');
+
+const NAMESPACE_SEPARATOR = '__';
+const PLUGIN_EXTENSIONS = new Set(['.js', '.cjs']);
+
+function namespaceOf(pluginName) {
+  return pluginName.replace(/^@/, '').toLowerCase().replace(/[^a-z0-9_-]+/g, '_');
+}
+
+/** The package.json at or above `file`, or null. */
+function findPackageJson(file) {
+  let dir = path.dirname(file);
+  for (;;) {
+    const candidate = path.join(dir, 'package.json');
+    if (fs.existsSync(candidate)) return JSON.parse(fs.readFileSync(candidate, 'utf8'));
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/** The plugin modules in `dir`: .js/.cjs files and directories with an entry point. */
+function pluginsInDir(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => !entry.name.startsWith('.'))
+    .filter((entry) => (entry.isDirectory()
+      ? fs.existsSync(path.join(dir, entry.name, 'package.json'))
+        || fs.existsSync(path.join(dir, entry.name, 'index.js'))
+      : PLUGIN_EXTENSIONS.has(path.extname(entry.name))))
+    .map((entry) => ({
+      source: 'directory',
+      path: path.join(dir, entry.name),
+      defaultName: entry.isDirectory() ? entry.name : path.basename(entry.name, path.extname(entry.name))
+    }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Load one plugin module and register its tools.
+ * @returns {{ name: string, version: ?string, tools: string[] }}
+ */
+function loadPlugin(registry, spec, loaded) {
+  if (!spec.path) throw new Error(`package "${spec.defaultName}" is not installed`);
+  const entry = require.resolve(spec.path);
+  // eslint-disable-next-line import/no-dynamic-require
+  const exported = require(entry);
+  const mod = exported && exported.default && !exported.tools ? exported.default : exported;
+  if (!mod || !Array.isArray(mod.tools) || mod.tools.length === 0) {
+    throw new Error('plugin must export a non-empty "tools" array');
+  }
+
+  // A package's (or plugin directory's) own package.json names and versions it.
+  let pkg = null;
+  if (spec.source === 'package') {
+    pkg = findPackageJson(entry);
+    if (pkg && pkg.name !== spec.defaultName) pkg = null;
+  } else if (fs.existsSync(path.join(spec.path, 'package.json'))) {
+    pkg = JSON.parse(fs.readFileSync(path.join(spec.path, 'package.json'), 'utf8'));
+  }
+  const name = mod.name || (pkg && pkg.name) || spec.defaultName;
+  const namespace = namespaceOf(name);
+  if (loaded.has(namespace)) throw new Error(`a plugin named "${namespace}" is already loaded`);
+
+  const namespaced = mod.tools.map((tool) => ({
+    ...tool,
+    name: tool && typeof tool.name === 'string' && tool.name.trim() !== ''
+      ? `${namespace}${NAMESPACE_SEPARATOR}${tool.name}`
+      : undefined
+  }));
+  const scratch = new ToolRegistry({ logger: registry.logger });
+  namespaced.forEach((tool) => scratch.register(tool));
+  const clash = namespaced.find((tool) => registry.has(tool.name));
+  if (clash) throw new Error(`tool "${clash.name}" is already registered`);
+  namespaced.forEach((tool) => registry.register(tool));
+  loaded.add(namespace);
+
+  return {
+    name: namespace,
+    version: mod.version || (pkg && pkg.version) || null,
+    tools: namespaced.map((tool) => tool.name)
+  };
+}
+
+/**
+ * Load tool plugins into `registry`.
+ * @param {ToolRegistry} registry
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Directory of plugin modules
+ * @param {string[]} [options.packages] - npm packages exporting a plugin
+ * @param {string} [options.basedir=process.cwd()] - Where packages are resolved from
+ * @param {Object} [options.logger]
+ * @returns {Array<{ name: string, version: ?string, source: 'directory'|'package', module: string,
+ *   tools: string[], status: 'loaded'|'failed', error?: string }>} One record per plugin, in load order.
+ */
+function loadToolPlugins(registry, options = {}) {
+  const logger = options.logger || console;
+  const basedir = options.basedir || process.cwd();
+  const specs = [];
+
+  if (options.dir) {
+    const dir = path.resolve(basedir, options.dir);
+    try {
+      specs.push(...pluginsInDir(dir));
+    } catch (err) {
+      logger.error(`tool plugin directory ${dir} is unreadable: ${err.message}`);
+    }
+  }
+  for (const pkg of options.packages || []) {
+    let resolved = null;
+    try {
+      resolved = require.resolve(pkg, { paths: [basedir] });
+    } catch {
+      // reported as the plugin's load failure
+    }
+    specs.push({ source: 'package', path: resolved, defaultName: pkg });
+  }
+
+  const loaded = new Set();
+  return specs.map((spec) => {
+    const moduleName = spec.source === 'package' ? spec.defaultName : spec.path;
+    try {
+      const plugin = loadPlugin(registry, spec, loaded);
+      const version = plugin.version ? `@${plugin.version}` : '';
+      logger.info(`tool plugin ${plugin.name}${version} loaded: ${plugin.tools.join(', ')}`);
+      return {
+        ...plugin, source: spec.source, module: moduleName, status: 'loaded'
+      };
+    } catch (err) {
+      logger.error(`tool plugin ${moduleName} failed to load: ${err.message}`);
+      return {
+        name: namespaceOf(spec.defaultName),
+        version: null,
+        source: spec.source,
+        module: moduleName,
+        tools: [],
+        status: 'failed',
+        error: err.message
+      };
+    }
+  });
+}
+
+module.exports = {
+  NAMESPACE_SEPARATOR,
+  loadToolPlugins
+};
@@ -18,6 +18,7 @@ const readFileTool = {
     path: { type: 'string', required: true },
     maxBytes: { type: 'number', required: false }
   },
+  readOnly: true,
 
   async run(args, ctx = {}) {
     const abs = resolveInWorkspace(ctx.workspaceRoot, args.path);
@@ -0,0 +1,192 @@
+/**
+ * run_command tool - run an allowlisted program inside the workspace.
+ *
+ * For linters, type checkers and build scripts that run_tests and git do not
+ * cover. Only binaries named in `ctx.allowedCommands` (the project workflow's
+ * `commands`, or the orchestrator's default list) may run, by bare name and with
+ * an argv array — never a shell string — through the injected
+ * `ctx.execFile(file, argsArray, options) -> { stdout, stderr }`.
+ *
+ * Each run is limited (`ctx.commandLimits`): wall time (the process is killed),
+ * CPU seconds (`ulimit -t`, applied by a fixed `sh` wrapper that then execs the
+ * program with the argv untouched) and output size. The child gets a scrubbed
+ * environment — PATH, HOME, locale and temp dir only — so API keys and database
+ * URLs in the orchestrator's environment never reach it.
+ *
+ * The observation has run_tests' shape: a non-zero exit is a valid result
+ * (`passed: false`), not a tool error.
+ *
+ * A program such as `eslint --fix` or a code generator may write files, so the
+ * run reports `writes` like write_file does: the files whose `git status` entry
+ * or content changed between before and after the run (git-ignored output is
+ * not tracked). Those feed conflict detection and the write listeners. In a
+ * shared workspace a sibling agent's writes during the run are reported too,
+ * which errs toward a conflict rather than a missed one. Outside a git work
+ * tree no writes can be seen, and none are reported.
+ *
+ * @module orchestrator/tools/run-command.tool
+ */
+
+const { resolveInWorkspace } = require('./workspace');
+
+const DEFAULT_LIMITS = {
+  wallTimeMs: 2 * 60 * 1000,
+  cpuSeconds: 60,
+  maxOutputBytes: 1024 * 1024
+};
+const OUTPUT_CAP = 20 * 1024; // keep observations small enough for the context window
+const ENV_PASSTHROUGH = ['PATH', 'HOME', 'LANG', 'LC_ALL', 'TZ', 'TMPDIR'];
+const BARE_NAME = /^[A-Za-z0-9][A-Za-z0-9._+-]*$/;
+// Sets the CPU limit, then replaces itself with the program; "$@" keeps the argv as given.
+const LIMIT_WRAPPER = 'ulimit -t "$1" || exit 126; shift; exec "$@"';
+const GIT_TIMEOUT_MS = 30000;
+
+function tail(str, cap) {
+  if (typeof str !== 'string') return '';
+  return str.length > cap ? str.slice(str.length - cap) : str;
+}
+
+/** The orchestrator's environment reduced to what a build tool needs. */
+function scrubbedEnv(source = process.env) {
+  const env = { CI: 'true' };
+  for (const key of ENV_PASSTHROUGH) {
+    if (source[key] !== undefined) env[key] = source[key];
+  }
+  return env;
+}
+
+/**
+ * The work tree's changed files (tracked or untracked), each keyed to its status
+ * and content hash; null when the workspace is not a git work tree.
+ */
+async function worktreeState(execFile, cwd, timeout) {
+  const options = { cwd, timeout, maxBuffer: 10 * 1024 * 1024 };
+  let stdout;
+  try {
+    ({ stdout } = await execFile('git', ['status', '--porcelain', '-z', '--untracked-files=all'], options));
+  } catch {
+    return null;
+  }
+  const entries = stdout.split('\0');
+  const status = new Map();
+  for (let i = 0; i < entries.length; i += 1) {
+    if (entries[i].length < 4) continue;
+    const code = entries[i].slice(0, 2);
+    status.set(entries[i].slice(3), code);
+    // A rename or copy is followed by its source path
+    if (/[RC]/.test(code)) i += 1;
+  }
+
+  const present = [...status].filter(([, code]) => !code.includes('D')).map(([file]) => file);
+  const hashes = new Map();
+  if (present.length > 0) {
+    try {
+      ({ stdout } = await execFile('git', ['hash-object', '--', ...present], options));
+      stdout.split('\n').forEach((hash, i) => { if (i < present.length) hashes.set(present[i], hash); });
+    } catch {
+      // Unhashable (e.g. vanished meanwhile): compare by status alone
+    }
+  }
+  return new Map([...status].map(([file, code]) => [file, `${code} ${hashes.get(file) || ''}`]));
+}
+
+/** The files whose state differs between two worktreeState snapshots, sorted. */
+function changedFiles(before, after) {
+  const files = new Set([...before.keys(), ...after.keys()]);
+  return [...files].filter((file) => before.get(file) !== after.get(file)).sort();
+}
+
+const runCommandTool = {
+  name: 'run_command',
+  description:
+    'Run an allowlisted program (e.g. a linter or type checker) in the workspace. args: '
+    + '{ command: string (bare program name, no shell), args?: string[] }. Returns '
+    + '{ command, passed, exitCode, stdout, stderr, timedOut, truncated }; files it '
+    + 'changed are reported as writes.',
+  schema: {
+    command: { type: 'string', required: true },
+    args: { type: 'array', required: false }
+  },
+
+  async run(args, ctx = {}) {
+    const { execFile } = ctx;
+    if (typeof execFile !== 'function') {
+      return { ok: false, error: 'no execFile runner available in context' };
+    }
+    const allowed = Array.isArray(ctx.allowedCommands) ? ctx.allowedCommands : [];
+    if (!BARE_NAME.test(args.command)) {
+      return { ok: false, error: `command must be a bare program name: ${args.command}` };
+    }
+    if (!allowed.includes(args.command)) {
+      return {
+        ok: false,
+        error: allowed.length > 0
+          ? `command not allowed: ${args.command} (allowed: ${allowed.join(', ')})`
+          : 'no commands are allowed for this project'
+      };
+    }
+    const argv = Array.isArray(args.args) ? args.args : [];
+    if (argv.some((a) => typeof a !== 'string')) {
+      return { ok: false, error: 'args must be an array of strings' };
+    }
+    // Confirm the workspace root resolves (throws if misconfigured).
+    const cwd = resolveInWorkspace(ctx.workspaceRoot, '.');
+    const limits = { ...DEFAULT_LIMITS, ...ctx.commandLimits };
+    const command = [args.command, ...argv].join(' ');
+    const gitTimeout = ctx.gitTimeoutMs || GIT_TIMEOUT_MS;
+    const before = await worktreeState(execFile, cwd, gitTimeout);
+    const withWrites = async (observation) => {
+      const after = before && await worktreeState(execFile, cwd, gitTimeout);
+      const writes = after ? changedFiles(before, after) : [];
+      return writes.length > 0 ? { ...observation, writes } : observation;
+    };
+
+    try {
+      const { stdout, stderr } = await execFile(
+        '/bin/sh',
+        ['-c', LIMIT_WRAPPER, 'run_command', String(limits.cpuSeconds), args.command, ...argv],
+        {
+          cwd,
+          env: scrubbedEnv(),
+          timeout: limits.wallTimeMs,
+          killSignal: 'SIGKILL',
+          maxBuffer: limits.maxOutputBytes
+        }
+      );
+      return withWrites({
+        ok: true,
+        output: {
+          command,
+          passed: true,
+          exitCode: 0,
+          stdout: tail(stdout, OUTPUT_CAP),
+          stderr: tail(stderr, OUTPUT_CAP),
+          timedOut: false,
+          truncated: false
+        }
+      });
+    } catch (err) {
+      const truncated = err.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER';
+      const timedOut = !truncated && err.killed === true && err.signal === 'SIGKILL';
+      let note = '';
+      if (timedOut) note = `\n[killed after ${limits.wallTimeMs}ms wall time]`;
+      else if (err.signal === 'SIGXCPU') note = `\n[killed after ${limits.cpuSeconds}s of CPU time]`;
+      else if (truncated) note = `\n[killed after ${limits.maxOutputBytes} bytes of output]`;
+      return withWrites({
+        ok: true,
+        output: {
+          command,
+          passed: false,
+          exitCode: typeof err.code === 'number' ? err.code : null,
+          signal: err.signal || null,
+          stdout: tail(err.stdout, OUTPUT_CAP),
+          stderr: tail(`${err.stderr || err.message}${note}`, OUTPUT_CAP),
+          timedOut,
+          truncated
+        }
+      });
+    }
+  }
+};
+
+module.exports = { runCommandTool, scrubbedEnv };
@@ -6,22 +6,78 @@
  * `{ stdout, stderr }` and reject with an Error carrying `{ code, stdout, stderr }`
  * on non-zero exit (the shape of `util.promisify(child_process.exec)`).
  *
+ * Where the runner can produce a machine-readable report, the observation also
+ * carries `report` (see test-report): the failing tests with file, name,
+ * assertion message and stack location. `ctx.testReporter` picks the format:
+ *   auto  - Jest if the command or the workspace's `test` script runs jest,
+ *           otherwise TAP if the output is TAP (default)
+ *   jest  - appends `--json --outputFile=<tmp file>` to the command
+ *   tap   - reads TAP from stdout
+ *   junit - reads the JUnit XML file at `ctx.testReportPath` (workspace-relative),
+ *           deleted before the run so a stale report from an earlier run is never read
+ *   none  - no report
+ * With a report the stdout/stderr tails shrink, since the failures are in it.
+ *
  * @module orchestrator/tools/run-tests.tool
  */
 
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { resolveInWorkspace } = require('./workspace');
+const { parseJestReport, parseTap, parseJUnit } = require('./test-report');
+
 const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
 const OUTPUT_CAP = 20 * 1024; // keep observations small enough for the context window
+const REPORTED_OUTPUT_CAP = 4 * 1024;
+const REPORTERS = new Set(['auto', 'jest', 'tap', 'junit', 'none']);
 
 function tail(str, cap) {
   if (typeof str !== 'string') return '';
   return str.length > cap ? str.slice(str.length - cap) : str;
 }
 
+function shellQuote(arg) {
+  return `'${arg.replace(/'/g, "'\\''")}'`;
+}
+
+/** Resolve 'auto' to 'jest' when the command (or the npm test script it runs) is jest. */
+async function resolveReporter(reporter, testCmd, workspaceRoot) {
+  if (reporter !== 'auto') return reporter;
+  if (/\bjest\b/.test(testCmd)) return 'jest';
+  if (/^npm (run )?test\b/.test(testCmd)) {
+    try {
+      const pkg = JSON.parse(await fs.readFile(resolveInWorkspace(workspaceRoot, 'package.json'), 'utf8'));
+      if (pkg.scripts && /\bjest\b/.test(pkg.scripts.test || '')) return 'jest';
+    } catch {
+      // No readable package.json: fall through to TAP detection.
+    }
+  }
+  return 'auto';
+}
+
+/** Read the report for a finished run; null when the runner produced none. */
+async function readReport(reporter, run, ctx) {
+  try {
+    if (reporter === 'jest') return parseJestReport(await fs.readFile(run.reportFile, 'utf8'), ctx.workspaceRoot);
+    if (reporter === 'junit') {
+      if (!run.junitFile) return null;
+      return parseJUnit(await fs.readFile(run.junitFile, 'utf8'), ctx.workspaceRoot);
+    }
+    if (reporter === 'tap' || reporter === 'auto') return parseTap(run.stdout, ctx.workspaceRoot);
+  } catch {
+    // A missing or unreadable report leaves just the raw output.
+  }
+  return null;
+}
+
 const runTestsTool = {
   name: 'run_tests',
   description:
     'Run the project test suite in the workspace. args: { pattern?: string } to '
-    + 'restrict to matching test files. Returns { passed, exitCode, stdout, stderr }.',
+    + 'restrict to matching test files. Returns { passed, exitCode, stdout, stderr, report } '
+    + 'where report (when available) lists failures with file, name, message and location.',
   schema: {
     pattern: { type: 'string', required: false }
   },
@@ -31,10 +87,27 @@ const runTestsTool = {
     if (typeof exec !== 'function') {
       return { ok: false, error: 'no exec runner available in context' };
     }
+    const requested = ctx.testReporter || 'auto';
+    if (!REPORTERS.has(requested)) {
+      return { ok: false, error: `unknown test reporter: ${requested}` };
+    }
 
     const testCmd = ctx.testCommand || 'npm test --silent';
-    const command = args.pattern
-      ? `${testCmd} -- ${args.pattern}`
+    const reporter = await resolveReporter(requested, testCmd, ctx.workspaceRoot);
+    const reportFile = reporter === 'jest'
+      ? path.join(os.tmpdir(), `zekka-jest-${crypto.randomUUID()}.json`)
+      : null;
+    const junitFile = reporter === 'junit' && ctx.testReportPath
+      ? resolveInWorkspace(ctx.workspaceRoot, ctx.testReportPath)
+      : null;
+    // Only a report this run writes describes this run.
+    if (junitFile) await fs.rm(junitFile, { force: true });
+    const extra = [
+      args.pattern,
+      reportFile && `--json --outputFile=${shellQuote(reportFile)}`
+    ].filter(Boolean);
+    const command = extra.length > 0
+      ? `${testCmd} -- ${extra.join(' ')}`
       : testCmd;
 
     const options = {
@@ -43,29 +116,35 @@ const runTestsTool = {
       maxBuffer: 10 * 1024 * 1024
     };
 
+    let run;
     try {
       const { stdout, stderr } = await exec(command, options);
-      return {
-        ok: true,
-        output: {
-          passed: true,
-          exitCode: 0,
-          stdout: tail(stdout, OUTPUT_CAP),
-          stderr: tail(stderr, OUTPUT_CAP)
-        }
+      run = {
+        passed: true, exitCode: 0, stdout, stderr
       };
     } catch (err) {
       // Non-zero exit == failing tests: a valid observation, not a tool error.
-      return {
-        ok: true,
-        output: {
-          passed: false,
-          exitCode: typeof err.code === 'number' ? err.code : 1,
-          stdout: tail(err.stdout, OUTPUT_CAP),
-          stderr: tail(err.stderr || err.message, OUTPUT_CAP)
-        }
+      run = {
+        passed: false,
+        exitCode: typeof err.code === 'number' ? err.code : 1,
+        stdout: err.stdout,
+        stderr: err.stderr || err.message
       };
     }
+
+    const report = reporter === 'none' ? null : await readReport(reporter, { ...run, reportFile, junitFile }, ctx);
+    if (reportFile) await fs.rm(reportFile, { force: true });
+    const cap = report ? REPORTED_OUTPUT_CAP : OUTPUT_CAP;
+    return {
+      ok: true,
+      output: {
+        passed: run.passed,
+        exitCode: run.exitCode,
+        stdout: tail(run.stdout, cap),
+        stderr: tail(run.stderr, cap),
+        report
+      }
+    };
   }
 };
 
@@ -43,6 +43,7 @@ const searchCodeTool = {
     query: { type: 'string', required: true },
     maxResults: { type: 'number', required: false }
   },
+  readOnly: true,
 
   async run(args, ctx = {}) {
     const root = resolveInWorkspace(ctx.workspaceRoot, '.');
@@ -99,4 +100,4 @@ const searchCodeTool = {
   }
 };
 
-module.exports = { searchCodeTool };
+module.exports = { searchCodeTool, SKIP_DIRS };
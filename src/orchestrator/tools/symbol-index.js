@@ -0,0 +1,358 @@
+/**
+ * Symbol index - definitions, call sites and exports of a JS/TS workspace.
+ *
+ * Files are parsed with the TypeScript compiler API (which reads plain
+ * JavaScript too) into three lists per file: the symbols it defines, the calls
+ * it makes and what it exports, ES module or CommonJS. One index is kept per
+ * workspace root. It is incremental: before every query the workspace is
+ * walked and only files whose size or mtime changed are parsed again, and files
+ * reported by a write tool (`invalidate`) are always parsed again, whatever
+ * their timestamps say.
+ *
+ * @module orchestrator/tools/symbol-index
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { resolveInWorkspace } = require('./workspace');
+const { SKIP_DIRS } = require('./search-code.tool');
+
+const SOURCE_EXTENSIONS = new Set(['.js', '.cjs', '.mjs', '.jsx', '.ts', '.cts', '.mts', '.tsx']);
+const MAX_FILE_BYTES = 1024 * 1024;
+const MAX_INDEXES = 16; // one per workspace root; worktrees each get their own
+
+let ts = null;
+function typescript() {
+  // Loaded on first use: the compiler is large and most runs never search symbols.
+  if (!ts) ts = require('typescript');
+  return ts;
+}
+
+function scriptKind(file) {
+  const { ScriptKind } = typescript();
+  const ext = path.extname(file);
+  if (ext === '.tsx') return ScriptKind.TSX;
+  if (ext === '.jsx') return ScriptKind.JSX;
+  if (ext === '.ts' || ext === '.mts' || ext === '.cts') return ScriptKind.TS;
+  return ScriptKind.JS;
+}
+
+function hasExportModifier(node) {
+  const { SyntaxKind } = typescript();
+  const modifiers = (typescript().canHaveModifiers(node) && typescript().getModifiers(node)) || [];
+  return {
+    exported: modifiers.some((m) => m.kind === SyntaxKind.ExportKeyword),
+    isDefault: modifiers.some((m) => m.kind === SyntaxKind.DefaultKeyword)
+  };
+}
+
+/** `module.exports`, `exports` or `module.exports.x` / `exports.x`; the exported name or '' for the whole module. */
+function commonJsTarget(node) {
+  const t = typescript();
+  if (t.isIdentifier(node) && node.text === 'exports') return '';
+  if (!t.isPropertyAccessExpression(node)) return null;
+  if (t.isIdentifier(node.expression) && node.expression.text === 'module' && node.name.text === 'exports') return '';
+  const parent = commonJsTarget(node.expression);
+  return parent === '' ? node.name.text : null;
+}
+
+function kindOfValue(node) {
+  const t = typescript();
+  if (!node) return 'variable';
+  if (t.isArrowFunction(node) || t.isFunctionExpression(node)) return 'function';
+  if (t.isClassExpression(node)) return 'class';
+  return 'variable';
+}
+
+/**
+ * Parse one file's source.
+ * @returns {{ definitions: Object[], calls: Object[], exports: Object[] }}
+ */
+function parseSource(file, text) {
+  const t = typescript();
+  const source = t.createSourceFile(file, text, t.ScriptTarget.Latest, true, scriptKind(file));
+  const lines = text.split('\n');
+  const definitions = [];
+  const calls = [];
+  const exports = [];
+
+  const position = (node) => {
+    const { line, character } = source.getLineAndCharacterOfPosition(node.getStart(source));
+    return { line: line + 1, column: character + 1 };
+  };
+  const lineText = (line) => (lines[line - 1] || '').trim().slice(0, 200);
+  const define = (nameNode, kind, node, extra = {}) => {
+    const at = position(nameNode);
+    definitions.push({
+      name: nameNode.text,
+      kind,
+      ...at,
+      signature: lineText(position(node).line),
+      container: null,
+      exported: false,
+      ...extra
+    });
+  };
+  const exportName = (name, kind, node, extra = {}) => {
+    exports.push({
+      name, kind, line: position(node).line, ...extra
+    });
+  };
+
+  function visit(node, container, caller) {
+    let nextContainer = container;
+    let nextCaller = caller;
+
+    if (t.isFunctionDeclaration(node) || t.isClassDeclaration(node)
+      || t.isInterfaceDeclaration(node) || t.isTypeAliasDeclaration(node) || t.isEnumDeclaration(node)) {
+      let kind = 'function';
+      if (t.isClassDeclaration(node)) kind = 'class';
+      else if (t.isInterfaceDeclaration(node)) kind = 'interface';
+      else if (t.isTypeAliasDeclaration(node)) kind = 'type';
+      else if (t.isEnumDeclaration(node)) kind = 'enum';
+      const { exported, isDefault } = hasExportModifier(node);
+      if (node.name) define(node.name, kind, node, { container, exported });
+      if (exported) exportName(isDefault ? 'default' : node.name.text, kind, node, isDefault && node.name ? { local: node.name.text } : {});
+      if (node.name && kind === 'class') nextContainer = node.name.text;
+      if (node.name && kind === 'function') nextCaller = node.name.text;
+    } else if (t.isVariableStatement(node)) {
+      const { exported } = hasExportModifier(node);
+      for (const decl of node.declarationList.declarations) {
+        if (!t.isIdentifier(decl.name)) continue;
+        const kind = kindOfValue(decl.initializer);
+        define(decl.name, kind, node, { container, exported });
+        if (exported) exportName(decl.name.text, kind, decl);
+      }
+    } else if (t.isVariableDeclaration(node) && t.isIdentifier(node.name)
+      && node.initializer && kindOfValue(node.initializer) === 'function') {
+      nextCaller = node.name.text;
+    } else if ((t.isMethodDeclaration(node) || t.isGetAccessor(node) || t.isSetAccessor(node)
+      || t.isPropertyDeclaration(node) || t.isMethodSignature(node)) && node.name
+      && (t.isIdentifier(node.name) || t.isPrivateIdentifier(node.name))) {
+      const kind = t.isPropertyDeclaration(node) ? kindOfValue(node.initializer) : 'method';
+      define(node.name, kind === 'variable' ? 'property' : 'method', node, { container });
+      if (kind !== 'variable') nextCaller = container ? `${container}.${node.name.text}` : node.name.text;
+    } else if (t.isExportAssignment(node)) {
+      const local = t.isIdentifier(node.expression) ? node.expression.text : undefined;
+      exportName('default', kindOfValue(node.expression), node, local ? { local } : {});
+    } else if (t.isExportDeclaration(node)) {
+      const from = node.moduleSpecifier && t.isStringLiteral(node.moduleSpecifier)
+        ? node.moduleSpecifier.text
+        : undefined;
+      if (!node.exportClause) {
+        exportName('*', 'reexport', node, { from });
+      } else if (t.isNamedExports(node.exportClause)) {
+        for (const spec of node.exportClause.elements) {
+          const local = (spec.propertyName || spec.name).text;
+          exportName(spec.name.text, from ? 'reexport' : 'binding', spec, {
+            ...(local !== spec.name.text ? { local } : {}), ...(from ? { from } : {})
+          });
+        }
+      } else {
+        exportName(node.exportClause.name.text, 'reexport', node, { from });
+      }
+    } else if (t.isBinaryExpression(node) && node.operatorToken.kind === t.SyntaxKind.EqualsToken) {
+      const target = commonJsTarget(node.left);
+      if (target === '' && t.isObjectLiteralExpression(node.right)) {
+        // module.exports = { a, b: c, d() {} }
+        for (const prop of node.right.properties) {
+          if (!prop.name || !t.isIdentifier(prop.name)) continue;
+          let kind = 'binding';
+          if (t.isMethodDeclaration(prop)) kind = 'function';
+          else if (t.isPropertyAssignment(prop)) kind = kindOfValue(prop.initializer);
+          const local = t.isPropertyAssignment(prop) && t.isIdentifier(prop.initializer)
+            ? prop.initializer.text
+            : undefined;
+          exportName(prop.name.text, kind === 'variable' && local ? 'binding' : kind, prop,
+            local && local !== prop.name.text ? { local } : {});
+        }
+      } else if (target === '') {
+        const local = t.isIdentifier(node.right) ? node.right.text : undefined;
+        exportName('module.exports', kindOfValue(node.right), node, local ? { local } : {});
+      } else if (target) {
+        const kind = kindOfValue(node.right);
+        exportName(target, kind, node);
+        define(node.left.name, kind, node, { container: null, exported: true });
+        if (kind === 'function') nextCaller = target;
+      }
+    } else if (t.isCallExpression(node) || t.isNewExpression(node)) {
+      let callee = node.expression;
+      if (t.isNonNullExpression(callee)) callee = callee.expression;
+      let name = null;
+      let receiver = null;
+      if (t.isIdentifier(callee)) name = callee.text;
+      else if (t.isPropertyAccessExpression(callee)) {
+        name = callee.name.text;
+        receiver = callee.expression.getText(source).slice(0, 80);
+      }
+      if (name) {
+        const at = position(node);
+        calls.push({
+          name, receiver, ...at, caller: caller || '<module>', text: lineText(at.line)
+        });
+      }
+    }
+
+    t.forEachChild(node, (child) => visit(child, nextContainer, nextCaller));
+  }
+
+  visit(source, null, null);
+  // Locals exported through `export { a }` / `module.exports = { a }` count as exported definitions.
+  const exportedLocals = new Set(exports.filter((e) => !e.from).map((e) => e.local || e.name));
+  for (const def of definitions) {
+    if (!def.container && exportedLocals.has(def.name)) def.exported = true;
+  }
+  return { definitions, calls, exports };
+}
+
+class SymbolIndex {
+  /** @param {string} workspaceRoot */
+  constructor(workspaceRoot) {
+    this.root = resolveInWorkspace(workspaceRoot, '.');
+    this.files = new Map(); // rel -> { size, mtimeMs, definitions, calls, exports, error? }
+    this.dirty = new Set();
+    this.refreshing = null;
+  }
+
+  /** Mark files as changed, so the next refresh parses them again. */
+  invalidate(files) {
+    for (const file of files) {
+      const abs = resolveInWorkspace(this.root, file);
+      this.dirty.add(path.relative(this.root, abs).split(path.sep).join('/'));
+    }
+  }
+
+  /**
+   * Bring the index up to date with the workspace. Calls made while a refresh is
+   * running (parallel find_symbol calls) share it.
+   * @returns {Promise<{ files: number, parsed: number }>}
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.scan().finally(() => { this.refreshing = null; });
+    }
+    return this.refreshing;
+  }
+
+  async scan() {
+    const seen = new Set();
+    let parsed = 0;
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!SKIP_DIRS.has(entry.name) && !entry.name.startsWith('.')) await walk(full);
+          continue;
+        }
+        if (!entry.isFile() || !SOURCE_EXTENSIONS.has(path.extname(entry.name))
+          || entry.name.endsWith('.min.js')) continue;
+        const rel = path.relative(this.root, full).split(path.sep).join('/');
+        let stat;
+        try {
+          stat = await fs.stat(full);
+        } catch {
+          continue;
+        }
+        if (stat.size > MAX_FILE_BYTES) continue;
+        seen.add(rel);
+        const known = this.files.get(rel);
+        if (known && !this.dirty.has(rel) && known.size === stat.size && known.mtimeMs === stat.mtimeMs) continue;
+        await this.parseFile(rel, full, stat);
+        parsed += 1;
+      }
+    };
+
+    await walk(this.root);
+    for (const rel of this.files.keys()) {
+      if (!seen.has(rel)) this.files.delete(rel);
+    }
+    this.dirty.clear();
+    return { files: this.files.size, parsed };
+  }
+
+  async parseFile(rel, full, stat) {
+    let entry;
+    try {
+      entry = parseSource(rel, await fs.readFile(full, 'utf8'));
+    } catch (err) {
+      entry = {
+        definitions: [], calls: [], exports: [], error: err.message
+      };
+    }
+    this.files.set(rel, { size: stat.size, mtimeMs: stat.mtimeMs, ...entry });
+  }
+
+  /** Where `name` is defined; `name` may be qualified with its class ("Cart.total"). */
+  definitions(name) {
+    const [container, member] = name.includes('.') ? name.split('.', 2) : [null, name];
+    const found = [];
+    for (const [file, entry] of this.files) {
+      for (const def of entry.definitions) {
+        if (def.name === member && (!container || def.container === container)) found.push({ file, ...def });
+      }
+    }
+    // Exported and top-level definitions first: those are what callers usually mean.
+    return found.sort((a, b) => (b.exported - a.exported) || ((a.container ? 1 : 0) - (b.container ? 1 : 0)));
+  }
+
+  /** Call sites of `name`, as a plain call (`x()`), a method call (`a.x()`) or `new x()`. */
+  callers(name) {
+    const found = [];
+    for (const [file, entry] of this.files) {
+      for (const call of entry.calls) {
+        if (call.name === name) found.push({ file, ...call });
+      }
+    }
+    return found;
+  }
+
+  /**
+   * What a module exports. `module` is a workspace path, with or without its
+   * extension, or a directory with an index file.
+   * @returns {{ file: string, exports: Object[] } | null}
+   */
+  exportsOf(module) {
+    const base = module.replace(/^\.?[/\\]+/, '').split(path.sep).join('/').replace(/\/$/, '');
+    const candidates = [base, ...[...SOURCE_EXTENSIONS].map((ext) => `${base}${ext}`),
+      ...[...SOURCE_EXTENSIONS].map((ext) => `${base}/index${ext}`)];
+    const file = candidates.find((c) => this.files.has(c));
+    return file ? { file, exports: this.files.get(file).exports } : null;
+  }
+}
+
+const indexes = new Map();
+
+/** The (cached) index for a workspace root. */
+function indexFor(workspaceRoot) {
+  const root = resolveInWorkspace(workspaceRoot, '.');
+  let index = indexes.get(root);
+  if (index) {
+    indexes.delete(root); // re-insert as most recently used
+  } else {
+    index = new SymbolIndex(root);
+    if (indexes.size >= MAX_INDEXES) indexes.delete(indexes.keys().next().value);
+  }
+  indexes.set(root, index);
+  return index;
+}
+
+/** Tell the workspace's index (if it has one) that files were written. */
+function invalidateIndex(workspaceRoot, files) {
+  if (typeof workspaceRoot !== 'string' || workspaceRoot.trim() === '') return;
+  const index = indexes.get(resolveInWorkspace(workspaceRoot, '.'));
+  if (index) index.invalidate(files);
+}
+
+module.exports = {
+  SymbolIndex,
+  parseSource,
+  indexFor,
+  invalidateIndex
+};
@@ -0,0 +1,261 @@
+/**
+ * Test reports - turn a test runner's machine-readable output into failures an
+ * agent can act on.
+ *
+ * Three formats are read: Jest's `--json` report, TAP (node --test, tape, ...),
+ * and JUnit XML (jest-junit, pytest --junitxml, most CI reporters). Each parser
+ * returns the same summary:
+ *
+ *   { format, total, passed, failed, skipped,
+ *     failures: [{ file, name, message, location: { file, line, column } | null }] }
+ *
+ * `location` is the first stack frame in the project (outside node_modules),
+ * preferring the test file itself; paths are made relative to the workspace.
+ *
+ * @module orchestrator/tools/test-report
+ */
+
+const path = require('path');
+const YAML = require('yaml');
+
+const MAX_FAILURES = 50;
+const MAX_MESSAGE_CHARS = 2000;
+// "at fn (/abs/file.js:12:5)", "at /abs/file.js:12:5" or a bare "/abs/file.js:12:5"
+const FRAME = /(?:\(|\s|^)((?:[A-Za-z]:)?[^\s():]+):(\d+):(\d+)\)?/g;
+// eslint-disable-next-line no-control-regex
+const ANSI = /\u001b\[[0-9;]*m/g;
+
+function relativeTo(workspaceRoot, file) {
+  if (!workspaceRoot || !path.isAbsolute(file)) return file;
+  const rel = path.relative(workspaceRoot, file);
+  return rel.startsWith('..') ? file : rel;
+}
+
+function clip(text) {
+  const clean = String(text || '').replace(ANSI, '').trim();
+  return clean.length > MAX_MESSAGE_CHARS ? `${clean.slice(0, MAX_MESSAGE_CHARS)}…` : clean;
+}
+
+/** Split an error dump into its message (the lines before the stack) and stack. */
+function splitStack(text) {
+  const clean = String(text || '').replace(ANSI, '');
+  const at = clean.search(/\n\s+at /);
+  return at === -1 ? { message: clean, stack: '' } : { message: clean.slice(0, at), stack: clean.slice(at) };
+}
+
+/**
+ * The stack frame to point the agent at: in the test file if one is, otherwise
+ * the first frame outside node_modules and node internals.
+ */
+function findLocation(stack, workspaceRoot, testFile) {
+  const frames = [];
+  for (const match of String(stack || '').matchAll(FRAME)) {
+    const file = match[1];
+    if (file.includes('node_modules') || file.startsWith('node:') || file.startsWith('internal/')) continue;
+    frames.push({ file: relativeTo(workspaceRoot, file), line: Number(match[2]), column: Number(match[3]) });
+  }
+  const own = testFile && frames.find((f) => f.file === testFile);
+  return own || frames[0] || null;
+}
+
+function summary(format, counts, failures) {
+  return {
+    format,
+    total: counts.total,
+    passed: counts.passed,
+    failed: counts.failed,
+    skipped: counts.skipped,
+    failures: failures.slice(0, MAX_FAILURES),
+    truncated: failures.length > MAX_FAILURES
+  };
+}
+
+/**
+ * Read a Jest `--json` report.
+ * @param {string|Object} report - The report file's content, or the parsed object.
+ * @param {string} [workspaceRoot]
+ * @returns {Object|null} null if it is not a Jest report.
+ */
+function parseJestReport(report, workspaceRoot) {
+  let data = report;
+  if (typeof report === 'string') {
+    try {
+      data = JSON.parse(report);
+    } catch {
+      return null;
+    }
+  }
+  if (!data || !Array.isArray(data.testResults)) return null;
+
+  const failures = [];
+  for (const suite of data.testResults) {
+    const file = relativeTo(workspaceRoot, suite.name || suite.testFilePath || '');
+    const failedTests = (suite.assertionResults || []).filter((t) => t.status === 'failed');
+    for (const test of failedTests) {
+      const dump = (test.failureMessages || []).join('\n');
+      const { message, stack } = splitStack(dump);
+      const location = test.location && test.location.line
+        ? { file, line: test.location.line, column: test.location.column || 0 }
+        : null;
+      failures.push({
+        file,
+        name: test.fullName || [...(test.ancestorTitles || []), test.title].join(' '),
+        message: clip(message),
+        location: findLocation(stack, workspaceRoot, file) || location
+      });
+    }
+    // A suite that failed without a failing test did not run (syntax error, bad import, ...).
+    if (failedTests.length === 0 && suite.status === 'failed' && suite.message) {
+      const { message, stack } = splitStack(suite.message);
+      failures.push({
+        file,
+        name: '(test file failed to run)',
+        message: clip(message),
+        location: findLocation(stack, workspaceRoot, file)
+      });
+    }
+  }
+
+  return summary('jest', {
+    total: data.numTotalTests || 0,
+    passed: data.numPassedTests || 0,
+    failed: data.numFailedTests || 0,
+    skipped: (data.numPendingTests || 0) + (data.numTodoTests || 0)
+  }, failures);
+}
+
+/** The YAML diagnostic block following a TAP test point, if any. */
+function readTapDiagnostics(lines, start) {
+  const open = lines[start] && /^(\s*)---\s*$/.exec(lines[start]);
+  if (!open) return { diagnostics: null, next: start };
+  const body = [];
+  let i = start + 1;
+  for (; i < lines.length && !/^\s*\.\.\.\s*$/.test(lines[i]); i++) {
+    body.push(lines[i].slice(open[1].length));
+  }
+  try {
+    return { diagnostics: YAML.parse(body.join('\n')) || null, next: i + 1 };
+  } catch {
+    return { diagnostics: null, next: i + 1 };
+  }
+}
+
+/**
+ * Read TAP output. Subtests are indented before their parent's test point; only
+ * the innermost tests are counted.
+ * @param {string} text
+ * @param {string} [workspaceRoot]
+ * @returns {Object|null} null if the text holds no TAP test points.
+ */
+function parseTap(text, workspaceRoot) {
+  const lines = String(text || '').replace(ANSI, '').split(/\r?\n/);
+  const points = [];
+  for (let i = 0; i < lines.length; i++) {
+    const point = /^(\s*)(not ok|ok)\b\s*\d*\s*(?:-\s*)?(.*)$/.exec(lines[i]);
+    if (!point) continue;
+    const [, indent, status, rest] = point;
+    const directive = /#\s*(skip|todo)\b/i.exec(rest);
+    const { diagnostics, next } = readTapDiagnostics(lines, i + 1);
+    points.push({
+      depth: indent.length,
+      ok: status === 'ok',
+      skipped: Boolean(directive),
+      name: rest.replace(/\s*#\s*(skip|todo)\b.*$/i, '').trim(),
+      diagnostics
+    });
+    i = next - 1;
+  }
+  if (points.length === 0) return null;
+
+  const leaves = points.filter((p, i) => i === 0 || points[i - 1].depth <= p.depth);
+  const failures = leaves.filter((p) => !p.ok && !p.skipped).map((p) => {
+    const d = p.diagnostics || {};
+    const message = d.message || d.error || (d.operator ? `${d.operator} failed` : '') || p.name;
+    const where = [d.location, d.at, d.stack].filter((v) => typeof v === 'string').join('\n');
+    const location = findLocation(where, workspaceRoot, null);
+    return {
+      file: location ? location.file : null,
+      name: p.name,
+      message: clip(typeof message === 'string' ? message : JSON.stringify(message)),
+      location
+    };
+  });
+  const skipped = leaves.filter((p) => p.skipped).length;
+
+  return summary('tap', {
+    total: leaves.length,
+    passed: leaves.filter((p) => p.ok && !p.skipped).length,
+    failed: failures.length,
+    skipped
+  }, failures);
+}
+
+function decodeXml(text) {
+  return String(text || '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_m, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+function xmlAttributes(tag) {
+  const attrs = {};
+  for (const match of tag.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attrs[match[1]] = decodeXml(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attrs;
+}
+
+/**
+ * Read a JUnit XML report.
+ * @param {string} xml
+ * @param {string} [workspaceRoot]
+ * @returns {Object|null} null if it holds no test cases.
+ */
+function parseJUnit(xml, workspaceRoot) {
+  const cases = [...String(xml || '').matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g)];
+  if (cases.length === 0) return null;
+
+  const failures = [];
+  let skipped = 0;
+  for (const [, attrText, body = ''] of cases) {
+    const attrs = xmlAttributes(attrText);
+    if (/<skipped\b/.test(body)) {
+      skipped += 1;
+      continue;
+    }
+    const failure = /<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/.exec(body);
+    if (!failure) continue;
+    const details = xmlAttributes(failure[2]);
+    const dump = decodeXml(failure[3]);
+    const { message, stack } = splitStack(dump);
+    const file = attrs.file ? relativeTo(workspaceRoot, attrs.file) : null;
+    const location = findLocation(stack || dump, workspaceRoot, file)
+      || (file && attrs.line ? { file, line: Number(attrs.line), column: 0 } : null);
+    failures.push({
+      file: file || (location && location.file) || attrs.classname || null,
+      name: attrs.classname && attrs.name && !attrs.name.includes(attrs.classname)
+        ? `${attrs.classname} ${attrs.name}`
+        : attrs.name || attrs.classname || '(unnamed test)',
+      message: clip(details.message || message),
+      location
+    });
+  }
+
+  return summary('junit', {
+    total: cases.length,
+    passed: cases.length - failures.length - skipped,
+    failed: failures.length,
+    skipped
+  }, failures);
+}
+
+module.exports = {
+  parseJestReport,
+  parseTap,
+  parseJUnit,
+  findLocation
+};
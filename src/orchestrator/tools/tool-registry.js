@@ -7,17 +7,23 @@
  *     description: string,
  *     schema: { <argName>: { type: 'string'|'number'|'boolean'|'array'|'object',
  *                            required?: boolean } },
- *     run: async (args, ctx) => any
+ *     run: async (args, ctx) => any,
+ *     writeTargets?: (args) => string[],  // files the call would write
+ *     readOnly?: boolean                   // no side effects; safe to run in parallel
  *   }
  *
  * The registry validates `args` against `schema` before dispatch (so a malformed
  * model action becomes a structured error the agent can recover from, never a
  * thrown exception that kills the loop) and exposes `describe()` to render the
- * tool catalogue into the agent prompt.
+ * tool catalogue into the agent prompt. Listeners added with `onWrite()` hear
+ * about every successful call that reports `writes`, so caches built over the
+ * workspace (the symbol index) can drop what a write made stale.
  *
  * @module orchestrator/tools/tool-registry
  */
 
+const { checkPolicy } = require('./permissions');
+
 const VALID_TYPES = new Set(['string', 'number', 'boolean', 'array', 'object']);
 
 function typeOf(value) {
@@ -30,6 +36,19 @@ class ToolRegistry {
   constructor(options = {}) {
     this.logger = options.logger || console;
     this.tools = new Map();
+    this.writeListeners = [];
+  }
+
+  /**
+   * Call `listener(writes, ctx)` after each successful tool call that wrote files.
+   * A listener that throws is logged and does not affect the observation.
+   * @param {Function} listener
+   * @returns {ToolRegistry} this (chainable)
+   */
+  onWrite(listener) {
+    if (typeof listener !== 'function') throw new Error('onWrite listener must be a function');
+    this.writeListeners.push(listener);
+    return this;
   }
 
   /**
@@ -51,7 +70,9 @@ class ToolRegistry {
       name: tool.name,
       description: tool.description || '',
       schema: tool.schema || {},
-      run: tool.run
+      run: tool.run,
+      writeTargets: typeof tool.writeTargets === 'function' ? tool.writeTargets : null,
+      readOnly: tool.readOnly === true
     });
     return this;
   }
@@ -61,6 +82,17 @@ class ToolRegistry {
     return this.tools.has(name);
   }
 
+  /**
+   * Whether a tool declared itself free of side effects, so several calls of it
+   * may run at once. Unknown tools are not.
+   * @param {string} name
+   * @returns {boolean}
+   */
+  isReadOnly(name) {
+    const tool = this.tools.get(name);
+    return Boolean(tool && tool.readOnly);
+  }
+
   /** @returns {string[]} registered tool names */
   names() {
     return [...this.tools.keys()];
@@ -68,14 +100,17 @@ class ToolRegistry {
 
   /**
    * Machine-readable tool catalogue for prompt construction.
+   * @param {string[]|null} [allowed] - Restrict the catalogue to these names.
    * @returns {Array<{name: string, description: string, schema: Object}>}
    */
-  describe() {
-    return [...this.tools.values()].map(({ name, description, schema }) => ({
-      name,
-      description,
-      schema
-    }));
+  describe(allowed = null) {
+    return [...this.tools.values()]
+      .filter(({ name }) => !Array.isArray(allowed) || allowed.includes(name))
+      .map(({ name, description, schema }) => ({
+        name,
+        description,
+        schema
+      }));
   }
 
   /**
@@ -112,7 +147,11 @@ class ToolRegistry {
    *
    * @param {string} name
    * @param {Object} args
-   * @param {Object} ctx - Execution context passed to the tool (workspaceRoot, etc.)
+   * @param {Object} ctx - Execution context passed to the tool (workspaceRoot, etc.).
+   *   `ctx.allowedTools`, when an array, is the caller's allowlist (e.g. a workflow
+   *   stage's `tools`); calls outside it are refused without running the tool.
+   *   `ctx.toolPolicy` (see ./permissions) refuses tools the agent's capabilities
+   *   do not grant, and writes outside its `writePaths`.
    * @returns {Promise<{ ok: boolean, output?: *, error?: string, writes?: string[] }>}
    */
   async invoke(name, args, ctx = {}) {
@@ -120,6 +159,9 @@ class ToolRegistry {
     if (!tool) {
       return { ok: false, error: `unknown tool "${name}"` };
     }
+    if (Array.isArray(ctx.allowedTools) && !ctx.allowedTools.includes(name)) {
+      return { ok: false, error: `tool "${name}" is not allowed in this stage` };
+    }
 
     const { valid, errors } = this.validateArgs(tool.schema, args);
     if (!valid) {
@@ -127,9 +169,14 @@ class ToolRegistry {
     }
 
     try {
+      const denial = ctx.toolPolicy ? checkPolicy(ctx.toolPolicy, tool, args || {}, ctx) : null;
+      if (denial) return { ok: false, error: denial };
       const result = await tool.run(args || {}, ctx);
       // A tool may return a fully-formed observation ({ ok, ... }) or a raw value.
       if (result && typeof result === 'object' && typeof result.ok === 'boolean') {
+        if (result.ok && Array.isArray(result.writes) && result.writes.length > 0) {
+          this.notifyWrites(name, result.writes, ctx);
+        }
         return result;
       }
       return { ok: true, output: result };
@@ -138,6 +185,16 @@ class ToolRegistry {
       return { ok: false, error: err.message };
     }
   }
+
+  notifyWrites(name, writes, ctx) {
+    for (const listener of this.writeListeners) {
+      try {
+        listener(writes, ctx);
+      } catch (err) {
+        this.logger.warn(`write listener failed after "${name}": ${err.message}`);
+      }
+    }
+  }
 }
 
 module.exports = { ToolRegistry };
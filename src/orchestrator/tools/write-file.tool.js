@@ -21,6 +21,7 @@ const writeFileTool = {
     path: { type: 'string', required: true },
     content: { type: 'string', required: true }
   },
+  writeTargets: (args) => [args.path],
 
   async run(args, ctx = {}) {
     const abs = resolveInWorkspace(ctx.workspaceRoot, args.path);
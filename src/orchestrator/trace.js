@@ -0,0 +1,111 @@
+/**
+ * Execution traces - step-level records of agent runs, and their replay.
+ *
+ * AgentRunner hands every step to a tracer; the orchestrator stores them in
+ * `orchestration_task_steps`, one row per step of each run (`run_id`) of a task.
+ * A recorded run can be replayed: the agent loop runs again, but the model's
+ * replies come from the trace, and tool calls either return their recorded
+ * observations ('recorded', no side effects) or really execute ('live'). A
+ * replay that asks for a different tool call than the recorded one is reported
+ * as a diverged observation rather than guessed at. A batch step records its
+ * calls' observations as a list; a replayed call is matched to the recorded call
+ * with the same tool and args, since read-only calls run in parallel. Each step
+ * also records whether its action came from a native tool call, so the replay
+ * takes the same path and renders the same prompt.
+ *
+ * @module orchestrator/trace
+ */
+
+const crypto = require('crypto');
+const { FINISH_TOOL } = require('./native-tools');
+
+const REPLAY_TOOL_MODES = new Set(['recorded', 'live']);
+
+/** Stable fingerprint of a prompt, so replays can tell when the prompt drifted. */
+function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(String(prompt)).digest('hex');
+}
+
+/**
+ * A recorded action as the native tool calls that produce it again
+ * (native-tools actionFromResponse); no action replays as a call with
+ * unreadable arguments.
+ */
+function toolCallsFor(action) {
+  if (!action) return [{ id: 'replay-0', name: FINISH_TOOL.name, args: null }];
+  if (action.type === 'finish') return [{ id: 'replay-0', name: FINISH_TOOL.name, args: { result: action.result } }];
+  const calls = action.type === 'batch' ? action.actions : [action];
+  return calls.map((call, i) => ({ id: `replay-${i}`, name: call.tool, args: call.args }));
+}
+
+/**
+ * Build the model client and tool registry for replaying recorded steps.
+ *
+ * @param {Array<Object>} steps - Trace steps of one run, ordered by step.
+ * @param {Object} registry - The real ToolRegistry (catalogue, and 'live' calls).
+ * @param {'recorded'|'live'} [tools='recorded']
+ * @returns {{ modelClient: Object, toolRegistry: Object }}
+ */
+function createReplay(steps, registry, tools = 'recorded') {
+  if (!REPLAY_TOOL_MODES.has(tools)) {
+    throw new Error(`replay tools must be one of: ${[...REPLAY_TOOL_MODES].join(', ')}`);
+  }
+
+  let cursor = 0;
+  let used = new Set(); // recorded calls of the current step already replayed
+  const nextStep = () => {
+    const recorded = steps[cursor];
+    cursor += 1;
+    used = new Set();
+    return recorded;
+  };
+  const modelClient = {
+    supportsNativeTools: () => Boolean(steps[cursor] && steps[cursor].native),
+    async generateWithTools() {
+      const recorded = nextStep();
+      if (!recorded) throw new Error(`no recorded model output for step ${cursor - 1}`);
+      const thought = recorded.action && typeof recorded.action.thought === 'string' ? recorded.action.thought : '';
+      return {
+        text: thought, toolCalls: toolCallsFor(recorded.action), model: recorded.model, usage: null
+      };
+    },
+    async generateOrchestratorResponse() {
+      const recorded = nextStep();
+      if (!recorded || typeof recorded.text !== 'string') {
+        throw new Error(`no recorded model output for step ${cursor - 1}`);
+      }
+      return { text: recorded.text, model: recorded.model, usage: null };
+    }
+  };
+
+  const toolRegistry = {
+    names: () => registry.names(),
+    describe: (allowed) => registry.describe(allowed),
+    isReadOnly: (name) => registry.isReadOnly(name),
+    async invoke(name, args, ctx) {
+      if (tools === 'live') return registry.invoke(name, args, ctx);
+
+      const recorded = steps[cursor - 1];
+      const action = recorded && recorded.action;
+      const batch = Boolean(action && action.type === 'batch');
+      const calls = batch ? action.actions : [action];
+      const index = calls.findIndex((call, i) => !used.has(i) && call && call.tool === name
+        && JSON.stringify(call.args) === JSON.stringify(args));
+      if (index === -1) {
+        const names = calls.filter((call) => call && call.tool).map((call) => call.tool);
+        return {
+          ok: false,
+          error: `replay diverged at step ${cursor - 1}: recorded `
+            + `${names.length ? names.join(', ') : 'no tool call'}, got ${name}`
+        };
+      }
+      used.add(index);
+      const observation = batch ? (recorded.observation || [])[index] : recorded.observation;
+      return observation || { ok: false, error: 'no recorded observation' };
+    }
+  };
+
+  return { modelClient, toolRegistry };
+}
+
+module.exports = { REPLAY_TOOL_MODES, hashPrompt, createReplay };
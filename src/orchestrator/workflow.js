@@ -0,0 +1,396 @@
+/**
+ * Workflow definitions - declarative, per-project stage pipelines.
+ *
+ * A workflow is a versioned JSON (or YAML) document that tells `executeProject`
+ * which stages to run, how many agents each stage gets, which tools those agents
+ * may call, and when a stage may start (entry) or counts as done (exit):
+ *
+ *   {
+ *     "version": 1,
+ *     "name": "docs-only",
+ *     "commands": ["eslint", "tsc"],
+ *     "stages": [
+ *       {
+ *         "number": 1,
+ *         "name": "Documentation",
+ *         "complexity": "medium",
+ *         "agents": 2,
+ *         "concurrency": 2,
+ *         "onFailure": "continue",
+ *         "agent": "mintlify",
+ *         "tools": ["read_file", "search_code", "write_file"],
+ *         "approval": "files_written",
+ *         "entry": [{ "type": "file_exists", "path": "README.md" }],
+ *         "exit": [{ "type": "tasks_completed", "min": 1 }]
+ *       }
+ *     ]
+ *   }
+ *
+ * `commands` lists the programs the run_command tool may start for this project
+ * (bare names, no paths); without it the orchestrator's default list applies. It
+ * can only narrow that list (AGENT_COMMANDS): createProject rejects any other
+ * name, and the agent loop drops one a stored workflow still names.
+ *
+ * `agent` runs the stage's agents as an agent of the catalogue (see
+ * services/agent-definitions), with the tool permissions its capabilities grant
+ * (see tools/permissions): "coderabbit" reviews with read-only tools, "mintlify"
+ * may only write under docs/. Without it the agents may use every tool.
+ *
+ * `concurrency` caps how many of the stage's agents run at once (default: all of
+ * them, still subject to the orchestrator-wide maxConcurrentAgents). `onFailure`
+ * decides what happens to siblings when an agent fails: "continue" lets them
+ * finish, "cancel" stops them (default: the orchestrator's agentFailurePolicy).
+ * `approval` holds the stage for a human sign-off once its agents are done:
+ * "always", or "files_written" (only if an agent wrote files). A rejection re-runs
+ * the stage with the reviewer's comment.
+ *
+ * `dependsOn` turns the pipeline into a dependency graph (see task-graph): the
+ * stage starts as soon as the listed stages are done, instead of after the stage
+ * before it, so independent stages run side by side. An entry is a stage number
+ * (wait for the whole stage) or `{ "stage": 7, "per": "agent" }` (pair the two
+ * stages' agents, so agent N starts once agent N of stage 7 has completed; both
+ * stages need the same number of agents). Cycles are rejected. A workflow in
+ * which no stage declares `dependsOn` runs its stages one after another.
+ *
+ * Condition types:
+ *   entry: stage_completed { stage }  - an earlier stage in this workflow completed
+ *          file_exists     { path }   - a workspace file exists
+ *   exit:  tasks_completed { min? }   - at least `min` tasks (default: all) completed
+ *          file_exists     { path }
+ *
+ * Documents are validated once, on createProject, and stored normalized with the
+ * project; projects created before workflows existed run DEFAULT_WORKFLOW.
+ *
+ * @module orchestrator/workflow
+ */
+
+const fs = require('fs/promises');
+const YAML = require('yaml');
+const { ValidationError } = require('../utils/errors');
+const { AGENT_DEFINITIONS } = require('../services/agent-definitions');
+const { resolveInWorkspace } = require('./tools/workspace');
+const { DEPENDENCY_KINDS, findCycle } = require('./task-graph');
+
+const SUPPORTED_VERSIONS = new Set([1]);
+const COMPLEXITIES = new Set(['low', 'medium', 'high', 'code']);
+const ENTRY_CONDITIONS = new Set(['stage_completed', 'file_exists']);
+const EXIT_CONDITIONS = new Set(['tasks_completed', 'file_exists']);
+const FAILURE_POLICIES = new Set(['continue', 'cancel']);
+const APPROVAL_MODES = new Set(['always', 'files_written']);
+const MAX_STAGES = 50;
+const MAX_AGENTS_PER_STAGE = 20;
+const COMMAND_NAME = /^[A-Za-z0-9][A-Za-z0-9._+-]*$/;
+
+/** The pipeline executeProject ran before workflows were configurable. */
+const DEFAULT_WORKFLOW = {
+  version: 1,
+  name: 'default',
+  stages: [
+    { number: 1, name: 'Authentication', complexity: 'low' },
+    { number: 2, name: 'Security Setup', complexity: 'low' },
+    {
+      number: 3, name: 'Research', complexity: 'high', agents: 3
+    },
+    { number: 4, name: 'Documentation', complexity: 'medium' },
+    {
+      number: 7, name: 'Development', complexity: 'high', agents: 6
+    },
+    {
+      number: 8, name: 'Testing', complexity: 'medium', agents: 2
+    },
+    { number: 9, name: 'Validation', complexity: 'low' },
+    { number: 10, name: 'Deployment', complexity: 'medium' }
+  ]
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateConditions(conditions, allowed, label, priorStages, errors) {
+  if (conditions === undefined) return;
+  if (!Array.isArray(conditions)) {
+    errors.push(`${label} must be an array`);
+    return;
+  }
+  conditions.forEach((cond, i) => {
+    const where = `${label}[${i}]`;
+    if (!isPlainObject(cond) || !allowed.has(cond.type)) {
+      errors.push(`${where}.type must be one of: ${[...allowed].join(', ')}`);
+      return;
+    }
+    if (cond.type === 'file_exists'
+      && (typeof cond.path !== 'string' || cond.path.trim() === '')) {
+      errors.push(`${where}.path is required`);
+    }
+    if (cond.type === 'stage_completed' && !priorStages.has(cond.stage)) {
+      errors.push(`${where}.stage must reference an earlier stage number`);
+    }
+    if (cond.type === 'tasks_completed' && cond.min !== undefined
+      && !(Number.isInteger(cond.min) && cond.min >= 0)) {
+      errors.push(`${where}.min must be a non-negative integer`);
+    }
+  });
+}
+
+/** A `dependsOn` entry as `{ stage, per }`, or null if it is malformed. */
+function toDependency(entry) {
+  if (Number.isInteger(entry)) return { stage: entry, per: 'stage' };
+  if (isPlainObject(entry) && Number.isInteger(entry.stage)
+    && (entry.per === undefined || DEPENDENCY_KINDS.has(entry.per))) {
+    return { stage: entry.stage, per: entry.per || 'stage' };
+  }
+  return null;
+}
+
+/** Check every stage's dependsOn against the whole workflow, then look for cycles. */
+function validateDependencies(stages, errors) {
+  const byNumber = new Map();
+  for (const stage of stages) {
+    if (isPlainObject(stage) && Number.isInteger(stage.number)) byNumber.set(stage.number, stage);
+  }
+
+  const edges = new Map();
+  stages.forEach((stage, i) => {
+    if (!isPlainObject(stage) || stage.dependsOn === undefined) return;
+    const where = `stages[${i}].dependsOn`;
+    if (!Array.isArray(stage.dependsOn)) {
+      errors.push(`${where} must be an array`);
+      return;
+    }
+    const targets = [];
+    stage.dependsOn.forEach((entry, j) => {
+      const dep = toDependency(entry);
+      if (!dep) {
+        errors.push(`${where}[${j}] must be a stage number or { stage, per: ${[...DEPENDENCY_KINDS].join(' | ')} }`);
+        return;
+      }
+      const target = byNumber.get(dep.stage);
+      if (!target) {
+        errors.push(`${where}[${j}] references unknown stage ${dep.stage}`);
+      } else if (dep.stage === stage.number) {
+        errors.push(`${where}[${j}]: a stage cannot depend on itself`);
+      } else if (targets.includes(dep.stage)) {
+        errors.push(`${where}[${j}]: stage ${dep.stage} is listed twice`);
+      } else {
+        if (dep.per === 'agent' && (target.agents || 1) !== (stage.agents || 1)) {
+          errors.push(`${where}[${j}]: per-agent dependencies need the same number of agents in both stages`);
+        }
+        targets.push(dep.stage);
+      }
+    });
+    if (Number.isInteger(stage.number)) edges.set(stage.number, targets);
+  });
+
+  const cycle = findCycle(edges.keys(), (n) => edges.get(n) || []);
+  if (cycle) errors.push(`dependsOn cycle: ${cycle.join(' -> ')}`);
+}
+
+/**
+ * Validate a parsed workflow document.
+ *
+ * @param {Object} doc
+ * @param {Object} [options]
+ * @param {string[]} [options.toolNames] - Registered tools; stage allowlists must
+ *   only name these. Omit to skip the check.
+ * @param {string[]} [options.commandAllowlist] - The operator's command allowlist;
+ *   `commands` must only name these. Omit to skip the check.
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateWorkflow(doc, options = {}) {
+  const errors = [];
+  if (!isPlainObject(doc)) {
+    return { valid: false, errors: ['workflow must be an object'] };
+  }
+
+  if (!SUPPORTED_VERSIONS.has(doc.version)) {
+    errors.push(`unsupported workflow version: ${JSON.stringify(doc.version)}`);
+  }
+  if (doc.name !== undefined && (typeof doc.name !== 'string' || doc.name.trim() === '')) {
+    errors.push('name must be a non-empty string');
+  }
+  if (!Array.isArray(doc.stages) || doc.stages.length === 0) {
+    errors.push('stages must be a non-empty array');
+    return { valid: false, errors };
+  }
+  if (doc.stages.length > MAX_STAGES) {
+    errors.push(`a workflow may define at most ${MAX_STAGES} stages`);
+  }
+  if (doc.commands !== undefined) {
+    if (!Array.isArray(doc.commands)) {
+      errors.push('commands must be an array of program names');
+    } else {
+      const permitted = Array.isArray(options.commandAllowlist) ? new Set(options.commandAllowlist) : null;
+      doc.commands.forEach((command, i) => {
+        if (typeof command !== 'string' || !COMMAND_NAME.test(command)) {
+          errors.push(`commands[${i}] must be a bare program name (no path or arguments)`);
+        } else if (permitted && !permitted.has(command)) {
+          errors.push(`commands[${i}]: "${command}" is not in the operator's command allowlist`);
+        }
+      });
+    }
+  }
+
+  const knownTools = Array.isArray(options.toolNames) ? new Set(options.toolNames) : null;
+  const seen = new Set();
+
+  doc.stages.forEach((stage, i) => {
+    const where = `stages[${i}]`;
+    if (!isPlainObject(stage)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (!Number.isInteger(stage.number) || stage.number < 1) {
+      errors.push(`${where}.number must be a positive integer`);
+    } else if (seen.has(stage.number)) {
+      errors.push(`${where}.number ${stage.number} is duplicated`);
+    }
+    if (typeof stage.name !== 'string' || stage.name.trim() === '') {
+      errors.push(`${where}.name is required`);
+    }
+    if (!COMPLEXITIES.has(stage.complexity)) {
+      errors.push(`${where}.complexity must be one of: ${[...COMPLEXITIES].join(', ')}`);
+    }
+    if (stage.agents !== undefined
+      && !(Number.isInteger(stage.agents)
+        && stage.agents >= 1 && stage.agents <= MAX_AGENTS_PER_STAGE)) {
+      errors.push(`${where}.agents must be an integer between 1 and ${MAX_AGENTS_PER_STAGE}`);
+    }
+    if (stage.concurrency !== undefined
+      && !(Number.isInteger(stage.concurrency)
+        && stage.concurrency >= 1 && stage.concurrency <= MAX_AGENTS_PER_STAGE)) {
+      errors.push(`${where}.concurrency must be an integer between 1 and ${MAX_AGENTS_PER_STAGE}`);
+    }
+    if (stage.onFailure !== undefined && !FAILURE_POLICIES.has(stage.onFailure)) {
+      errors.push(`${where}.onFailure must be one of: ${[...FAILURE_POLICIES].join(', ')}`);
+    }
+    if (stage.approval !== undefined && !APPROVAL_MODES.has(stage.approval)) {
+      errors.push(`${where}.approval must be one of: ${[...APPROVAL_MODES].join(', ')}`);
+    }
+    if (stage.agent !== undefined
+      && !(typeof stage.agent === 'string' && Object.prototype.hasOwnProperty.call(AGENT_DEFINITIONS, stage.agent))) {
+      errors.push(`${where}.agent must be one of: ${Object.keys(AGENT_DEFINITIONS).join(', ')}`);
+    }
+    if (stage.tools !== undefined) {
+      if (!Array.isArray(stage.tools) || stage.tools.some((t) => typeof t !== 'string')) {
+        errors.push(`${where}.tools must be an array of tool names`);
+      } else if (knownTools) {
+        for (const tool of stage.tools) {
+          if (!knownTools.has(tool)) errors.push(`${where}.tools: unknown tool "${tool}"`);
+        }
+      }
+    }
+    validateConditions(stage.entry, ENTRY_CONDITIONS, `${where}.entry`, seen, errors);
+    validateConditions(stage.exit, EXIT_CONDITIONS, `${where}.exit`, seen, errors);
+
+    if (Number.isInteger(stage.number)) seen.add(stage.number);
+  });
+  validateDependencies(doc.stages, errors);
+
+  return { valid: errors.length === 0, errors };
+}
+
+/** Fill defaults so executeProject never has to guess. */
+function normalizeWorkflow(doc) {
+  return {
+    version: doc.version,
+    name: doc.name || 'custom',
+    commands: Array.isArray(doc.commands) ? [...doc.commands] : null,
+    stages: doc.stages.map((stage) => ({
+      number: stage.number,
+      name: stage.name,
+      complexity: stage.complexity,
+      agents: stage.agents || 1,
+      concurrency: stage.concurrency || null,
+      onFailure: stage.onFailure || null,
+      agent: stage.agent || null,
+      tools: Array.isArray(stage.tools) ? [...stage.tools] : null,
+      approval: stage.approval || null,
+      dependsOn: Array.isArray(stage.dependsOn) ? stage.dependsOn.map(toDependency) : [],
+      entry: Array.isArray(stage.entry) ? stage.entry.map((c) => ({ ...c })) : [],
+      exit: Array.isArray(stage.exit) ? stage.exit.map((c) => ({ ...c })) : []
+    }))
+  };
+}
+
+/** Whether the workflow schedules its stages as a dependency graph. */
+function usesDependencies(workflow) {
+  return workflow.stages.some((stage) => Array.isArray(stage.dependsOn) && stage.dependsOn.length > 0);
+}
+
+/**
+ * Parse, validate and normalize a workflow definition.
+ *
+ * @param {Object|string} input - A workflow object, or a JSON/YAML document string.
+ * @param {Object} [options] - See validateWorkflow.
+ * @returns {Object} Normalized workflow.
+ * @throws {ValidationError} With `details.errors` listing every problem found.
+ */
+function parseWorkflow(input, options = {}) {
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      // YAML is a superset of JSON, so one parser covers both formats.
+      doc = YAML.parse(input);
+    } catch (err) {
+      throw new ValidationError('Invalid workflow definition', {
+        errors: [`could not parse document: ${err.message}`]
+      });
+    }
+  }
+
+  const { valid, errors } = validateWorkflow(doc, options);
+  if (!valid) {
+    throw new ValidationError('Invalid workflow definition', { errors });
+  }
+  return normalizeWorkflow(doc);
+}
+
+async function fileExists(workspaceRoot, candidate) {
+  try {
+    await fs.access(resolveInWorkspace(workspaceRoot, candidate));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Evaluate a stage's entry or exit conditions.
+ *
+ * @param {Array} conditions - Normalized conditions from a workflow stage.
+ * @param {Object} ctx
+ * @param {string} ctx.workspaceRoot
+ * @param {Set<number>} [ctx.completedStages] - For stage_completed.
+ * @param {Array<{status: string}>} [ctx.tasks] - The stage's tasks, for tasks_completed.
+ * @returns {Promise<{ met: boolean, unmet: string[] }>}
+ */
+async function evaluateConditions(conditions, ctx) {
+  const unmet = [];
+  for (const cond of conditions || []) {
+    if (cond.type === 'file_exists') {
+      if (!(await fileExists(ctx.workspaceRoot, cond.path))) {
+        unmet.push(`file "${cond.path}" does not exist`);
+      }
+    } else if (cond.type === 'stage_completed') {
+      if (!ctx.completedStages || !ctx.completedStages.has(cond.stage)) {
+        unmet.push(`stage ${cond.stage} has not completed`);
+      }
+    } else if (cond.type === 'tasks_completed') {
+      const tasks = ctx.tasks || [];
+      const done = tasks.filter((t) => t.status === 'completed').length;
+      const min = cond.min === undefined ? tasks.length : cond.min;
+      if (done < min) unmet.push(`${done}/${min} tasks completed`);
+    }
+  }
+  return { met: unmet.length === 0, unmet };
+}
+
+module.exports = {
+  DEFAULT_WORKFLOW,
+  FAILURE_POLICIES,
+  validateWorkflow,
+  parseWorkflow,
+  usesDependencies,
+  evaluateConditions
+};
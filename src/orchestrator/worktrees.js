@@ -0,0 +1,248 @@
+/**
+ * Worktree isolation - one git worktree and branch per agent task.
+ *
+ * With `agentIsolation: 'worktree'` the orchestrator gives every task run its
+ * own worktree under `<workspace>/.zekka/worktrees/<taskId>`, on branch
+ * `zekka/<taskId>` cut from the workspace's HEAD, so agents of a stage never
+ * see each other's half-written files. When the agent is done its changes are
+ * committed on that branch, and at stage end the branches are merged back into
+ * the workspace one by one. Only files git cannot merge are handed to the
+ * caller's conflict callback, with both competing versions.
+ *
+ * Everything that touches the workspace's own checkout (creating worktrees,
+ * merging) is serialized, so stages running side by side do not race on its
+ * index. Git is run through an injected `execFile(file, argv, options)` with an
+ * argv array, never a shell string.
+ *
+ * @module orchestrator/worktrees
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { createLimiter } = require('./concurrency');
+
+const WORKTREE_DIR = path.join('.zekka', 'worktrees');
+const BRANCH_PREFIX = 'zekka/';
+// Commits made on the agents' behalf; independent of the host's git config.
+const GIT_IDENTITY = ['-c', 'user.name=Zekka Orchestrator', '-c', 'user.email=orchestrator@zekka.local'];
+
+class WorktreeManager {
+  /**
+   * @param {Object} options
+   * @param {string} options.repoRoot - The workspace; must be a git checkout.
+   * @param {Function} options.execFile - Promisified child_process.execFile.
+   * @param {Object} [options.logger]
+   * @param {number} [options.gitTimeoutMs=60000]
+   */
+  constructor(options = {}) {
+    if (!options.repoRoot) throw new Error('WorktreeManager requires a repoRoot');
+    if (typeof options.execFile !== 'function') throw new Error('WorktreeManager requires execFile');
+
+    this.repoRoot = path.resolve(options.repoRoot);
+    this.execFile = options.execFile;
+    this.logger = options.logger || console;
+    this.gitTimeoutMs = options.gitTimeoutMs || 60000;
+    this.lock = createLimiter(1);
+    this.ready = null;
+  }
+
+  pathFor(taskId) {
+    return path.join(this.repoRoot, WORKTREE_DIR, taskId);
+  }
+
+  branchFor(taskId) {
+    return `${BRANCH_PREFIX}${taskId}`;
+  }
+
+  /**
+   * Give a task run a fresh worktree at the workspace's HEAD, replacing any left
+   * from an earlier run of the task.
+   * @returns {Promise<{ path: string, branch: string }>}
+   */
+  prepare(taskId) {
+    return this.lock.run(async () => {
+      await this.ensureReady();
+      await this.discard(taskId);
+      const worktreePath = this.pathFor(taskId);
+      await this.git(['worktree', 'add', '-B', this.branchFor(taskId), worktreePath, 'HEAD']);
+      return { path: worktreePath, branch: this.branchFor(taskId) };
+    });
+  }
+
+  /**
+   * Commit everything the agent changed in its worktree.
+   * @returns {Promise<boolean>} false if there was nothing to commit.
+   */
+  async commit(taskId, message) {
+    const cwd = this.pathFor(taskId);
+    await this.git(['add', '-A'], cwd);
+    const status = await this.git(['status', '--porcelain'], cwd);
+    if (status.trim() === '') return false;
+    await this.git([...GIT_IDENTITY, 'commit', '-q', '-m', message], cwd);
+    return true;
+  }
+
+  /** Commit uncommitted workspace changes, so the next worktrees start from them. */
+  snapshot(message) {
+    return this.lock.run(async () => {
+      await this.ensureReady();
+      const status = await this.git(['status', '--porcelain']);
+      if (status.trim() === '') return false;
+      await this.git(['add', '-A']);
+      await this.git([...GIT_IDENTITY, 'commit', '-q', '-m', message]);
+      return true;
+    });
+  }
+
+  /**
+   * Merge a task's branch into the workspace.
+   *
+   * Files git merges cleanly are taken as is. For the rest, `onConflict` gets
+   * `[{ file, ours, theirs }]` — the workspace's and the task's version, null
+   * where that side deleted the file — and returns a Map of file to the side to
+   * keep ('ours' | 'theirs'; default 'ours'), or to `{ content }` for a merged
+   * version. The merge is aborted if it throws.
+   *
+   * @param {string} taskId
+   * @param {function(Array<{file: string, ours: ?string, theirs: ?string}>): Promise<Map<string, *>>} onConflict
+   * @returns {Promise<{ status: 'missing'|'empty'|'merged'|'resolved', files: string[],
+   *   conflicts: Array<{file: string, side: 'ours'|'theirs'|'merged'}> }>}
+   *   `files` are all the files the task changed.
+   */
+  merge(taskId, onConflict) {
+    return this.lock.run(async () => {
+      const branch = this.branchFor(taskId);
+      try {
+        await this.git(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]);
+      } catch {
+        return { status: 'missing', files: [], conflicts: [] };
+      }
+
+      const files = paths(await this.git(['diff', '-z', '--name-only', `HEAD...${branch}`]));
+      if (files.length === 0) return { status: 'empty', files, conflicts: [] };
+
+      const message = `Merge ${taskId}`;
+      try {
+        await this.git([...GIT_IDENTITY, 'merge', '--no-ff', '--no-edit', '-m', message, branch]);
+        return { status: 'merged', files, conflicts: [] };
+      } catch (mergeError) {
+        const conflicted = paths(await this.git(['diff', '-z', '--name-only', '--diff-filter=U']));
+        if (conflicted.length === 0) {
+          await this.abortMerge();
+          throw mergeError;
+        }
+
+        try {
+          const clashes = [];
+          for (const file of conflicted) {
+            clashes.push({ file, ours: await this.stageVersion(2, file), theirs: await this.stageVersion(3, file) });
+          }
+          const sides = await onConflict(clashes);
+          const conflicts = [];
+          for (const clash of clashes) {
+            const choice = sides ? sides.get(clash.file) : undefined;
+            if (choice && typeof choice.content === 'string') {
+              await fs.writeFile(path.join(this.repoRoot, clash.file), choice.content, 'utf8');
+              await this.git(['add', '--', clash.file]);
+              conflicts.push({ file: clash.file, side: 'merged' });
+              continue;
+            }
+            const side = choice === 'theirs' ? 'theirs' : 'ours';
+            if (clash[side] === null) {
+              await this.git(['rm', '-q', '-f', '--', clash.file]);
+            } else {
+              await this.git(['checkout', `--${side}`, '--', clash.file]);
+              await this.git(['add', '--', clash.file]);
+            }
+            conflicts.push({ file: clash.file, side });
+          }
+          await this.git([...GIT_IDENTITY, 'commit', '-q', '--no-edit']);
+          return { status: 'resolved', files, conflicts };
+        } catch (err) {
+          await this.abortMerge();
+          throw err;
+        }
+      }
+    });
+  }
+
+  /** Delete a task's worktree and branch. */
+  remove(taskId) {
+    return this.lock.run(async () => {
+      await this.discard(taskId);
+      await this.git(['branch', '-D', this.branchFor(taskId)]).catch(() => {});
+    });
+  }
+
+  async discard(taskId) {
+    const worktreePath = this.pathFor(taskId);
+    await this.git(['worktree', 'remove', '--force', worktreePath]).catch(() => {});
+    await fs.rm(worktreePath, { recursive: true, force: true });
+    await this.git(['worktree', 'prune']);
+  }
+
+  /**
+   * Check the workspace is a git checkout, keep the worktrees out of its status,
+   * and give an empty repository a first commit to branch from.
+   */
+  ensureReady() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        try {
+          await this.git(['rev-parse', '--git-dir']);
+        } catch (err) {
+          throw new Error(`worktree isolation needs a git repository at ${this.repoRoot}: ${err.message}`);
+        }
+
+        const exclude = path.resolve(this.repoRoot, (await this.git(['rev-parse', '--git-path', 'info/exclude'])).trim());
+        const current = await fs.readFile(exclude, 'utf8').catch(() => '');
+        if (!current.split('\n').includes('/.zekka/')) {
+          await fs.mkdir(path.dirname(exclude), { recursive: true });
+          await fs.appendFile(exclude, `${current && !current.endsWith('\n') ? '\n' : ''}/.zekka/\n`);
+        }
+
+        try {
+          await this.git(['rev-parse', '--verify', '--quiet', 'HEAD']);
+        } catch {
+          await this.git(['add', '-A']);
+          await this.git([...GIT_IDENTITY, 'commit', '-q', '--allow-empty', '-m', 'Initial workspace snapshot']);
+        }
+      })();
+      this.ready.catch(() => {
+        this.ready = null;
+      });
+    }
+    return this.ready;
+  }
+
+  /** A file's content at merge stage 2 (ours) or 3 (theirs); null if that side deleted it. */
+  async stageVersion(stage, file) {
+    try {
+      return await this.git(['show', `:${stage}:${file}`]);
+    } catch {
+      return null;
+    }
+  }
+
+  async abortMerge() {
+    await this.git(['merge', '--abort']).catch((err) => {
+      this.logger.warn(`git merge --abort failed: ${err.message}`);
+    });
+  }
+
+  async git(argv, cwd = this.repoRoot) {
+    const { stdout } = await this.execFile('git', argv, {
+      cwd,
+      timeout: this.gitTimeoutMs,
+      maxBuffer: 10 * 1024 * 1024
+    });
+    return stdout;
+  }
+}
+
+/** Split `git diff -z --name-only` output. */
+function paths(output) {
+  return output.split('\0').filter(Boolean);
+}
+
+module.exports = { WorktreeManager, WORKTREE_DIR };
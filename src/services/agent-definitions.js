@@ -0,0 +1,104 @@
+/**
+ * Agent catalogue - the agents Zekka knows about and their capabilities.
+ *
+ * Kept apart from the agent service (which opens database and Redis connections
+ * on load) so the orchestrator can read capabilities without either.
+ */
+
+const AGENT_DEFINITIONS = {
+  'pydantic-ai': {
+    name: 'Pydantic AI',
+    tier: 1,
+    description:
+      'Senior Agent for planning, research, and high-level implementation',
+    capabilities: ['planning', 'research', 'architecture', 'code-review']
+  },
+  'astron-agent': {
+    name: 'Astron Agent',
+    tier: 1,
+    description: 'Plans, researches, tests, and coordinates complex workflows',
+    capabilities: ['planning', 'research', 'testing', 'coordination']
+  },
+  'agent-zero': {
+    name: 'Agent Zero',
+    tier: 1,
+    description: 'Meta-agent for team coordination and context management',
+    capabilities: ['coordination', 'context-management', 'orchestration']
+  },
+  'auto-agent': {
+    name: 'AutoAgent',
+    tier: 2,
+    description: 'Mid-junior level code implementation',
+    capabilities: ['coding', 'implementation', 'debugging']
+  },
+  'softgen-ai': {
+    name: 'Softgen AI',
+    tier: 2,
+    description: 'First phase development execution',
+    capabilities: ['frontend', 'ui-development', 'prototyping']
+  },
+  'bolt-diy': {
+    name: 'Bolt.diy',
+    tier: 2,
+    description: 'First phase development and iteration',
+    capabilities: ['rapid-prototyping', 'iteration', 'debugging']
+  },
+  'augment-code': {
+    name: 'AugmentCode',
+    tier: 2,
+    description: 'Second phase development execution',
+    capabilities: ['backend', 'api-development', 'database']
+  },
+  'warp-dev': {
+    name: 'Warp.dev',
+    tier: 2,
+    description: 'Second phase development and refinement',
+    capabilities: ['optimization', 'refactoring', 'performance']
+  },
+  windsurf: {
+    name: 'Windsurf',
+    tier: 2,
+    description: 'Second phase development completion',
+    capabilities: ['integration', 'testing', 'deployment']
+  },
+  coderabbit: {
+    name: 'CodeRabbit',
+    tier: 3,
+    description: 'Code review and quality analysis',
+    capabilities: ['code-review', 'quality-analysis', 'best-practices']
+  },
+  deepcode: {
+    name: 'DeepCode',
+    tier: 3,
+    description: 'AI-powered bug detection',
+    capabilities: [
+      'bug-detection',
+      'security-analysis',
+      'vulnerability-scanning'
+    ]
+  },
+  devin: {
+    name: 'Devin',
+    tier: 3,
+    description: 'Advanced autonomous coding tasks',
+    capabilities: [
+      'autonomous-coding',
+      'complex-problem-solving',
+      'architecture'
+    ]
+  },
+  mintlify: {
+    name: 'Mintlify',
+    tier: 4,
+    description: 'Documentation generation',
+    capabilities: ['documentation', 'api-docs', 'markdown']
+  },
+  bytebot: {
+    name: 'Bytebot',
+    tier: 4,
+    description: 'Client operations and automation',
+    capabilities: ['automation', 'client-support', 'operations']
+  }
+};
+
+module.exports = { AGENT_DEFINITIONS };
@@ -17,6 +17,7 @@ const db = require('../config/database');
 const { getIO } = require('../middleware/websocket');
 const logger = require('../utils/logger');
 const { calculateCost } = require('../utils/pricing');
+const { countTokens } = require('./tokenizer');
 const ModelClient = require('./model-client');
 const analyticsService = require('./analytics.service');
 
@@ -270,6 +271,10 @@ class ConversationService {
         maxTokens: metadata.maxTokens,
         model: metadata.model || metadata.aiModel,
         aiModel: metadata.aiModel,
+        // A model the user chose for the turn is asked for, whatever the routing policy
+        pinModel: Boolean(metadata.model || metadata.aiModel),
+        // Replayed turns can be answered from the response cache (LLM_CACHE_ENABLED)
+        cache: !metadata.noCache,
         context: {
           conversationId: conversation.id,
           userId
@@ -278,16 +283,16 @@ class ConversationService {
     };
   }
 
-  normalizeUsage(usage, prompt, completion) {
+  normalizeUsage(usage, prompt, completion, model) {
     const tokenUsage = usage || {};
     const inputTokens = tokenUsage.input_tokens
       || tokenUsage.inputTokens
       || tokenUsage.promptTokens
-      || Math.max(1, Math.ceil(prompt.length / 4));
+      || Math.max(1, countTokens(prompt, model));
     const outputTokens = tokenUsage.output_tokens
       || tokenUsage.outputTokens
       || tokenUsage.completionTokens
-      || Math.max(1, Math.ceil(completion.length / 4));
+      || Math.max(1, countTokens(completion, model));
 
     return {
       input: inputTokens,
@@ -322,8 +327,8 @@ class ConversationService {
       throw new Error('Assistant model returned an empty response');
     }
 
-    const tokens = this.normalizeUsage(response.usage, generation.prompt, text);
-    const cost = calculateCost(response.model, tokens.input, tokens.output);
+    const tokens = this.normalizeUsage(response.usage, generation.prompt, text, response.model);
+    const cost = response.cached ? 0 : calculateCost(response.model, tokens.input, tokens.output);
 
     return {
       content: text,
@@ -339,7 +344,9 @@ class ConversationService {
         processingTime: metadata.processingTime || null,
         generation: {
           providerPath: response.fallbackUsed ? 'fallback' : 'primary',
-          fallbackUsed: !!response.fallbackUsed
+          fallbackUsed: !!response.fallbackUsed,
+          cached: !!response.cached,
+          hops: response.routing ? response.routing.hops : []
         }
       }
     };
@@ -378,8 +385,8 @@ class ConversationService {
       throw new Error('Assistant model returned an empty response');
     }
 
-    const tokens = this.normalizeUsage(response.usage, generation.prompt, text);
-    const cost = calculateCost(response.model, tokens.input, tokens.output);
+    const tokens = this.normalizeUsage(response.usage, generation.prompt, text, response.model);
+    const cost = response.cached ? 0 : calculateCost(response.model, tokens.input, tokens.output);
 
     return {
       content: text,
@@ -397,7 +404,9 @@ class ConversationService {
           providerPath: response.fallbackUsed ? 'fallback' : 'primary',
           fallbackUsed: !!response.fallbackUsed,
           streamUsed: !!response.streamUsed,
-          bufferedStream: !!response.bufferedStream
+          bufferedStream: !!response.bufferedStream,
+          cached: !!response.cached,
+          hops: response.routing ? response.routing.hops : []
         }
       }
     };
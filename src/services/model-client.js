@@ -5,9 +5,15 @@
  * This service provides a unified interface for interacting with multiple LLM providers
  * (Claude, Gemini, OpenAI, Ollama) with automatic fallback capabilities.
  *
+ * Providers are adapters in a registry (see ./providers): a model name is served by
+ * the first provider that claims it, or by the one a `<provider>/` prefix names.
+ * OpenAI-compatible endpoints (vLLM, LM Studio, llama.cpp server), Azure OpenAI and
+ * Mistral are added through MODEL_PROVIDERS, without changes here.
+ *
  * Architecture:
  * - Each component (Arbitrator, Orchestrator) has a designated primary model
- * - Fallback chain: Primary Model → Ollama (local)
+ * - Fallback chain: Primary Model → Ollama (local), or the route in MODEL_ROUTING:
+ *   a routing policy plus ordered fallbacks with conditions (see ./model-router)
  * - Automatic retry with exponential backoff
  * - Circuit breaker pattern for fault tolerance
  * - Comprehensive error handling and logging
@@ -18,13 +24,20 @@
  * - Fallback: Ollama (always available, no API costs, runs locally)
  *
  * @module services/model-client
- * @requires axios - HTTP client for API calls
+ * @requires ./providers - Provider adapters and their registry
+ * @requires ./model-router - Routing policies and fallback chains
+ * @requires ./response-cache - Opt-in response cache
  * @requires ../utils/external-api-client - Existing API client infrastructure
  */
 
-const axios = require('axios');
 const { ExternalAPIClient } = require('../utils/external-api-client');
 const { validateExternalUrl } = require('../utils/ssrf-guard');
+const { getModelPricing } = require('../utils/pricing');
+const { CacheManager } = require('../utils/cache-manager');
+const { createProviderRegistry, parseProviderConfig } = require('./providers');
+const { countTokens, estimatePromptCost, fitsContext } = require('./tokenizer');
+const { ModelRouter, classifyError, parseRoutingConfig } = require('./model-router');
+const { ResponseCache } = require('./response-cache');
 
 /**
  * Model Client - Unified interface for all LLM interactions
@@ -37,6 +50,12 @@ class ModelClient {
    * @param {Object} options.logger - Logger instance (default: console)
    * @param {Object} options.tokenEconomics - Token economics instance for cost tracking
    * @param {Object} options.contextBus - Context bus for state management
+   * @param {Object[]} [options.providers] - Extra provider configurations
+   *   (default: the MODEL_PROVIDERS JSON array; see ./providers/openai-compatible)
+   * @param {Object} [options.routing] - Routes by component
+   *   (default: the MODEL_ROUTING JSON object; see ./model-router)
+   * @param {ResponseCache} [options.responseCache] - Cache for calls that opt in
+   *   (default: one over CacheManager when LLM_CACHE_ENABLED is true)
    */
   constructor(options = {}) {
     this.logger = options.logger || console;
@@ -46,7 +65,7 @@ class ModelClient {
     // Initialize the external API client (handles circuit breakers, caching)
     this.apiClient = new ExternalAPIClient({
       timeout: 60000, // 60 seconds for LLM calls
-      enableCache: false, // Don't cache LLM responses (each is unique)
+      enableCache: false, // LLM responses are cached per call site (responseCache below)
       enableLogging: true
     });
 
@@ -71,11 +90,33 @@ class ModelClient {
       }
     };
 
+    // Routing policies and fallback chains, layered over primary/fallback
+    const routing = options.routing || parseRoutingConfig(process.env.MODEL_ROUTING);
+    for (const [component, route] of Object.entries(routing)) {
+      Object.assign(this.modelConfig[component], route);
+    }
+    this.router = new ModelRouter();
+
+    // Response cache, used only by calls passing `cache`
+    this.responseCache = options.responseCache || (process.env.LLM_CACHE_ENABLED === 'true'
+      ? new ResponseCache({
+        cache: new CacheManager({ keyPrefix: 'zekka:llm:' }),
+        ttl: parseInt(process.env.LLM_CACHE_TTL, 10) || undefined
+      })
+      : null);
+
     // H4: Validate OLLAMA_HOST against SSRF block-list at startup
     if (process.env.OLLAMA_HOST) {
       validateExternalUrl(process.env.OLLAMA_HOST, 'OLLAMA_HOST');
     }
 
+    // Model providers: configured ones first, then the built-ins
+    this.providers = createProviderRegistry({
+      apiClient: this.apiClient,
+      ollama: this.modelConfig.ollama,
+      providers: options.providers || parseProviderConfig(process.env.MODEL_PROVIDERS)
+    });
+
     // Track fallback events for monitoring
     this.fallbackCount = {
       arbitrator: 0,
@@ -85,7 +126,8 @@ class ModelClient {
     this.logger.info('✅ Model Client initialized', {
       arbitratorPrimary: this.modelConfig.arbitrator.primary,
       orchestratorPrimary: this.modelConfig.orchestrator.primary,
-      fallback: this.modelConfig.orchestrator.fallback
+      fallback: this.modelConfig.orchestrator.fallback,
+      providers: this.providers.names()
     });
   }
 
@@ -107,7 +149,12 @@ class ModelClient {
    * @param {number} options.maxTokens - Maximum tokens to generate
    * @param {number} options.temperature - Sampling temperature (0-1)
    * @param {Object} options.context - Additional context for the model
+   * @param {boolean|{ttl?: number, accept?: function(string): boolean}} [options.cache] -
+   *   Serve and store the response in the response cache, when LLM_CACHE_ENABLED (ttl in
+   *   seconds; default LLM_CACHE_TTL). With `accept`, only a reply it accepts is stored,
+   *   so a malformed answer is asked for again next time.
    * @returns {Promise<Object>} Response object with text, model used, and metadata
+   *   (`cached: true` when it came from the cache)
    */
   async generateArbitratorResponse(prompt, options = {}) {
     const config = this.modelConfig.arbitrator;
@@ -121,49 +168,11 @@ class ModelClient {
       promptLength: prompt.length
     });
 
-    try {
-      // Try primary model (Claude Sonnet 4.5)
-      const response = await this._callClaudeSonnet45(prompt, {
-        maxTokens,
-        temperature,
-        ...options
-      });
-
-      // Record cost if tokenEconomics is available
-      if (this.tokenEconomics && response.usage) {
-        await this.tokenEconomics.recordCost({
-          projectId: options.projectId,
-          taskId: options.taskId || 'arbitrator',
-          agentName: 'arbitrator',
-          model: 'claude-sonnet-4-5',
-          tokensInput: response.usage.input_tokens,
-          tokensOutput: response.usage.output_tokens
-        });
-      }
-
-      return {
-        text: response.text,
-        model: 'claude-sonnet-4-5',
-        usage: response.usage,
-        fallbackUsed: false
-      };
-    } catch (error) {
-      this.logger.warn(
-        '⚠️  Arbitrator primary model failed, falling back to Ollama',
-        {
-          error: error.message
-        }
-      );
-
-      this.fallbackCount.arbitrator++;
-
-      // Fallback to Ollama
-      return await this._fallbackToOllama(prompt, 'arbitrator', {
-        maxTokens,
-        temperature,
-        ...options
-      });
-    }
+    return await this._cachedRoute('arbitrator', prompt, {
+      ...options,
+      maxTokens,
+      temperature
+    });
   }
 
   /**
@@ -185,6 +194,11 @@ class ModelClient {
    * @param {number} options.maxTokens - Maximum tokens to generate
    * @param {number} options.temperature - Sampling temperature (0-1)
    * @param {Object} options.context - Additional context for the model
+   * @param {string} [options.model] - With `pinModel`, the model to ask instead of the
+   *   route's pick, when a provider serves it; otherwise the route's policy chooses
+   * @param {boolean} [options.pinModel=false] - Ask `options.model` rather than the policy's pick
+   * @param {{id: string, amount: number}} [options.reservation] - The call's budget
+   *   reservation (TokenEconomics.reserve), settled when its cost is recorded
    * @returns {Promise<Object>} Response object with text, model used, and metadata
    */
   async generateOrchestratorResponse(prompt, options = {}) {
@@ -199,464 +213,338 @@ class ModelClient {
       promptLength: prompt.length
     });
 
-    try {
-      // Try primary model (Gemini Pro)
-      const response = await this._callGemini(prompt, {
-        maxTokens,
-        temperature,
-        ...options
-      });
-
-      // Record cost if tokenEconomics is available
-      if (this.tokenEconomics && response.usage) {
-        await this.tokenEconomics.recordCost({
-          projectId: options.projectId,
-          taskId: options.taskId || 'orchestrator',
-          agentName: 'orchestrator',
-          model: 'gemini-pro',
-          tokensInput: response.usage.promptTokens,
-          tokensOutput: response.usage.completionTokens
-        });
-      }
-
-      return {
-        text: response.text,
-        model: 'gemini-pro',
-        usage: response.usage,
-        fallbackUsed: false
-      };
-    } catch (error) {
-      this.logger.warn(
-        '⚠️  Orchestrator primary model failed, falling back to Ollama',
-        {
-          error: error.message
-        }
-      );
-
-      this.fallbackCount.orchestrator++;
-
-      // Fallback to Ollama
-      return await this._fallbackToOllama(prompt, 'orchestrator', {
-        maxTokens,
-        temperature,
-        ...options
-      });
-    }
+    return await this._cachedRoute('orchestrator', prompt, {
+      ...options,
+      maxTokens,
+      temperature
+    }, {
+      model: this._pinnedModel(options)
+    });
   }
 
-  async generateOrchestratorResponseStream(prompt, options = {}) {
-    const config = this.modelConfig.orchestrator;
-    const requestedModel = options.model || options.aiModel || config.primary;
-    const resolvedOptions = {
-      maxTokens: options.maxTokens || config.maxTokens,
-      temperature:
-        options.temperature !== undefined
-          ? options.temperature
-          : config.temperature,
-      ...options
-    };
-    const shouldUseOllamaStreaming = requestedModel === 'ollama'
-      || requestedModel === this.modelConfig.ollama.model
-      || config.primary === 'ollama';
-    const shouldUseOpenAIStreaming = this._isOpenAIModel(requestedModel);
-    const shouldUseAnthropicStreaming = this._isAnthropicModel(requestedModel);
-
-    if (shouldUseOllamaStreaming) {
-      return await this._streamWithOllama(prompt, 'orchestrator', resolvedOptions);
-    }
-
-    try {
-      if (shouldUseOpenAIStreaming) {
-        return await this._streamWithOpenAI(prompt, 'orchestrator', resolvedOptions);
-      }
-
-      if (shouldUseAnthropicStreaming) {
-        return await this._streamWithAnthropic(prompt, 'orchestrator', resolvedOptions);
-      }
-    } catch (error) {
-      this.logger.warn(
-        '⚠️  Orchestrator streaming model failed, falling back to Ollama',
-        {
-          error: error.message
-        }
-      );
-
-      this.fallbackCount.orchestrator++;
-
-      return await this._streamWithOllama(prompt, 'orchestrator', {
-        ...resolvedOptions,
-        model: this.modelConfig.ollama.model,
-        fallbackUsed: true
-      });
-    }
-
-    const response = await this.generateOrchestratorResponse(prompt, options);
-
-    if (typeof options.onToken === 'function' && response.text) {
-      await options.onToken(response.text, {
-        done: true,
-        buffered: true
-      });
-    }
+  /**
+   * The model the route's policy picks for a `component` call with `prompt`,
+   * sized as _route sizes it (the prompt's tokens plus maxTokens). Under
+   * round-robin this takes that call's turn, so a caller that must know the
+   * model up front, to price it, then pins the call to the returned model.
+   *
+   * @param {string} component - Component name (arbitrator/orchestrator)
+   * @param {string} prompt - The prompt the call will send
+   * @param {Object} [options]
+   * @param {number} [options.maxTokens] - Defaults to the component's maxTokens
+   * @returns {string}
+   */
+  routedModel(component, prompt, options = {}) {
+    const config = this.modelConfig[component];
+    const requiredContext = countTokens(prompt, config.primary) + (options.maxTokens || config.maxTokens);
+    return this.router.pick(component, config.policy || 'primary', config.models || [config.primary], requiredContext);
+  }
 
-    return {
-      ...response,
-      streamUsed: false,
-      bufferedStream: true
-    };
+  /**
+   * The model a call pinned with `pinModel` asks for, when a provider serves it;
+   * null leaves the choice to the route's policy.
+   * @private
+   */
+  _pinnedModel(options) {
+    const model = options.model || options.aiModel;
+    return options.pinModel && model && this.providers.resolve(model) ? model : null;
   }
 
   /**
-   * Call Claude Sonnet 4.5 API
+   * Stream a response from the orchestrator's route, or from `options.model`
+   * when the call pins it and a provider serves it. Tokens go to `options.onToken` as they arrive;
+   * providers without native streaming deliver the whole text as one chunk
+   * (`bufferedStream: true`). A fallback after a failed stream starts over, so
+   * onToken may see a partial answer followed by the fallback's.
    *
-   * @private
-   * @param {string} prompt - User prompt
-   * @param {Object} options - Request options
-   * @returns {Promise<Object>} API response
+   * @param {string} prompt - The user prompt/question
+   * @param {Object} options - Generation options, as for generateOrchestratorResponse
+   * @param {string} [options.model] - With `pinModel`, the model to stream from instead
+   *   of the route's pick
+   * @param {function(string, Object): Promise} [options.onToken] - Receives each chunk
+   *   (a cached response arrives as one chunk, with `{ done: true, cached: true }`)
+   * @returns {Promise<Object>} Response object, plus streamUsed / bufferedStream
    */
-  async _callClaudeSonnet45(prompt, options = {}) {
-    if (!process.env.ANTHROPIC_API_KEY) {
-      throw new Error('ANTHROPIC_API_KEY not configured');
-    }
+  async generateOrchestratorResponseStream(prompt, options = {}) {
+    const config = this.modelConfig.orchestrator;
 
-    const response = await this.apiClient.callAnthropic({
-      model: 'claude-sonnet-4-5-20250929', // Using the latest Sonnet 4.5 model
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: options.maxTokens || 4000,
-      temperature: options.temperature ?? 0.3
+    return await this._cachedRoute('orchestrator', prompt, {
+      ...options,
+      maxTokens: options.maxTokens || config.maxTokens,
+      temperature: options.temperature !== undefined ? options.temperature : config.temperature
+    }, {
+      stream: true,
+      model: this._pinnedModel(options)
     });
-
-    return {
-      text: response.content[0].text,
-      usage: response.usage
-    };
   }
 
   /**
-   * Call Google Gemini API
+   * _route, through the response cache when the call opts in. A hit is
+   * recorded at no cost; only answers from the first hop are stored, so a
+   * fallback's answer does not outlive the primary's outage, and only those
+   * the call's `cache.accept` (if any) accepts.
    *
    * @private
-   * @param {string} prompt - User prompt
-   * @param {Object} options - Request options
-   * @returns {Promise<Object>} API response
    */
-  async _callGemini(prompt, options = {}) {
-    const model = process.env.GEMINI_MODEL || 'gemini-pro';
-
-    // H13: Route through ExternalAPIClient circuit breaker
-    const data = await this.apiClient.callGemini(model, {
-      contents: [{ parts: [{ text: prompt }] }],
-      generationConfig: {
-        temperature: options.temperature ?? 0.7,
-        maxOutputTokens: options.maxTokens || 2000,
-        topP: parseFloat(process.env.GEMINI_TOP_P) || 0.95,
-        topK: parseInt(process.env.GEMINI_TOP_K, 10) || 40
-      },
-      safetySettings: [
-        {
-          category: 'HARM_CATEGORY_HARASSMENT',
-          threshold: process.env.GEMINI_SAFETY_HARASSMENT || 'BLOCK_MEDIUM_AND_ABOVE'
-        },
-        {
-          category: 'HARM_CATEGORY_HATE_SPEECH',
-          threshold: process.env.GEMINI_SAFETY_HATE_SPEECH || 'BLOCK_MEDIUM_AND_ABOVE'
-        },
-        {
-          category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
-          threshold: process.env.GEMINI_SAFETY_SEXUALLY_EXPLICIT || 'BLOCK_MEDIUM_AND_ABOVE'
-        },
-        {
-          category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
-          threshold: process.env.GEMINI_SAFETY_DANGEROUS || 'BLOCK_MEDIUM_AND_ABOVE'
-        }
-      ]
+  async _cachedRoute(component, prompt, options, mode = {}) {
+    if (!this.responseCache || !options.cache) {
+      return await this._route(component, prompt, options, mode);
+    }
+    const config = this.modelConfig[component];
+    const key = this.responseCache.key({
+      model: mode.model || (config.models || [config.primary]).join(','),
+      prompt,
+      params: { maxTokens: options.maxTokens, temperature: options.temperature },
+      projectId: options.projectId
     });
 
-    const { text } = data.candidates[0].content.parts[0];
-    const usage = data.usageMetadata || {};
-
-    return {
-      text,
-      usage: {
-        promptTokens: usage.promptTokenCount || 0,
-        completionTokens: usage.candidatesTokenCount || 0,
-        totalTokens: usage.totalTokenCount || 0
+    const cached = await this.responseCache.get(key);
+    if (cached) {
+      this.logger.info(`💾 ${component} response served from cache`, { model: cached.model });
+      if (mode.stream && typeof options.onToken === 'function') {
+        await options.onToken(cached.text, { done: true, cached: true });
       }
-    };
+      await this._recordCost(component, cached.model, cached.usage, options, true);
+      return {
+        text: cached.text,
+        model: cached.model,
+        usage: cached.usage,
+        fallbackUsed: false,
+        cached: true,
+        ...(mode.stream ? { streamUsed: false, bufferedStream: true } : {}),
+        routing: { policy: 'cache', hops: [] }
+      };
+    }
+
+    const response = await this._route(component, prompt, options, mode);
+    const { accept } = options.cache;
+    if (!response.fallbackUsed && (typeof accept !== 'function' || accept(response.text))) {
+      await this.responseCache.set(key, response, options.cache.ttl);
+    }
+    return { ...response, cached: false };
   }
 
   /**
-   * Fallback to Ollama (local LLM)
-   *
-   * Ollama is used as the universal fallback because:
-   * - Always available (runs locally)
-   * - No API costs
-   * - No rate limits
-   * - Works offline
-   * - Suitable for development/testing
+   * Call a component's route: the policy's model (or the pinned one), then
+   * its fallbacks for as long as they take over on the last failure. Every hop
+   * is recorded in the response's `routing.hops`.
    *
    * @private
-   * @param {string} prompt - User prompt
    * @param {string} component - Component name (arbitrator/orchestrator)
-   * @param {Object} options - Request options
-   * @returns {Promise<Object>} Response object
+   * @param {string} prompt - User prompt
+   * @param {Object} options - Request options (maxTokens and temperature resolved)
+   * @param {Object} [mode]
+   * @param {boolean} [mode.stream=false] - Stream through options.onToken
+   * @param {string} [mode.model] - Pinned model, replacing the policy's pick
+   * @returns {Promise<Object>} { text, model, usage, fallbackUsed, fallbackReason?, routing: { policy, hops } }
+   * @throws {Error} When every eligible hop failed; the error carries `hops`
    */
-  async _fallbackToOllama(prompt, component, options = {}) {
-    this.logger.info(`🔄 Using Ollama fallback for ${component}`);
-
-    try {
-      const response = await this.apiClient.callOllama({
-        model: this.modelConfig.ollama.model,
-        prompt,
-        stream: false,
-        options: {
-          temperature: options.temperature ?? 0.7,
-          num_predict: options.maxTokens || 2000
-        }
-      });
-
-      // Log fallback event for monitoring
-      if (this.contextBus) {
-        await this.contextBus.incrementCounter(`fallback:${component}:ollama`);
-      }
-
-      // Record minimal cost for Ollama (computational cost, not API cost)
-      if (this.tokenEconomics) {
-        await this.tokenEconomics.recordCost({
-          projectId: options.projectId,
-          taskId: options.taskId || component,
-          agentName: component,
-          model: this.modelConfig.ollama.model,
-          tokensInput: Math.ceil(prompt.length / 4), // Rough estimate
-          tokensOutput: Math.ceil(response.response.length / 4)
+  async _route(component, prompt, options, mode = {}) {
+    const config = this.modelConfig[component];
+    const requiredContext = countTokens(prompt, mode.model || config.primary) + options.maxTokens;
+    const plan = this.router.plan(component, config, { model: mode.model, requiredContext });
+    const watchBudget = plan.hops.some((hop) => hop.on.includes('budget_exceeded'));
+    const hops = [];
+    let budget;
+    let lastReason = null;
+
+    for (const [index, hop] of plan.hops.entries()) {
+      if (index > 0 && !hop.on.includes('any') && !hop.on.includes(lastReason)) continue;
+      if (hops.some((tried) => tried.model === hop.model)) continue;
+
+      const provider = this.providers.resolve(hop.model);
+      if (!provider) {
+        hops.push({
+          model: hop.model, outcome: 'skipped', reason: 'error', error: `No model provider serves "${hop.model}"`
         });
+        lastReason = 'error';
+        continue;
       }
-
-      return {
-        text: response.response,
-        model: this.modelConfig.ollama.model,
-        usage: {
-          promptTokens: Math.ceil(prompt.length / 4),
-          completionTokens: Math.ceil(response.response.length / 4)
-        },
-        fallbackUsed: true,
-        fallbackReason: 'Primary model unavailable'
+      const { adapter } = provider;
+      const request = {
+        model: provider.model,
+        prompt,
+        maxTokens: options.maxTokens,
+        temperature: options.temperature,
+        ...(mode.stream ? { onToken: options.onToken } : {})
       };
-    } catch (error) {
-      this.logger.error(`❌ Fallback to Ollama also failed for ${component}`, {
-        error: error.message
-      });
-
-      throw new Error(
-        `All models failed for ${component}: Primary and Ollama unavailable`
-      );
-    }
-  }
 
-  async _streamWithOllama(prompt, component, options = {}) {
-    this.logger.info(`🌊 Using Ollama native streaming for ${component}`);
-
-    const response = await this.apiClient.callOllamaStream(
-      {
-        model: options.model === 'ollama'
-          ? this.modelConfig.ollama.model
-          : options.model || this.modelConfig.ollama.model,
-        prompt,
-        options: {
-          temperature: options.temperature ?? 0.7,
-          num_predict: options.maxTokens || 2000
+      // Pre-flight: skip a hop whose context window the prompt cannot fit, and
+      // paid hops the remaining budget cannot cover (when a fallback takes over
+      // on that), counting the prompt for the hop's model family.
+      const pricing = getModelPricing(provider.model);
+      if (!fitsContext(provider.model, prompt, options.maxTokens)) {
+        hops.push({ model: hop.model, provider: adapter.name, outcome: 'skipped', reason: 'context_length' });
+        lastReason = 'context_length';
+        continue;
+      }
+      if (watchBudget && !adapter.local && !(pricing && pricing.inputPrice === 0 && pricing.outputPrice === 0)) {
+        if (budget === undefined) budget = await this._budgetStatus(options.projectId);
+        // The call's own reservation is already counted as spent; it is this hop's to use
+        const held = options.reservation ? options.reservation.amount : 0;
+        const remaining = budget && Math.min(budget.daily.remaining, budget.monthly.remaining) + held;
+        const cost = estimatePromptCost(provider.model, prompt, options.maxTokens).totalCost;
+        if (budget && (remaining <= 0 || remaining < cost)) {
+          hops.push({ model: hop.model, provider: adapter.name, outcome: 'skipped', reason: 'budget_exceeded' });
+          lastReason = 'budget_exceeded';
+          continue;
         }
-      },
-      {
-        onToken: options.onToken
       }
-    );
 
-    if (this.contextBus && options.fallbackUsed) {
-      await this.contextBus.incrementCounter(`fallback:${component}:ollama`);
-    }
+      if (index > 0) {
+        this.logger.info(`🔄 Using ${hop.model} fallback for ${component} (${lastReason})`);
+        this.fallbackCount[component]++;
+      }
+      const started = Date.now();
+      try {
+        const response = mode.stream ? await adapter.stream(request) : await adapter.generate(request);
+        const latencyMs = Date.now() - started;
+        this.router.recordLatency(hop.model, latencyMs);
+        hops.push({
+          model: hop.model, provider: adapter.name, outcome: 'ok', latencyMs
+        });
 
-    if (this.tokenEconomics) {
-      await this.tokenEconomics.recordCost({
-        projectId: options.projectId,
-        taskId: options.taskId || component,
-        agentName: component,
-        model: response.model,
-        tokensInput: response.prompt_eval_count || Math.ceil(prompt.length / 4),
-        tokensOutput: response.eval_count || Math.ceil(response.response.length / 4)
-      });
+        // `ollama` stands for the configured local model; report that one
+        const model = hop.model === 'ollama' ? response.model : hop.model;
+        if (index > 0 && this.contextBus) {
+          await this.contextBus.incrementCounter(`fallback:${component}:${adapter.name}`);
+        }
+        await this._recordCost(component, model, response.usage, options);
+
+        return {
+          text: response.text,
+          model,
+          usage: response.usage,
+          fallbackUsed: index > 0,
+          ...(index > 0 ? { fallbackReason: lastReason } : {}),
+          ...(mode.stream ? { streamUsed: !response.buffered } : {}),
+          ...(mode.stream && response.buffered ? { bufferedStream: true } : {}),
+          routing: { policy: plan.policy, hops }
+        };
+      } catch (error) {
+        const latencyMs = Date.now() - started;
+        lastReason = classifyError(error);
+        if (lastReason === 'timeout') this.router.recordLatency(hop.model, latencyMs);
+        hops.push({
+          model: hop.model, provider: adapter.name, outcome: 'failed', reason: lastReason, error: error.message, latencyMs
+        });
+        this.logger.warn(`⚠️  ${component} model ${hop.model} failed (${lastReason})`, {
+          error: error.message
+        });
+      }
     }
 
-    return {
-      text: response.response,
-      model: response.model,
-      usage: {
-        promptTokens: response.prompt_eval_count || Math.ceil(prompt.length / 4),
-        completionTokens: response.eval_count || Math.ceil(response.response.length / 4),
-        totalTokens:
-          (response.prompt_eval_count || Math.ceil(prompt.length / 4))
-          + (response.eval_count || Math.ceil(response.response.length / 4))
-      },
-      fallbackUsed: !!options.fallbackUsed,
-      streamUsed: true
-    };
-  }
-
-  async _streamWithOpenAI(prompt, component, options = {}) {
-    this.logger.info(`🌊 Using OpenAI native streaming for ${component}`);
-
-    const model = options.model || 'gpt-4o-mini';
-    const response = await this.apiClient.callOpenAIStream(
-      {
-        model,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: options.maxTokens || 2000,
-        temperature: options.temperature ?? 0.7
-      },
-      {
-        onToken: options.onToken
-      }
+    this.logger.error(`❌ All models failed for ${component}`, { hops });
+    const error = new Error(
+      `All models failed for ${component}: ${hops.map((hop) => `${hop.model} (${hop.reason})`).join(', ')}`
     );
+    error.hops = hops;
+    throw error;
+  }
 
-    if (this.tokenEconomics) {
-      await this.tokenEconomics.recordCost({
-        projectId: options.projectId,
-        taskId: options.taskId || component,
-        agentName: component,
-        model,
-        tokensInput: response.usage.prompt_tokens || Math.ceil(prompt.length / 4),
-        tokensOutput: response.usage.completion_tokens || Math.ceil(response.response.length / 4)
-      });
+  /**
+   * Current budget status, or null when it cannot be had
+   *
+   * @private
+   */
+  async _budgetStatus(projectId) {
+    if (!this.tokenEconomics || typeof this.tokenEconomics.getBudgetStatus !== 'function') return null;
+    try {
+      return await this.tokenEconomics.getBudgetStatus(projectId || null);
+    } catch (error) {
+      this.logger.warn('⚠️  Budget status unavailable for routing', { error: error.message });
+      return null;
     }
-
-    return {
-      text: response.response,
-      model,
-      usage: {
-        promptTokens: response.usage.prompt_tokens || Math.ceil(prompt.length / 4),
-        completionTokens:
-          response.usage.completion_tokens || Math.ceil(response.response.length / 4),
-        totalTokens:
-          response.usage.total_tokens
-          || (response.usage.prompt_tokens || Math.ceil(prompt.length / 4))
-          + (response.usage.completion_tokens || Math.ceil(response.response.length / 4))
-      },
-      fallbackUsed: false,
-      streamUsed: true
-    };
   }
 
-  async _streamWithAnthropic(prompt, component, options = {}) {
-    this.logger.info(`🌊 Using Anthropic native streaming for ${component}`);
-
-    const model = options.model || 'claude-sonnet-4-5-20250929';
-    const response = await this.apiClient.callAnthropicStream(
-      {
-        model,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: options.maxTokens || 4000,
-        temperature: options.temperature ?? 0.3
-      },
-      {
-        onToken: options.onToken
-      }
-    );
-
-    return {
-      text: response.text,
+  /**
+   * Record a call's cost if tokenEconomics is available; a cache hit costs
+   * nothing but its tokens are still counted. The call's reservation
+   * (options.reservation, from TokenEconomics.reserve) is settled with it.
+   *
+   * @private
+   */
+  async _recordCost(component, model, usage, options = {}, cached = false) {
+    if (!this.tokenEconomics) return;
+    await this.tokenEconomics.recordCost({
+      projectId: options.projectId,
+      taskId: options.taskId || component,
+      agentName: component,
       model,
-      usage: {
-        promptTokens: response.usage.input_tokens || Math.ceil(prompt.length / 4),
-        completionTokens:
-          response.usage.output_tokens || Math.ceil(response.text.length / 4),
-        totalTokens:
-          response.usage.input_tokens && response.usage.output_tokens
-            ? response.usage.input_tokens + response.usage.output_tokens
-            : Math.ceil(prompt.length / 4) + Math.ceil(response.text.length / 4)
-      },
-      fallbackUsed: false,
-      streamUsed: true
-    };
-  }
-
-  _isOpenAIModel(model) {
-    return typeof model === 'string'
-      && (model.startsWith('gpt-') || model.toLowerCase().includes('openai'));
+      tokensInput: usage.promptTokens,
+      tokensOutput: usage.completionTokens,
+      cached,
+      ...(options.reservation ? { reservationId: options.reservation.id } : {})
+    });
   }
 
-  _isAnthropicModel(model) {
-    return typeof model === 'string'
-      && (model.toLowerCase().includes('claude')
-        || model.toLowerCase().includes('anthropic'));
+  /**
+   * Whether `model` can be driven through its provider's native tool-calling API
+   * (generateWithTools): Anthropic and OpenAI models, and configured providers with
+   * `nativeTools`, once their API key is set.
+   *
+   * @param {string} model - Model name, as chosen by token economics
+   * @returns {boolean}
+   */
+  supportsNativeTools(model) {
+    const provider = this.providers.resolve(model);
+    return !!provider
+      && provider.adapter.nativeTools
+      && typeof provider.adapter.generateWithTools === 'function'
+      && provider.adapter.isConfigured();
   }
 
   /**
-   * Check availability of all models
+   * Generate a response that may call tools, through the provider's native
+   * tool-calling API. The model is made to call a tool: exactly one, unless
+   * `parallelToolCalls` lets it call several at once.
+   *
+   * Unlike the text methods this does not fall back to Ollama: a caller that
+   * gets an error should retry over its text protocol instead.
    *
-   * @returns {Promise<Object>} Availability status for each model
+   * @param {string} prompt - The user prompt
+   * @param {Array<{name: string, description: string, parameters: Object}>} tools -
+   *   Tool definitions; `parameters` is a JSON Schema object
+   * @param {Object} options - Generation options
+   * @param {string} options.model - A model with native tool calling (see supportsNativeTools)
+   * @param {number} options.maxTokens - Maximum tokens to generate
+   * @param {number} options.temperature - Sampling temperature (0-1)
+   * @param {boolean} [options.parallelToolCalls=false] - Allow several tool calls in one response
+   * @param {{id: string, amount: number}} [options.reservation] - Settled when the cost is recorded
+   * @returns {Promise<Object>} { text, toolCalls: [{ id, name, args }], model, usage, fallbackUsed }
+   *   (`args` is null when the model sent arguments that are not a JSON object)
    */
-  async checkModelAvailability() {
-    const status = {
-      claude: {
-        available: false,
-        configured: !!process.env.ANTHROPIC_API_KEY
-      },
-      gemini: {
-        available: false,
-        configured: !!process.env.GEMINI_API_KEY
-      },
-      ollama: {
-        available: false,
-        configured: true // Always configured (uses default)
-      }
+  async generateWithTools(prompt, tools, options = {}) {
+    const config = this.modelConfig.orchestrator;
+    const { model } = options;
+    const resolved = {
+      ...options,
+      maxTokens: options.maxTokens || config.maxTokens,
+      temperature: options.temperature !== undefined ? options.temperature : config.temperature
     };
 
-    // Check Claude
-    if (process.env.ANTHROPIC_API_KEY) {
-      try {
-        // Simple test call
-        await this._callClaudeSonnet45('test', { maxTokens: 10 });
-        status.claude.available = true;
-      } catch (error) {
-        status.claude.error = error.message;
-      }
+    const provider = this.providers.resolve(model);
+    if (!provider || !provider.adapter.nativeTools || typeof provider.adapter.generateWithTools !== 'function') {
+      throw new Error(`Model ${model} has no native tool calling`);
     }
+    const response = await provider.adapter.generateWithTools(prompt, tools, {
+      ...resolved,
+      model: provider.model
+    });
 
-    // Check Gemini
-    if (process.env.GEMINI_API_KEY) {
-      try {
-        await this._callGemini('test', { maxTokens: 10 });
-        status.gemini.available = true;
-      } catch (error) {
-        status.gemini.error = error.message;
-      }
-    }
+    await this._recordCost('orchestrator', model, response.usage, options);
 
-    // Check Ollama
-    try {
-      const ollamaHost = this.modelConfig.ollama.host;
-      await axios.get(`${ollamaHost}/api/tags`, { timeout: 5000 });
-      status.ollama.available = true;
-    } catch (error) {
-      status.ollama.error = error.message;
-    }
+    return { ...response, model, fallbackUsed: false };
+  }
 
-    return status;
+  /**
+   * Check availability of every registered provider
+   *
+   * @returns {Promise<Object>} Availability status by provider name:
+   *   { available, configured, latencyMs?, error? }
+   */
+  async checkModelAvailability() {
+    return await this.providers.healthCheck();
   }
 
   /**
@@ -675,8 +563,11 @@ class ModelClient {
         orchestrator: {
           primary: this.modelConfig.orchestrator.primary,
           fallback: this.modelConfig.orchestrator.fallback
-        }
+        },
+        providers: this.providers.names()
       },
+      routing: this.router.getStats(),
+      responseCache: this.responseCache ? this.responseCache.getStats() : null,
       apiClientStats: this.apiClient.getStats()
     };
   }
@@ -686,6 +577,9 @@ class ModelClient {
    */
   async close() {
     await this.apiClient.close();
+    if (this.responseCache) {
+      await this.responseCache.close();
+    }
   }
 }
 
@@ -0,0 +1,195 @@
+/**
+ * Model Router
+ *
+ * Decides which model a component (arbitrator, orchestrator) calls, and where a
+ * call goes when that model fails. A component's route is:
+ *
+ *   policy     how the first model is picked from `models`:
+ *                primary        - the first one (the default)
+ *                cheapest       - the cheapest whose context window fits the
+ *                                 prompt plus maxTokens (see pricing.getCheapestModel;
+ *                                 models without pricing are not considered)
+ *                lowest-latency - the lowest average latency so far; models not
+ *                                 yet called count as 0, so each gets tried
+ *                round-robin    - each in turn
+ *   models     candidates for the policy (default: [primary])
+ *   fallbacks  ordered hops tried after a failure, each `{ model, on }` where
+ *              `on` lists the failures it takes over on: timeout, rate_limit
+ *              (429), server_error (5xx), budget_exceeded, context_length, or
+ *              any. A hop whose conditions do not match the last failure is
+ *              passed over. Default: [{ model: fallback, on: ['any'] }], the
+ *              FALLBACK_MODEL (Ollama) on any failure.
+ *
+ * Routes come from MODEL_ROUTING, a JSON object keyed by component, e.g.
+ *
+ *   { "orchestrator": { "policy": "cheapest", "models": ["gemini-pro", "claude-haiku-3-5"],
+ *       "fallbacks": [{ "model": "gpt-4-turbo", "on": ["rate_limit", "server_error"] },
+ *                     { "model": "ollama", "on": ["any"] }] } }
+ *
+ * ModelClient runs the hops; the router only plans them, classifies failures
+ * and keeps the latency and round-robin state.
+ *
+ * @module services/model-router
+ */
+
+const { getCheapestModel } = require('../utils/pricing');
+
+const COMPONENTS = ['arbitrator', 'orchestrator'];
+const POLICIES = ['primary', 'cheapest', 'lowest-latency', 'round-robin'];
+const CONDITIONS = ['timeout', 'rate_limit', 'server_error', 'budget_exceeded', 'context_length', 'any'];
+const LATENCY_WEIGHT = 0.3; // weight of the newest sample in the moving average
+const CONTEXT_PATTERN = /context[_ ]length|context window|maximum context|prompt is too long|too many tokens/i;
+const TIMEOUT_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT']);
+
+/** The error body a provider sent, as text, when it is not a stream. */
+function responseText(err) {
+  const data = err.response && err.response.data;
+  if (typeof data === 'string') return data;
+  if (data && typeof data === 'object' && typeof data.pipe !== 'function') return JSON.stringify(data);
+  return '';
+}
+
+/**
+ * Which fallback condition a failed call meets.
+ * @param {Error} err - As thrown by a provider adapter (axios errors carry `response.status`)
+ * @returns {'timeout'|'rate_limit'|'server_error'|'budget_exceeded'|'context_length'|'error'}
+ *   `error` for anything else, which only `any` takes over on
+ */
+function classifyError(err) {
+  if (err.code === 'BUDGET_EXCEEDED') return 'budget_exceeded';
+  if (err.code === 'CONTEXT_LENGTH_EXCEEDED') return 'context_length';
+  const status = err.response && err.response.status;
+  if (status === 429) return 'rate_limit';
+  if (status >= 500) return 'server_error';
+  if (CONTEXT_PATTERN.test(`${err.message} ${responseText(err)}`)) return 'context_length';
+  if (TIMEOUT_CODES.has(err.code) || /timed? ?out/i.test(err.message)) return 'timeout';
+  return 'error';
+}
+
+function validateRoute(route, label) {
+  if (!route || typeof route !== 'object' || Array.isArray(route)) {
+    throw new Error(`${label} must be an object`);
+  }
+  if (route.policy !== undefined && !POLICIES.includes(route.policy)) {
+    throw new Error(`${label}.policy must be one of: ${POLICIES.join(', ')}`);
+  }
+  if (route.models !== undefined
+    && (!Array.isArray(route.models) || route.models.length === 0
+      || !route.models.every((m) => typeof m === 'string' && m !== ''))) {
+    throw new Error(`${label}.models must be a non-empty array of model names`);
+  }
+  if (route.fallbacks !== undefined && !Array.isArray(route.fallbacks)) {
+    throw new Error(`${label}.fallbacks must be an array`);
+  }
+  const fallbacks = route.fallbacks && route.fallbacks.map((hop, i) => {
+    if (!hop || typeof hop.model !== 'string' || hop.model === '') {
+      throw new Error(`${label}.fallbacks[${i}] needs a "model"`);
+    }
+    const on = hop.on === undefined ? ['any'] : hop.on;
+    const unknown = Array.isArray(on) ? on.filter((c) => !CONDITIONS.includes(c)) : [on];
+    if (unknown.length || on.length === 0) {
+      throw new Error(`${label}.fallbacks[${i}].on must list conditions from: ${CONDITIONS.join(', ')}`);
+    }
+    return { model: hop.model, on };
+  });
+  return {
+    ...(route.policy ? { policy: route.policy } : {}),
+    ...(route.models ? { models: route.models } : {}),
+    ...(fallbacks ? { fallbacks } : {})
+  };
+}
+
+/**
+ * Parse MODEL_ROUTING.
+ * @param {string} [raw]
+ * @returns {Object<string, { policy?: string, models?: string[], fallbacks?: Array<{ model: string, on: string[] }> }>}
+ *   Routes by component; {} when unset
+ * @throws {Error} When it is not valid
+ */
+function parseRoutingConfig(raw) {
+  if (!raw || !raw.trim()) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`MODEL_ROUTING is not valid JSON: ${err.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('MODEL_ROUTING must be a JSON object keyed by component');
+  }
+  return Object.fromEntries(Object.entries(parsed).map(([component, route]) => {
+    if (!COMPONENTS.includes(component)) {
+      throw new Error(`MODEL_ROUTING has unknown component "${component}" (expected one of: ${COMPONENTS.join(', ')})`);
+    }
+    return [component, validateRoute(route, `MODEL_ROUTING.${component}`)];
+  }));
+}
+
+class ModelRouter {
+  constructor() {
+    this.latency = new Map(); // model -> moving average, ms
+    this.turns = new Map(); // component -> round-robin counter
+  }
+
+  /**
+   * The hops for one call.
+   * @param {string} component
+   * @param {Object} config - The component's modelConfig: primary, fallback and its route
+   * @param {Object} [context]
+   * @param {string} [context.model] - A model the caller pinned; replaces the policy's pick
+   * @param {number} [context.requiredContext] - Estimated prompt + completion tokens
+   * @returns {{ policy: string, hops: Array<{ model: string, on: string[] }> }}
+   *   `policy` is `requested` when the caller pinned the model
+   */
+  plan(component, config, context = {}) {
+    const policy = config.policy || 'primary';
+    const first = context.model
+      || this.pick(component, policy, config.models || [config.primary], context.requiredContext || 0);
+    const fallbacks = config.fallbacks || [{ model: config.fallback, on: ['any'] }];
+    return {
+      policy: context.model ? 'requested' : policy,
+      hops: [{ model: first, on: [] }, ...fallbacks]
+    };
+  }
+
+  pick(component, policy, models, requiredContext) {
+    switch (policy) {
+    case 'cheapest': {
+      const cheapest = getCheapestModel(requiredContext, models);
+      return cheapest ? cheapest.model : models[0];
+    }
+    case 'lowest-latency':
+      return models.reduce((best, model) => (this.latencyOf(model) < this.latencyOf(best) ? model : best));
+    case 'round-robin': {
+      const turn = this.turns.get(component) || 0;
+      this.turns.set(component, turn + 1);
+      return models[turn % models.length];
+    }
+    default:
+      return models[0];
+    }
+  }
+
+  latencyOf(model) {
+    return this.latency.get(model) || 0;
+  }
+
+  recordLatency(model, ms) {
+    const previous = this.latency.get(model);
+    this.latency.set(model, previous === undefined ? ms : previous + LATENCY_WEIGHT * (ms - previous));
+  }
+
+  getStats() {
+    return {
+      latencyMs: Object.fromEntries([...this.latency].map(([model, ms]) => [model, Math.round(ms)]))
+    };
+  }
+}
+
+module.exports = {
+  CONDITIONS,
+  POLICIES,
+  ModelRouter,
+  classifyError,
+  parseRoutingConfig
+};
@@ -0,0 +1,116 @@
+/**
+ * Anthropic provider adapter - Claude models through the Messages API.
+ *
+ * @module services/providers/anthropic
+ */
+
+const { checkHealth, countTokens, usageOf } = require('./common');
+
+// Short names we accept for dated model versions.
+const MODEL_ALIASES = {
+  'claude-sonnet-4-5': 'claude-sonnet-4-5-20250929'
+};
+
+function anthropicUsage(usage = {}) {
+  return {
+    promptTokens: usage.input_tokens || 0,
+    completionTokens: usage.output_tokens || 0,
+    totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+  };
+}
+
+class AnthropicAdapter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.apiClient - ExternalAPIClient
+   */
+  constructor(options) {
+    this.name = 'anthropic';
+    this.local = false;
+    this.nativeTools = true;
+    this.apiClient = options.apiClient;
+  }
+
+  matches(model) {
+    return typeof model === 'string'
+      && (model.toLowerCase().includes('claude') || model.toLowerCase().includes('anthropic'));
+  }
+
+  isConfigured() {
+    return !!process.env.ANTHROPIC_API_KEY;
+  }
+
+  _payload(request) {
+    if (!this.isConfigured()) {
+      throw new Error('ANTHROPIC_API_KEY not configured');
+    }
+    return {
+      model: MODEL_ALIASES[request.model] || request.model,
+      messages: [{ role: 'user', content: request.prompt }],
+      max_tokens: request.maxTokens || 4000,
+      temperature: request.temperature ?? 0.3
+    };
+  }
+
+  async generate(request) {
+    const data = await this.apiClient.callAnthropic(this._payload(request));
+    const text = (data.content || []).filter((b) => b.type === 'text').map((b) => b.text).join('');
+    return {
+      text,
+      model: request.model,
+      usage: usageOf(this, request.model, request.prompt, text, anthropicUsage(data.usage))
+    };
+  }
+
+  async stream(request) {
+    const response = await this.apiClient.callAnthropicStream(this._payload(request), {
+      onToken: request.onToken
+    });
+    const usage = response.usage || {};
+    return {
+      text: response.text,
+      model: request.model,
+      usage: usageOf(this, request.model, request.prompt, response.text, {
+        promptTokens: usage.input_tokens,
+        completionTokens: usage.output_tokens,
+        totalTokens: usage.input_tokens && usage.output_tokens ? usage.input_tokens + usage.output_tokens : 0
+      })
+    };
+  }
+
+  /**
+   * Generate with tools through the Messages API; the model must call a tool.
+   * @returns {Promise<Object>} { text, toolCalls: [{ id, name, args }], model, usage }
+   */
+  async generateWithTools(prompt, tools, request) {
+    const data = await this.apiClient.callAnthropic({
+      ...this._payload({ ...request, prompt }),
+      tools: tools.map((t) => ({ name: t.name, description: t.description, input_schema: t.parameters })),
+      tool_choice: { type: 'any', disable_parallel_tool_use: !request.parallelToolCalls }
+    });
+
+    const blocks = data.content || [];
+    return {
+      text: blocks.filter((b) => b.type === 'text').map((b) => b.text).join('\n'),
+      toolCalls: blocks.filter((b) => b.type === 'tool_use').map((b) => ({
+        id: b.id,
+        name: b.name,
+        args: b.input && typeof b.input === 'object' && !Array.isArray(b.input) ? b.input : null
+      })),
+      model: request.model,
+      usage: anthropicUsage(data.usage)
+    };
+  }
+
+  countTokens(text, model) {
+    return countTokens(text, model || 'claude');
+  }
+
+  healthCheck() {
+    return checkHealth(this.isConfigured(), () => this.generate({
+      model: 'claude-sonnet-4-5', prompt: 'test', maxTokens: 10
+    }));
+  }
+}
+
+module.exports = { AnthropicAdapter };
@@ -0,0 +1,64 @@
+/**
+ * Helpers shared by the model provider adapters.
+ *
+ * @module services/providers/common
+ */
+
+const { countTokens } = require('../tokenizer');
+
+/**
+ * Normalized usage, estimating whichever counts the provider did not report.
+ * @param {Object} adapter - The adapter, for its countTokens()
+ * @param {string} model
+ * @param {string} prompt
+ * @param {string} text - The completion
+ * @param {Object} [reported] - { promptTokens, completionTokens, totalTokens } as reported
+ * @returns {{ promptTokens: number, completionTokens: number, totalTokens: number }}
+ */
+function usageOf(adapter, model, prompt, text, reported = {}) {
+  const promptTokens = reported.promptTokens || adapter.countTokens(prompt, model);
+  const completionTokens = reported.completionTokens || adapter.countTokens(text, model);
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: reported.totalTokens || promptTokens + completionTokens
+  };
+}
+
+/**
+ * Run a provider probe and report it as a health status. Never throws.
+ * @param {boolean} configured - Whether the provider has what it needs (API key, host)
+ * @param {function(): Promise} probe
+ * @returns {Promise<{ available: boolean, configured: boolean, latencyMs?: number, error?: string }>}
+ */
+async function checkHealth(configured, probe) {
+  if (!configured) return { available: false, configured: false };
+  const started = Date.now();
+  try {
+    await probe();
+    return { available: true, configured: true, latencyMs: Date.now() - started };
+  } catch (err) {
+    return {
+      available: false, configured: true, latencyMs: Date.now() - started, error: err.message
+    };
+  }
+}
+
+/**
+ * Stand-in for providers without native streaming: generate the whole
+ * response and hand it to onToken as a single, final chunk.
+ */
+async function bufferedStream(adapter, request) {
+  const response = await adapter.generate(request);
+  if (typeof request.onToken === 'function' && response.text) {
+    await request.onToken(response.text, { done: true, buffered: true });
+  }
+  return { ...response, buffered: true };
+}
+
+module.exports = {
+  bufferedStream,
+  checkHealth,
+  countTokens,
+  usageOf
+};
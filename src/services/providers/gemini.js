@@ -0,0 +1,95 @@
+/**
+ * Gemini provider adapter - Google Gemini models through generateContent.
+ *
+ * Gemini has no streaming here: stream() delivers the whole response as one
+ * chunk.
+ *
+ * @module services/providers/gemini
+ */
+
+const {
+  bufferedStream, checkHealth, countTokens, usageOf
+} = require('./common');
+
+class GeminiAdapter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.apiClient - ExternalAPIClient
+   */
+  constructor(options) {
+    this.name = 'gemini';
+    this.local = false;
+    this.nativeTools = false;
+    this.apiClient = options.apiClient;
+  }
+
+  matches(model) {
+    return typeof model === 'string' && model.toLowerCase().includes('gemini');
+  }
+
+  isConfigured() {
+    return !!process.env.GEMINI_API_KEY;
+  }
+
+  async generate(request) {
+    // `gemini-pro` is the configured default name; GEMINI_MODEL picks the version.
+    const model = request.model === 'gemini-pro' ? process.env.GEMINI_MODEL || 'gemini-pro' : request.model;
+
+    // H13: Route through ExternalAPIClient circuit breaker
+    const data = await this.apiClient.callGemini(model, {
+      contents: [{ parts: [{ text: request.prompt }] }],
+      generationConfig: {
+        temperature: request.temperature ?? 0.7,
+        maxOutputTokens: request.maxTokens || 2000,
+        topP: parseFloat(process.env.GEMINI_TOP_P) || 0.95,
+        topK: parseInt(process.env.GEMINI_TOP_K, 10) || 40
+      },
+      safetySettings: [
+        {
+          category: 'HARM_CATEGORY_HARASSMENT',
+          threshold: process.env.GEMINI_SAFETY_HARASSMENT || 'BLOCK_MEDIUM_AND_ABOVE'
+        },
+        {
+          category: 'HARM_CATEGORY_HATE_SPEECH',
+          threshold: process.env.GEMINI_SAFETY_HATE_SPEECH || 'BLOCK_MEDIUM_AND_ABOVE'
+        },
+        {
+          category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+          threshold: process.env.GEMINI_SAFETY_SEXUALLY_EXPLICIT || 'BLOCK_MEDIUM_AND_ABOVE'
+        },
+        {
+          category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
+          threshold: process.env.GEMINI_SAFETY_DANGEROUS || 'BLOCK_MEDIUM_AND_ABOVE'
+        }
+      ]
+    });
+
+    const { text } = data.candidates[0].content.parts[0];
+    const usage = data.usageMetadata || {};
+    return {
+      text,
+      model: request.model,
+      usage: usageOf(this, request.model, request.prompt, text, {
+        promptTokens: usage.promptTokenCount,
+        completionTokens: usage.candidatesTokenCount,
+        totalTokens: usage.totalTokenCount
+      })
+    };
+  }
+
+  stream(request) {
+    return bufferedStream(this, request);
+  }
+
+  countTokens(text, model) {
+    return countTokens(text, model || 'gemini');
+  }
+
+  healthCheck() {
+    return checkHealth(this.isConfigured(), () => this.generate({
+      model: 'gemini-pro', prompt: 'test', maxTokens: 10
+    }));
+  }
+}
+
+module.exports = { GeminiAdapter };
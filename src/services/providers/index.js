@@ -0,0 +1,72 @@
+/**
+ * Model providers for ModelClient.
+ *
+ * `createProviderRegistry` registers the providers configured in
+ * MODEL_PROVIDERS first, so they can claim model names, then the built-ins:
+ * Anthropic, OpenAI, Gemini and Ollama. MODEL_PROVIDERS is a JSON array of
+ * OpenAI-compatible endpoints (see ./openai-compatible), e.g.
+ *
+ *   [{ "name": "vllm", "type": "openai-compatible", "baseUrl": "http://gpu-box:8000/v1",
+ *      "models": ["Qwen/Qwen2.5-Coder-32B-Instruct"] },
+ *    { "name": "mistral", "type": "mistral", "models": ["mistral-*", "codestral-*"] }]
+ *
+ * @module services/providers
+ */
+
+const { ProviderRegistry } = require('./provider-registry');
+const { AnthropicAdapter } = require('./anthropic');
+const { OpenAIAdapter } = require('./openai');
+const { GeminiAdapter } = require('./gemini');
+const { OllamaAdapter } = require('./ollama');
+const { OpenAICompatibleAdapter, PROVIDER_TYPES } = require('./openai-compatible');
+
+/**
+ * Parse MODEL_PROVIDERS.
+ * @param {string} [raw]
+ * @returns {Object[]} Provider configurations; [] when unset
+ * @throws {Error} When it is not a JSON array
+ */
+function parseProviderConfig(raw) {
+  if (!raw || !raw.trim()) return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`MODEL_PROVIDERS is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(parsed)) {
+    throw new Error('MODEL_PROVIDERS must be a JSON array of provider configurations');
+  }
+  return parsed;
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.apiClient - ExternalAPIClient, used by the built-in providers
+ * @param {Object} options.ollama - { model, host }, shared with ModelClient's modelConfig
+ * @param {Object[]} [options.providers] - Configured providers (see parseProviderConfig)
+ * @returns {ProviderRegistry}
+ */
+function createProviderRegistry(options) {
+  const registry = new ProviderRegistry();
+  for (const config of options.providers || []) {
+    registry.register(new OpenAICompatibleAdapter(config));
+  }
+  registry.register(new AnthropicAdapter({ apiClient: options.apiClient }));
+  registry.register(new OpenAIAdapter({ apiClient: options.apiClient }));
+  registry.register(new GeminiAdapter({ apiClient: options.apiClient }));
+  registry.register(new OllamaAdapter({ apiClient: options.apiClient, config: options.ollama }));
+  return registry;
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  ProviderRegistry,
+  AnthropicAdapter,
+  OpenAIAdapter,
+  GeminiAdapter,
+  OllamaAdapter,
+  OpenAICompatibleAdapter,
+  createProviderRegistry,
+  parseProviderConfig
+};
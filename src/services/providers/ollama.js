@@ -0,0 +1,92 @@
+/**
+ * Ollama provider adapter - local models, and the fallback for every other
+ * provider.
+ *
+ * @module services/providers/ollama
+ */
+
+const axios = require('axios');
+const { checkHealth, countTokens, usageOf } = require('./common');
+
+class OllamaAdapter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.apiClient - ExternalAPIClient
+   * @param {Object} options.config - { model, host }; read on every call, so changes apply at once
+   */
+  constructor(options) {
+    this.name = 'ollama';
+    this.local = true;
+    this.nativeTools = false;
+    this.apiClient = options.apiClient;
+    this.config = options.config;
+  }
+
+  /** `ollama` stands for the configured model. */
+  matches(model) {
+    return model === 'ollama' || model === this.config.model;
+  }
+
+  isConfigured() {
+    return true; // Always configured (uses default)
+  }
+
+  _model(request) {
+    return !request.model || request.model === 'ollama' ? this.config.model : request.model;
+  }
+
+  async generate(request) {
+    const model = this._model(request);
+    const response = await this.apiClient.callOllama({
+      model,
+      prompt: request.prompt,
+      stream: false,
+      options: {
+        temperature: request.temperature ?? 0.7,
+        num_predict: request.maxTokens || 2000
+      }
+    });
+    return {
+      text: response.response,
+      model,
+      usage: usageOf(this, model, request.prompt, response.response, {
+        promptTokens: response.prompt_eval_count,
+        completionTokens: response.eval_count
+      })
+    };
+  }
+
+  async stream(request) {
+    const response = await this.apiClient.callOllamaStream(
+      {
+        model: this._model(request),
+        prompt: request.prompt,
+        options: {
+          temperature: request.temperature ?? 0.7,
+          num_predict: request.maxTokens || 2000
+        }
+      },
+      {
+        onToken: request.onToken
+      }
+    );
+    return {
+      text: response.response,
+      model: response.model,
+      usage: usageOf(this, response.model, request.prompt, response.response, {
+        promptTokens: response.prompt_eval_count,
+        completionTokens: response.eval_count
+      })
+    };
+  }
+
+  countTokens(text, model) {
+    return countTokens(text, model || this.config.model);
+  }
+
+  healthCheck() {
+    return checkHealth(true, () => axios.get(`${this.config.host}/api/tags`, { timeout: 5000 }));
+  }
+}
+
+module.exports = { OllamaAdapter };
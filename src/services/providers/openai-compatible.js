@@ -0,0 +1,208 @@
+/**
+ * OpenAI-compatible provider adapter - any server speaking the Chat
+ * Completions API, configured rather than coded (see MODEL_PROVIDERS).
+ *
+ * Types:
+ *   - `openai-compatible`: vLLM, LM Studio, llama.cpp server, ... at `baseUrl`
+ *     (the URL that `/chat/completions` and `/models` hang off, usually ending
+ *     in /v1). No API key unless `apiKeyEnv` names one.
+ *   - `mistral`: La Plateforme; `baseUrl` defaults to https://api.mistral.ai/v1
+ *     and the key to MISTRAL_API_KEY.
+ *   - `azure-openai`: an Azure OpenAI resource at `endpoint`. Requests go to
+ *     `deployment` (default: the model name) with `apiVersion`; the key, sent
+ *     as `api-key`, defaults to AZURE_OPENAI_API_KEY.
+ *
+ * API keys are only ever read from the environment variable `apiKeyEnv`
+ * names, so the provider configuration holds no secrets.
+ *
+ * @module services/providers/openai-compatible
+ */
+
+const axios = require('axios');
+const { createCircuitBreaker } = require('../../utils/circuit-breaker');
+const { validateExternalUrl } = require('../../utils/ssrf-guard');
+const { checkHealth, countTokens, usageOf } = require('./common');
+const {
+  chatPayload, openAIUsage, parseToolResponse, toolsPayload
+} = require('./openai');
+
+const TYPES = {
+  'openai-compatible': { nativeTools: false },
+  mistral: { baseUrl: 'https://api.mistral.ai/v1', apiKeyEnv: 'MISTRAL_API_KEY', nativeTools: true },
+  'azure-openai': { apiKeyEnv: 'AZURE_OPENAI_API_KEY', apiVersion: '2024-06-01', nativeTools: true }
+};
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/** Parsed `data:` payloads of a server-sent event stream, up to `[DONE]`. */
+async function* sseData(stream) {
+  let buffer = '';
+  for await (const chunk of stream) {
+    buffer += chunk.toString('utf8');
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+      const data = trimmed.slice(5).trim();
+      if (data === '[DONE]') return;
+      yield JSON.parse(data);
+    }
+  }
+}
+
+class OpenAICompatibleAdapter {
+  /**
+   * @param {Object} config - One MODEL_PROVIDERS entry
+   * @param {string} config.name - Provider name; `<name>/<model>` routes to it
+   * @param {'openai-compatible'|'mistral'|'azure-openai'} config.type
+   * @param {string} [config.baseUrl] - openai-compatible and mistral
+   * @param {string} [config.endpoint] - azure-openai resource URL
+   * @param {string} [config.deployment] - azure-openai deployment (default: the model)
+   * @param {string} [config.apiVersion] - azure-openai API version
+   * @param {string} [config.apiKeyEnv] - Environment variable holding the API key
+   * @param {string[]} [config.models] - Model names served; a trailing `*` matches a prefix
+   * @param {boolean} [config.nativeTools] - Whether the server supports tool calling
+   * @param {boolean} [config.local] - Self-hosted, with no per-token cost
+   *   (default: true for openai-compatible)
+   * @param {number} [config.timeoutMs=120000]
+   */
+  constructor(config = {}) {
+    if (typeof config.name !== 'string' || !NAME_PATTERN.test(config.name)) {
+      throw new Error(`model provider name "${config.name}" must be lower-case letters, digits, "-" or "_"`);
+    }
+    const preset = TYPES[config.type];
+    if (!preset) {
+      throw new Error(`model provider "${config.name}" has unknown type "${config.type}" `
+        + `(expected one of: ${Object.keys(TYPES).join(', ')})`);
+    }
+    this.name = config.name;
+    this.type = config.type;
+    this.models = Array.isArray(config.models) ? config.models : [];
+    this.nativeTools = config.nativeTools !== undefined ? Boolean(config.nativeTools) : preset.nativeTools;
+    this.local = config.local !== undefined ? Boolean(config.local) : this.type === 'openai-compatible';
+    this.apiKeyEnv = config.apiKeyEnv || preset.apiKeyEnv || null;
+    this.timeoutMs = config.timeoutMs || 120000;
+
+    const label = `MODEL_PROVIDERS ${this.name}`;
+    if (this.type === 'azure-openai') {
+      if (!config.endpoint) throw new Error(`${label}: "endpoint" is required`);
+      validateExternalUrl(config.endpoint, label);
+      this.endpoint = config.endpoint.replace(/\/+$/, '');
+      this.deployment = config.deployment || null;
+      this.apiVersion = config.apiVersion || preset.apiVersion;
+    } else {
+      const baseUrl = config.baseUrl || preset.baseUrl;
+      if (!baseUrl) throw new Error(`${label}: "baseUrl" is required`);
+      validateExternalUrl(baseUrl, label);
+      this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    this.breaker = createCircuitBreaker((request) => axios(request), {
+      name: `${this.name}-api`,
+      timeout: this.timeoutMs,
+      resetTimeout: 30000
+    });
+  }
+
+  matches(model) {
+    return typeof model === 'string' && this.models.some((pattern) => (pattern.endsWith('*')
+      ? model.startsWith(pattern.slice(0, -1))
+      : model === pattern));
+  }
+
+  isConfigured() {
+    return !this.apiKeyEnv || !!process.env[this.apiKeyEnv];
+  }
+
+  _url(path, model) {
+    if (this.type === 'azure-openai') {
+      const base = path === '/models'
+        ? `${this.endpoint}/openai/models`
+        : `${this.endpoint}/openai/deployments/${encodeURIComponent(this.deployment || model)}${path}`;
+      return `${base}?api-version=${encodeURIComponent(this.apiVersion)}`;
+    }
+    return `${this.baseUrl}${path}`;
+  }
+
+  _headers() {
+    if (!this.apiKeyEnv) return {};
+    const key = process.env[this.apiKeyEnv];
+    if (!key) throw new Error(`${this.apiKeyEnv} not configured`);
+    return this.type === 'azure-openai' ? { 'api-key': key } : { Authorization: `Bearer ${key}` };
+  }
+
+  _post(model, data, extra = {}) {
+    return this.breaker.fire({
+      url: this._url('/chat/completions', model),
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this._headers() },
+      data,
+      timeout: this.timeoutMs,
+      ...extra
+    });
+  }
+
+  async generate(request) {
+    const response = await this._post(request.model, chatPayload(request));
+    const { text } = parseToolResponse(response.data);
+    return {
+      text,
+      model: request.model,
+      usage: usageOf(this, request.model, request.prompt, text, openAIUsage(response.data.usage))
+    };
+  }
+
+  async stream(request) {
+    const response = await this._post(request.model, { ...chatPayload(request), stream: true }, {
+      responseType: 'stream'
+    });
+    let text = '';
+    let usage = {};
+    for await (const event of sseData(response.data)) {
+      const delta = event.choices?.[0]?.delta?.content || '';
+      if (event.usage) usage = event.usage;
+      if (delta) {
+        text += delta;
+        if (typeof request.onToken === 'function') {
+          await request.onToken(delta, event);
+        }
+      }
+    }
+    return {
+      text,
+      model: request.model,
+      usage: usageOf(this, request.model, request.prompt, text, openAIUsage(usage))
+    };
+  }
+
+  /**
+   * Generate with tools, for servers configured with `nativeTools`.
+   * @returns {Promise<Object>} { text, toolCalls: [{ id, name, args }], model, usage }
+   */
+  async generateWithTools(prompt, tools, request) {
+    if (!this.nativeTools) {
+      throw new Error(`Model provider ${this.name} has no native tool calling`);
+    }
+    const response = await this._post(request.model, {
+      ...chatPayload({ ...request, prompt }),
+      ...toolsPayload(tools, request)
+    });
+    return { ...parseToolResponse(response.data), model: request.model, usage: openAIUsage(response.data.usage) };
+  }
+
+  countTokens(text, model) {
+    return countTokens(text, model);
+  }
+
+  healthCheck() {
+    return checkHealth(this.isConfigured(), () => axios.get(this._url('/models'), {
+      headers: this._headers(),
+      timeout: 5000
+    }));
+  }
+}
+
+module.exports = {
+  OpenAICompatibleAdapter,
+  PROVIDER_TYPES: Object.keys(TYPES)
+};
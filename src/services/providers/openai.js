@@ -0,0 +1,140 @@
+/**
+ * OpenAI provider adapter - GPT models through the Chat Completions API.
+ *
+ * The request and response helpers are shared with the OpenAI-compatible
+ * adapter, which speaks the same API to other hosts.
+ *
+ * @module services/providers/openai
+ */
+
+const { checkHealth, countTokens, usageOf } = require('./common');
+
+function chatPayload(request) {
+  return {
+    model: request.model,
+    messages: [{ role: 'user', content: request.prompt }],
+    max_tokens: request.maxTokens || 2000,
+    temperature: request.temperature ?? 0.7
+  };
+}
+
+function toolsPayload(tools, request) {
+  return {
+    tools: tools.map((t) => ({
+      type: 'function',
+      function: { name: t.name, description: t.description, parameters: t.parameters }
+    })),
+    tool_choice: 'required',
+    parallel_tool_calls: Boolean(request.parallelToolCalls)
+  };
+}
+
+function openAIUsage(usage = {}) {
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+  };
+}
+
+/** { text, toolCalls } from a chat completion; `args` is null when not a JSON object. */
+function parseToolResponse(data) {
+  const message = (data.choices && data.choices[0] && data.choices[0].message) || {};
+  return {
+    text: message.content || '',
+    toolCalls: (message.tool_calls || []).filter((c) => c.type === 'function').map((c) => {
+      let args = null;
+      try {
+        args = JSON.parse(c.function.arguments || '{}');
+      } catch {
+        // Left null: the caller reports malformed arguments back to the model.
+      }
+      return {
+        id: c.id,
+        name: c.function.name,
+        args: args && typeof args === 'object' && !Array.isArray(args) ? args : null
+      };
+    })
+  };
+}
+
+class OpenAIAdapter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.apiClient - ExternalAPIClient
+   */
+  constructor(options) {
+    this.name = 'openai';
+    this.local = false;
+    this.nativeTools = true;
+    this.apiClient = options.apiClient;
+  }
+
+  matches(model) {
+    return typeof model === 'string'
+      && (model.startsWith('gpt-') || model.toLowerCase().includes('openai'));
+  }
+
+  isConfigured() {
+    return !!process.env.OPENAI_API_KEY;
+  }
+
+  _requireKey() {
+    if (!this.isConfigured()) {
+      throw new Error('OPENAI_API_KEY not configured');
+    }
+  }
+
+  async generate(request) {
+    this._requireKey();
+    const data = await this.apiClient.callOpenAI(chatPayload(request));
+    const { text } = parseToolResponse(data);
+    return {
+      text,
+      model: request.model,
+      usage: usageOf(this, request.model, request.prompt, text, openAIUsage(data.usage))
+    };
+  }
+
+  async stream(request) {
+    const response = await this.apiClient.callOpenAIStream(chatPayload(request), {
+      onToken: request.onToken
+    });
+    return {
+      text: response.response,
+      model: request.model,
+      usage: usageOf(this, request.model, request.prompt, response.response, openAIUsage(response.usage))
+    };
+  }
+
+  /**
+   * Generate with tools through Chat Completions; the model must call a tool.
+   * @returns {Promise<Object>} { text, toolCalls: [{ id, name, args }], model, usage }
+   */
+  async generateWithTools(prompt, tools, request) {
+    this._requireKey();
+    const data = await this.apiClient.callOpenAI({
+      ...chatPayload({ ...request, prompt }),
+      ...toolsPayload(tools, request)
+    });
+    return { ...parseToolResponse(data), model: request.model, usage: openAIUsage(data.usage) };
+  }
+
+  countTokens(text, model) {
+    return countTokens(text, model || 'gpt-');
+  }
+
+  healthCheck() {
+    return checkHealth(this.isConfigured(), () => this.generate({
+      model: 'gpt-4o-mini', prompt: 'test', maxTokens: 10
+    }));
+  }
+}
+
+module.exports = {
+  OpenAIAdapter,
+  chatPayload,
+  openAIUsage,
+  parseToolResponse,
+  toolsPayload
+};
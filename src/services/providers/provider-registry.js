@@ -0,0 +1,93 @@
+/**
+ * ProviderRegistry - the model providers ModelClient can call, and which one
+ * serves a given model name.
+ *
+ * A provider adapter is an object with:
+ *
+ *   name: string                          // unique; `<name>/<model>` routes to it
+ *   nativeTools: boolean                  // whether generateWithTools works
+ *   local: boolean                        // self-hosted: no per-token cost, so never
+ *                                         // held back by the budget
+ *   matches(model): boolean               // whether it serves `model`
+ *   isConfigured(): boolean               // API key / host present
+ *   generate(request): Promise<Response>
+ *   stream(request): Promise<Response>    // calls request.onToken(chunk, raw) as text
+ *                                         // arrives; `buffered: true` if it could not
+ *   countTokens(text, model): number
+ *   healthCheck(): Promise<{ available, configured, latencyMs?, error? }>
+ *   generateWithTools?(prompt, tools, request): Promise<Response & { toolCalls }>
+ *
+ * where request is `{ model, prompt, maxTokens, temperature, onToken? }` and
+ * Response is `{ text, model, usage: { promptTokens, completionTokens, totalTokens } }`.
+ * Adapters throw on failure; falling back is ModelClient's job.
+ *
+ * @module services/providers/provider-registry
+ */
+
+const ADAPTER_METHODS = ['matches', 'isConfigured', 'generate', 'stream', 'countTokens', 'healthCheck'];
+
+class ProviderRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Add a provider. Providers are tried in registration order, so register
+   * the more specific ones first.
+   * @param {Object} adapter
+   * @returns {ProviderRegistry}
+   */
+  register(adapter) {
+    if (!adapter || typeof adapter.name !== 'string' || adapter.name === '') {
+      throw new Error('model provider must have a name');
+    }
+    const missing = ADAPTER_METHODS.filter((method) => typeof adapter[method] !== 'function');
+    if (missing.length) {
+      throw new Error(`model provider "${adapter.name}" must implement ${missing.join(', ')}`);
+    }
+    if (this.adapters.has(adapter.name)) {
+      throw new Error(`model provider "${adapter.name}" is already registered`);
+    }
+    this.adapters.set(adapter.name, adapter);
+    return this;
+  }
+
+  get(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  names() {
+    return [...this.adapters.keys()];
+  }
+
+  /**
+   * The provider serving `model`: the one named by a `<provider>/` prefix,
+   * else the first whose matches() accepts it.
+   * @param {string} model
+   * @returns {?{ adapter: Object, model: string }} `model` without any provider prefix
+   */
+  resolve(model) {
+    if (typeof model !== 'string' || model === '') return null;
+    const slash = model.indexOf('/');
+    if (slash > 0 && this.adapters.has(model.slice(0, slash))) {
+      return { adapter: this.adapters.get(model.slice(0, slash)), model: model.slice(slash + 1) };
+    }
+    for (const adapter of this.adapters.values()) {
+      if (adapter.matches(model)) return { adapter, model };
+    }
+    return null;
+  }
+
+  /**
+   * Health of every provider, by name.
+   * @returns {Promise<Object<string, { available: boolean, configured: boolean, latencyMs?: number,
+   *   error?: string }>>}
+   */
+  async healthCheck() {
+    const adapters = [...this.adapters.values()];
+    const results = await Promise.all(adapters.map((adapter) => adapter.healthCheck()));
+    return Object.fromEntries(adapters.map((adapter, i) => [adapter.name, results[i]]));
+  }
+}
+
+module.exports = { ProviderRegistry };
@@ -0,0 +1,107 @@
+/**
+ * Response Cache
+ *
+ * Caches model responses for call sites that opt in (`cache: true` on a
+ * ModelClient call). An entry is keyed on the model, the normalized prompt and
+ * the generation parameters, and scoped to the calling project, so one
+ * project's answers are never served to another. Entries live in CacheManager
+ * (Redis, with the in-memory LRU behind it) for LLM_CACHE_TTL seconds unless a
+ * call asks for its own TTL.
+ *
+ * Normalizing the prompt (line endings, trailing whitespace) lets a re-sent
+ * prompt that differs only in those hit the same entry; any other difference,
+ * indentation and spacing within a line included, is a different entry. Prompts
+ * quote code (an arbitration prompt embeds both versions of a file), and in
+ * Python, YAML or a Makefile whitespace is content.
+ *
+ * @module services/response-cache
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL = 3600; // seconds
+
+/**
+ * The prompt as it is keyed: CRLF as LF, each line's trailing whitespace and
+ * the leading and trailing blank lines dropped.
+ * @param {string} prompt
+ * @returns {string}
+ */
+function normalizePrompt(prompt) {
+  return String(prompt)
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+$/gm, '')
+    .replace(/^\n+|\n+$/g, '');
+}
+
+class ResponseCache {
+  /**
+   * @param {Object} options
+   * @param {Object} options.cache - A CacheManager (get/set)
+   * @param {number} [options.ttl=3600] - Default entry lifetime, seconds
+   */
+  constructor(options) {
+    this.cache = options.cache;
+    this.ttl = options.ttl || DEFAULT_TTL;
+    this.stats = { hits: 0, misses: 0, sets: 0 };
+  }
+
+  /**
+   * The entry key for one call.
+   * @param {Object} call
+   * @param {string} call.model - The model asked for (or the component's route)
+   * @param {string} call.prompt
+   * @param {Object} call.params - Parameters that change the answer (maxTokens, temperature)
+   * @param {string} [call.projectId] - Scope; calls without one share the `global` scope
+   * @returns {string} `llm:<scope>:<sha256>`
+   */
+  key({
+    model, prompt, params, projectId
+  }) {
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify({ model, prompt: normalizePrompt(prompt), params }))
+      .digest('hex');
+    return `llm:${projectId || 'global'}:${hash}`;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<?{ text: string, model: string, usage: Object, cachedAt: string }>}
+   */
+  async get(key) {
+    const entry = await this.cache.get(key);
+    if (entry && typeof entry === 'object' && typeof entry.text === 'string') {
+      this.stats.hits++;
+      return entry;
+    }
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {{ text: string, model: string, usage: Object }} response
+   * @param {number} [ttl] - Seconds; the default TTL when omitted
+   */
+  async set(key, response, ttl) {
+    await this.cache.set(key, {
+      text: response.text,
+      model: response.model,
+      usage: response.usage,
+      cachedAt: new Date().toISOString()
+    }, ttl || this.ttl);
+    this.stats.sets++;
+  }
+
+  getStats() {
+    return { ...this.stats, ttl: this.ttl };
+  }
+
+  async close() {
+    if (typeof this.cache.close === 'function') {
+      await this.cache.close();
+    }
+  }
+}
+
+module.exports = { ResponseCache, normalizePrompt };
@@ -0,0 +1,103 @@
+/**
+ * Tokenizer - counts tokens per model family, offline.
+ *
+ * Counts come from the BPE encodings OpenAI publishes (js-tiktoken, loaded on
+ * first use and kept), so they need no network and no API key:
+ *
+ *   gpt      exact: o200k_base for gpt-4o, gpt-4.1, gpt-5 and the o-series,
+ *            cl100k_base for gpt-4, gpt-4-turbo and gpt-3.5
+ *   llama    Llama 3's vocabulary extends cl100k_base, so its count is close;
+ *            Llama 2 / Code Llama (32k SentencePiece vocabulary) run ~20% higher
+ *   claude   Anthropic publishes no tokenizer for current models; cl100k_base
+ *            scaled up 15%, erring high
+ *   mistral  cl100k_base scaled up 10% for its smaller vocabulary
+ *   gemini   o200k_base; Gemini's 256k SentencePiece vocabulary is as dense
+ *
+ * and anything else cl100k_base plus 10%. Counts for the scaled families are
+ * estimates, but they follow the text (code, non-Latin scripts, whitespace)
+ * where a characters-per-token guess does not. Providers' own usage figures
+ * always win over these; they are for pre-flight checks and for responses
+ * that report no usage.
+ *
+ * @module services/tokenizer
+ */
+
+const { Tiktoken } = require('js-tiktoken/lite');
+const { calculateCostBreakdown, getModelPricing } = require('../utils/pricing');
+
+const FAMILIES = [
+  { family: 'gpt', pattern: /^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|o\d)/i, encoding: 'o200k_base', scale: 1 },
+  { family: 'gpt', pattern: /^gpt-|openai/i, encoding: 'cl100k_base', scale: 1 },
+  { family: 'claude', pattern: /claude|anthropic/i, encoding: 'cl100k_base', scale: 1.15 },
+  { family: 'llama', pattern: /llama-?2|codellama/i, encoding: 'cl100k_base', scale: 1.2 },
+  { family: 'llama', pattern: /llama/i, encoding: 'cl100k_base', scale: 1 },
+  { family: 'mistral', pattern: /mistral|mixtral|codestral|ministral/i, encoding: 'cl100k_base', scale: 1.1 },
+  { family: 'gemini', pattern: /gemini|gemma/i, encoding: 'o200k_base', scale: 1 }
+];
+const OTHER = { family: 'other', encoding: 'cl100k_base', scale: 1.1 };
+
+const encoders = new Map();
+
+function encoder(encoding) {
+  if (!encoders.has(encoding)) {
+    // eslint-disable-next-line import/no-dynamic-require
+    encoders.set(encoding, new Tiktoken(require(`js-tiktoken/ranks/${encoding}`)));
+  }
+  return encoders.get(encoding);
+}
+
+/**
+ * How `model` is counted. A `<provider>/` prefix is ignored, so
+ * `lmstudio/mistral-7b` counts as mistral.
+ * @param {string} [model]
+ * @returns {{ family: string, encoding: string, scale: number }}
+ */
+function tokenFamily(model) {
+  const name = typeof model === 'string' ? model.slice(model.lastIndexOf('/') + 1) : '';
+  return FAMILIES.find(({ pattern }) => pattern.test(name)) || OTHER;
+}
+
+/**
+ * Tokens in `text` for `model`.
+ * @param {string} text
+ * @param {string} [model]
+ * @returns {number}
+ */
+function countTokens(text, model) {
+  const value = String(text || '');
+  if (!value) return 0;
+  const { encoding, scale } = tokenFamily(model);
+  // Special-token markup in the text is counted as those tokens, not rejected
+  return Math.ceil(encoder(encoding).encode(value, 'all').length * scale);
+}
+
+/**
+ * Cost of sending `prompt` to `model` and getting up to `maxOutputTokens` back.
+ * @param {string} model
+ * @param {string} prompt
+ * @param {number} maxOutputTokens
+ * @returns {Object} As pricing.calculateCostBreakdown, for the counted prompt
+ */
+function estimatePromptCost(model, prompt, maxOutputTokens) {
+  return calculateCostBreakdown(model, countTokens(prompt, model), maxOutputTokens);
+}
+
+/**
+ * Whether `prompt` plus `maxOutputTokens` fits `model`'s context window.
+ * Models without pricing have no known window and always fit.
+ * @param {string} model
+ * @param {string} prompt
+ * @param {number} maxOutputTokens
+ * @returns {boolean}
+ */
+function fitsContext(model, prompt, maxOutputTokens) {
+  const pricing = getModelPricing(model);
+  return !pricing || countTokens(prompt, model) + maxOutputTokens <= pricing.contextWindow;
+}
+
+module.exports = {
+  countTokens,
+  estimatePromptCost,
+  fitsContext,
+  tokenFamily
+};
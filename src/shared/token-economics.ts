@@ -1,12 +1,17 @@
-import { Pool } from 'pg';
+import { Pool, PoolClient } from 'pg';
+import { BudgetExceededError } from '../utils/errors';
 import type ContextBus = require('./context-bus');
 
 interface TokenEconomicsOptions {
   dailyBudget?: number;
   monthlyBudget?: number;
   contextBus?: ContextBus;
+  /** Seconds an unsettled reservation keeps counting against the budgets. */
+  reservationTtl?: number;
 }
 
+type Queryable = Pool | PoolClient;
+
 interface ModelCost {
   input: number;
   output: number;
@@ -19,18 +24,62 @@ interface CostRecordInput {
   model: string;
   tokensInput: number;
   tokensOutput: number;
+  /** Served from the response cache: the tokens are recorded at no cost. */
+  cached?: boolean;
+  /** The call's reservation, settled at the recorded cost. */
+  reservationId?: string;
+}
+
+type BudgetScopeName = 'global' | 'project' | 'tenant';
+
+interface BudgetScope {
+  scope: BudgetScopeName;
+  id: string | null;
+  /** Infinity when the scope has no limit for the window. */
+  daily: number;
+  monthly: number;
 }
 
 interface BudgetWindow {
   spent: number;
+  /** Held by unsettled reservations. */
+  reserved: number;
   budget: number;
   remaining: number;
   percent: number;
+  /** The scope this window was taken from (the one nearest its limit). */
+  scope?: BudgetScopeName;
+}
+
+interface ScopeStatus {
+  scope: BudgetScopeName;
+  id: string | null;
+  daily: BudgetWindow;
+  monthly: BudgetWindow;
 }
 
 interface BudgetStatus {
   daily: BudgetWindow;
   monthly: BudgetWindow;
+  scopes: ScopeStatus[];
+}
+
+interface ReservationInput {
+  projectId: string | null;
+  taskId?: string | null;
+  model?: string;
+  tokensInput?: number;
+  tokensOutput?: number;
+  /** Replaces the cost calculated from the model and token counts. */
+  estimatedCost?: number;
+}
+
+interface BudgetReservation {
+  id: string;
+  amount: number;
+  projectId: string | null;
+  tenantId: string | null;
+  expiresAt: Date;
 }
 
 interface CostRecommendation {
@@ -44,10 +93,20 @@ type TaskComplexity = 'high' | 'medium' | 'low' | 'code' | string;
 /**
  * Token Economics - Budget tracking and cost optimization
  * Automatically switches to Ollama when budget thresholds are reached
+ *
+ * Budgets apply at three scopes: global (dailyBudget/monthlyBudget), per
+ * project (orchestration_projects.budget_daily/monthly) and per tenant
+ * (tenants.budget_daily/monthly, for projects linked to a tenant). Spend is
+ * what cost_tracking records plus what unsettled reservations hold: a caller
+ * reserves a call's estimated cost first, recordCost settles the reservation
+ * with the actual cost, and release() frees it if the call failed. Reserving
+ * is serialized by a transaction-level advisory lock, so parallel agents
+ * cannot all pass the check and then overspend together.
  */
 class TokenEconomics {
   dailyBudget: number;
   monthlyBudget: number;
+  reservationTtl: number;
   contextBus: ContextBus | undefined;
   readonly costs: Record<string, ModelCost>;
   readonly db: Pool;
@@ -55,6 +114,7 @@ class TokenEconomics {
   constructor(options: TokenEconomicsOptions = {}) {
     this.dailyBudget = options.dailyBudget || 50;
     this.monthlyBudget = options.monthlyBudget || 1000;
+    this.reservationTtl = options.reservationTtl || 600;
     this.contextBus = options.contextBus;
 
     // Cost per 1K tokens (USD)
@@ -116,17 +176,27 @@ class TokenEconomics {
 
   async recordCost(data: CostRecordInput): Promise<number> {
     const {
-      projectId, taskId, agentName, model, tokensInput, tokensOutput
+      projectId, taskId, agentName, model, tokensInput, tokensOutput, cached = false, reservationId
     } = data;
 
-    const cost = this.calculateCost(model, tokensInput, tokensOutput);
-
-    await this.db.query(
-      `INSERT INTO cost_tracking (project_id, task_id, agent_name, model_used, tokens_input, tokens_output, cost_usd)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-      [projectId, taskId, agentName, model, tokensInput, tokensOutput, cost]
+    const cost = cached ? 0 : this.calculateCost(model, tokensInput, tokensOutput);
+    const insert = (db: Queryable) => db.query(
+      `INSERT INTO cost_tracking
+         (project_id, task_id, agent_name, model_used, tokens_input, tokens_output, cost_usd, cache_hit)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [projectId, taskId, agentName, model, tokensInput, tokensOutput, cost, cached]
     );
 
+    if (reservationId) {
+      // The cost replaces the reservation in one step, so it is never counted twice
+      await this.transaction(async (client) => {
+        await insert(client);
+        await this.settle(reservationId, cost, client);
+      });
+    } else {
+      await insert(this.db);
+    }
+
     // Update context bus metrics
     if (this.contextBus) {
       await this.contextBus.incrementCounter('cost:total', cost);
@@ -168,26 +238,207 @@ class TokenEconomics {
     return parseFloat(result.rows[0]?.total ?? '0');
   }
 
+  /**
+   * Budget status for a project (or globally, without one): each window is
+   * the applicable scope nearest its limit, counting reservations as spent;
+   * `scopes` has every scope's own status.
+   */
   async getBudgetStatus(projectId: string | null = null): Promise<BudgetStatus> {
-    const dailyCost = await this.getDailyCost(projectId);
-    const monthlyCost = await this.getMonthlyCost(projectId);
+    const { scopes } = await this.getBudgetScopes(this.db, projectId);
+    const statuses: ScopeStatus[] = [];
+    for (const scope of scopes) {
+      statuses.push(await this.getScopeStatus(this.db, scope));
+    }
+
+    const tightest = (window: 'daily' | 'monthly'): BudgetWindow => statuses.reduce(
+      (worst, status) => (status[window].percent > worst.percent
+        ? { ...status[window], scope: status.scope }
+        : worst),
+      { ...(statuses[0] as ScopeStatus)[window], scope: (statuses[0] as ScopeStatus).scope }
+    );
+
+    return { daily: tightest('daily'), monthly: tightest('monthly'), scopes: statuses };
+  }
+
+  /**
+   * The scopes whose budgets apply to a project. A project without budgets of
+   * its own (or without a row) is held to the global amounts; a tenant scope
+   * applies only when the project's tenant has a budget.
+   */
+  async getBudgetScopes(
+    db: Queryable,
+    projectId: string | null
+  ): Promise<{ scopes: BudgetScope[]; tenantId: string | null }> {
+    const scopes: BudgetScope[] = [
+      { scope: 'global', id: null, daily: this.dailyBudget, monthly: this.monthlyBudget }
+    ];
+    if (!projectId) return { scopes, tenantId: null };
+
+    const result = await db.query(
+      `SELECT p.budget_daily, p.budget_monthly, p.tenant_id,
+              t.budget_daily AS tenant_budget_daily, t.budget_monthly AS tenant_budget_monthly
+       FROM orchestration_projects p
+       LEFT JOIN tenants t ON t.id = p.tenant_id
+       WHERE p.project_id = $1`,
+      [projectId]
+    );
+    const row = result.rows[0] || {};
+    const limit = (value: string | null | undefined, otherwise: number) => (
+      value === null || value === undefined ? otherwise : parseFloat(value)
+    );
+
+    scopes.push({
+      scope: 'project',
+      id: projectId,
+      daily: limit(row.budget_daily, this.dailyBudget),
+      monthly: limit(row.budget_monthly, this.monthlyBudget)
+    });
+    const tenantId: string | null = row.tenant_id || null;
+    if (tenantId && (row.tenant_budget_daily != null || row.tenant_budget_monthly != null)) {
+      scopes.push({
+        scope: 'tenant',
+        id: tenantId,
+        daily: limit(row.tenant_budget_daily, Infinity),
+        monthly: limit(row.tenant_budget_monthly, Infinity)
+      });
+    }
+    return { scopes, tenantId };
+  }
+
+  /** Today's and this month's spend in a scope, plus what active reservations hold. */
+  async getScopeStatus(db: Queryable, scope: BudgetScope): Promise<ScopeStatus> {
+    const today = new Date().toISOString().split('T')[0] as string;
+    const firstDay = new Date();
+    firstDay.setDate(1);
+    const firstDayStr = firstDay.toISOString().split('T')[0] as string;
+
+    let costFilter = '';
+    let reservationFilter = '';
+    if (scope.scope === 'project') {
+      costFilter = 'project_id = $3 AND';
+      reservationFilter = 'project_id = $3 AND';
+    } else if (scope.scope === 'tenant') {
+      costFilter = 'project_id IN (SELECT project_id FROM orchestration_projects WHERE tenant_id = $3) AND';
+      reservationFilter = 'tenant_id = $3 AND';
+    }
+
+    const result = await db.query(
+      `SELECT
+         (SELECT COALESCE(SUM(cost_usd), 0) FROM cost_tracking
+          WHERE ${costFilter} DATE(timestamp) = $1) AS daily,
+         (SELECT COALESCE(SUM(cost_usd), 0) FROM cost_tracking
+          WHERE ${costFilter} DATE(timestamp) >= $2) AS monthly,
+         (SELECT COALESCE(SUM(amount), 0) FROM budget_reservations
+          WHERE ${reservationFilter} status = 'reserved' AND expires_at > NOW()) AS reserved`,
+      scope.id ? [today, firstDayStr, scope.id] : [today, firstDayStr]
+    );
+    const row = result.rows[0] || {};
+    const reserved = parseFloat(row.reserved ?? '0');
+    const window = (spent: number, budget: number): BudgetWindow => ({
+      spent,
+      reserved,
+      budget,
+      remaining: budget - spent - reserved,
+      percent: ((spent + reserved) / budget) * 100
+    });
 
     return {
-      daily: {
-        spent: dailyCost,
-        budget: this.dailyBudget,
-        remaining: this.dailyBudget - dailyCost,
-        percent: (dailyCost / this.dailyBudget) * 100
-      },
-      monthly: {
-        spent: monthlyCost,
-        budget: this.monthlyBudget,
-        remaining: this.monthlyBudget - monthlyCost,
-        percent: (monthlyCost / this.monthlyBudget) * 100
-      }
+      scope: scope.scope,
+      id: scope.id,
+      daily: window(parseFloat(row.daily ?? '0'), scope.daily),
+      monthly: window(parseFloat(row.monthly ?? '0'), scope.monthly)
     };
   }
 
+  // ========================================
+  // Budget Reservations
+  // ========================================
+
+  /**
+   * Reserve a call's estimated cost against every budget that applies to its
+   * project. The reservation counts as spend until it is settled (recordCost
+   * with its id), released, or its TTL runs out.
+   *
+   * @throws {BudgetExceededError} When the estimate does not fit a scope's
+   *   remaining daily or monthly budget; nothing is reserved
+   */
+  async reserve(input: ReservationInput): Promise<BudgetReservation> {
+    const {
+      projectId = null, taskId = null, model = '', tokensInput = 0, tokensOutput = 0
+    } = input;
+    const amount = input.estimatedCost ?? this.calculateCost(model, tokensInput, tokensOutput);
+
+    return this.transaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext(\'budget_reservations\'))');
+      await client.query(
+        `UPDATE budget_reservations SET status = 'expired'
+         WHERE status = 'reserved' AND expires_at <= NOW()`
+      );
+
+      const { scopes, tenantId } = await this.getBudgetScopes(client, projectId);
+      for (const scope of scopes) {
+        const status = await this.getScopeStatus(client, scope);
+        for (const window of ['daily', 'monthly'] as const) {
+          if (amount > status[window].remaining) {
+            throw new BudgetExceededError(
+              `${scope.scope} ${window} budget exceeded: $${amount.toFixed(4)} estimated, `
+              + `$${Math.max(status[window].remaining, 0).toFixed(4)} remaining`,
+              {
+                scope: scope.scope, id: scope.id, window, amount, remaining: status[window].remaining
+              }
+            );
+          }
+        }
+      }
+
+      const result = await client.query(
+        `INSERT INTO budget_reservations (project_id, tenant_id, task_id, model, amount, expires_at)
+         VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(secs => $6))
+         RETURNING id, expires_at`,
+        [projectId, tenantId, taskId, model || null, amount, this.reservationTtl]
+      );
+      const row = result.rows[0];
+
+      return {
+        id: row.id, amount, projectId, tenantId, expiresAt: row.expires_at
+      };
+    });
+  }
+
+  /** Settle a reservation at the call's actual cost. A no-op unless it is still held. */
+  async settle(reservationId: string, actualCost: number, db: Queryable = this.db): Promise<void> {
+    await db.query(
+      `UPDATE budget_reservations
+       SET status = 'settled', actual_cost = $2, settled_at = NOW()
+       WHERE id = $1 AND status = 'reserved'`,
+      [reservationId, actualCost]
+    );
+  }
+
+  /** Free a reservation whose call failed. A no-op once it is settled. */
+  async release(reservationId: string): Promise<void> {
+    await this.db.query(
+      `UPDATE budget_reservations SET status = 'released'
+       WHERE id = $1 AND status = 'reserved'`,
+      [reservationId]
+    );
+  }
+
+  private async transaction<T>(work: (client: PoolClient) => Promise<T>): Promise<T> {
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   // ========================================
   // Model Selection (Cost Optimization)
   // ========================================
@@ -76,6 +76,15 @@ class DatabaseError extends AppError {
   }
 }
 
+class BudgetExceededError extends AppError {
+  constructor(message = 'Budget exceeded', details = {}) {
+    super(message, 402);
+    this.details = details;
+    this.code = 'BUDGET_EXCEEDED';
+    this.name = 'BudgetExceededError';
+  }
+}
+
 const ErrorCodes = {
   VALIDATION_ERROR: 'VALIDATION_ERROR',
   DUPLICATE_ENTRY: 'DUPLICATE_ENTRY',
@@ -86,7 +95,8 @@ const ErrorCodes = {
   INTERNAL_ERROR: 'INTERNAL_ERROR',
   NOT_FOUND: 'NOT_FOUND',
   PASSWORD_REUSE: 'PASSWORD_REUSE',
-  INVALID_TOKEN: 'INVALID_TOKEN'
+  INVALID_TOKEN: 'INVALID_TOKEN',
+  BUDGET_EXCEEDED: 'BUDGET_EXCEEDED'
 };
 
 module.exports = {
@@ -98,5 +108,6 @@ module.exports = {
   ConflictError,
   RateLimitError,
   DatabaseError,
+  BudgetExceededError,
   ErrorCodes
 };
@@ -28,6 +28,17 @@ class ExternalAPIClient {
       enableLogging: config.enableLogging !== false
     };
 
+    // API base URLs, overridable for proxies and local mock servers
+    this.baseUrls = {
+      anthropic: 'https://api.anthropic.com',
+      openai: 'https://api.openai.com',
+      gemini: 'https://generativelanguage.googleapis.com',
+      ...config.baseUrls
+    };
+    Object.entries(config.baseUrls || {}).forEach(([service, url]) => {
+      validateExternalUrl(url, `${service} base URL`);
+    });
+
     // Initialize cache manager
     if (this.config.enableCache) {
       this.cache = new CacheManager();
@@ -152,7 +163,7 @@ class ExternalAPIClient {
 
       try {
         const response = await axios({
-          url: 'https://api.anthropic.com/v1/messages',
+          url: `${this.baseUrls.anthropic}/v1/messages`,
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -198,7 +209,7 @@ class ExternalAPIClient {
 
       try {
         const response = await axios({
-          url: 'https://api.openai.com/v1/chat/completions',
+          url: `${this.baseUrls.openai}/v1/chat/completions`,
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -245,7 +256,7 @@ class ExternalAPIClient {
 
     return await this.breakers.gemini.execute(async () => {
       const startTime = Date.now();
-      const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${process.env.GEMINI_API_KEY}`;
+      const url = `${this.baseUrls.gemini}/v1beta/models/${model}:generateContent?key=${process.env.GEMINI_API_KEY}`;
 
       try {
         const response = await axios({
@@ -285,7 +296,7 @@ class ExternalAPIClient {
 
       try {
         const response = await axios({
-          url: 'https://api.anthropic.com/v1/messages',
+          url: `${this.baseUrls.anthropic}/v1/messages`,
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -348,7 +359,7 @@ class ExternalAPIClient {
   async callOpenAIStream(payload, options = {}) {
     let aggregatedResponse = '';
     let finalChunk = null;
-    let usage = null;
+    let usage;
 
     for await (const event of this._iterateOpenAIStream(payload, options)) {
       if (event.type === 'delta') {
@@ -368,11 +379,7 @@ class ExternalAPIClient {
     return {
       response: aggregatedResponse,
       model: payload.model,
-      usage: usage || {
-        prompt_tokens: 0,
-        completion_tokens: Math.ceil(aggregatedResponse.length / 4),
-        total_tokens: Math.ceil(aggregatedResponse.length / 4)
-      },
+      usage, // undefined when the stream sent none: the adapter counts the tokens
       raw: finalChunk
     };
   }
@@ -451,8 +458,8 @@ class ExternalAPIClient {
     return {
       response: aggregatedResponse,
       model: payload.model,
-      prompt_eval_count: finalChunk?.prompt_eval_count || 0,
-      eval_count: finalChunk?.eval_count || Math.ceil(aggregatedResponse.length / 4),
+      prompt_eval_count: finalChunk?.prompt_eval_count,
+      eval_count: finalChunk?.eval_count,
       done: true,
       raw: finalChunk
     };
@@ -625,7 +632,7 @@ class ExternalAPIClient {
 
     try {
       responseStream = await this.breakers.openai.execute(async () => axios({
-        url: 'https://api.openai.com/v1/chat/completions',
+        url: `${this.baseUrls.openai}/v1/chat/completions`,
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -268,10 +268,12 @@ function compareCosts(inputTokens, outputTokens) {
 /**
  * Get cheapest model for a given context window requirement
  * @param {number} requiredContext - Required context window size
+ * @param {string[]} [candidates] - Only consider these models (default: all priced models)
  * @returns {object|null} Cheapest model that meets requirements
  */
-function getCheapestModel(requiredContext) {
+function getCheapestModel(requiredContext, candidates = null) {
   const validModels = Object.entries(MODEL_PRICING)
+    .filter(([key]) => !candidates || candidates.includes(key))
     .filter(([_, config]) => config.contextWindow >= requiredContext)
     .map(([key, config]) => ({
       model: key,
@@ -0,0 +1,183 @@
+/**
+ * Mock Provider Servers
+ * Local HTTP servers speaking each model provider's API, for testing the
+ * provider adapters end to end. Every server records the requests it gets and
+ * listens on a free port; close it in afterEach.
+ */
+
+const http = require('http');
+
+/** The reply split into streaming chunks, one word each. */
+function chunks(text) {
+  return text.match(/\S+\s*/g) || [];
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendEvents(res, events) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  res.end(events.join(''));
+}
+
+/**
+ * Start a server; `handle(request, res)` answers each request, where request is
+ * `{ method, path, headers, body }` with the body parsed from JSON.
+ * @returns {Promise<{ url: string, requests: Object[], close: function(): Promise }>}
+ */
+function startServer(handle, options = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const request = {
+        method: req.method, path: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null
+      };
+      requests.push(request);
+      if (options.status) {
+        sendJson(res, options.status, { error: { message: `mock error ${options.status}` } });
+        return;
+      }
+      handle(request, res);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, () => {
+      resolve({
+        url: `http://localhost:${server.address().port}`,
+        requests,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Anthropic Messages API: POST /v1/messages, plain, streamed (SSE) or with tools.
+ * @param {Object} [options] - { reply, toolCall: { name, input }, status }
+ */
+function mockAnthropic(options = {}) {
+  const reply = options.reply || 'Hello from Claude';
+  return startServer((request, res) => {
+    const { body } = request;
+    if (body.stream) {
+      sendEvents(res, [
+        `event: message_start\ndata: ${JSON.stringify({ type: 'message_start', message: { usage: { input_tokens: 11 } } })}\n\n`,
+        ...chunks(reply).map((text) => `event: content_block_delta\ndata: ${JSON.stringify({
+          type: 'content_block_delta', delta: { type: 'text_delta', text }
+        })}\n\n`),
+        `event: message_delta\ndata: ${JSON.stringify({ type: 'message_delta', usage: { input_tokens: 11, output_tokens: 4 } })}\n\n`,
+        `event: message_stop\ndata: ${JSON.stringify({ type: 'message_stop' })}\n\n`
+      ]);
+      return;
+    }
+    const content = body.tools && options.toolCall
+      ? [{
+        type: 'tool_use', id: 'toolu_1', name: options.toolCall.name, input: options.toolCall.input
+      }]
+      : [{ type: 'text', text: reply }];
+    sendJson(res, 200, { content, usage: { input_tokens: 11, output_tokens: 4 } });
+  }, options);
+}
+
+/**
+ * OpenAI Chat Completions API: POST .../chat/completions (plain, streamed or
+ * with tools) and GET .../models, under any path prefix - which makes it the
+ * mock for OpenAI-compatible servers, Azure OpenAI and Mistral too.
+ * @param {Object} [options] - { reply, toolCall: { name, arguments }, status }
+ */
+function mockOpenAI(options = {}) {
+  const reply = options.reply || 'Hello from GPT';
+  const usage = { prompt_tokens: 9, completion_tokens: 3, total_tokens: 12 };
+  return startServer((request, res) => {
+    const path = request.path.split('?')[0];
+    if (request.method === 'GET' && path.endsWith('/models')) {
+      sendJson(res, 200, { object: 'list', data: [{ id: 'mock-model', object: 'model' }] });
+      return;
+    }
+    if (!path.endsWith('/chat/completions')) {
+      sendJson(res, 404, { error: { message: `no route ${path}` } });
+      return;
+    }
+    const { body } = request;
+    if (body.stream) {
+      const includeUsage = body.stream_options && body.stream_options.include_usage;
+      sendEvents(res, [
+        ...chunks(reply).map((content) => `data: ${JSON.stringify({ choices: [{ index: 0, delta: { content } }] })}\n\n`),
+        ...(includeUsage ? [`data: ${JSON.stringify({ choices: [], usage })}\n\n`] : []),
+        'data: [DONE]\n\n'
+      ]);
+      return;
+    }
+    const message = body.tools && options.toolCall
+      ? {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{
+          id: 'call_1',
+          type: 'function',
+          function: { name: options.toolCall.name, arguments: options.toolCall.arguments }
+        }]
+      }
+      : { role: 'assistant', content: reply };
+    sendJson(res, 200, { choices: [{ index: 0, message }], usage });
+  }, options);
+}
+
+/**
+ * Gemini API: POST /v1beta/models/<model>:generateContent.
+ * @param {Object} [options] - { reply, status }
+ */
+function mockGemini(options = {}) {
+  const reply = options.reply || 'Hello from Gemini';
+  return startServer((request, res) => {
+    if (!/^\/v1beta\/models\/[^/:]+:generateContent/.test(request.path)) {
+      sendJson(res, 404, { error: { message: `no route ${request.path}` } });
+      return;
+    }
+    sendJson(res, 200, {
+      candidates: [{ content: { parts: [{ text: reply }] } }],
+      usageMetadata: { promptTokenCount: 7, candidatesTokenCount: 4, totalTokenCount: 11 }
+    });
+  }, options);
+}
+
+/**
+ * Ollama API: POST /api/generate (plain or streamed as NDJSON) and GET /api/tags.
+ * @param {Object} [options] - { reply, status }
+ */
+function mockOllama(options = {}) {
+  const reply = options.reply || 'Hello from Llama';
+  return startServer((request, res) => {
+    if (request.method === 'GET' && request.path === '/api/tags') {
+      sendJson(res, 200, { models: [{ name: 'llama3.1:8b' }] });
+      return;
+    }
+    const { body } = request;
+    if (body.stream) {
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      res.end([
+        ...chunks(reply).map((response) => JSON.stringify({ model: body.model, response, done: false })),
+        JSON.stringify({
+          model: body.model, response: '', done: true, prompt_eval_count: 8, eval_count: 3
+        })
+      ].join('\n'));
+      return;
+    }
+    sendJson(res, 200, {
+      model: body.model, response: reply, done: true, prompt_eval_count: 8, eval_count: 3
+    });
+  }, options);
+}
+
+module.exports = {
+  mockAnthropic,
+  mockGemini,
+  mockOllama,
+  mockOpenAI,
+  startServer
+};
@@ -189,4 +189,27 @@ describe('ConversationsController', () => {
       }
     ]);
   });
+
+  it('passes X-LLM-Cache: bypass on as a turn that skips the response cache', async () => {
+    conversationService.sendMessageTurn.mockResolvedValue({
+      conversationId: 'conv-1',
+      userMessage: { id: 'user-msg-1' },
+      assistantMessage: { id: 'assistant-msg-1' }
+    });
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+    await controller.sendMessage({
+      user: { userId: 'user-1' },
+      params: { id: 'conv-1' },
+      headers: { 'x-llm-cache': 'Bypass' },
+      body: { content: 'Hello', metadata: { temperature: 0 } }
+    }, res, jest.fn());
+
+    expect(conversationService.sendMessageTurn).toHaveBeenCalledWith(
+      'conv-1',
+      'user-1',
+      'Hello',
+      { temperature: 0, noCache: true }
+    );
+  });
 });
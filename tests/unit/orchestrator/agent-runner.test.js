@@ -2,8 +2,15 @@
  * Unit tests for AgentRunner - the agent loop driven by a scripted mock modelClient.
  */
 
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
 const { AgentRunner } = require('../../../src/orchestrator/agent-runner');
 const { ToolRegistry } = require('../../../src/orchestrator/tools/tool-registry');
+const { writeFileTool } = require('../../../src/orchestrator/tools/write-file.tool');
+const { createExecutionControl } = require('../../../src/orchestrator/execution-control');
+const { createReplay } = require('../../../src/orchestrator/trace');
+const { BudgetExceededError } = require('../../../src/utils/errors');
 
 const silentLogger = { info: () => {}, warn: () => {}, error: () => {} };
 
@@ -153,6 +160,133 @@ describe('AgentRunner', () => {
     );
   });
 
+  it('reserves each model call\'s estimated cost and releases what the call left unsettled', async () => {
+    const modelClient = {
+      generateOrchestratorResponse: jest.fn()
+        .mockResolvedValueOnce({ text: '{"tool":"echo","args":{"msg":"hi"}}' })
+        .mockRejectedValueOnce(new Error('provider down'))
+    };
+    const tokenEconomics = {
+      getBudgetStatus: jest.fn().mockResolvedValue({
+        daily: { remaining: 10, percent: 1 }, monthly: { remaining: 10, percent: 1 }
+      }),
+      selectModel: jest.fn().mockResolvedValue('gpt-4'),
+      reserve: jest.fn()
+        .mockResolvedValueOnce({ id: 'r1', amount: 0.13 })
+        .mockResolvedValueOnce({ id: 'r2', amount: 0.13 }),
+      release: jest.fn().mockResolvedValue()
+    };
+    const runner = new AgentRunner({
+      modelClient, toolRegistry: registryWith(echoTool), tokenEconomics, logger: silentLogger, reserveOutputTokens: 500
+    });
+
+    const res = await runner.run(baseTask());
+
+    expect(res.status).toBe('failed');
+    expect(tokenEconomics.reserve).toHaveBeenCalledWith(expect.objectContaining({
+      projectId: 'p1', taskId: 't1', model: 'gpt-4', tokensInput: expect.any(Number), tokensOutput: 500
+    }));
+    expect(modelClient.generateOrchestratorResponse.mock.calls.map(([, request]) => request.reservation))
+      .toEqual([{ id: 'r1', amount: 0.13 }, { id: 'r2', amount: 0.13 }]);
+    // A settled reservation ignores the release; the failed call's is freed
+    expect(tokenEconomics.release.mock.calls).toEqual([['r1'], ['r2']]);
+  });
+
+  it('reserves for the model the policy routes the prompt to, and pins the call to it', async () => {
+    const modelClient = {
+      routedModel: jest.fn(() => 'llama3.1:8b'),
+      generateOrchestratorResponse: jest.fn().mockResolvedValue({ text: '{"type":"finish"}' })
+    };
+    const tokenEconomics = {
+      selectModel: jest.fn().mockResolvedValue('mistral'),
+      reserve: jest.fn().mockResolvedValue({ id: 'r1', amount: 0.01 }),
+      release: jest.fn().mockResolvedValue()
+    };
+    const runner = new AgentRunner({
+      modelClient, toolRegistry: registryWith(echoTool), tokenEconomics, logger: silentLogger
+    });
+
+    await runner.run(baseTask());
+
+    // The policy picks for the rendered prompt; the selection does not bypass it
+    const [prompt] = modelClient.generateOrchestratorResponse.mock.calls[0];
+    expect(modelClient.routedModel).toHaveBeenCalledWith('orchestrator', prompt);
+    expect(tokenEconomics.reserve).toHaveBeenCalledWith(expect.objectContaining({ model: 'llama3.1:8b' }));
+    expect(modelClient.generateOrchestratorResponse).toHaveBeenCalledWith(
+      prompt,
+      expect.objectContaining({ model: 'llama3.1:8b', pinModel: true })
+    );
+  });
+
+  it('stops with budget_exhausted when a model call cannot be reserved', async () => {
+    const modelClient = scriptedClient(['{"type":"finish"}']);
+    const tokenEconomics = {
+      getBudgetStatus: jest.fn().mockResolvedValue({
+        daily: { remaining: 1, percent: 90 }, monthly: { remaining: 10, percent: 1 }
+      }),
+      reserve: jest.fn().mockRejectedValue(
+        new BudgetExceededError('tenant daily budget exceeded', { scope: 'tenant' })
+      ),
+      release: jest.fn()
+    };
+    const runner = new AgentRunner({
+      modelClient, toolRegistry: registryWith(echoTool), tokenEconomics, logger: silentLogger
+    });
+
+    const res = await runner.run(baseTask());
+
+    expect(res).toEqual(expect.objectContaining({
+      status: 'budget_exhausted', reason: 'tenant daily budget exceeded', steps: 0
+    }));
+    expect(modelClient.calls).toBe(0);
+    expect(tokenEconomics.release).not.toHaveBeenCalled();
+  });
+
+  it('stops with budget_exhausted when the reservation store is unavailable', async () => {
+    const modelClient = {
+      generateOrchestratorResponse: jest.fn().mockResolvedValue({ text: '{"type":"finish"}' })
+    };
+    const tokenEconomics = {
+      reserve: jest.fn().mockRejectedValue(new Error('relation "tenants" does not exist')),
+      release: jest.fn()
+    };
+    const runner = new AgentRunner({
+      modelClient, toolRegistry: registryWith(echoTool), tokenEconomics, logger: silentLogger
+    });
+
+    const res = await runner.run(baseTask());
+
+    expect(res).toEqual(expect.objectContaining({
+      status: 'budget_exhausted', reason: 'budget check failed: relation "tenants" does not exist'
+    }));
+    expect(modelClient.generateOrchestratorResponse).not.toHaveBeenCalled();
+    expect(tokenEconomics.release).not.toHaveBeenCalled();
+  });
+
+  it('stops with budget_exhausted when the budget status or model selection cannot be read', async () => {
+    const modelClient = {
+      generateOrchestratorResponse: jest.fn().mockResolvedValue({ text: '{"type":"finish"}' })
+    };
+    const unreadable = new AgentRunner({
+      modelClient,
+      toolRegistry: registryWith(echoTool),
+      tokenEconomics: { getBudgetStatus: jest.fn().mockRejectedValue(new Error('connection refused')) },
+      logger: silentLogger
+    });
+    const unselectable = new AgentRunner({
+      modelClient,
+      toolRegistry: registryWith(echoTool),
+      tokenEconomics: { selectModel: jest.fn().mockRejectedValue(new Error('connection refused')) },
+      logger: silentLogger
+    });
+
+    expect((await unreadable.run(baseTask())).status).toBe('budget_exhausted');
+    expect(await unselectable.run(baseTask())).toEqual(expect.objectContaining({
+      status: 'budget_exhausted', reason: 'budget check failed: connection refused'
+    }));
+    expect(modelClient.generateOrchestratorResponse).not.toHaveBeenCalled();
+  });
+
   it('accumulates filesWritten from tool observations', async () => {
     const writeTool = {
       name: 'write_file',
@@ -173,6 +307,200 @@ describe('AgentRunner', () => {
     expect(res.filesWritten).toEqual(['a.js', 'b.js']);
   });
 
+  it('snapshots the last version of each written file', async () => {
+    const workspaceRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'zekka-runner-'));
+    const modelClient = scriptedClient([
+      '{"tool":"write_file","args":{"path":"a.js","content":"v1"}}',
+      '{"tool":"write_file","args":{"path":"a.js","content":"v2"}}',
+      '{"type":"finish"}'
+    ]);
+    const runner = new AgentRunner({
+      modelClient,
+      toolRegistry: registryWith(writeFileTool),
+      toolContext: { workspaceRoot },
+      logger: silentLogger
+    });
+
+    try {
+      const res = await runner.run(baseTask());
+      expect(res.filesWritten).toEqual(['a.js']);
+      expect(res.fileVersions).toEqual({ 'a.js': 'v2' });
+    } finally {
+      await fs.rm(workspaceRoot, { recursive: true, force: true });
+    }
+  });
+
+  it('limits the catalogue and dispatch to task.allowedTools', async () => {
+    const r = registryWith(echoTool);
+    r.register({ ...echoTool, name: 'other' });
+    const modelClient = {
+      prompts: [],
+      replies: ['{"tool":"echo","args":{"msg":"x"}}', '{"type":"finish"}'],
+      async generateOrchestratorResponse(prompt) {
+        this.prompts.push(prompt);
+        return { text: this.replies.shift() };
+      }
+    };
+    const runner = new AgentRunner({ modelClient, toolRegistry: r, logger: silentLogger });
+
+    const res = await runner.run(baseTask({ allowedTools: ['other'] }));
+    expect(modelClient.prompts[0]).toContain('- other:');
+    expect(modelClient.prompts[0]).not.toContain('- echo:');
+    expect(res.memory[0].observation).toEqual({
+      ok: false, error: 'tool "echo" is not allowed in this stage'
+    });
+  });
+
+  it("narrows the context's command allowlist to task.allowedCommands, never extending it", async () => {
+    const seen = [];
+    const r = registryWith({
+      name: 'probe', description: '', schema: {}, run: async (_args, ctx) => { seen.push(ctx.allowedCommands); }
+    });
+    const runner = new AgentRunner({
+      modelClient: scriptedClient(['{"tool":"probe","args":{}}', '{"type":"finish"}']),
+      toolRegistry: r,
+      toolContext: { allowedCommands: ['eslint', 'tsc'] },
+      logger: silentLogger
+    });
+
+    await runner.run(baseTask({ allowedCommands: ['tsc', 'sh'] }));
+    expect(seen).toEqual([['tsc']]);
+  });
+
+  it("applies task.toolPolicy to the catalogue, the dispatch and the prompt's rules", async () => {
+    const workspaceRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'zekka-policy-'));
+    try {
+      const r = registryWith(writeFileTool);
+      r.register({ ...echoTool, name: 'read_file' });
+      const modelClient = {
+        prompts: [],
+        replies: ['{"tool":"write_file","args":{"path":"src/a.js","content":"x"}}', '{"type":"finish"}'],
+        async generateOrchestratorResponse(prompt) {
+          this.prompts.push(prompt);
+          return { text: this.replies.shift() };
+        }
+      };
+      const runner = new AgentRunner({
+        modelClient, toolRegistry: r, toolContext: { workspaceRoot }, logger: silentLogger
+      });
+      const toolPolicy = {
+        agent: 'mintlify', profiles: ['docs-writer'], tools: ['write_file'], writePaths: ['docs/**']
+      };
+
+      const res = await runner.run(baseTask({ toolPolicy }));
+      expect(modelClient.prompts[0]).toContain('- write_file:');
+      expect(modelClient.prompts[0]).not.toContain('- read_file:');
+      expect(modelClient.prompts[0]).toContain('- You may only write files matching: docs/**.');
+      expect(res.memory[0].observation).toEqual({
+        ok: false, error: 'permission denied: agent "mintlify" (docs-writer) may only write docs/**, not "src/a.js"'
+      });
+      expect(res.filesWritten).toEqual([]);
+    } finally {
+      await fs.rm(workspaceRoot, { recursive: true, force: true });
+    }
+  });
+
+  describe('native tool calling', () => {
+    function nativeClient(responses, { supports = true } = {}) {
+      const queue = [...responses];
+      return {
+        prompts: [],
+        toolSets: [],
+        supportsNativeTools: jest.fn(() => supports),
+        async generateWithTools(prompt, tools) {
+          this.prompts.push(prompt);
+          this.toolSets.push(tools);
+          const next = queue.shift();
+          if (next instanceof Error) throw next;
+          return next || { text: '', toolCalls: [{ id: 'f', name: 'finish', args: {} }], model: 'gpt-4o' };
+        },
+        generateOrchestratorResponse: jest.fn(async () => ({ text: '{"type":"finish"}', model: 'ollama' }))
+      };
+    }
+
+    it('sends the catalogue as provider tools and runs the called tool', async () => {
+      const tracer = { recordStep: jest.fn() };
+      const modelClient = nativeClient([
+        { text: 'echoing', toolCalls: [{ id: 'c1', name: 'echo', args: { msg: 'hi' } }], model: 'gpt-4o' },
+        { text: '', toolCalls: [{ id: 'c2', name: 'finish', args: { result: { summary: 'ok' } } }], model: 'gpt-4o' }
+      ]);
+      const runner = new AgentRunner({
+        modelClient, toolRegistry: registryWith(echoTool), logger: silentLogger, tracer
+      });
+
+      const res = await runner.run(baseTask());
+      expect(res).toMatchObject({ status: 'completed', result: { summary: 'ok' } });
+      expect(res.memory[0].observation).toEqual({ ok: true, output: 'hi' });
+      expect(modelClient.toolSets[0].map((t) => t.name)).toEqual(['echo', 'finish']);
+      expect(modelClient.prompts[0]).toContain('OUTPUT CONTRACT — call tools, no prose answers');
+      expect(modelClient.prompts[0]).not.toContain('args schema');
+      expect(modelClient.generateOrchestratorResponse).not.toHaveBeenCalled();
+      expect(tracer.recordStep.mock.calls[0][1]).toMatchObject({
+        model: 'gpt-4o', text: '{"thought":"echoing","tool":"echo","args":{"msg":"hi"}}'
+      });
+    });
+
+    it('records which steps were native, so a replay renders the same prompts', async () => {
+      const tracer = { recordStep: jest.fn() };
+      const modelClient = nativeClient([
+        { text: 'echoing', toolCalls: [{ id: 'c1', name: 'echo', args: { msg: 'hi' } }], model: 'gpt-4o' },
+        { text: '', toolCalls: [{ id: 'c2', name: 'echo', args: null }], model: 'gpt-4o' },
+        new Error('429 rate limited')
+      ]);
+      await new AgentRunner({
+        modelClient, toolRegistry: registryWith(echoTool), logger: silentLogger, tracer
+      }).run(baseTask());
+      const recorded = tracer.recordStep.mock.calls.map((c) => c[1]);
+      expect(recorded.map((e) => e.native)).toEqual([true, true, false]);
+
+      const replayed = [];
+      const replay = createReplay(recorded, registryWith(echoTool));
+      const res = await new AgentRunner({
+        ...replay, logger: silentLogger, tracer: { recordStep: async (_task, entry) => { replayed.push(entry); } }
+      }).run(baseTask());
+      expect(res.status).toBe('completed');
+      expect(replayed.map((e) => e.native)).toEqual([true, true, false]);
+      expect(replayed.map((e) => e.promptHash)).toEqual(recorded.map((e) => e.promptHash));
+      expect(replayed.map((e) => e.action)).toEqual(recorded.map((e) => e.action));
+    });
+
+    it('asks again after a call with malformed arguments', async () => {
+      const modelClient = nativeClient([
+        { text: '', toolCalls: [{ id: 'c1', name: 'echo', args: null }], model: 'gpt-4o' }
+      ]);
+      const runner = new AgentRunner({ modelClient, toolRegistry: registryWith(echoTool), logger: silentLogger });
+
+      const res = await runner.run(baseTask());
+      expect(res.memory[0]).toMatchObject({ parseError: true, hint: expect.stringMatching(/^Call the tools/) });
+      expect(modelClient.prompts[1]).toContain('your reply held no usable action');
+    });
+
+    it('falls back to the JSON protocol for a step whose native call fails', async () => {
+      const modelClient = nativeClient([new Error('429 rate limited')]);
+      const runner = new AgentRunner({ modelClient, toolRegistry: registryWith(echoTool), logger: silentLogger });
+
+      const res = await runner.run(baseTask());
+      expect(res.status).toBe('completed');
+      expect(modelClient.generateOrchestratorResponse).toHaveBeenCalledTimes(1);
+      expect(modelClient.generateOrchestratorResponse.mock.calls[0][0]).toContain('OUTPUT CONTRACT — reply with a SINGLE JSON');
+    });
+
+    it('keeps the JSON protocol for models without native tools, or when disabled', async () => {
+      const unsupported = nativeClient([], { supports: false });
+      await new AgentRunner({ modelClient: unsupported, toolRegistry: registryWith(echoTool), logger: silentLogger })
+        .run(baseTask());
+      expect(unsupported.prompts).toEqual([]);
+      expect(unsupported.generateOrchestratorResponse).toHaveBeenCalled();
+
+      const disabled = nativeClient([]);
+      await new AgentRunner({
+        modelClient: disabled, toolRegistry: registryWith(echoTool), logger: silentLogger, nativeTools: false
+      }).run(baseTask());
+      expect(disabled.supportsNativeTools).not.toHaveBeenCalled();
+      expect(disabled.generateOrchestratorResponse).toHaveBeenCalled();
+    });
+  });
+
   it('persists each step to the context bus', async () => {
     const contextBus = { setAgentState: jest.fn().mockResolvedValue() };
     const modelClient = scriptedClient([
@@ -189,6 +517,105 @@ describe('AgentRunner', () => {
     );
   });
 
+  it('stops before the next step once task.signal is aborted', async () => {
+    const controller = new AbortController();
+    const modelClient = {
+      calls: 0,
+      async generateOrchestratorResponse() {
+        this.calls += 1;
+        controller.abort('sibling t2 failed');
+        return { text: '{"tool":"echo","args":{"msg":"x"}}' };
+      }
+    };
+    const runner = new AgentRunner({
+      modelClient, toolRegistry: registryWith(echoTool), logger: silentLogger
+    });
+
+    const res = await runner.run(baseTask({ signal: controller.signal }));
+    expect(res.status).toBe('cancelled');
+    expect(res.reason).toBe('cancelled: sibling t2 failed');
+    expect(res.steps).toBe(1);
+    expect(modelClient.calls).toBe(1);
+  });
+
+  it('waits between steps while task.control is paused', async () => {
+    const control = createExecutionControl();
+    const modelClient = scriptedClient([
+      '{"tool":"echo","args":{"msg":"x"}}',
+      '{"type":"finish"}'
+    ]);
+    const registry = registryWith({
+      ...echoTool,
+      run: async (args) => {
+        control.pause();
+        return { ok: true, output: args.msg };
+      }
+    });
+    const runner = new AgentRunner({ modelClient, toolRegistry: registry, logger: silentLogger });
+
+    const running = runner.run(baseTask({ control, signal: control.signal }));
+    await new Promise(setImmediate);
+    expect(modelClient.calls).toBe(1);
+
+    control.resume();
+    const res = await running;
+    expect(res.status).toBe('completed');
+    expect(modelClient.calls).toBe(2);
+  });
+
+  it('ends as cancelled when cancelled while paused', async () => {
+    const control = createExecutionControl();
+    control.pause();
+    const modelClient = scriptedClient([]);
+    const runner = new AgentRunner({
+      modelClient, toolRegistry: registryWith(echoTool), logger: silentLogger
+    });
+
+    const running = runner.run(baseTask({ control, signal: control.signal }));
+    control.cancel('operator stop');
+    const res = await running;
+    expect(res.status).toBe('cancelled');
+    expect(res.reason).toBe('cancelled: operator stop');
+    expect(modelClient.calls).toBe(0);
+  });
+
+  it('hands every step to the tracer', async () => {
+    const modelClient = {
+      replies: ['not json', '{"tool":"echo","args":{"msg":"hi"}}', '{"type":"finish"}'],
+      async generateOrchestratorResponse() {
+        return { text: this.replies.shift(), model: 'gemini-pro', usage: { promptTokens: 10, completionTokens: 2 } };
+      }
+    };
+    const tracer = { recordStep: jest.fn().mockResolvedValue() };
+    const runner = new AgentRunner({
+      modelClient, toolRegistry: registryWith(echoTool), logger: silentLogger, tracer
+    });
+
+    await runner.run(baseTask({ runId: 'run-1' }));
+
+    const entries = tracer.recordStep.mock.calls.map((c) => c[1]);
+    expect(tracer.recordStep.mock.calls[0][0]).toMatchObject({ taskId: 't1', runId: 'run-1' });
+    expect(entries.map((e) => e.step)).toEqual([0, 1, 2]);
+    expect(entries[0]).toMatchObject({ text: 'not json', action: null });
+    expect(entries[1]).toMatchObject({
+      model: 'gemini-pro',
+      action: { tool: 'echo', args: { msg: 'hi' } },
+      observation: { ok: true, output: 'hi' },
+      usage: { promptTokens: 10, completionTokens: 2 }
+    });
+    expect(entries[1].promptHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(entries[2].action).toMatchObject({ type: 'finish' });
+  });
+
+  it('keeps running when the tracer fails', async () => {
+    const modelClient = scriptedClient(['{"type":"finish"}']);
+    const tracer = { recordStep: jest.fn().mockRejectedValue(new Error('db down')) };
+    const runner = new AgentRunner({
+      modelClient, toolRegistry: registryWith(echoTool), logger: silentLogger, tracer
+    });
+    expect((await runner.run(baseTask())).status).toBe('completed');
+  });
+
   it('fails gracefully when the model call throws', async () => {
     const modelClient = {
       generateOrchestratorResponse: jest.fn().mockRejectedValue(new Error('network down'))
@@ -201,4 +628,173 @@ describe('AgentRunner', () => {
     expect(res.status).toBe('failed');
     expect(res.reason).toMatch(/network down/);
   });
+
+  it('keeps the prompt within contextTokens while returning the full memory', async () => {
+    const bigTool = {
+      name: 'big', description: 'big', schema: { n: { type: 'number', required: true } },
+      run: async (args) => ({ ok: true, output: `${args.n}:${'z'.repeat(4000)}` })
+    };
+    const prompts = [];
+    const modelClient = {
+      async generateOrchestratorResponse(prompt) {
+        if (prompt.startsWith('You are compressing')) return { text: 'summary of the early steps' };
+        prompts.push(prompt);
+        const n = prompts.length;
+        return { text: n > 6 ? '{"type":"finish","result":null}' : `{"tool":"big","args":{"n":${n}}}`, model: 'gpt-4o' };
+      }
+    };
+    const runner = new AgentRunner({
+      modelClient, toolRegistry: registryWith(bigTool), logger: silentLogger, contextTokens: 2000
+    });
+
+    const res = await runner.run(baseTask());
+    expect(res.status).toBe('completed');
+    expect(res.memory).toHaveLength(6);
+    expect(prompts.every((p) => p.length <= 8000)).toBe(true);
+    expect(prompts[6]).toContain('EARLIER STEPS (summarised):\nsummary of the early steps');
+  });
+
+  it('summarises with a step digest when summaryClient is null', async () => {
+    const modelClient = scriptedClient([
+      '{"tool":"echo","args":{"msg":"one"}}',
+      '{"tool":"echo","args":{"msg":"two"}}',
+      '{"type":"finish","result":null}'
+    ]);
+    const runner = new AgentRunner({
+      modelClient,
+      toolRegistry: registryWith({ ...echoTool, run: async (args) => ({ ok: true, output: args.msg.repeat(3000) }) }),
+      logger: silentLogger,
+      contextTokens: 1000,
+      summaryClient: null
+    });
+
+    const res = await runner.run(baseTask());
+    expect(res.status).toBe('completed');
+    expect(modelClient.calls).toBe(3);
+  });
+
+  describe('batches', () => {
+    /** A registry whose tools log when they start and finish, to observe overlap. */
+    function loggingRegistry(events) {
+      const r = new ToolRegistry({ logger: silentLogger });
+      const tool = (name, readOnly) => ({
+        name,
+        readOnly,
+        schema: { id: { type: 'string', required: true } },
+        run: async (args) => {
+          events.push(`start ${name}:${args.id}`);
+          await new Promise((resolve) => { setImmediate(resolve); });
+          events.push(`end ${name}:${args.id}`);
+          return { ok: true, output: `${name}:${args.id}` };
+        }
+      });
+      r.register(tool('peek', true));
+      r.register(tool('poke', false));
+      return r;
+    }
+
+    it('runs read-only calls in parallel and the rest in order, as one step', async () => {
+      const events = [];
+      const tracer = { recordStep: jest.fn() };
+      const modelClient = scriptedClient([
+        JSON.stringify({
+          thought: 'look, change, look',
+          actions: [
+            { tool: 'peek', args: { id: '1' } },
+            { tool: 'peek', args: { id: '2' } },
+            { tool: 'poke', args: { id: '3' } },
+            { tool: 'peek', args: { id: '4' } }
+          ]
+        }),
+        '{"type":"finish","result":null}'
+      ]);
+      const runner = new AgentRunner({
+        modelClient, toolRegistry: loggingRegistry(events), logger: silentLogger, tracer
+      });
+
+      const res = await runner.run(baseTask());
+      expect(res).toMatchObject({ status: 'completed', steps: 2 });
+      expect(events).toEqual([
+        'start peek:1', 'start peek:2', 'end peek:1', 'end peek:2',
+        'start poke:3', 'end poke:3',
+        'start peek:4', 'end peek:4'
+      ]);
+      expect(res.memory.map((m) => [m.step, m.action.tool, m.batch, m.observation.output])).toEqual([
+        [0, 'peek', { index: 1, size: 4 }, 'peek:1'],
+        [0, 'peek', { index: 2, size: 4 }, 'peek:2'],
+        [0, 'poke', { index: 3, size: 4 }, 'poke:3'],
+        [0, 'peek', { index: 4, size: 4 }, 'peek:4']
+      ]);
+      const traced = tracer.recordStep.mock.calls[0][1];
+      expect(traced.action.type).toBe('batch');
+      expect(traced.observation.map((o) => o.output)).toEqual(['peek:1', 'peek:2', 'poke:3', 'peek:4']);
+    });
+
+    it('shows each call of a batch in the next prompt', async () => {
+      const prompts = [];
+      const replies = [
+        '{"actions":[{"tool":"echo","args":{"msg":"a"}},{"tool":"echo","args":{"msg":"b"}}]}',
+        '{"type":"finish","result":null}'
+      ];
+      const modelClient = {
+        async generateOrchestratorResponse(prompt) {
+          prompts.push(prompt);
+          return { text: replies.shift(), model: 'mock' };
+        }
+      };
+      const runner = new AgentRunner({ modelClient, toolRegistry: registryWith(echoTool), logger: silentLogger });
+
+      await runner.run(baseTask());
+      expect(prompts[1]).toContain('Step 0 (1/2): echo({"msg":"a"})\n  observation: {"ok":true,"output":"a"}');
+      expect(prompts[1]).toContain('Step 0 (2/2): echo({"msg":"b"})');
+    });
+
+    it('answers calls past maxBatchSize without running them', async () => {
+      const events = [];
+      const modelClient = scriptedClient([
+        '{"actions":[{"tool":"peek","args":{"id":"1"}},{"tool":"peek","args":{"id":"2"}},'
+          + '{"tool":"poke","args":{"id":"3"}}]}'
+      ]);
+      const runner = new AgentRunner({
+        modelClient, toolRegistry: loggingRegistry(events), logger: silentLogger, maxBatchSize: 2
+      });
+
+      const res = await runner.run(baseTask());
+      expect(events).not.toContain('start poke:3');
+      expect(res.memory[2].observation).toEqual({ ok: false, error: 'not run: at most 2 tool calls per turn' });
+    });
+
+    it('stops a run that repeats the same batch', async () => {
+      const batch = '{"actions":[{"tool":"echo","args":{"msg":"a"}},{"tool":"echo","args":{"msg":"b"}}]}';
+      const modelClient = scriptedClient([batch, batch, batch, batch]);
+      const runner = new AgentRunner({ modelClient, toolRegistry: registryWith(echoTool), logger: silentLogger });
+
+      const res = await runner.run(baseTask());
+      expect(res).toMatchObject({ status: 'no_progress', reason: 'repeated "echo, echo" 3x', steps: 3 });
+      expect(res.memory).toHaveLength(6);
+    });
+
+    it('lets native models call several tools at once', async () => {
+      const generateWithTools = jest.fn()
+        .mockResolvedValueOnce({
+          text: '',
+          toolCalls: [
+            { id: 'c1', name: 'echo', args: { msg: 'a' } },
+            { id: 'c2', name: 'echo', args: { msg: 'b' } }
+          ],
+          model: 'gpt-4o'
+        })
+        .mockResolvedValueOnce({ text: '', toolCalls: [{ id: 'f', name: 'finish', args: {} }], model: 'gpt-4o' });
+      const modelClient = {
+        supportsNativeTools: () => true,
+        generateWithTools,
+        generateOrchestratorResponse: jest.fn()
+      };
+      const runner = new AgentRunner({ modelClient, toolRegistry: registryWith(echoTool), logger: silentLogger });
+
+      const res = await runner.run(baseTask());
+      expect(res.memory.map((m) => m.observation.output)).toEqual(['a', 'b']);
+      expect(generateWithTools.mock.calls[0][2]).toMatchObject({ parallelToolCalls: true });
+    });
+  });
 });
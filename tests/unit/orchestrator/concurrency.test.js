@@ -0,0 +1,47 @@
+/**
+ * Unit tests for the concurrency limiter used to run agents in parallel.
+ */
+
+const { createLimiter } = require('../../../src/orchestrator/concurrency');
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+}
+
+describe('createLimiter', () => {
+  it('rejects a non-positive limit', () => {
+    expect(() => createLimiter(0)).toThrow(/positive integer/);
+  });
+
+  it('never runs more than `limit` functions at once', async () => {
+    const limiter = createLimiter(2);
+    const gates = [deferred(), deferred(), deferred()];
+    let peak = 0;
+    let inFlight = 0;
+
+    const runs = gates.map((gate, i) => limiter.run(async () => {
+      inFlight += 1;
+      peak = Math.max(peak, inFlight);
+      await gate.promise;
+      inFlight -= 1;
+      return i;
+    }));
+
+    await new Promise(setImmediate);
+    expect(limiter.active).toBe(2);
+    expect(limiter.pending).toBe(1);
+
+    gates.forEach((g) => g.resolve());
+    expect(await Promise.all(runs)).toEqual([0, 1, 2]);
+    expect(peak).toBe(2);
+  });
+
+  it('frees the slot when a function rejects', async () => {
+    const limiter = createLimiter(1);
+    await expect(limiter.run(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    expect(await limiter.run(async () => 'next')).toBe('next');
+    expect(limiter.active).toBe(0);
+  });
+});
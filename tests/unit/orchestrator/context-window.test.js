@@ -0,0 +1,189 @@
+/**
+ * Unit tests for the agent context window: pinned facts and compaction of long
+ * histories.
+ */
+
+const { ContextWindow, pinnedFacts } = require('../../../src/orchestrator/context-window');
+const { countTokens } = require('../../../src/services/tokenizer');
+const { buildAgentPrompt } = require('../../../src/orchestrator/agent-prompt');
+
+const silentLogger = { info: () => {}, warn: jest.fn(), error: () => {} };
+const task = { agentName: 'agent-1', goal: 'fix the cart' };
+
+function readStep(step, size = 3000) {
+  return {
+    step,
+    action: { type: 'tool', tool: 'read_file', args: { path: `src/f${step}.js` } },
+    observation: { ok: true, output: 'x'.repeat(size) }
+  };
+}
+
+function build(view) {
+  return buildAgentPrompt(task, [], view.memory, {
+    summary: view.summary, facts: view.facts, observationChars: view.observationChars
+  });
+}
+
+describe('pinnedFacts', () => {
+  it('lists every file written and the last test run', () => {
+    const memory = [
+      { step: 0, action: { tool: 'write_file' }, observation: { ok: true, writes: ['src/a.js'] } },
+      {
+        step: 1,
+        action: { tool: 'run_tests' },
+        observation: { ok: true, output: { passed: true } }
+      },
+      { step: 2, parseError: true, hint: 'reply with JSON' },
+      { step: 3, action: { tool: 'edit_file' }, observation: { ok: true, writes: ['src/b.js', 'src/a.js'] } },
+      {
+        step: 4,
+        action: { tool: 'run_tests' },
+        observation: {
+          ok: true,
+          output: {
+            passed: false,
+            report: {
+              total: 5, passed: 4, failed: 1, failures: [{ name: 'cart totals' }]
+            }
+          }
+        }
+      }
+    ];
+    expect(pinnedFacts(memory)).toEqual([
+      'Files written so far: src/a.js, src/b.js',
+      'Last test run (step 4): FAILED - 1 failed, 4 passed of 5; failing: cart totals'
+    ]);
+  });
+
+  it('is empty before anything was written or tested', () => {
+    expect(pinnedFacts([readStep(0)])).toEqual([]);
+  });
+});
+
+describe('ContextWindow', () => {
+  it('renders the full history while it fits', async () => {
+    const modelClient = { generateOrchestratorResponse: jest.fn() };
+    const window = new ContextWindow({ modelClient, logger: silentLogger, budgetTokens: 8000 });
+    const memory = [readStep(0, 100), readStep(1, 100)];
+
+    const prompt = await window.render(memory, 'gpt-4o', build);
+    expect(prompt).toBe(build({
+      memory, summary: null, facts: [], observationChars: 1500
+    }));
+    expect(modelClient.generateOrchestratorResponse).not.toHaveBeenCalled();
+  });
+
+  it('summarises older steps with the model client once over budget, keeping recent ones', async () => {
+    const modelClient = {
+      generateOrchestratorResponse: jest.fn().mockResolvedValue({ text: 'Read f0-f3; nothing broken yet.' })
+    };
+    const window = new ContextWindow({
+      modelClient, logger: silentLogger, budgetTokens: 1500, keepRecent: 2, task: { projectId: 'p1', taskId: 't1' }
+    });
+    const memory = [0, 1, 2, 3, 4, 5].map((s) => readStep(s));
+
+    const prompt = await window.render(memory, 'gpt-4o', build);
+    expect(countTokens(prompt, 'gpt-4o')).toBeLessThanOrEqual(1500);
+    expect(prompt).toContain('EARLIER STEPS (summarised):\nRead f0-f3; nothing broken yet.');
+    expect(prompt).not.toContain('Step 3:');
+    expect(prompt).toContain('Step 4: read_file');
+    expect(prompt).toContain('Step 5: read_file');
+
+    const [summaryPrompt, options] = modelClient.generateOrchestratorResponse.mock.calls[0];
+    expect(summaryPrompt).toContain('- step 3: read_file({"path":"src/f3.js"}) -> ok');
+    expect(options).toMatchObject({ projectId: 'p1', taskId: 't1' });
+  });
+
+  it('rewrites the summary over the new steps without re-sending the old ones', async () => {
+    const modelClient = {
+      generateOrchestratorResponse: jest.fn()
+        .mockResolvedValueOnce({ text: 'first summary' })
+        .mockResolvedValueOnce({ text: 'second summary' })
+    };
+    const window = new ContextWindow({
+      modelClient, logger: silentLogger, budgetTokens: 900, keepRecent: 2
+    });
+    const memory = [0, 1, 2, 3].map((s) => readStep(s));
+    await window.render(memory, 'gpt-4o', build);
+    expect(window.summarized).toBe(2);
+
+    memory.push(readStep(4));
+    const prompt = await window.render(memory, 'gpt-4o', build);
+    const second = modelClient.generateOrchestratorResponse.mock.calls[1][0];
+    expect(second).toContain('SUMMARY SO FAR:\nfirst summary');
+    expect(second).toContain('- step 2:');
+    expect(second).not.toContain('- step 1:');
+    expect(prompt).toContain('second summary');
+  });
+
+  it('hands the summariser each step\'s observation, clipped', async () => {
+    const modelClient = { generateOrchestratorResponse: jest.fn().mockResolvedValue({ text: 'summary' }) };
+    const window = new ContextWindow({
+      modelClient, logger: silentLogger, budgetTokens: 700, keepRecent: 1
+    });
+    const memory = [
+      {
+        step: 0,
+        action: { type: 'tool', tool: 'run_command', args: { command: 'npm ls' } },
+        observation: { ok: true, output: `cart@1.0.0 uses lodash@4.17.21 ${'z'.repeat(3000)}` }
+      },
+      readStep(1)
+    ];
+
+    await window.render(memory, 'gpt-4o', build);
+    const [summaryPrompt] = modelClient.generateOrchestratorResponse.mock.calls[0];
+    expect(summaryPrompt).toContain('- step 0: run_command({"command":"npm ls"}) -> ok\n  observation: {"ok":true');
+    expect(summaryPrompt).toContain('lodash@4.17.21');
+    expect(summaryPrompt).not.toContain('z'.repeat(200));
+  });
+
+  it('falls back to a step digest when the summary call fails, and pins key facts', async () => {
+    const modelClient = { generateOrchestratorResponse: jest.fn().mockRejectedValue(new Error('quota')) };
+    const logger = { warn: jest.fn() };
+    const window = new ContextWindow({
+      modelClient, logger, budgetTokens: 1000, keepRecent: 1
+    });
+    const memory = [
+      {
+        step: 0,
+        action: { type: 'tool', tool: 'write_file', args: { path: 'src/cart.js', content: 'y'.repeat(3000) } },
+        observation: { ok: true, output: { bytes: 3000 }, writes: ['src/cart.js'] }
+      },
+      {
+        step: 1,
+        action: { type: 'tool', tool: 'edit_file', args: { path: 'src/none.js' } },
+        observation: { ok: false, error: 'file not found' }
+      },
+      readStep(2)
+    ];
+
+    const prompt = await window.render(memory, 'gpt-4o', build);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/memory summary failed.*quota/));
+    expect(prompt).toContain('- step 0: write_file(');
+    expect(prompt).toContain('- step 1: edit_file({"path":"src/none.js"}) -> error: file not found');
+    expect(prompt).toContain('KEY FACTS:\n- Files written so far: src/cart.js');
+  });
+
+  it('clips observations harder before giving up on the recent steps', async () => {
+    const window = new ContextWindow({ logger: silentLogger, budgetTokens: 600, keepRecent: 2 });
+    const memory = [0, 1, 2].map((s) => readStep(s));
+
+    const prompt = await window.render(memory, 'gpt-4o', build);
+    expect(prompt).toContain('Step 1: read_file');
+    expect(prompt).toContain('Step 2: read_file');
+    expect(prompt).toContain('x… [truncated]\nStep 2');
+    expect(prompt).not.toContain('x'.repeat(500));
+  });
+
+  it('warns once when even the compacted prompt is over budget', async () => {
+    const logger = { warn: jest.fn() };
+    const window = new ContextWindow({ logger, budgetTokens: 10, task: { taskId: 't9' } });
+    const memory = [readStep(0), readStep(1)];
+
+    const prompt = await window.render(memory, 'gpt-4o', build);
+    await window.render(memory, 'gpt-4o', build);
+    expect(prompt).toContain('Step 1: read_file');
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+    expect(logger.warn.mock.calls[0][0]).toMatch(/t9 is over its 10-token budget/);
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit tests for createExecutionControl - pause / resume / cancel state.
+ */
+
+const { createExecutionControl } = require('../../../src/orchestrator/execution-control');
+
+describe('createExecutionControl', () => {
+  it('does not block while running', async () => {
+    const control = createExecutionControl();
+    await expect(control.waitWhilePaused()).resolves.toBeUndefined();
+    expect(control.paused).toBe(false);
+    expect(control.cancelled).toBe(false);
+  });
+
+  it('holds waiters until resumed', async () => {
+    const control = createExecutionControl();
+    expect(control.pause()).toBe(true);
+    expect(control.pause()).toBe(false);
+
+    let released = false;
+    const waiting = control.waitWhilePaused().then(() => { released = true; });
+    await new Promise(setImmediate);
+    expect(released).toBe(false);
+
+    expect(control.resume()).toBe(true);
+    await waiting;
+    expect(released).toBe(true);
+    expect(control.resume()).toBe(false);
+  });
+
+  it('releases waiters and aborts the signal on cancel', async () => {
+    const control = createExecutionControl();
+    control.pause();
+    const waiting = control.waitWhilePaused();
+
+    expect(control.cancel('too expensive')).toBe(true);
+    await waiting;
+    expect(control.cancelled).toBe(true);
+    expect(control.paused).toBe(false);
+    expect(control.signal.reason).toBe('too expensive');
+  });
+
+  it('cannot be paused or cancelled again once cancelled', () => {
+    const control = createExecutionControl();
+    control.cancel();
+    expect(control.signal.reason).toBe('cancelled by operator');
+    expect(control.cancel()).toBe(false);
+    expect(control.pause()).toBe(false);
+  });
+});
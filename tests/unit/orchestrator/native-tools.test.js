@@ -0,0 +1,108 @@
+/**
+ * Unit tests for the native tool-calling bridge.
+ */
+
+const {
+  FINISH_TOOL, toJsonSchema, toProviderTools, actionFromResponse, renderAction
+} = require('../../../src/orchestrator/native-tools');
+const { parseAction } = require('../../../src/orchestrator/parse-action');
+
+describe('toJsonSchema', () => {
+  it('maps registry arg specs to a JSON Schema object', () => {
+    expect(toJsonSchema({
+      path: { type: 'string', required: true },
+      edits: { type: 'array' },
+      all: { type: 'boolean', required: false }
+    })).toEqual({
+      type: 'object',
+      properties: { path: { type: 'string' }, edits: { type: 'array', items: {} }, all: { type: 'boolean' } },
+      required: ['path']
+    });
+  });
+
+  it('omits required when nothing is', () => {
+    expect(toJsonSchema({})).toEqual({ type: 'object', properties: {} });
+  });
+});
+
+describe('toProviderTools', () => {
+  it('converts the catalogue and appends finish', () => {
+    const tools = toProviderTools([{ name: 'read_file', description: 'read', schema: { path: { type: 'string', required: true } } }]);
+    expect(tools).toEqual([
+      {
+        name: 'read_file',
+        description: 'read',
+        parameters: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] }
+      },
+      FINISH_TOOL
+    ]);
+  });
+});
+
+describe('actionFromResponse', () => {
+  it('turns a tool call into a tool action', () => {
+    expect(actionFromResponse({ text: ' looking ', toolCalls: [{ id: 'c1', name: 'read_file', args: { path: 'a' } }] }))
+      .toEqual({
+        type: 'tool', tool: 'read_file', args: { path: 'a' }, thought: 'looking'
+      });
+  });
+
+  it('turns a finish call into a finish action', () => {
+    expect(actionFromResponse({ toolCalls: [{ name: 'finish', args: { result: { summary: 'done' } } }] }))
+      .toEqual({ type: 'finish', result: { summary: 'done' }, thought: '' });
+    expect(actionFromResponse({ toolCalls: [{ name: 'finish', args: {} }] }).result).toBeNull();
+  });
+
+  it('rejects a call with malformed arguments', () => {
+    expect(actionFromResponse({ toolCalls: [{ name: 'read_file', args: null }] })).toBeNull();
+  });
+
+  it('turns several calls into a batch, but never with finish', () => {
+    expect(actionFromResponse({
+      text: 'both',
+      toolCalls: [
+        { id: 'c1', name: 'read_file', args: { path: 'a' } },
+        { id: 'c2', name: 'search_code', args: { query: 'x' } }
+      ]
+    })).toEqual({
+      type: 'batch',
+      actions: [
+        { type: 'tool', tool: 'read_file', args: { path: 'a' } },
+        { type: 'tool', tool: 'search_code', args: { query: 'x' } }
+      ],
+      thought: 'both'
+    });
+    expect(actionFromResponse({
+      toolCalls: [{ name: 'read_file', args: { path: 'a' } }, { name: 'finish', args: {} }]
+    })).toBeNull();
+    expect(actionFromResponse({
+      toolCalls: [{ name: 'read_file', args: { path: 'a' } }, { name: 'read_file', args: null }]
+    })).toBeNull();
+  });
+
+  it('falls back to the JSON protocol when no tool was called', () => {
+    expect(actionFromResponse({ text: '{"tool":"read_file","args":{"path":"a"}}', toolCalls: [] }))
+      .toMatchObject({ type: 'tool', tool: 'read_file' });
+    expect(actionFromResponse({ text: 'I am done.', toolCalls: [] })).toBeNull();
+  });
+});
+
+describe('renderAction', () => {
+  it('renders actions in the JSON protocol, which parseAction reads back', () => {
+    const tool = {
+      type: 'tool', tool: 'read_file', args: { path: 'a' }, thought: 't'
+    };
+    const finish = { type: 'finish', result: { summary: 's' }, thought: '' };
+    expect(parseAction(renderAction(tool))).toEqual(tool);
+    expect(parseAction(renderAction(finish))).toEqual(finish);
+    const batch = {
+      type: 'batch',
+      actions: [
+        { type: 'tool', tool: 'read_file', args: { path: 'a' } },
+        { type: 'tool', tool: 'read_file', args: { path: 'b' } }
+      ],
+      thought: 't'
+    };
+    expect(parseAction(renderAction(batch))).toEqual(batch);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Unit tests for human approval gates: requestStageApproval, approveStage /
+ * rejectStage, and rejection feedback flowing into the re-run's goal.
+ *
+ * The DB pool, contextBus, broadcaster and executeTask are mocked.
+ */
+
+const ZekkaOrchestrator = require('../../../src/orchestrator/orchestrator');
+const { createExecutionControl } = require('../../../src/orchestrator/execution-control');
+
+const silentLogger = {
+  info: () => {}, warn: () => {}, error: () => {}
+};
+
+function makeOrchestrator() {
+  process.env.DATABASE_URL = 'postgres://test';
+  const contextBus = {
+    setAgentState: jest.fn().mockResolvedValue(),
+    getAgentState: jest.fn().mockResolvedValue({ filesWritten: ['src/app.js'] }),
+    getProjectContext: jest.fn().mockResolvedValue({ requirements: [] })
+  };
+  const orch = new ZekkaOrchestrator({
+    contextBus,
+    logger: silentLogger,
+    agentRunner: { run: jest.fn() },
+    broadcaster: { broadcastApproval: jest.fn() },
+    config: { workspaceRoot: '/nonexistent-workspace' }
+  });
+  orch.db = {
+    query: jest.fn().mockImplementation((sql) => {
+      if (sql.startsWith('SELECT task_id, agent_name, status')) {
+        return Promise.resolve({ rows: [{ task_id: 't1', agent_name: 'agent-9-1', status: 'completed' }] });
+      }
+      if (sql.includes('RETURNING task_id')) return Promise.resolve({ rows: [{ task_id: 't1' }] });
+      return Promise.resolve({ rows: [] });
+    })
+  };
+  orch.executeTask = jest.fn().mockResolvedValue({ status: 'completed' });
+  orch.resolveStageConflicts = jest.fn().mockResolvedValue({ conflicts: 0, requeued: [] });
+  return orch;
+}
+
+const stage = (approval) => ({
+  number: 9, name: 'Validation', complexity: 'low', agents: 1, approval
+});
+
+/** Let the stage run until it blocks on its approval request. */
+async function untilPending(orch, projectId = 'p1') {
+  for (let i = 0; i < 20 && !orch.getPendingApproval(projectId); i++) {
+    await new Promise(setImmediate);
+  }
+  return orch.getPendingApproval(projectId);
+}
+
+const projectStatuses = (orch) => orch.db.query.mock.calls
+  .filter((c) => c[0].startsWith('UPDATE orchestration_projects SET status'))
+  .map((c) => c[1][0]);
+
+describe('approval gates', () => {
+  it('does not hold stages without an approval mode', async () => {
+    const orch = makeOrchestrator();
+    await orch.executeStage('p1', stage(null));
+    expect(orch.broadcaster.broadcastApproval).not.toHaveBeenCalled();
+  });
+
+  it("skips 'files_written' approval when no files were written", async () => {
+    const orch = makeOrchestrator();
+    orch.contextBus.getAgentState.mockResolvedValue({ filesWritten: [] });
+    await orch.executeStage('p1', stage('files_written'));
+    expect(orch.broadcaster.broadcastApproval).not.toHaveBeenCalled();
+  });
+
+  it('waits for approval, broadcasting the request', async () => {
+    const orch = makeOrchestrator();
+    const running = orch.executeStage('p1', stage('files_written'));
+
+    const pending = await untilPending(orch);
+    expect(pending).toMatchObject({
+      projectId: 'p1', stage: 9, stageName: 'Validation', attempt: 1, files: ['src/app.js'], status: 'pending'
+    });
+    expect(orch.broadcaster.broadcastApproval).toHaveBeenCalledWith('p1', expect.objectContaining({
+      approvalId: pending.approvalId, status: 'pending'
+    }));
+    expect(projectStatuses(orch)).toEqual(['awaiting_approval']);
+
+    const result = await orch.approveStage('p1', { reviewer: 'u1' });
+    expect(result).toMatchObject({ status: 'approved', reviewer: 'u1', comment: null });
+    await running;
+
+    expect(orch.executeTask).toHaveBeenCalledTimes(1);
+    expect(projectStatuses(orch)).toEqual(['awaiting_approval', 'running']);
+    expect(orch.getPendingApproval('p1')).toBeNull();
+  });
+
+  it('re-runs the stage with the comment after a rejection and asks again', async () => {
+    const orch = makeOrchestrator();
+    const running = orch.executeStage('p1', stage('always'));
+
+    await untilPending(orch);
+    await expect(orch.rejectStage('p1', { comment: '  ' })).rejects.toMatchObject({ statusCode: 400 });
+    await orch.rejectStage('p1', { comment: 'Do not touch the deploy keys', reviewer: 'u1' });
+
+    const second = await untilPending(orch);
+    expect(second.attempt).toBe(2);
+    const reset = orch.db.query.mock.calls.find((c) => c[0].includes('reviewFeedback'));
+    expect(JSON.parse(reset[1][3])).toEqual([{ attempt: 1, comment: 'Do not touch the deploy keys', reviewer: 'u1' }]);
+    expect(orch.executeTask).toHaveBeenCalledTimes(2);
+    expect(orch.executeTask.mock.calls[1][0]).toBe('t1');
+
+    await orch.approveStage('p1');
+    await running;
+  });
+
+  it('puts rejection feedback into the next goal', async () => {
+    const orch = makeOrchestrator();
+    const goal = await orch.buildTaskGoal({
+      agent_name: 'agent-9-1',
+      stage: 9,
+      input_data: { reviewFeedback: [{ attempt: 1, comment: 'Add tests', reviewer: 'u1' }] }
+    }, 'p1', 'Validation');
+    expect(goal).toContain('A human reviewer rejected the previous result');
+    expect(goal).toContain('- attempt 1 (u1): Add tests');
+  });
+
+  it('stops waiting when the execution is cancelled', async () => {
+    const orch = makeOrchestrator();
+    const control = createExecutionControl();
+    const running = orch.executeStage('p1', stage('always'), { control });
+
+    await untilPending(orch);
+    control.cancel();
+    await running;
+
+    expect(orch.getPendingApproval('p1')).toBeNull();
+    const cancelled = orch.db.query.mock.calls.filter(
+      (c) => c[0].includes("orchestration_approvals SET status = 'cancelled'") && c[0].includes('approval_id')
+    );
+    expect(cancelled).toHaveLength(1);
+    await expect(orch.approveStage('p1')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
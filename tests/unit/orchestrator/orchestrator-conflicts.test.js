@@ -6,7 +6,23 @@
  * no real Postgres or model calls are made.
  */
 
+jest.mock('../../../src/utils/external-api-client', () => ({
+  ExternalAPIClient: jest.fn().mockImplementation(() => ({
+    callOllama: jest.fn(),
+    callAnthropic: jest.fn(),
+    callOpenAI: jest.fn(),
+    getStats: jest.fn(() => ({})),
+    close: jest.fn()
+  }))
+}));
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
 const ZekkaOrchestrator = require('../../../src/orchestrator/orchestrator');
+const ModelClient = require('../../../src/services/model-client');
+const { ExternalAPIClient } = require('../../../src/utils/external-api-client');
+const { ResponseCache } = require('../../../src/services/response-cache');
 
 const silentLogger = {
   info: () => {}, warn: () => {}, error: () => {}
@@ -60,6 +76,46 @@ describe('executeTask (AgentRunner integration)', () => {
     expect(completedCall[1][0]).toBe('completed');
   });
 
+  it("records the health of the agent's last test run", async () => {
+    const agentRunner = {
+      run: jest.fn().mockResolvedValue({
+        status: 'completed',
+        reason: 'done',
+        steps: 3,
+        result: null,
+        filesWritten: [],
+        memory: [
+          { action: { tool: 'run_tests' }, observation: { ok: true, output: { passed: true, exitCode: 0, report: null } } },
+          {
+            action: { tool: 'run_tests' },
+            observation: {
+              ok: true,
+              output: {
+                passed: false,
+                exitCode: 1,
+                report: {
+                  format: 'jest', total: 5, failed: 1, skipped: 0, failures: [{ name: 'a works' }]
+                }
+              }
+            }
+          },
+          { action: { tool: 'read_file' }, observation: { ok: true, output: {} } }
+        ]
+      })
+    };
+    const orch = makeOrchestrator({ agentRunner });
+    orch.db.query.mockImplementation((sql) => Promise.resolve(sql.startsWith('SELECT *')
+      ? { rows: [{ task_id: 't1', agent_name: 'agent-1-1', stage: 3 }] }
+      : { rows: [] }));
+
+    await orch.executeTask('t1', 'p1', {});
+
+    const completed = orch.db.query.mock.calls.find((c) => c[0].includes('output_data = $2'));
+    expect(JSON.parse(completed[1][1]).tests).toEqual({
+      passed: false, exitCode: 1, format: 'jest', total: 5, failed: 1, skipped: 0, failing: ['a works']
+    });
+  });
+
   it('records a failed task when the agent loop does not complete', async () => {
     const agentRunner = {
       run: jest.fn().mockResolvedValue({
@@ -78,6 +134,25 @@ describe('executeTask (AgentRunner integration)', () => {
     );
     expect(completedCall[1][0]).toBe('failed');
   });
+
+  it('records a cancelled task with its own status', async () => {
+    const agentRunner = {
+      run: jest.fn().mockResolvedValue({
+        status: 'cancelled', reason: 'cancelled: sibling', steps: 1, result: null, filesWritten: []
+      })
+    };
+    const orch = makeOrchestrator({ agentRunner });
+    orch.db.query = jest.fn()
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ task_id: 't1', agent_name: 'agent-1-1', stage: 3 }] })
+      .mockResolvedValue({ rows: [] });
+
+    await orch.executeTask('t1', 'p1', {});
+    const completedCall = orch.db.query.mock.calls.find(
+      (c) => typeof c[0] === 'string' && c[0].includes('output_data')
+    );
+    expect(completedCall[1][0]).toBe('cancelled');
+  });
 });
 
 describe('checkForConflicts', () => {
@@ -125,13 +200,15 @@ describe('arbitrateConflict', () => {
     orch.modelClient.generateArbitratorResponse = jest.fn().mockResolvedValue({
       text: 'ruling: {"winner":"t2","reason":"cleaner"}'
     });
-    expect(await orch.arbitrateConflict('p1', 3, conflict)).toBe('t2');
+    expect(await orch.arbitrateConflict('p1', 3, conflict)).toEqual({
+      decision: 'winner', winner: 't2', merged: null, reason: 'cleaner'
+    });
   });
 
   it('falls back to the first agent when the ruling is unparseable', async () => {
     const orch = makeOrchestrator();
     orch.modelClient.generateArbitratorResponse = jest.fn().mockResolvedValue({ text: 'nope' });
-    expect(await orch.arbitrateConflict('p1', 3, conflict)).toBe('t1');
+    expect(await orch.arbitrateConflict('p1', 3, conflict)).toMatchObject({ decision: 'fallback', winner: 't1' });
   });
 
   it('falls back to the first agent when the winner is not a candidate', async () => {
@@ -139,7 +216,119 @@ describe('arbitrateConflict', () => {
     orch.modelClient.generateArbitratorResponse = jest.fn().mockResolvedValue({
       text: '{"winner":"t99"}'
     });
-    expect(await orch.arbitrateConflict('p1', 3, conflict)).toBe('t1');
+    expect(await orch.arbitrateConflict('p1', 3, conflict)).toEqual({
+      decision: 'fallback', winner: 't1', merged: null, reason: 'winner "t99" is not a candidate'
+    });
+  });
+
+  it('accepts a merged file instead of a winner', async () => {
+    const orch = makeOrchestrator();
+    orch.modelClient.generateArbitratorResponse = jest.fn().mockResolvedValue({
+      text: '{"merged":"a();\\nb();\\n","reason":"both changes are needed"}'
+    });
+    expect(await orch.arbitrateConflict('p1', 3, conflict)).toEqual({
+      decision: 'merged', winner: null, merged: 'a();\nb();\n', reason: 'both changes are needed'
+    });
+  });
+
+  it("shows the arbitrator each agent's goal and reported result", async () => {
+    const orch = makeOrchestrator();
+    orch.db.query.mockImplementation((sql) => Promise.resolve(sql.includes('SELECT task_id, output_data')
+      ? {
+        rows: [
+          { task_id: 't1', output_data: { goal: 'Add the login form', result: { summary: 'form added' } } },
+          { task_id: 't2', output_data: null }
+        ]
+      }
+      : { rows: [] }));
+    orch.modelClient.generateArbitratorResponse = jest.fn().mockResolvedValue({ text: '{"winner":"t1"}' });
+
+    await orch.arbitrateConflict('p1', 3, conflict);
+
+    const prompt = orch.modelClient.generateArbitratorResponse.mock.calls[0][0];
+    expect(prompt).toContain('- taskId "t1" (agent a1)\n  goal: Add the login form\n  reported result: {"summary":"form added"}');
+    expect(prompt).toContain('- taskId "t2" (agent a2)\n');
+    expect(orch.db.query.mock.calls[0][1]).toEqual([['t1', 't2']]);
+  });
+
+  it('records every ruling with its reason', async () => {
+    const orch = makeOrchestrator();
+    orch.modelClient.generateArbitratorResponse = jest.fn()
+      .mockResolvedValueOnce({ text: '{"winner":"t2","reason":"cleaner"}', model: 'arb-1' })
+      .mockRejectedValueOnce(new Error('timeout'));
+
+    await orch.arbitrateConflict('p1', 3, conflict);
+    await orch.arbitrateConflict('p1', 3, conflict);
+
+    const inserts = orch.db.query.mock.calls.filter((c) => c[0].includes('INSERT INTO orchestration_arbitrations'));
+    expect(inserts.map((c) => c[1])).toEqual([
+      [
+        'p1', 3, 'shared.js', JSON.stringify(conflict.agents), 'winner', 't2', 'cleaner', 'arb-1',
+        '{"winner":"t2","reason":"cleaner"}'
+      ],
+      ['p1', 3, 'shared.js', JSON.stringify(conflict.agents), 'fallback', 't1', 'arbitration failed: timeout', null, null]
+    ]);
+  });
+
+  it('still rules when the ruling cannot be recorded', async () => {
+    const orch = makeOrchestrator();
+    orch.db.query.mockImplementation((sql) => (sql.includes('INSERT')
+      ? Promise.reject(new Error('db down'))
+      : Promise.resolve({ rows: [] })));
+    orch.modelClient.generateArbitratorResponse = jest.fn().mockResolvedValue({ text: '{"winner":"t2"}' });
+    expect((await orch.arbitrateConflict('p1', 3, conflict)).winner).toBe('t2');
+  });
+
+  it('asks again after an invalid ruling instead of serving it from the response cache', async () => {
+    const savedKey = process.env.OPENAI_API_KEY;
+    process.env.OPENAI_API_KEY = 'o-key';
+    const entries = new Map();
+    const orch = makeOrchestrator();
+    orch.modelClient = new ModelClient({
+      logger: silentLogger,
+      responseCache: new ResponseCache({
+        cache: {
+          get: async (key) => entries.get(key) || null,
+          set: async (key, value) => { entries.set(key, value); }
+        }
+      })
+    });
+    orch.modelClient.modelConfig.arbitrator.primary = 'gpt-4o';
+    const { callOpenAI } = ExternalAPIClient.mock.results[ExternalAPIClient.mock.results.length - 1].value;
+    const reply = (content) => ({ choices: [{ message: { content } }], usage: {} });
+    callOpenAI
+      .mockResolvedValueOnce(reply('I think t2 is better'))
+      .mockResolvedValueOnce(reply('{"winner":"t2","reason":"cleaner"}'));
+
+    try {
+      expect(await orch.arbitrateConflict('p1', 3, conflict)).toMatchObject({ decision: 'fallback', winner: 't1' });
+      expect(await orch.arbitrateConflict('p1', 3, conflict)).toMatchObject({ decision: 'winner', winner: 't2' });
+      expect(await orch.arbitrateConflict('p1', 3, conflict)).toMatchObject({ decision: 'winner', winner: 't2' });
+      expect(callOpenAI).toHaveBeenCalledTimes(2);
+    } finally {
+      if (savedKey === undefined) delete process.env.OPENAI_API_KEY;
+      else process.env.OPENAI_API_KEY = savedKey;
+    }
+  });
+
+  it('shows the arbitrator every competing version', async () => {
+    const orch = makeOrchestrator();
+    orch.modelClient.generateArbitratorResponse = jest.fn().mockResolvedValue({ text: '{"winner":"t1"}' });
+    await orch.arbitrateConflict('p1', 3, {
+      file: 'shared.js',
+      agents: [
+        { taskId: 't1', agentName: 'a1', version: 'module.exports = 1;\n' },
+        {
+          taskId: 't2', agentName: 'a2', version: null, deleted: true
+        },
+        { taskId: 't3', agentName: 'a3', version: null }
+      ]
+    });
+
+    const prompt = orch.modelClient.generateArbitratorResponse.mock.calls[0][0];
+    expect(prompt).toContain('--- version of t1 ---\nmodule.exports = 1;');
+    expect(prompt).toContain('--- version of t2 ---\n(deletes the file)');
+    expect(prompt).toContain('--- version of t3 ---\n(content unavailable)');
   });
 });
 
@@ -180,3 +369,274 @@ describe('resolveStageConflicts', () => {
     expect(orch.modelClient.generateArbitratorResponse).not.toHaveBeenCalled();
   });
 });
+
+describe('getArbitrations', () => {
+  it("lists a project's recorded rulings, optionally for one stage", async () => {
+    const orch = makeOrchestrator();
+    jest.spyOn(orch, 'getExecutionCheckpoint').mockResolvedValue({});
+    orch.db.query.mockResolvedValue({
+      rows: [{
+        id: 4,
+        execution_id: 'e1',
+        stage: 3,
+        file_path: 'shared.js',
+        candidates: [{ taskId: 't1', agentName: 'a1' }],
+        decision: 'merged',
+        winner_task_id: null,
+        reason: 'both needed',
+        model: 'arb-1',
+        created_at: 'now'
+      }]
+    });
+
+    const rulings = await orch.getArbitrations('p1', { stage: '3' });
+
+    expect(rulings).toEqual([{
+      id: 4,
+      executionId: 'e1',
+      stage: 3,
+      file: 'shared.js',
+      candidates: [{ taskId: 't1', agentName: 'a1' }],
+      decision: 'merged',
+      winner: null,
+      reason: 'both needed',
+      model: 'arb-1',
+      createdAt: 'now'
+    }]);
+    expect(orch.db.query.mock.calls[0][0]).toContain('AND stage = $2');
+    expect(orch.db.query.mock.calls[0][1]).toEqual(['p1', 3]);
+  });
+
+  it('rejects a stage that is not a positive integer', async () => {
+    const orch = makeOrchestrator();
+    await expect(orch.getArbitrations('p1', { stage: 'two' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('resolveStageConflicts (merged rulings)', () => {
+  it('writes the merged file and re-queues nobody', async () => {
+    const workspaceRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'zekka-conflicts-'));
+    try {
+      const orch = makeOrchestrator();
+      orch.workspaceRoot = workspaceRoot;
+      await fs.writeFile(path.join(workspaceRoot, 'shared.js'), 'b();\n');
+      orch.db.query = jest.fn().mockImplementation((sql) => Promise.resolve(
+        sql.includes('SELECT task_id, agent_name')
+          ? { rows: [{ task_id: 't1', agent_name: 'a1' }, { task_id: 't2', agent_name: 'a2' }] }
+          : { rows: [] }
+      ));
+      orch.contextBus.getAgentState = jest.fn().mockResolvedValue({ filesWritten: ['shared.js'] });
+      orch.modelClient.generateArbitratorResponse = jest.fn().mockResolvedValue({
+        text: '{"merged":"a();\\nb();\\n"}'
+      });
+
+      const result = await orch.resolveStageConflicts('p1', 3);
+
+      expect(result).toEqual({ conflicts: 1, requeued: [] });
+      expect(await fs.readFile(path.join(workspaceRoot, 'shared.js'), 'utf8')).toBe('a();\nb();\n');
+      expect(orch.db.query.mock.calls.some((c) => c[0].includes("SET status = 'pending'"))).toBe(false);
+    } finally {
+      await fs.rm(workspaceRoot, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('conflict re-execution support', () => {
+  let workspaceRoot;
+
+  beforeEach(async () => {
+    workspaceRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'zekka-conflicts-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(workspaceRoot, { recursive: true, force: true });
+  });
+
+  it("restores the winner's version over a loser that wrote last", async () => {
+    const orch = makeOrchestrator();
+    orch.workspaceRoot = workspaceRoot;
+    await fs.writeFile(path.join(workspaceRoot, 'shared.js'), 'loser');
+    orch.db.query = jest.fn().mockImplementation((sql) => Promise.resolve(
+      sql.includes('SELECT task_id')
+        ? { rows: [{ task_id: 't1', agent_name: 'a1' }, { task_id: 't2', agent_name: 'a2' }] }
+        : { rows: [] }
+    ));
+    orch.contextBus.getAgentState = jest.fn()
+      .mockResolvedValueOnce({ filesWritten: ['shared.js'], fileVersions: { 'shared.js': 'winner' } })
+      .mockResolvedValueOnce({ filesWritten: ['shared.js'], fileVersions: { 'shared.js': 'loser' } });
+    orch.modelClient.generateArbitratorResponse = jest.fn().mockResolvedValue({ text: '{"winner":"t1"}' });
+
+    await orch.resolveStageConflicts('p1', 3);
+
+    expect(await fs.readFile(path.join(workspaceRoot, 'shared.js'), 'utf8')).toBe('winner');
+    const requeue = orch.db.query.mock.calls.find((c) => c[0].includes('lostConflicts'));
+    expect(JSON.parse(requeue[1][2])).toEqual([{ file: 'shared.js', winner: 't1' }]);
+  });
+
+  it('only compares the given tasks when taskIds is passed', async () => {
+    const orch = makeOrchestrator();
+    orch.db.query = jest.fn().mockResolvedValue({
+      rows: [{ task_id: 't1', agent_name: 'a1' }, { task_id: 't2', agent_name: 'a2' }]
+    });
+    orch.contextBus.getAgentState = jest.fn().mockResolvedValue({ filesWritten: ['shared.js'] });
+
+    expect(await orch.checkForConflicts('p1', 3, { taskIds: ['t2'] })).toEqual([]);
+    expect(orch.contextBus.getAgentState).toHaveBeenCalledTimes(1);
+  });
+
+  it("quotes the winner's version in a re-queued task's goal", async () => {
+    const orch = makeOrchestrator();
+    orch.workspaceRoot = workspaceRoot;
+    await fs.writeFile(path.join(workspaceRoot, 'shared.js'), 'export const x = 1;');
+
+    const goal = await orch.buildTaskGoal({
+      agent_name: 'a2',
+      stage: 3,
+      input_data: { lostConflicts: [{ file: 'shared.js', winner: 't1' }] }
+    }, 'p1', 'Development');
+
+    expect(goal).toContain('--- shared.js (kept from t1) ---\nexport const x = 1;');
+    expect(goal).toContain('apply your changes on top of them');
+  });
+
+  it('leaves the goal unchanged for tasks that never lost a conflict', async () => {
+    const orch = makeOrchestrator();
+    const goal = await orch.buildTaskGoal({ agent_name: 'a1', stage: 3, input_data: { model: 'm' } }, 'p1');
+    expect(goal).not.toContain('conflicted');
+  });
+});
+
+describe('worktree isolation', () => {
+  function makeIsolated() {
+    process.env.DATABASE_URL = 'postgres://test';
+    const worktrees = {
+      snapshot: jest.fn().mockResolvedValue(false),
+      prepare: jest.fn(async (taskId) => ({ path: `/ws/.zekka/worktrees/${taskId}`, branch: `zekka/${taskId}` })),
+      commit: jest.fn().mockResolvedValue(true),
+      merge: jest.fn(),
+      remove: jest.fn().mockResolvedValue()
+    };
+    const agentRunner = {
+      run: jest.fn().mockResolvedValue({
+        status: 'completed', reason: 'done', steps: 1, result: null, filesWritten: ['a.js']
+      })
+    };
+    const orch = new ZekkaOrchestrator({
+      contextBus: {
+        setAgentState: jest.fn().mockResolvedValue(),
+        getAgentState: jest.fn().mockResolvedValue(null),
+        getProjectContext: jest.fn().mockResolvedValue({ requirements: [] })
+      },
+      logger: silentLogger,
+      agentRunner,
+      worktrees,
+      config: { agentIsolation: 'worktree' }
+    });
+    orch.db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    orch.modelClient = { generateArbitratorResponse: jest.fn() };
+    return { orch, worktrees, agentRunner };
+  }
+
+  it('rejects an unknown isolation mode', () => {
+    process.env.DATABASE_URL = 'postgres://test';
+    expect(() => new ZekkaOrchestrator({ logger: silentLogger, config: { agentIsolation: 'vm' } }))
+      .toThrow('Unknown agentIsolation: vm');
+  });
+
+  it('runs the agent in its own worktree and commits its work there', async () => {
+    const { orch, worktrees, agentRunner } = makeIsolated();
+    orch.db.query.mockImplementation((sql) => Promise.resolve(sql.startsWith('SELECT *')
+      ? { rows: [{ task_id: 't1', agent_name: 'agent-7-1', stage: 7 }] }
+      : { rows: [] }));
+
+    await orch.executeTask('t1', 'p1', { stageName: 'Development' });
+
+    expect(worktrees.prepare).toHaveBeenCalledWith('t1');
+    expect(agentRunner.run.mock.calls[0][0].workspaceRoot).toBe('/ws/.zekka/worktrees/t1');
+    expect(worktrees.commit).toHaveBeenCalledWith('t1', 'agent-7-1: Development (t1)');
+  });
+
+  it('merges completed branches and only arbitrates what git could not merge', async () => {
+    const { orch, worktrees } = makeIsolated();
+    orch.db.query.mockImplementation((sql) => Promise.resolve(sql.startsWith('SELECT task_id, agent_name')
+      ? {
+        rows: [
+          { task_id: 't1', agent_name: 'agent-7-1', status: 'completed' },
+          { task_id: 't2', agent_name: 'agent-7-2', status: 'completed' },
+          { task_id: 't3', agent_name: 'agent-7-3', status: 'failed' }
+        ]
+      }
+      : { rows: [] }));
+    worktrees.merge.mockImplementation(async (taskId, onConflict) => {
+      if (taskId === 't1') return { status: 'merged', files: ['a.js', 'b.js'], conflicts: [] };
+      const sides = await onConflict([{ file: 'a.js', ours: 'one', theirs: 'two' }]);
+      return { status: 'resolved', files: ['a.js'], conflicts: [{ file: 'a.js', side: sides.get('a.js') }] };
+    });
+    orch.modelClient.generateArbitratorResponse.mockResolvedValue({ text: '{"winner":"t2"}' });
+    const arbitrate = jest.spyOn(orch, 'arbitrateConflict');
+
+    const res = await orch.resolveStageConflicts('p1', 7);
+
+    expect(res).toEqual({ conflicts: 1, requeued: ['t1'] });
+    expect(arbitrate.mock.calls[0][2]).toEqual({
+      file: 'a.js',
+      agents: [
+        {
+          taskId: 't1', agentName: 'agent-7-1', version: 'one', deleted: false
+        },
+        {
+          taskId: 't2', agentName: 'agent-7-2', version: 'two', deleted: false
+        }
+      ]
+    });
+    const requeue = orch.db.query.mock.calls.find((c) => c[0].includes("SET status = 'pending'"));
+    expect(requeue[1][0]).toBe('t1');
+    expect(worktrees.merge.mock.calls.map((c) => c[0])).toEqual(['t1', 't2']);
+    expect(worktrees.remove.mock.calls.map((c) => c[0]).sort()).toEqual(['t1', 't2', 't3']);
+  });
+
+  it('re-queues nobody when a task beats a version no sibling wrote', async () => {
+    const { orch, worktrees } = makeIsolated();
+    orch.db.query.mockImplementation((sql) => Promise.resolve(sql.startsWith('SELECT task_id, agent_name')
+      ? { rows: [{ task_id: 't1', agent_name: 'agent-7-1', status: 'completed' }] }
+      : { rows: [] }));
+    let sides;
+    worktrees.merge.mockImplementation(async (taskId, onConflict) => {
+      sides = await onConflict([{ file: 'a.js', ours: 'base', theirs: null }]);
+      return { status: 'resolved', files: ['a.js'], conflicts: [{ file: 'a.js', side: sides.get('a.js') }] };
+    });
+    orch.modelClient.generateArbitratorResponse.mockResolvedValue({ text: '{"winner":"t1"}' });
+
+    const res = await orch.resolveStageConflicts('p1', 7);
+
+    expect(sides.get('a.js')).toBe('theirs');
+    expect(res).toEqual({ conflicts: 1, requeued: [] });
+    const prompt = orch.modelClient.generateArbitratorResponse.mock.calls[0][0];
+    expect(prompt).toContain('--- version of workspace ---\nbase');
+    expect(prompt).toContain('--- version of t1 ---\n(deletes the file)');
+  });
+
+  it('hands a merged file to git and re-queues nobody', async () => {
+    const { orch, worktrees } = makeIsolated();
+    orch.db.query.mockImplementation((sql) => Promise.resolve(sql.startsWith('SELECT task_id, agent_name')
+      ? {
+        rows: [
+          { task_id: 't1', agent_name: 'agent-7-1', status: 'completed' },
+          { task_id: 't2', agent_name: 'agent-7-2', status: 'completed' }
+        ]
+      }
+      : { rows: [] }));
+    let sides;
+    worktrees.merge.mockImplementation(async (taskId, onConflict) => {
+      if (taskId === 't1') return { status: 'merged', files: ['a.js'], conflicts: [] };
+      sides = await onConflict([{ file: 'a.js', ours: 'one', theirs: 'two' }]);
+      return { status: 'resolved', files: ['a.js'], conflicts: [{ file: 'a.js', side: 'merged' }] };
+    });
+    orch.modelClient.generateArbitratorResponse.mockResolvedValue({ text: '{"merged":"one and two"}' });
+
+    const res = await orch.resolveStageConflicts('p1', 7);
+
+    expect(sides.get('a.js')).toEqual({ content: 'one and two' });
+    expect(res).toEqual({ conflicts: 1, requeued: [] });
+  });
+});
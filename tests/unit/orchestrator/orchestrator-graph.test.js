@@ -0,0 +1,265 @@
+/**
+ * Unit tests for dependency-graph execution: stages that declare dependsOn run
+ * as soon as their dependencies allow, per-agent edges release tasks one by one
+ * (holding them through upstream approvals and conflicts), and getProjectGraph
+ * reports the graph with its status.
+ *
+ * The DB pool and contextBus are mocked and executeTask is stubbed per agent.
+ */
+
+const ZekkaOrchestrator = require('../../../src/orchestrator/orchestrator');
+
+const silentLogger = {
+  info: () => {}, warn: () => {}, error: () => {}
+};
+
+const workflow = {
+  version: 1,
+  stages: [
+    {
+      number: 1, name: 'Development', complexity: 'high', agents: 2
+    },
+    {
+      number: 2, name: 'Testing', complexity: 'medium', agents: 2, dependsOn: [{ stage: 1, per: 'agent' }]
+    },
+    { number: 3, name: 'Documentation', complexity: 'low' },
+    {
+      number: 4, name: 'Release', complexity: 'low', dependsOn: [2, 3]
+    }
+  ]
+};
+
+function makeOrchestrator(definition = workflow) {
+  process.env.DATABASE_URL = 'postgres://test';
+  const orch = new ZekkaOrchestrator({
+    contextBus: {
+      setAgentState: jest.fn().mockResolvedValue(),
+      getAgentState: jest.fn().mockResolvedValue(null),
+      getProjectContext: jest.fn().mockResolvedValue({ requirements: [] })
+    },
+    logger: silentLogger,
+    agentRunner: { run: jest.fn() },
+    config: { workspaceRoot: '/nonexistent-workspace' }
+  });
+  orch.db = {
+    query: jest.fn().mockImplementation((sql, params) => {
+      if (sql.startsWith('SELECT workflow')) return Promise.resolve({ rows: [{ workflow: definition }] });
+      if (sql.includes('task_id = ANY')) return Promise.resolve({ rows: params[1].map((id) => ({ task_id: id })) });
+      return Promise.resolve({ rows: [] });
+    })
+  };
+
+  // Stub the agents: each records start/end and finishes when its gate opens.
+  const agents = new Map();
+  const events = [];
+  const gates = {};
+  const outcomes = {};
+  const writes = {};
+  const createTask = orch.createTask.bind(orch);
+  orch.createTask = jest.fn(async (data) => {
+    agents.set(data.taskId, data.agentName);
+    return createTask(data);
+  });
+  orch.executeTask = jest.fn(async (taskId) => {
+    const name = agents.get(taskId);
+    events.push(`start ${name}`);
+    if (gates[name]) await gates[name];
+    events.push(`end ${name}`);
+    if (outcomes[name] instanceof Error) throw outcomes[name];
+    return { status: outcomes[name] || 'completed', filesWritten: writes[name] || [] };
+  });
+  return {
+    orch, agents, events, gates, outcomes, writes
+  };
+}
+
+async function until(predicate) {
+  for (let i = 0; i < 200 && !predicate(); i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+function taskOf(agents, agentName) {
+  return [...agents].find(([, name]) => name === agentName)[0];
+}
+
+describe('graph execution', () => {
+  it('starts a task as soon as its own dependencies complete', async () => {
+    const {
+      orch, agents, events, gates
+    } = makeOrchestrator();
+    let release;
+    gates['agent-1-2'] = new Promise((resolve) => { release = resolve; });
+
+    const run = orch.executeProject('p1');
+    await until(() => events.includes('start agent-2-1'));
+
+    // Testing agent 1 and Documentation run while Development agent 2 is still busy.
+    expect(events).toEqual(expect.arrayContaining(['start agent-2-1', 'start agent-3-1']));
+    expect(events).not.toContain('end agent-1-2');
+    expect(events).not.toContain('start agent-2-2');
+    expect(events).not.toContain('start agent-4-1');
+
+    release();
+    const res = await run;
+    expect(res.status).toBe('completed');
+    expect(events.indexOf('start agent-2-2')).toBeGreaterThan(events.indexOf('end agent-1-2'));
+    expect(events.indexOf('start agent-4-1')).toBeGreaterThan(events.indexOf('end agent-2-2'));
+
+    const testing = orch.createTask.mock.calls.map((c) => c[0]).filter((d) => d.stage === 2);
+    expect(testing.map((d) => d.dependsOn)).toEqual([
+      [taskOf(agents, 'agent-1-1')], [taskOf(agents, 'agent-1-2')]
+    ]);
+    const appended = orch.db.query.mock.calls.filter((c) => c[0].includes('array_append')).map((c) => c[1][1]);
+    expect(appended.sort()).toEqual([1, 2, 3, 4]);
+  });
+
+  it('blocks the tasks whose dependency did not complete', async () => {
+    const {
+      orch, agents, events, outcomes
+    } = makeOrchestrator();
+    outcomes['agent-1-1'] = 'failed';
+
+    const res = await orch.executeProject('p1');
+
+    expect(res.status).toBe('completed');
+    expect(events).not.toContain('start agent-2-1');
+    expect(events).toContain('start agent-2-2');
+    const blocked = orch.db.query.mock.calls.find((c) => c[0].includes("status = 'blocked'"));
+    expect(blocked[1]).toEqual([taskOf(agents, 'agent-2-1'), `blocked: dependency ${taskOf(agents, 'agent-1-1')} failed`]);
+  });
+
+  it('holds the dependent of a task in a conflict through the re-run rounds', async () => {
+    const {
+      orch, agents, events, gates, writes
+    } = makeOrchestrator();
+    let release;
+    gates['agent-1-2'] = new Promise((resolve) => { release = resolve; });
+    writes['agent-1-1'] = ['src/a.js'];
+    writes['agent-1-2'] = ['src/a.js', 'src/b.js'];
+    orch.maxConflictRounds = 1;
+    const resolve = orch.resolveStageConflicts.bind(orch);
+    orch.resolveStageConflicts = jest.fn(async (projectId, stage, options) => (
+      stage === 1 ? { requeued: [taskOf(agents, 'agent-1-2')] } : resolve(projectId, stage, options)
+    ));
+
+    const run = orch.executeProject('p1');
+    await until(() => events.includes('start agent-2-1'));
+    release();
+    const res = await run;
+
+    expect(res.status).toBe('completed');
+    // agent-1-2 wrote a file agent-1-1 had written: it ran again, gave up, and its dependent never started
+    expect(events.filter((e) => e === 'start agent-1-2')).toHaveLength(2);
+    expect(events).not.toContain('start agent-2-2');
+    const blocked = orch.db.query.mock.calls.find((c) => c[0].includes("status = 'blocked'"));
+    expect(blocked[1]).toEqual([
+      taskOf(agents, 'agent-2-2'), `blocked: dependency ${taskOf(agents, 'agent-1-2')} conflict_unresolved`
+    ]);
+  });
+
+  it('holds dependents until the upstream stage is approved', async () => {
+    const gated = {
+      ...workflow,
+      stages: workflow.stages.map((stage) => (stage.number === 1 ? { ...stage, approval: 'always' } : stage))
+    };
+    const { orch, events } = makeOrchestrator(gated);
+    let approve;
+    orch.requestStageApproval = jest.fn((projectId, stage) => (
+      stage.number === 1
+        ? new Promise((resolve) => { approve = () => resolve({ status: 'approved' }); })
+        : Promise.resolve({ status: 'not_required' })
+    ));
+
+    const run = orch.executeProject('p1');
+    await until(() => approve && events.includes('end agent-3-1'));
+    expect(events).not.toContain('start agent-2-1');
+
+    approve();
+    expect((await run).status).toBe('completed');
+    expect(events).toEqual(expect.arrayContaining(['start agent-2-1', 'start agent-2-2', 'start agent-4-1']));
+  });
+
+  it('fails the execution and stops the rest of the graph when a stage fails', async () => {
+    const { orch, events, outcomes } = makeOrchestrator();
+    outcomes['agent-3-1'] = new Error('docs agent crashed');
+
+    await expect(orch.executeProject('p1')).rejects.toThrow('docs agent crashed');
+
+    expect(events).not.toContain('start agent-4-1');
+    const statuses = orch.db.query.mock.calls
+      .filter((c) => c[0].startsWith('UPDATE orchestration_projects SET status'))
+      .map((c) => c[1][0]);
+    expect(statuses[statuses.length - 1]).toBe('failed');
+  });
+});
+
+describe('createTask dependencies', () => {
+  it('rejects a self-reference and tasks outside the project', async () => {
+    const { orch } = makeOrchestrator();
+    orch.db.query = jest.fn().mockResolvedValue({ rows: [{ task_id: 'task-a' }] });
+
+    await expect(orch.createTask({
+      taskId: 'task-x', projectId: 'p1', stage: 2, agentName: 'agent-2-1', dependsOn: ['task-a', 'task-x', 'task-z']
+    })).rejects.toMatchObject({
+      statusCode: 400,
+      details: { errors: ['task task-x cannot depend on itself', 'dependency task-z is not a task of project p1'] }
+    });
+    expect(orch.db.query.mock.calls.some((c) => c[0].includes('INSERT'))).toBe(false);
+  });
+
+  it('stores the edges with the task', async () => {
+    const { orch } = makeOrchestrator();
+    const task = await orch.createTask({
+      taskId: 'task-x', projectId: 'p1', stage: 2, agentName: 'agent-2-1', model: 'm', dependsOn: ['task-a']
+    });
+
+    expect(task.depends_on).toEqual(['task-a']);
+    const insert = orch.db.query.mock.calls.find((c) => c[0].includes('INSERT INTO orchestration_tasks'));
+    expect(insert[1][6]).toEqual(['task-a']);
+  });
+});
+
+describe('getProjectGraph', () => {
+  it('reports stages and tasks with their edges and status', async () => {
+    const { orch } = makeOrchestrator();
+    orch.db.query = jest.fn().mockImplementation((sql) => {
+      if (sql.startsWith('SELECT workflow')) return Promise.resolve({ rows: [{ workflow }] });
+      if (sql.startsWith('SELECT task_id, stage')) {
+        return Promise.resolve({
+          rows: [
+            {
+              task_id: 't1', stage: 1, agent_name: 'agent-1-1', status: 'completed', depends_on: []
+            },
+            {
+              task_id: 't2', stage: 2, agent_name: 'agent-2-1', status: 'failed', depends_on: ['t1']
+            }
+          ]
+        });
+      }
+      if (sql.includes('SELECT execution_id')) {
+        return Promise.resolve({ rows: [{ execution_id: 'exec-1', current_stage: null, completed_stages: [1] }] });
+      }
+      return Promise.resolve({ rows: [] });
+    });
+
+    const graph = await orch.getProjectGraph('p1');
+
+    expect(graph).toMatchObject({
+      projectId: 'p1', executionId: 'exec-1', scheduling: 'graph', executing: false
+    });
+    expect(graph.stages.map((st) => [st.number, st.status, st.tasks])).toEqual([
+      [1, 'completed', ['t1']], [2, 'incomplete', ['t2']], [3, 'waiting', []], [4, 'waiting', []]
+    ]);
+    expect(graph.stages[3].dependsOn).toEqual([{ stage: 2, per: 'stage' }, { stage: 3, per: 'stage' }]);
+    expect(graph.tasks[1]).toEqual({
+      taskId: 't2', stage: 2, agentName: 'agent-2-1', status: 'failed', dependsOn: ['t1']
+    });
+  });
+
+  it('404s for an unknown project', async () => {
+    const { orch } = makeOrchestrator();
+    orch.db.query = jest.fn().mockResolvedValue({ rows: [] });
+    await expect(orch.getProjectGraph('nope')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,502 @@
+/**
+ * Unit tests for workflow-driven execution: createProject validation/storage,
+ * executeProject stage selection, and executeStage allowlists + exit conditions.
+ *
+ * The DB pool, contextBus and agentRunner are mocked; no Postgres or model calls.
+ */
+
+const ZekkaOrchestrator = require('../../../src/orchestrator/orchestrator');
+const { createExecutionControl } = require('../../../src/orchestrator/execution-control');
+
+const silentLogger = {
+  info: () => {}, warn: () => {}, error: () => {}
+};
+
+function makeOrchestrator({ agentRunner, config = {} } = {}) {
+  process.env.DATABASE_URL = 'postgres://test';
+  const contextBus = {
+    setAgentState: jest.fn().mockResolvedValue(),
+    getAgentState: jest.fn().mockResolvedValue(null),
+    setProjectContext: jest.fn().mockResolvedValue(),
+    getProjectContext: jest.fn().mockResolvedValue({ requirements: [] })
+  };
+  const orch = new ZekkaOrchestrator({
+    contextBus,
+    logger: silentLogger,
+    agentRunner: agentRunner || { run: jest.fn() },
+    config: { workspaceRoot: '/nonexistent-workspace', ...config }
+  });
+  orch.db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+  return orch;
+}
+
+const docsOnly = {
+  version: 1,
+  name: 'docs-only',
+  stages: [
+    {
+      number: 1, name: 'Documentation', complexity: 'medium', tools: ['read_file', 'write_file']
+    }
+  ]
+};
+
+describe('createProject workflow handling', () => {
+  it('stores the normalized workflow with the project', async () => {
+    const orch = makeOrchestrator();
+    const project = await orch.createProject({ name: 'Docs', requirements: [], workflow: docsOnly });
+
+    expect(project.workflow).toBe('docs-only');
+    const insert = orch.db.query.mock.calls[0];
+    const stored = JSON.parse(insert[1][7]);
+    expect(stored.stages[0]).toMatchObject({ agents: 1, tools: ['read_file', 'write_file'] });
+  });
+
+  it('defaults to the standard workflow', async () => {
+    const orch = makeOrchestrator();
+    await orch.createProject({ name: 'Std', requirements: [] });
+    const stored = JSON.parse(orch.db.query.mock.calls[0][1][7]);
+    expect(stored.name).toBe('default');
+    expect(stored.stages).toHaveLength(8);
+  });
+
+  it('rejects an invalid workflow before persisting anything', async () => {
+    const orch = makeOrchestrator();
+    const bad = { version: 1, stages: [{ number: 1, name: 'X', complexity: 'low', tools: ['nope'] }] };
+
+    await expect(orch.createProject({ name: 'Bad', requirements: [], workflow: bad }))
+      .rejects.toMatchObject({ statusCode: 400, details: { errors: ['stages[0].tools: unknown tool "nope"'] } });
+    expect(orch.db.query).not.toHaveBeenCalled();
+  });
+
+  it('rejects workflow commands outside the operator allowlist', async () => {
+    const orch = makeOrchestrator({ config: { commandAllowlist: ['eslint'] } });
+    const workflow = { ...docsOnly, commands: ['eslint', 'npx'] };
+
+    await expect(orch.createProject({ name: 'Cmd', requirements: [], workflow })).rejects.toMatchObject({
+      statusCode: 400,
+      details: { errors: ['commands[1]: "npx" is not in the operator\'s command allowlist'] }
+    });
+    expect(orch.db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('executeProject with a stored workflow', () => {
+  it('runs the stored stages and skips those whose entry conditions fail', async () => {
+    const orch = makeOrchestrator();
+    const workflow = {
+      version: 1,
+      stages: [
+        { number: 1, name: 'Testing', complexity: 'medium' },
+        {
+          number: 2, name: 'Deploy', complexity: 'low', entry: [{ type: 'file_exists', path: 'Dockerfile' }]
+        },
+        {
+          number: 3, name: 'Report', complexity: 'low', entry: [{ type: 'stage_completed', stage: 1 }]
+        }
+      ]
+    };
+    orch.db.query = jest.fn().mockImplementation((sql) => Promise.resolve(
+      sql.startsWith('SELECT workflow') ? { rows: [{ workflow }] } : { rows: [] }
+    ));
+    orch.executeStage = jest.fn().mockResolvedValue();
+
+    const res = await orch.executeProject('p1');
+
+    expect(res.status).toBe('completed');
+    expect(orch.executeStage.mock.calls.map((c) => c[1].name)).toEqual(['Testing', 'Report']);
+  });
+
+  it('falls back to the default workflow for legacy projects', async () => {
+    const orch = makeOrchestrator();
+    orch.db.query = jest.fn().mockResolvedValue({ rows: [{ workflow: null }] });
+    orch.executeStage = jest.fn().mockResolvedValue();
+
+    await orch.executeProject('p1');
+    expect(orch.executeStage).toHaveBeenCalledTimes(8);
+  });
+});
+
+describe('executeStage', () => {
+  function stage(overrides = {}) {
+    return {
+      number: 4,
+      name: 'Docs',
+      complexity: 'medium',
+      agents: 2,
+      tools: ['read_file'],
+      entry: [],
+      exit: [],
+      ...overrides
+    };
+  }
+
+  it('passes the stage tool allowlist through to each task', async () => {
+    const orch = makeOrchestrator();
+    orch.executeTask = jest.fn().mockResolvedValue({ status: 'completed' });
+    orch.resolveStageConflicts = jest.fn().mockResolvedValue({ conflicts: 0, requeued: [] });
+
+    await orch.executeStage('p1', stage());
+
+    expect(orch.executeTask).toHaveBeenCalledTimes(2);
+    expect(orch.executeTask).toHaveBeenCalledWith(
+      expect.any(String), 'p1', expect.objectContaining({ tools: ['read_file'] })
+    );
+  });
+
+  it("passes the stage agent's tool policy through to each task", async () => {
+    const orch = makeOrchestrator();
+    orch.executeTask = jest.fn().mockResolvedValue({ status: 'completed' });
+    orch.resolveStageConflicts = jest.fn().mockResolvedValue({ conflicts: 0, requeued: [] });
+
+    await orch.executeStage('p1', stage({ agent: 'coderabbit' }));
+    expect(orch.executeTask).toHaveBeenCalledWith(expect.any(String), 'p1', expect.objectContaining({
+      toolPolicy: expect.objectContaining({ agent: 'coderabbit', profiles: ['read-only'], writePaths: [] })
+    }));
+
+    orch.executeTask.mockClear();
+    await orch.executeStage('p1', stage());
+    expect(orch.executeTask).toHaveBeenCalledWith(expect.any(String), 'p1', expect.objectContaining({ toolPolicy: null }));
+  });
+
+  it('throws when exit conditions are not met', async () => {
+    const orch = makeOrchestrator();
+    orch.executeTask = jest.fn().mockResolvedValue({ status: 'failed' });
+    orch.resolveStageConflicts = jest.fn().mockResolvedValue({ conflicts: 0, requeued: [] });
+    orch.db.query = jest.fn().mockImplementation((sql) => Promise.resolve(
+      sql.startsWith('SELECT status')
+        ? { rows: [{ status: 'failed' }, { status: 'completed' }] }
+        : { rows: [] }
+    ));
+
+    await expect(orch.executeStage('p1', stage({ exit: [{ type: 'tasks_completed' }] })))
+      .rejects.toThrow(/Stage 4 \(Docs\) exit conditions not met: 1\/2 tasks completed/);
+  });
+});
+
+describe('executeStage conflict rounds', () => {
+  const stage = {
+    number: 7, name: 'Development', complexity: 'high', agents: 2
+  };
+
+  it('re-runs requeued losers and stops once conflicts are resolved', async () => {
+    const orch = makeOrchestrator();
+    orch.executeTask = jest.fn().mockResolvedValue({ status: 'completed' });
+    orch.resolveStageConflicts = jest.fn()
+      .mockResolvedValueOnce({ conflicts: 1, requeued: ['t-loser'] })
+      .mockResolvedValueOnce({ conflicts: 0, requeued: [] });
+
+    await orch.executeStage('p1', stage);
+
+    expect(orch.executeTask).toHaveBeenCalledTimes(3);
+    expect(orch.executeTask.mock.calls[2][0]).toBe('t-loser');
+    expect(orch.resolveStageConflicts).toHaveBeenLastCalledWith('p1', 7, { taskIds: ['t-loser'] });
+    expect(orch.db.query.mock.calls.some((c) => c[0].includes('conflict_unresolved'))).toBe(false);
+  });
+
+  it('gives up after maxConflictRounds with a terminal status', async () => {
+    const orch = makeOrchestrator({ config: { maxConflictRounds: 2 } });
+    orch.executeTask = jest.fn().mockResolvedValue({ status: 'completed' });
+    orch.resolveStageConflicts = jest.fn().mockResolvedValue({ conflicts: 1, requeued: ['t-a', 't-b'] });
+
+    await orch.executeStage('p1', stage);
+
+    // Two initial agents, then two rounds of the two losers.
+    expect(orch.executeTask).toHaveBeenCalledTimes(6);
+    expect(orch.resolveStageConflicts).toHaveBeenCalledTimes(3);
+    const givenUp = orch.db.query.mock.calls.filter((c) => c[0].includes("'conflict_unresolved'"));
+    expect(givenUp.map((c) => c[1][0])).toEqual(['t-a', 't-b']);
+    expect(givenUp[0][1][1]).toBe('conflict unresolved after 2 re-run round(s)');
+  });
+
+  it('rejects an invalid maxConflictRounds', () => {
+    expect(() => makeOrchestrator({ config: { maxConflictRounds: -1 } })).toThrow(/maxConflictRounds/);
+  });
+});
+
+describe('runStageTasks (parallel agents)', () => {
+  const tasks = ['t1', 't2', 't3', 't4'].map((id) => ({ task_id: id }));
+  const policy = (overrides = {}) => ({ concurrency: 4, onFailure: 'continue', ...overrides });
+
+  it('runs agents concurrently up to the stage cap', async () => {
+    const orch = makeOrchestrator();
+    let inFlight = 0;
+    let peak = 0;
+    orch.executeTask = jest.fn().mockImplementation(async () => {
+      inFlight += 1;
+      peak = Math.max(peak, inFlight);
+      await new Promise(setImmediate);
+      inFlight -= 1;
+      return { status: 'completed' };
+    });
+
+    const results = await orch.runStageTasks('p1', tasks, {}, policy({ concurrency: 2 }));
+    expect(results).toHaveLength(4);
+    expect(peak).toBe(2);
+  });
+
+  it('respects the global maxConcurrentAgents cap across stages', async () => {
+    const orch = makeOrchestrator({ config: { maxConcurrentAgents: 3 } });
+    let inFlight = 0;
+    let peak = 0;
+    orch.executeTask = jest.fn().mockImplementation(async () => {
+      inFlight += 1;
+      peak = Math.max(peak, inFlight);
+      await new Promise(setImmediate);
+      inFlight -= 1;
+      return { status: 'completed' };
+    });
+
+    await Promise.all([
+      orch.runStageTasks('p1', tasks, {}, policy()),
+      orch.runStageTasks('p2', tasks, {}, policy())
+    ]);
+    expect(peak).toBe(3);
+  });
+
+  it("keeps siblings running under the 'continue' policy", async () => {
+    const orch = makeOrchestrator();
+    orch.executeTask = jest.fn().mockImplementation(async (taskId) => ({
+      status: taskId === 't1' ? 'failed' : 'completed'
+    }));
+
+    const results = await orch.runStageTasks('p1', tasks, {}, policy({ concurrency: 1 }));
+    expect(results.map((r) => r.status)).toEqual(['failed', 'completed', 'completed', 'completed']);
+  });
+
+  it("cancels running and queued siblings under the 'cancel' policy", async () => {
+    const orch = makeOrchestrator();
+    const signals = {};
+    orch.executeTask = jest.fn().mockImplementation(async (taskId, _p, opts) => {
+      signals[taskId] = opts.signal;
+      if (taskId === 't1') return { status: 'failed' };
+      await new Promise(setImmediate);
+      return { status: opts.signal.aborted ? 'cancelled' : 'completed' };
+    });
+
+    const results = await orch.runStageTasks('p1', tasks, {}, policy({
+      concurrency: 2, onFailure: 'cancel'
+    }));
+
+    expect(results.map((r) => r.status)).toEqual(['failed', 'cancelled', 'cancelled', 'cancelled']);
+    // t3/t4 never started: they are marked cancelled without running an agent.
+    expect(orch.executeTask).toHaveBeenCalledTimes(2);
+    const cancelledRows = orch.db.query.mock.calls.filter((c) => c[0].includes("'cancelled'"));
+    expect(cancelledRows.map((c) => c[1][0])).toEqual(['t3', 't4']);
+    expect(signals.t2.reason).toBe('sibling t1 failed');
+  });
+
+  it('re-throws an executeTask error after every task settles', async () => {
+    const orch = makeOrchestrator();
+    orch.executeTask = jest.fn().mockImplementation(async (taskId) => {
+      if (taskId === 't2') throw new Error('db down');
+      return { status: 'completed' };
+    });
+
+    await expect(orch.runStageTasks('p1', tasks, {}, policy())).rejects.toThrow('db down');
+    expect(orch.executeTask).toHaveBeenCalledTimes(4);
+  });
+});
+
+describe('resumable execution', () => {
+  const workflow = {
+    version: 1,
+    stages: [
+      { number: 1, name: 'Research', complexity: 'high' },
+      { number: 2, name: 'Documentation', complexity: 'medium' },
+      { number: 3, name: 'Deployment', complexity: 'medium' }
+    ]
+  };
+
+  function withCheckpoint(orch, checkpoint) {
+    orch.db.query = jest.fn().mockImplementation((sql) => {
+      if (sql.startsWith('SELECT workflow')) return Promise.resolve({ rows: [{ workflow }] });
+      if (sql.includes('SELECT execution_id')) return Promise.resolve({ rows: checkpoint });
+      return Promise.resolve({ rows: [] });
+    });
+  }
+
+  it('starts a fresh execution and checkpoints every stage', async () => {
+    const orch = makeOrchestrator();
+    withCheckpoint(orch, []);
+    orch.executeStage = jest.fn().mockResolvedValue();
+
+    const res = await orch.executeProject('p1');
+
+    expect(res.executionId).toEqual(expect.any(String));
+    const reset = orch.db.query.mock.calls[0];
+    expect(reset[0]).toContain("completed_stages = '{}'");
+    expect(reset[1]).toEqual(['running', 'p1', res.executionId]);
+    const appended = orch.db.query.mock.calls
+      .filter((c) => c[0].includes('array_append'))
+      .map((c) => c[1][1]);
+    expect(appended).toEqual([1, 2, 3]);
+  });
+
+  it('skips completed stages when resuming', async () => {
+    const orch = makeOrchestrator();
+    withCheckpoint(orch, [{ execution_id: 'exec-1', current_stage: 3, completed_stages: [1, 2] }]);
+    orch.executeStage = jest.fn().mockResolvedValue();
+
+    const res = await orch.executeProject('p1', { resume: true });
+
+    expect(res.executionId).toBe('exec-1');
+    expect(orch.executeStage).toHaveBeenCalledTimes(1);
+    expect(orch.executeStage).toHaveBeenCalledWith(
+      'p1', expect.objectContaining({ number: 3 }), expect.objectContaining({ resume: true })
+    );
+    expect(orch.db.query.mock.calls.some((c) => c[0].includes("completed_stages = '{}'"))).toBe(false);
+  });
+
+  it('falls back to a fresh run when there is nothing to resume', async () => {
+    const orch = makeOrchestrator();
+    withCheckpoint(orch, [{ execution_id: null, current_stage: null, completed_stages: [] }]);
+    orch.executeStage = jest.fn().mockResolvedValue();
+
+    await orch.executeProject('p1', { resume: true });
+    expect(orch.executeStage).toHaveBeenCalledTimes(3);
+    expect(orch.executeStage.mock.calls[0][2]).toMatchObject({ resume: false });
+  });
+
+  it('rejects resuming an unknown project', async () => {
+    const orch = makeOrchestrator();
+    withCheckpoint(orch, []);
+
+    await expect(orch.executeProject('nope', { resume: true }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(orch.isExecuting('nope')).toBe(false);
+  });
+
+  it('refuses to execute a project that is already running', async () => {
+    const orch = makeOrchestrator();
+    withCheckpoint(orch, []);
+    let release;
+    orch.executeStage = jest.fn().mockImplementation(() => new Promise((r) => { release = r; }));
+
+    const first = orch.executeProject('p1');
+    expect(orch.isExecuting('p1')).toBe(true);
+    await expect(orch.executeProject('p1', { resume: true })).rejects.toMatchObject({ statusCode: 409 });
+
+    await new Promise(setImmediate);
+    orch.executeStage.mockResolvedValue();
+    release();
+    await first;
+    expect(orch.isExecuting('p1')).toBe(false);
+  });
+
+  it('re-runs pending and running tasks and only creates missing agents', async () => {
+    const orch = makeOrchestrator();
+    orch.db.query = jest.fn().mockImplementation((sql) => Promise.resolve(
+      sql.startsWith('SELECT task_id, agent_name, status')
+        ? {
+          rows: [
+            { task_id: 't1', agent_name: 'agent-7-1', status: 'completed' },
+            { task_id: 't2', agent_name: 'agent-7-2', status: 'pending' },
+            { task_id: 't3', agent_name: 'agent-7-3', status: 'running' }
+          ]
+        }
+        : { rows: [] }
+    ));
+    orch.executeTask = jest.fn().mockResolvedValue({ status: 'completed' });
+    orch.resolveStageConflicts = jest.fn().mockResolvedValue({ conflicts: 0, requeued: [] });
+
+    await orch.executeStage('p1', {
+      number: 7, name: 'Development', complexity: 'high', agents: 4
+    }, { resume: true });
+
+    const ran = orch.executeTask.mock.calls.map((c) => c[0]);
+    expect(ran.slice(0, 2)).toEqual(['t2', 't3']);
+    expect(ran).toHaveLength(3);
+    const inserts = orch.db.query.mock.calls.filter((c) => c[0].includes('INSERT INTO orchestration_tasks'));
+    expect(inserts).toHaveLength(1);
+    expect(inserts[0][1][3]).toBe('agent-7-4');
+  });
+});
+
+describe('operator pause / resume / cancel', () => {
+  const workflow = {
+    version: 1,
+    stages: [
+      { number: 1, name: 'Research', complexity: 'high' },
+      { number: 2, name: 'Development', complexity: 'high' }
+    ]
+  };
+
+  function withWorkflow(orch) {
+    orch.db.query = jest.fn().mockImplementation((sql) => Promise.resolve(
+      sql.startsWith('SELECT workflow') ? { rows: [{ workflow }] } : { rows: [] }
+    ));
+  }
+
+  const statusUpdates = (orch) => orch.db.query.mock.calls
+    .filter((c) => c[0].startsWith('UPDATE orchestration_projects SET status'))
+    .map((c) => c[1][0]);
+
+  it('rejects controls for a project that is not executing', async () => {
+    const orch = makeOrchestrator();
+    await expect(orch.pauseExecution('p1')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(orch.resumeExecution('p1')).rejects.toMatchObject({ statusCode: 404 });
+    expect(() => orch.cancelExecution('p1')).toThrow(expect.objectContaining({ statusCode: 404 }));
+  });
+
+  it('holds the next stage while paused and continues on resume', async () => {
+    const orch = makeOrchestrator();
+    withWorkflow(orch);
+    let finishStage;
+    orch.executeStage = jest.fn()
+      .mockImplementationOnce(() => new Promise((r) => { finishStage = r; }))
+      .mockResolvedValue();
+
+    const running = orch.executeProject('p1');
+    await new Promise(setImmediate);
+    await expect(orch.pauseExecution('p1')).resolves.toEqual({ projectId: 'p1', status: 'paused' });
+    await expect(orch.pauseExecution('p1')).rejects.toMatchObject({ statusCode: 409 });
+
+    finishStage();
+    await new Promise(setImmediate);
+    expect(orch.executeStage).toHaveBeenCalledTimes(1);
+
+    await orch.resumeExecution('p1');
+    const res = await running;
+    expect(res.status).toBe('completed');
+    expect(orch.executeStage).toHaveBeenCalledTimes(2);
+    expect(statusUpdates(orch)).toEqual(['running', 'paused', 'running', 'completed']);
+  });
+
+  it('cancels the execution without checkpointing the interrupted stage', async () => {
+    const orch = makeOrchestrator();
+    withWorkflow(orch);
+    orch.executeStage = jest.fn().mockImplementation((_p, _s, { control }) => new Promise((resolve) => {
+      control.signal.addEventListener('abort', resolve);
+    }));
+
+    const running = orch.executeProject('p1');
+    await new Promise(setImmediate);
+    expect(orch.cancelExecution('p1', 'runaway')).toEqual({ projectId: 'p1', status: 'cancelling' });
+    expect(() => orch.cancelExecution('p1')).toThrow(expect.objectContaining({ statusCode: 409 }));
+
+    const res = await running;
+    expect(res.status).toBe('cancelled');
+    expect(orch.executeStage).toHaveBeenCalledTimes(1);
+    expect(orch.db.query.mock.calls.some((c) => c[0].includes('array_append'))).toBe(false);
+    expect(statusUpdates(orch)).toEqual(['running', 'cancelled']);
+    expect(orch.isExecuting('p1')).toBe(false);
+  });
+
+  it('cancels queued stage tasks and aborts running agents', async () => {
+    const orch = makeOrchestrator();
+    const control = createExecutionControl();
+    orch.executeTask = jest.fn().mockImplementation(async (taskId, _p, opts) => {
+      control.cancel('runaway');
+      return { status: opts.signal.aborted ? 'cancelled' : 'completed' };
+    });
+
+    const results = await orch.runStageTasks('p1', [{ task_id: 't1' }, { task_id: 't2' }], { control }, {
+      concurrency: 1, onFailure: 'continue'
+    });
+
+    expect(results.map((r) => r.status)).toEqual(['cancelled', 'cancelled']);
+    expect(orch.executeTask).toHaveBeenCalledTimes(1);
+    const cancelled = orch.db.query.mock.calls.find((c) => c[0].includes("'cancelled'"));
+    expect(cancelled[1]).toEqual(['t2', 'cancelled: runaway']);
+  });
+});
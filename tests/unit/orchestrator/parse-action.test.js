@@ -67,4 +67,30 @@ describe('parseAction', () => {
     expect(parseAction('{"tool":""}')).toBeNull();
     expect(parseAction('[1,2,3]')).toBeNull();
   });
+
+  it('parses a batch of tool calls', () => {
+    const a = parseAction('{"thought":"read both","actions":[{"tool":"read_file","args":{"path":"a.js"}},'
+      + '{"tool":"read_file","args":{"path":"b.js"}},{"tool":"run_tests"}]}');
+    expect(a).toEqual({
+      type: 'batch',
+      actions: [
+        { type: 'tool', tool: 'read_file', args: { path: 'a.js' } },
+        { type: 'tool', tool: 'read_file', args: { path: 'b.js' } },
+        { type: 'tool', tool: 'run_tests', args: {} }
+      ],
+      thought: 'read both'
+    });
+  });
+
+  it('reads a batch of one as a plain tool action', () => {
+    expect(parseAction('{"thought":"t","actions":[{"tool":"read_file","args":{"path":"a.js"}}]}')).toEqual({
+      type: 'tool', tool: 'read_file', args: { path: 'a.js' }, thought: 't'
+    });
+  });
+
+  it('rejects a batch that is empty or holds anything but tool calls', () => {
+    expect(parseAction('{"actions":[]}')).toBeNull();
+    expect(parseAction('{"actions":[{"tool":"read_file"},{"type":"finish"}]}')).toBeNull();
+    expect(parseAction('{"actions":[{"tool":"read_file"},"run_tests"]}')).toBeNull();
+  });
 });
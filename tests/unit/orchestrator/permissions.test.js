@@ -0,0 +1,80 @@
+/**
+ * Unit tests for capability-derived tool permissions.
+ */
+
+const {
+  PROFILES, CAPABILITY_PROFILES, policyForCapabilities, policyForAgent, checkPolicy
+} = require('../../../src/orchestrator/tools/permissions');
+const { AGENT_DEFINITIONS } = require('../../../src/services/agent-definitions');
+const { writeFileTool } = require('../../../src/orchestrator/tools/write-file.tool');
+const { editFileTool } = require('../../../src/orchestrator/tools/edit-file.tool');
+const { runCommandTool } = require('../../../src/orchestrator/tools/run-command.tool');
+
+const ctx = { workspaceRoot: '/ws' };
+
+describe('capability profiles', () => {
+  it('maps every capability in the agent catalogue to a profile', () => {
+    const capabilities = Object.values(AGENT_DEFINITIONS).flatMap((d) => d.capabilities);
+    const unmapped = capabilities.filter((c) => !PROFILES[CAPABILITY_PROFILES[c]]);
+    expect(unmapped).toEqual([]);
+  });
+});
+
+describe('policyForAgent', () => {
+  it('gives reviewers read-only tools and no writes', () => {
+    expect(policyForAgent('coderabbit')).toEqual({
+      agent: 'coderabbit',
+      profiles: ['read-only'],
+      tools: PROFILES['read-only'].tools,
+      writePaths: []
+    });
+  });
+
+  it('lets documentation agents write only under docs/', () => {
+    const policy = policyForAgent('mintlify');
+    expect(policy.tools).toEqual(expect.arrayContaining(['read_file', 'write_file', 'edit_file']));
+    expect(policy.tools).not.toContain('run_command');
+    expect(policy.writePaths).toEqual(['docs/**']);
+  });
+
+  it('gives implementers every tool', () => {
+    expect(policyForAgent('auto-agent')).toMatchObject({ profiles: ['full'], tools: null, writePaths: null });
+  });
+
+  it('returns null for an agent outside the catalogue', () => {
+    expect(policyForAgent('nobody')).toBeNull();
+    expect(policyForAgent('toString')).toBeNull();
+  });
+});
+
+describe('policyForCapabilities', () => {
+  it('takes the union of the profiles', () => {
+    const policy = policyForCapabilities(['planning', 'testing', 'markdown']);
+    expect(policy.profiles).toEqual(['read-only', 'test-writer', 'docs-writer']);
+    expect(policy.writePaths).toEqual(expect.arrayContaining(['docs/**', 'tests/**']));
+  });
+
+  it('falls back to read-only for unknown capabilities', () => {
+    expect(policyForCapabilities(['juggling'])).toMatchObject({ profiles: ['read-only'], writePaths: [] });
+  });
+});
+
+describe('checkPolicy', () => {
+  const tester = policyForCapabilities(['testing'], 'astron-agent');
+
+  it('allows test writers to touch test files only', () => {
+    expect(checkPolicy(tester, writeFileTool, { path: 'tests/unit/a.test.js' }, ctx)).toBeNull();
+    expect(checkPolicy(tester, editFileTool, { path: 'src/__tests__/b.js' }, ctx)).toBeNull();
+    expect(checkPolicy(tester, writeFileTool, { path: 'src/cart.spec.ts' }, ctx)).toBeNull();
+    expect(checkPolicy(tester, writeFileTool, { path: 'src/cart.ts' }, ctx)).toMatch(/^permission denied: agent "astron-agent"/);
+  });
+
+  it('refuses tools that write without declaring their targets', () => {
+    expect(checkPolicy(tester, runCommandTool, { command: 'rm' }, ctx))
+      .toBe('permission denied: agent "astron-agent" (test-writer) may not use "run_command"');
+  });
+
+  it('allows everything under the full profile', () => {
+    expect(checkPolicy(policyForAgent('devin'), runCommandTool, { command: 'rm' }, ctx)).toBeNull();
+  });
+});
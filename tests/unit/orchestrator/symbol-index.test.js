@@ -0,0 +1,175 @@
+/**
+ * Unit tests for the symbol index and the find_symbol tool.
+ * Each test indexes its own temp workspace.
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const { parseSource, indexFor } = require('../../../src/orchestrator/tools/symbol-index');
+const { findSymbolTool } = require('../../../src/orchestrator/tools/find-symbol.tool');
+const { createDefaultRegistry } = require('../../../src/orchestrator/tools');
+
+const CART_TS = [
+  "import { price } from './lib/price';",
+  'export interface Item { sku: string }',
+  'export class Cart {',
+  '  items: Item[] = [];',
+  '  total(): number {',
+  '    return this.items.reduce((s, i) => s + price(i.sku), 0);',
+  '  }',
+  '}',
+  'export default function makeCart() { return new Cart(); }',
+  "export { price as cost } from './lib/price';",
+  ''
+].join('\n');
+
+const PRICE_JS = [
+  'const TABLE = { a: 1 };',
+  'function price(sku) {',
+  '  return lookup(sku);',
+  '}',
+  'const lookup = (sku) => TABLE[sku] || 0;',
+  "exports.extra = function () { return price('a'); };",
+  'module.exports = { price, lookup };',
+  ''
+].join('\n');
+
+let workspace;
+
+async function put(rel, content) {
+  await fs.mkdir(path.dirname(path.join(workspace, rel)), { recursive: true });
+  await fs.writeFile(path.join(workspace, rel), content);
+}
+
+beforeEach(async () => {
+  workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'zekka-sym-'));
+  await put('src/cart.ts', CART_TS);
+  await put('src/lib/price.js', PRICE_JS);
+});
+
+afterEach(async () => {
+  await fs.rm(workspace, { recursive: true, force: true });
+});
+
+describe('parseSource', () => {
+  it('records TypeScript definitions with their kind, container and export flag', () => {
+    const { definitions } = parseSource('cart.ts', CART_TS);
+    const byName = Object.fromEntries(definitions.map((d) => [d.name, d]));
+    expect(byName.Item).toMatchObject({ kind: 'interface', exported: true, line: 2 });
+    expect(byName.Cart).toMatchObject({ kind: 'class', exported: true, line: 3 });
+    expect(byName.items).toMatchObject({ kind: 'property', container: 'Cart' });
+    expect(byName.total).toMatchObject({
+      kind: 'method', container: 'Cart', line: 5, column: 3, signature: 'total(): number {'
+    });
+    expect(byName.makeCart).toMatchObject({ kind: 'function', exported: true });
+  });
+
+  it('attributes each call to the function that makes it', () => {
+    const { calls } = parseSource('cart.ts', CART_TS);
+    expect(calls.find((c) => c.name === 'price')).toMatchObject({ caller: 'Cart.total', line: 6 });
+    expect(calls.find((c) => c.name === 'reduce')).toMatchObject({ receiver: 'this.items', caller: 'Cart.total' });
+    expect(calls.find((c) => c.name === 'Cart')).toMatchObject({ caller: 'makeCart' });
+  });
+
+  it('reads ES module exports, default exports and re-exports', () => {
+    const { exports } = parseSource('cart.ts', CART_TS);
+    expect(exports).toEqual([
+      { name: 'Item', kind: 'interface', line: 2 },
+      { name: 'Cart', kind: 'class', line: 3 },
+      {
+        name: 'default', kind: 'function', line: 9, local: 'makeCart'
+      },
+      {
+        name: 'cost', kind: 'reexport', line: 10, local: 'price', from: './lib/price'
+      }
+    ]);
+  });
+
+  it('reads CommonJS exports and marks the exported locals', () => {
+    const { definitions, exports } = parseSource('price.js', PRICE_JS);
+    expect(exports.map((e) => e.name)).toEqual(['extra', 'price', 'lookup']);
+    const byName = Object.fromEntries(definitions.map((d) => [d.name, d]));
+    expect(byName.price.exported).toBe(true);
+    expect(byName.lookup).toMatchObject({ kind: 'function', exported: true });
+    expect(byName.TABLE).toMatchObject({ kind: 'variable', exported: false });
+    expect(byName.extra).toMatchObject({ kind: 'function', exported: true });
+  });
+});
+
+describe('SymbolIndex', () => {
+  it('parses only what changed since the last refresh', async () => {
+    const index = indexFor(workspace);
+    expect(await index.refresh()).toEqual({ files: 2, parsed: 2 });
+    expect(await index.refresh()).toEqual({ files: 2, parsed: 0 });
+
+    await put('src/lib/tax.js', 'function tax() { return price(1); }\n');
+    await fs.rm(path.join(workspace, 'src/cart.ts'));
+    expect(await index.refresh()).toEqual({ files: 2, parsed: 1 });
+    expect(index.callers('price').map((c) => c.file).sort()).toEqual(['src/lib/price.js', 'src/lib/tax.js']);
+  });
+
+  it('re-parses invalidated files even when size and mtime are unchanged', async () => {
+    const index = indexFor(workspace);
+    await index.refresh();
+    index.invalidate(['./src/lib/price.js']);
+    expect(await index.refresh()).toEqual({ files: 2, parsed: 1 });
+  });
+
+  it('skips dependency directories and non-source files', async () => {
+    await put('node_modules/dep/index.js', 'function price() {}\n');
+    await put('README.md', 'function price() {}\n');
+    const index = indexFor(workspace);
+    await index.refresh();
+    expect(index.definitions('price').map((d) => d.file)).toEqual(['src/lib/price.js']);
+  });
+});
+
+describe('find_symbol tool', () => {
+  it('finds definitions, narrowing methods by class', async () => {
+    await put('src/other.js', 'class Shop { total() {} }\n');
+    const res = await findSymbolTool.run({ query: 'definition', name: 'Cart.total' }, { workspaceRoot: workspace });
+    expect(res.ok).toBe(true);
+    expect(res.output).toMatchObject({ count: 1, truncated: false });
+    expect(res.output.results[0]).toMatchObject({ file: 'src/cart.ts', line: 5, container: 'Cart' });
+  });
+
+  it('lists callers up to maxResults', async () => {
+    const res = await findSymbolTool.run(
+      { query: 'callers', name: 'price', maxResults: 1 },
+      { workspaceRoot: workspace }
+    );
+    expect(res.output).toMatchObject({ count: 2, truncated: true });
+    expect(res.output.results).toHaveLength(1);
+  });
+
+  it('lists a module\'s exports, with or without its extension', async () => {
+    const res = await findSymbolTool.run({ query: 'exports', module: 'src/lib/price' }, { workspaceRoot: workspace });
+    expect(res.output.file).toBe('src/lib/price.js');
+    expect(res.output.exports.map((e) => e.name)).toEqual(['extra', 'price', 'lookup']);
+
+    const missing = await findSymbolTool.run({ query: 'exports', module: 'src/nope' }, { workspaceRoot: workspace });
+    expect(missing).toEqual({ ok: false, error: 'no indexed JavaScript/TypeScript module at src/nope' });
+  });
+
+  it('rejects unknown queries and missing arguments', async () => {
+    const ctx = { workspaceRoot: workspace };
+    expect((await findSymbolTool.run({ query: 'usages', name: 'x' }, ctx)).error)
+      .toBe('query must be one of definition, callers, exports');
+    expect((await findSymbolTool.run({ query: 'callers' }, ctx)).error).toBe('query "callers" needs a name');
+    expect((await findSymbolTool.run({ query: 'exports' }, ctx)).error).toBe('query "exports" needs a module');
+  });
+
+  it('sees files written through the registry', async () => {
+    const registry = createDefaultRegistry({ includeWrite: true });
+    const ctx = { workspaceRoot: workspace };
+    await registry.invoke('find_symbol', { query: 'definition', name: 'discount' }, ctx);
+    const invalidate = jest.spyOn(indexFor(workspace), 'invalidate');
+
+    await registry.invoke('write_file', { path: 'src/discount.js', content: 'function discount() {}\n' }, ctx);
+    const res = await registry.invoke('find_symbol', { query: 'definition', name: 'discount' }, ctx);
+    expect(invalidate).toHaveBeenCalledWith(['src/discount.js']);
+    expect(res.output.results.map((d) => d.file)).toEqual(['src/discount.js']);
+  });
+});
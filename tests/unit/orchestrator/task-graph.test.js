@@ -0,0 +1,76 @@
+/**
+ * Unit tests for task graphs: cycle detection, the dependency tracker and stage release.
+ */
+
+const { findCycle, createDependencyTracker, createStageRelease } = require('../../../src/orchestrator/task-graph');
+
+describe('findCycle', () => {
+  const graph = (edges) => (node) => edges[node] || [];
+
+  it('returns null for a DAG', () => {
+    expect(findCycle([1, 2, 3, 4], graph({ 2: [1], 3: [1], 4: [2, 3] }))).toBeNull();
+  });
+
+  it('returns the cycle as a closed path', () => {
+    expect(findCycle([1, 2, 3], graph({ 1: [2], 2: [3], 3: [2] }))).toEqual([2, 3, 2]);
+    expect(findCycle(['a'], graph({ a: ['a'] }))).toEqual(['a', 'a']);
+  });
+});
+
+describe('createDependencyTracker', () => {
+  it('resolves once every dependency completed', async () => {
+    const tracker = createDependencyTracker([{ task_id: 'a', status: 'completed' }]);
+    let ready = null;
+    tracker.waitFor(['a', 'b']).then((r) => { ready = r; });
+
+    await Promise.resolve();
+    expect(ready).toBeNull();
+    tracker.settle('b', 'completed');
+    await new Promise((r) => setImmediate(r));
+    expect(ready).toEqual({ ok: true });
+  });
+
+  it('reports the dependency that blocked it', async () => {
+    const tracker = createDependencyTracker();
+    const wait = tracker.waitFor(['a']);
+    tracker.settle('a', 'running');
+    tracker.settle('a', 'failed');
+    expect(await wait).toEqual({ ok: false, blockedBy: 'a', reason: 'dependency a failed' });
+  });
+
+  it('stops waiting when the signal aborts', async () => {
+    const tracker = createDependencyTracker();
+    const controller = new AbortController();
+    const wait = tracker.waitFor(['a'], controller.signal);
+    controller.abort('cancelled by operator');
+    expect(await wait).toEqual({ ok: false, reason: 'cancelled by operator' });
+  });
+});
+
+describe('createStageRelease', () => {
+  it('settles a finished task at once, but holds one that wrote a sibling\'s file', () => {
+    const dependencies = { settle: jest.fn() };
+    const release = createStageRelease(dependencies);
+
+    release.report('a', 'completed', ['src/a.js']);
+    release.report('b', 'completed', ['src/a.js', 'src/b.js']);
+    release.report('c', 'running');
+    expect(dependencies.settle.mock.calls).toEqual([['a', 'completed'], ['c', 'failed']]);
+
+    release.hold('b', 'conflict_unresolved');
+    release.finish('completed');
+    expect(dependencies.settle).toHaveBeenLastCalledWith('b', 'conflict_unresolved');
+  });
+
+  it('holds every task of an approval-gated stage and settles them with the stage outcome', () => {
+    const dependencies = { settle: jest.fn() };
+    const release = createStageRelease(dependencies, { holdAll: true });
+
+    release.report('a', 'completed');
+    release.report('b', 'failed');
+    expect(dependencies.settle).not.toHaveBeenCalled();
+
+    release.finish('cancelled');
+    expect(dependencies.settle.mock.calls).toEqual([['a', 'cancelled'], ['b', 'cancelled']]);
+  });
+});
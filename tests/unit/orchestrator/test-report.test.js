@@ -0,0 +1,168 @@
+/**
+ * Unit tests for test report parsing: Jest JSON, TAP and JUnit XML.
+ */
+
+const {
+  parseJestReport,
+  parseTap,
+  parseJUnit,
+  findLocation
+} = require('../../../src/orchestrator/tools/test-report');
+
+const ROOT = '/ws';
+
+describe('parseJestReport', () => {
+  const report = {
+    numTotalTests: 4,
+    numPassedTests: 1,
+    numFailedTests: 1,
+    numPendingTests: 1,
+    numTodoTests: 1,
+    testResults: [
+      {
+        name: '/ws/tests/math.test.js',
+        status: 'failed',
+        assertionResults: [
+          { status: 'passed', fullName: 'math adds', title: 'adds' },
+          {
+            status: 'failed',
+            fullName: 'math divides',
+            ancestorTitles: ['math'],
+            title: 'divides',
+            failureMessages: [
+              '\u001b[2mexpect(\u001b[22mreceived).toBe(expected)\n\nExpected: 2\nReceived: 3\n'
+                + '    at Object.<anonymous> (/ws/node_modules/expect/build/index.js:1:1)\n'
+                + '    at Object.<anonymous> (/ws/tests/math.test.js:12:19)'
+            ]
+          }
+        ]
+      },
+      {
+        name: '/ws/tests/broken.test.js',
+        status: 'failed',
+        message: "Cannot find module './gone'\n    at Resolver (/ws/src/index.js:3:1)",
+        assertionResults: []
+      }
+    ]
+  };
+
+  it('lists failing tests with message and location', () => {
+    expect(parseJestReport(JSON.stringify(report), ROOT)).toEqual({
+      format: 'jest',
+      total: 4,
+      passed: 1,
+      failed: 1,
+      skipped: 2,
+      truncated: false,
+      failures: [
+        {
+          file: 'tests/math.test.js',
+          name: 'math divides',
+          message: 'expect(received).toBe(expected)\n\nExpected: 2\nReceived: 3',
+          location: { file: 'tests/math.test.js', line: 12, column: 19 }
+        },
+        {
+          file: 'tests/broken.test.js',
+          name: '(test file failed to run)',
+          message: "Cannot find module './gone'",
+          location: { file: 'src/index.js', line: 3, column: 1 }
+        }
+      ]
+    });
+  });
+
+  it('returns null for something that is not a Jest report', () => {
+    expect(parseJestReport('not json', ROOT)).toBeNull();
+    expect(parseJestReport('{"ok":true}', ROOT)).toBeNull();
+  });
+});
+
+describe('parseTap', () => {
+  it('counts the innermost tests and reads YAML diagnostics', () => {
+    const tap = [
+      'TAP version 13',
+      '# Subtest: parser',
+      '    ok 1 - reads a header',
+      '    not ok 2 - reads a body',
+      '      ---',
+      '      message: "Expected values to be strictly equal"',
+      "      location: '/ws/test/parser.test.js:20:3'",
+      '      ...',
+      '    ok 3 - reads a footer # SKIP not yet',
+      '    1..3',
+      'not ok 1 - parser',
+      'ok 2 - top-level passes',
+      '1..2'
+    ].join('\n');
+
+    expect(parseTap(tap, ROOT)).toEqual({
+      format: 'tap',
+      total: 4,
+      passed: 2,
+      failed: 1,
+      skipped: 1,
+      truncated: false,
+      failures: [{
+        file: 'test/parser.test.js',
+        name: 'reads a body',
+        message: 'Expected values to be strictly equal',
+        location: { file: 'test/parser.test.js', line: 20, column: 3 }
+      }]
+    });
+  });
+
+  it('returns null for output without test points', () => {
+    expect(parseTap('PASS tests/a.test.js\nTests: 3 passed', ROOT)).toBeNull();
+  });
+});
+
+describe('parseJUnit', () => {
+  it('reads failures, errors and skipped cases', () => {
+    const xml = `<?xml version="1.0"?>
+<testsuites>
+  <testsuite name="api" tests="4">
+    <testcase classname="api" name="api returns 200" file="/ws/tests/api.test.js"/>
+    <testcase classname="api" name="returns 404" file="/ws/tests/api.test.js">
+      <failure message="expected 404 &amp; got 500"><![CDATA[AssertionError: expected 404 & got 500
+    at Context.<anonymous> (/ws/tests/api.test.js:31:10)]]></failure>
+    </testcase>
+    <testcase classname="db" name="connects"><error>Error: ECONNREFUSED</error></testcase>
+    <testcase classname="db" name="migrates"><skipped/></testcase>
+  </testsuite>
+</testsuites>`;
+
+    expect(parseJUnit(xml, ROOT)).toEqual({
+      format: 'junit',
+      total: 4,
+      passed: 1,
+      failed: 2,
+      skipped: 1,
+      truncated: false,
+      failures: [
+        {
+          file: 'tests/api.test.js',
+          name: 'api returns 404',
+          message: 'expected 404 & got 500',
+          location: { file: 'tests/api.test.js', line: 31, column: 10 }
+        },
+        {
+          file: 'db',
+          name: 'db connects',
+          message: 'Error: ECONNREFUSED',
+          location: null
+        }
+      ]
+    });
+  });
+
+  it('returns null without test cases', () => {
+    expect(parseJUnit('<testsuites/>', ROOT)).toBeNull();
+  });
+});
+
+describe('findLocation', () => {
+  it('skips node_modules and node internals', () => {
+    const stack = '    at a (node:internal/process:1:1)\n    at b (/ws/node_modules/x/i.js:2:2)\n    at c (/ws/src/c.js:9:4)';
+    expect(findLocation(stack, ROOT)).toEqual({ file: 'src/c.js', line: 9, column: 4 });
+  });
+});
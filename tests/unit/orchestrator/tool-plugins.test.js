@@ -0,0 +1,152 @@
+/**
+ * Unit tests for tool plugins: loading from a directory and from packages,
+ * namespacing, validation, and the orchestrator's startup loading.
+ * Each test writes its plugins into its own temp directory.
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+jest.mock('axios', () => ({ get: jest.fn().mockResolvedValue({ data: {} }) }));
+
+const ZekkaOrchestrator = require('../../../src/orchestrator/orchestrator');
+const { ToolRegistry } = require('../../../src/orchestrator/tools/tool-registry');
+const { createDefaultRegistry } = require('../../../src/orchestrator/tools');
+const { loadToolPlugins } = require('../../../src/orchestrator/tools/plugins');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: jest.fn() };
+
+const PING_PLUGIN = `module.exports = {
+  version: '0.1.0',
+  tools: [{
+    name: 'ping',
+    description: 'ping',
+    schema: { host: { type: 'string', required: true } },
+    run: async (args) => ({ ok: true, output: 'pong ' + args.host })
+  }]
+};
+`;
+
+let base;
+
+async function put(rel, content) {
+  await fs.mkdir(path.dirname(path.join(base, rel)), { recursive: true });
+  await fs.writeFile(path.join(base, rel), content);
+}
+
+beforeEach(async () => {
+  base = await fs.mkdtemp(path.join(os.tmpdir(), 'zekka-plugins-'));
+  silentLogger.error.mockClear();
+});
+
+afterEach(async () => {
+  await fs.rm(base, { recursive: true, force: true });
+});
+
+describe('loadToolPlugins', () => {
+  it('registers a directory\'s plugins under their namespace', async () => {
+    await put('plugins/net-tools.js', PING_PLUGIN);
+    await put('plugins/db/package.json', JSON.stringify({ name: 'db-inspector', version: '2.3.0', main: 'main.js' }));
+    await put('plugins/db/main.js', `module.exports = { tools: [
+      { name: 'tables', description: 'list tables', run: async () => ({ ok: true, output: ['users'] }) }
+    ] };`);
+    await put('plugins/README.md', '# not a plugin');
+    const registry = createDefaultRegistry();
+
+    const plugins = loadToolPlugins(registry, { dir: path.join(base, 'plugins'), logger: silentLogger });
+
+    expect(plugins).toEqual([
+      {
+        name: 'db-inspector',
+        version: '2.3.0',
+        source: 'directory',
+        module: path.join(base, 'plugins/db'),
+        tools: ['db-inspector__tables'],
+        status: 'loaded'
+      },
+      {
+        name: 'net-tools',
+        version: '0.1.0',
+        source: 'directory',
+        module: path.join(base, 'plugins/net-tools.js'),
+        tools: ['net-tools__ping'],
+        status: 'loaded'
+      }
+    ]);
+    const res = await registry.invoke('net-tools__ping', { host: 'db' }, {});
+    expect(res).toEqual({ ok: true, output: 'pong db' });
+    expect(registry.has('read_file')).toBe(true);
+  });
+
+  it('loads npm packages resolved from basedir, with their package name and version', async () => {
+    await put('node_modules/@acme/jira/package.json', JSON.stringify({ name: '@acme/jira', version: '1.4.2' }));
+    await put('node_modules/@acme/jira/index.js', PING_PLUGIN.replace("version: '0.1.0',", ''));
+    const registry = new ToolRegistry({ logger: silentLogger });
+
+    const plugins = loadToolPlugins(registry, {
+      packages: ['@acme/jira', 'not-installed'], basedir: base, logger: silentLogger
+    });
+
+    expect(plugins[0]).toMatchObject({
+      name: 'acme_jira', version: '1.4.2', source: 'package', module: '@acme/jira', tools: ['acme_jira__ping']
+    });
+    expect(plugins[1]).toMatchObject({
+      name: 'not-installed', status: 'failed', error: 'package "not-installed" is not installed'
+    });
+    expect(registry.names()).toEqual(['acme_jira__ping']);
+  });
+
+  it('registers none of a plugin\'s tools when one of them is invalid', async () => {
+    await put('plugins/half.js', `module.exports = { tools: [
+      { name: 'good', run: async () => ({ ok: true }) },
+      { name: 'bad' }
+    ] };`);
+    await put('plugins/empty.js', 'module.exports = { tools: [] };');
+    const registry = new ToolRegistry({ logger: silentLogger });
+
+    const plugins = loadToolPlugins(registry, { dir: path.join(base, 'plugins'), logger: silentLogger });
+
+    expect(plugins.map((p) => [p.name, p.status, p.error])).toEqual([
+      ['empty', 'failed', 'plugin must export a non-empty "tools" array'],
+      ['half', 'failed', 'tool "half__bad" must define a run() function']
+    ]);
+    expect(registry.names()).toEqual([]);
+    expect(silentLogger.error).toHaveBeenCalledTimes(2);
+  });
+
+  it('refuses a second plugin with the same name', async () => {
+    await put('plugins/a.js', `module.exports = { name: 'net', ${PING_PLUGIN.slice('module.exports = {'.length)}`);
+    await put('plugins/b.js', `module.exports = { name: 'NET', ${PING_PLUGIN.slice('module.exports = {'.length)}`);
+    const registry = new ToolRegistry({ logger: silentLogger });
+
+    const plugins = loadToolPlugins(registry, { dir: path.join(base, 'plugins'), logger: silentLogger });
+    expect(plugins.map((p) => p.status)).toEqual(['loaded', 'failed']);
+    expect(plugins[1].error).toBe('a plugin named "net" is already loaded');
+  });
+
+  it('reports an unreadable plugin directory without throwing', () => {
+    const plugins = loadToolPlugins(new ToolRegistry(), { dir: path.join(base, 'missing'), logger: silentLogger });
+    expect(plugins).toEqual([]);
+    expect(silentLogger.error).toHaveBeenCalledWith(expect.stringMatching(/tool plugin directory .* is unreadable/));
+  });
+});
+
+describe('orchestrator plugin loading', () => {
+  it('loads the configured plugins on initialize and lists them', async () => {
+    await put('plugins/net-tools.js', PING_PLUGIN);
+    process.env.DATABASE_URL = 'postgres://test';
+    const orch = new ZekkaOrchestrator({
+      contextBus: {},
+      logger: silentLogger,
+      agentRunner: { run: jest.fn() },
+      config: { workspaceRoot: base, toolPluginDir: path.join(base, 'plugins') }
+    });
+    orch.db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+    expect(orch.getToolPlugins()).toEqual([]);
+    await orch.initialize();
+    expect(orch.getToolPlugins().map((p) => [p.name, p.status])).toEqual([['net-tools', 'loaded']]);
+    expect(orch.toolRegistry.has('net-tools__ping')).toBe(true);
+  });
+});
@@ -39,6 +39,14 @@ describe('ToolRegistry', () => {
       registry.register(makeTool());
       expect(() => registry.register(makeTool())).toThrow(/already registered/);
     });
+
+    it('records whether a tool is read-only', () => {
+      registry.register(makeTool({ name: 'peek', readOnly: true }));
+      registry.register(makeTool());
+      expect(registry.isReadOnly('peek')).toBe(true);
+      expect(registry.isReadOnly('echo')).toBe(false);
+      expect(registry.isReadOnly('missing')).toBe(false);
+    });
   });
 
   describe('catalogue via describe()', () => {
@@ -48,6 +56,12 @@ describe('ToolRegistry', () => {
         { name: 'echo', description: 'echoes', schema: { msg: { type: 'string', required: true } } }
       ]);
     });
+
+    it('restricts the catalogue to an allowlist', () => {
+      registry.register(makeTool());
+      registry.register(makeTool({ name: 'other' }));
+      expect(registry.describe(['other']).map((t) => t.name)).toEqual(['other']);
+    });
   });
 
   describe('validateArgs', () => {
@@ -99,5 +113,88 @@ describe('ToolRegistry', () => {
       }));
       expect(await registry.invoke('boom', {})).toEqual({ ok: false, error: 'kaboom' });
     });
+
+    it('refuses a tool outside ctx.allowedTools without running it', async () => {
+      const run = jest.fn();
+      registry.register(makeTool({ run }));
+      const res = await registry.invoke('echo', { msg: 'hi' }, { allowedTools: ['read_file'] });
+      expect(res).toEqual({ ok: false, error: 'tool "echo" is not allowed in this stage' });
+      expect(run).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('toolPolicy', () => {
+    const policy = {
+      agent: 'mintlify', profiles: ['docs-writer'], tools: ['echo', 'write'], writePaths: ['docs/**']
+    };
+    const writeTool = (run) => makeTool({
+      name: 'write',
+      schema: { path: { type: 'string', required: true } },
+      writeTargets: (args) => [args.path],
+      run
+    });
+
+    it('refuses tools the policy does not grant', async () => {
+      const run = jest.fn();
+      registry.register(makeTool({ name: 'git', run }));
+      const res = await registry.invoke('git', { msg: 'x' }, { workspaceRoot: '/ws', toolPolicy: policy });
+      expect(res).toEqual({ ok: false, error: 'permission denied: agent "mintlify" (docs-writer) may not use "git"' });
+      expect(run).not.toHaveBeenCalled();
+    });
+
+    it('refuses writes outside writePaths, normalizing the target first', async () => {
+      const run = jest.fn().mockResolvedValue({ ok: true, writes: ['docs/a.md'] });
+      registry.register(writeTool(run));
+      const ctx = { workspaceRoot: '/ws', toolPolicy: policy };
+
+      expect(await registry.invoke('write', { path: 'docs/../src/a.js' }, ctx)).toEqual({
+        ok: false, error: 'permission denied: agent "mintlify" (docs-writer) may only write docs/**, not "src/a.js"'
+      });
+      expect(run).not.toHaveBeenCalled();
+      expect((await registry.invoke('write', { path: './docs/a.md' }, ctx)).ok).toBe(true);
+      expect(run).toHaveBeenCalledTimes(1);
+    });
+
+    it('refuses every write under a policy with no write paths', async () => {
+      registry.register(writeTool(jest.fn()));
+      const res = await registry.invoke('write', { path: 'docs/a.md' }, {
+        workspaceRoot: '/ws', toolPolicy: { ...policy, profiles: ['read-only'], writePaths: [] }
+      });
+      expect(res.error).toBe('permission denied: agent "mintlify" (read-only) may not write files');
+    });
+
+    it('reports a target that escapes the workspace as a failure', async () => {
+      registry.register(writeTool(jest.fn()));
+      const res = await registry.invoke('write', { path: '../etc/passwd' }, { workspaceRoot: '/ws', toolPolicy: policy });
+      expect(res).toEqual({ ok: false, error: 'path escapes workspace: ../etc/passwd' });
+    });
+  });
+
+  describe('onWrite', () => {
+    it('tells listeners about the files a successful call wrote', async () => {
+      const listener = jest.fn();
+      registry.onWrite(listener);
+      registry.register(makeTool({ run: async () => ({ ok: true, output: 'w', writes: ['a.js'] }) }));
+      const ctx = { workspaceRoot: '/ws' };
+      await registry.invoke('echo', { msg: 'x' }, ctx);
+      expect(listener).toHaveBeenCalledWith(['a.js'], ctx);
+    });
+
+    it('stays quiet for failed calls and calls without writes', async () => {
+      const listener = jest.fn();
+      registry.onWrite(listener);
+      registry.register(makeTool());
+      registry.register(makeTool({ name: 'broken', run: async () => ({ ok: false, error: 'no', writes: ['a.js'] }) }));
+      await registry.invoke('echo', { msg: 'x' });
+      await registry.invoke('broken', { msg: 'x' });
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('keeps the observation when a listener throws', async () => {
+      registry.onWrite(() => { throw new Error('boom'); });
+      registry.register(makeTool({ run: async () => ({ ok: true, output: 'w', writes: ['a.js'] }) }));
+      const res = await registry.invoke('echo', { msg: 'x' });
+      expect(res).toEqual({ ok: true, output: 'w', writes: ['a.js'] });
+    });
   });
 });
@@ -10,9 +10,13 @@ const path = require('path');
 const { resolveInWorkspace } = require('../../../src/orchestrator/tools/workspace');
 const { readFileTool } = require('../../../src/orchestrator/tools/read-file.tool');
 const { searchCodeTool } = require('../../../src/orchestrator/tools/search-code.tool');
+const { listDirectoryTool, compileGlob } = require('../../../src/orchestrator/tools/list-directory.tool');
+const { fileInfoTool } = require('../../../src/orchestrator/tools/file-info.tool');
 const { runTestsTool } = require('../../../src/orchestrator/tools/run-tests.tool');
 const { writeFileTool } = require('../../../src/orchestrator/tools/write-file.tool');
+const { editFileTool } = require('../../../src/orchestrator/tools/edit-file.tool');
 const { gitTool } = require('../../../src/orchestrator/tools/git.tool');
+const { runCommandTool, scrubbedEnv } = require('../../../src/orchestrator/tools/run-command.tool');
 
 let workspace;
 
@@ -100,6 +104,104 @@ describe('search_code tool', () => {
   });
 });
 
+describe('list_directory tool', () => {
+  beforeEach(async () => {
+    await fs.mkdir(path.join(workspace, 'src/deep/deeper'), { recursive: true });
+    await fs.mkdir(path.join(workspace, 'node_modules/dep'), { recursive: true });
+    await fs.writeFile(path.join(workspace, 'README.md'), '# hi\n');
+    await fs.writeFile(path.join(workspace, 'src/a.js'), 'a');
+    await fs.writeFile(path.join(workspace, 'src/a.test.js'), 'test');
+    await fs.writeFile(path.join(workspace, 'src/deep/b.ts'), 'b');
+    await fs.writeFile(path.join(workspace, 'src/deep/deeper/c.ts'), 'c');
+  });
+
+  const list = (args) => listDirectoryTool.run(args, { workspaceRoot: workspace });
+
+  it('lists a depth-limited tree and skips dependency dirs', async () => {
+    const res = await list({});
+    expect(res.output).toEqual({
+      path: '.',
+      depth: 2,
+      count: 5,
+      truncated: false,
+      entries: [
+        { path: 'README.md', type: 'file', size: 5 },
+        { path: 'src', type: 'dir' },
+        { path: 'src/a.js', type: 'file', size: 1 },
+        { path: 'src/a.test.js', type: 'file', size: 4 },
+        { path: 'src/deep', type: 'dir', unlisted: true }
+      ]
+    });
+  });
+
+  it('keeps only matching files and the dirs leading to them', async () => {
+    const res = await list({ path: 'src', depth: 5, glob: '*.ts' });
+    expect(res.output.path).toBe('src');
+    expect(res.output.entries.map((e) => e.path)).toEqual([
+      'src/deep', 'src/deep/b.ts', 'src/deep/deeper', 'src/deep/deeper/c.ts'
+    ]);
+  });
+
+  it('caps the number of entries', async () => {
+    const res = await list({ depth: 5, maxEntries: 2 });
+    expect(res.output).toMatchObject({ count: 2, truncated: true });
+  });
+
+  it('rejects a file and path traversal', async () => {
+    expect((await list({ path: 'README.md' })).error).toBe('not a directory: README.md');
+    await expect(list({ path: '../..' })).rejects.toThrow(/escapes workspace/);
+  });
+
+  it('compiles globs', () => {
+    expect(compileGlob('**/*.test.{js,ts}')('src/x/a.test.ts')).toBe(true);
+    expect(compileGlob('**/*.test.{js,ts}')('a.test.js')).toBe(true);
+    expect(compileGlob('src/*.js')('src/x/a.js')).toBe(false);
+    expect(compileGlob('[!a]*.md')('README.md')).toBe(true);
+    expect(compileGlob('?.js')('src/ab.js')).toBe(false);
+  });
+});
+
+describe('file_info tool', () => {
+  it('reports size, lines, language and the last commit', async () => {
+    await fs.writeFile(path.join(workspace, 'app.ts'), 'one\ntwo\nthree');
+    const execFile = jest.fn().mockResolvedValue({
+      stdout: 'abc123\u0000Ada\u00002026-10-01T10:00:00+00:00\u0000Add app\n', stderr: ''
+    });
+
+    const res = await fileInfoTool.run({ path: 'app.ts' }, { workspaceRoot: workspace, execFile });
+
+    expect(res.output).toMatchObject({
+      path: 'app.ts',
+      type: 'file',
+      size: 13,
+      lines: 3,
+      binary: false,
+      language: 'TypeScript',
+      lastCommit: {
+        hash: 'abc123', author: 'Ada', date: '2026-10-01T10:00:00+00:00', subject: 'Add app'
+      }
+    });
+    expect(execFile).toHaveBeenCalledWith(
+      'git', ['log', '-1', '--format=%H%x00%an%x00%aI%x00%s', '--', 'app.ts'], expect.any(Object)
+    );
+  });
+
+  it('leaves out lines for binaries and the commit outside git', async () => {
+    await fs.writeFile(path.join(workspace, 'logo.png'), Buffer.from([137, 80, 0, 1]));
+    const execFile = jest.fn().mockRejectedValue(new Error('not a git repository'));
+    const res = await fileInfoTool.run({ path: 'logo.png' }, { workspaceRoot: workspace, execFile });
+    expect(res.output).toMatchObject({
+      lines: null, binary: true, language: null, lastCommit: null
+    });
+  });
+
+  it('describes directories and rejects path traversal', async () => {
+    const res = await fileInfoTool.run({ path: '.' }, { workspaceRoot: workspace });
+    expect(res.output).toMatchObject({ path: '.', type: 'dir', lines: null, lastCommit: null });
+    await expect(fileInfoTool.run({ path: '../x' }, { workspaceRoot: workspace })).rejects.toThrow(/escapes workspace/);
+  });
+});
+
 describe('run_tests tool', () => {
   const ctx = (exec) => ({ workspaceRoot: '/ws', exec });
 
@@ -128,6 +230,80 @@ describe('run_tests tool', () => {
     const res = await runTestsTool.run({}, { workspaceRoot: '/ws' });
     expect(res).toEqual({ ok: false, error: 'no exec runner available in context' });
   });
+
+  it("asks jest for a JSON report when the workspace's test script runs jest", async () => {
+    await fs.writeFile(path.join(workspace, 'package.json'), JSON.stringify({ scripts: { test: 'jest --ci' } }));
+    let reportFile;
+    const exec = jest.fn(async (command) => {
+      [, reportFile] = /--outputFile='([^']+)'/.exec(command);
+      await fs.writeFile(reportFile, JSON.stringify({
+        numTotalTests: 1,
+        numPassedTests: 0,
+        numFailedTests: 1,
+        testResults: [{
+          name: path.join(workspace, 'a.test.js'),
+          assertionResults: [{
+            status: 'failed',
+            fullName: 'a works',
+            failureMessages: [`Error: nope\n    at Object.<anonymous> (${path.join(workspace, 'a.test.js')}:4:9)`]
+          }]
+        }]
+      }));
+      throw Object.assign(new Error('fail'), { code: 1, stdout: '', stderr: 'FAIL a.test.js' });
+    });
+
+    const res = await runTestsTool.run({ pattern: 'a' }, { workspaceRoot: workspace, exec });
+
+    expect(exec.mock.calls[0][0]).toMatch(/^npm test --silent -- a --json --outputFile='.+\.json'$/);
+    expect(res.output).toMatchObject({ passed: false, exitCode: 1, stderr: 'FAIL a.test.js' });
+    expect(res.output.report).toMatchObject({
+      format: 'jest',
+      failed: 1,
+      failures: [{
+        file: 'a.test.js', name: 'a works', message: 'Error: nope', location: { file: 'a.test.js', line: 4, column: 9 }
+      }]
+    });
+    await expect(fs.access(reportFile)).rejects.toThrow();
+  });
+
+  it('reads TAP from stdout and a JUnit file when configured', async () => {
+    const tap = jest.fn().mockResolvedValue({ stdout: 'TAP version 13\nok 1 - a\n1..1\n', stderr: '' });
+    const res = await runTestsTool.run({}, { workspaceRoot: workspace, exec: tap, testCommand: 'node --test' });
+    expect(res.output.report).toMatchObject({ format: 'tap', total: 1, passed: 1 });
+
+    const junit = await runTestsTool.run({}, {
+      workspaceRoot: workspace,
+      exec: jest.fn(async () => {
+        await fs.writeFile(path.join(workspace, 'junit.xml'), '<testsuite><testcase name="b"/></testsuite>');
+        return { stdout: '', stderr: '' };
+      }),
+      testCommand: 'pytest --junitxml=junit.xml',
+      testReporter: 'junit',
+      testReportPath: 'junit.xml'
+    });
+    expect(junit.output.report).toMatchObject({ format: 'junit', total: 1, passed: 1 });
+  });
+
+  it('ignores a JUnit report left over from an earlier run', async () => {
+    await fs.writeFile(path.join(workspace, 'junit.xml'), '<testsuite><testcase name="b"/></testsuite>');
+    const err = Object.assign(new Error('fail'), { code: 2, stdout: '', stderr: 'collection error' });
+    const res = await runTestsTool.run({}, {
+      workspaceRoot: workspace,
+      exec: jest.fn().mockRejectedValue(err),
+      testCommand: 'pytest --junitxml=junit.xml',
+      testReporter: 'junit',
+      testReportPath: 'junit.xml'
+    });
+    expect(res.output).toMatchObject({ passed: false, exitCode: 2, stderr: 'collection error', report: null });
+  });
+
+  it('reports null when there is no machine-readable output', async () => {
+    const exec = jest.fn().mockResolvedValue({ stdout: 'all good', stderr: '' });
+    const res = await runTestsTool.run({}, { workspaceRoot: workspace, exec, testReporter: 'none' });
+    expect(res.output.report).toBeNull();
+    expect((await runTestsTool.run({}, { workspaceRoot: workspace, exec, testReporter: 'xunit' })).error)
+      .toBe('unknown test reporter: xunit');
+  });
 });
 
 describe('write_file tool', () => {
@@ -149,6 +325,209 @@ describe('write_file tool', () => {
   });
 });
 
+describe('edit_file tool', () => {
+  const source = 'line 1\nline 2\nline 3\nline 4\nline 5\n';
+  const edit = (args) => editFileTool.run({ path: 'app.js', ...args }, { workspaceRoot: workspace });
+  const read = () => fs.readFile(path.join(workspace, 'app.js'), 'utf8');
+
+  beforeEach(async () => {
+    await fs.writeFile(path.join(workspace, 'app.js'), source);
+  });
+
+  it('applies a unified diff and reports the file via writes[]', async () => {
+    const res = await edit({
+      diff: '--- a/app.js\n+++ b/app.js\n@@ -1,2 +1,2 @@\n-line 1\n+line one\n line 2\n'
+        + '@@ -4,2 +4,3 @@\n line 4\n line 5\n+line 6\n'
+    });
+    expect(res).toEqual({
+      ok: true,
+      output: {
+        path: 'app.js', bytes: 44, hunks: 2, created: false
+      },
+      writes: ['app.js']
+    });
+    expect(await read()).toBe('line one\nline 2\nline 3\nline 4\nline 5\nline 6\n');
+  });
+
+  it('finds a hunk whose line numbers are off', async () => {
+    const res = await edit({ diff: '@@ -1,2 +1,2 @@\n line 3\n-line 4\n+line four\n' });
+    expect(res.ok).toBe(true);
+    expect(await read()).toBe('line 1\nline 2\nline 3\nline four\nline 5\n');
+  });
+
+  it('writes nothing when a hunk does not match the file', async () => {
+    const res = await edit({
+      diff: '@@ -1,1 +1,1 @@\n-line 1\n+line one\n@@ -3,1 +3,1 @@\n-line three\n+line 3!\n'
+    });
+    expect(res).toEqual({
+      ok: false,
+      error: 'app.js: hunk 2 (@@ -3,1 +3,1 @@) does not apply: expected line 3 to be "line three", found "line 3"'
+    });
+    expect(await read()).toBe(source);
+  });
+
+  it('honours a missing newline at end of file', async () => {
+    await edit({ diff: '@@ -5 +5 @@\n-line 5\n+last\n\\ No newline at end of file\n' });
+    expect(await read()).toBe('line 1\nline 2\nline 3\nline 4\nlast');
+  });
+
+  it('creates a missing file from an add-only diff', async () => {
+    const res = await editFileTool.run(
+      { path: 'new/mod.js', diff: '--- /dev/null\n+++ b/new/mod.js\n@@ -0,0 +1,2 @@\n+a\n+b\n' },
+      { workspaceRoot: workspace }
+    );
+    expect(res.output.created).toBe(true);
+    expect(await fs.readFile(path.join(workspace, 'new/mod.js'), 'utf8')).toBe('a\nb\n');
+  });
+
+  it('rejects a diff covering several files', async () => {
+    const res = await edit({
+      diff: '--- a/app.js\n+++ b/app.js\n@@ -1 +1 @@\n-line 1\n+x\n--- a/b.js\n+++ b/b.js\n@@ -1 +1 @@\n-y\n+z\n'
+    });
+    expect(res.ok).toBe(false);
+    expect(res.error).toMatch(/more than one file/);
+  });
+
+  it('reads a removed "-- x" and an added "++ y" inside a hunk as content', async () => {
+    await fs.writeFile(path.join(workspace, 'app.js'), 'select 1;\n-- x\n');
+    const res = await edit({ diff: '--- a/app.js\n+++ b/app.js\n@@ -1,2 +1,2 @@\n select 1;\n--- x\n+++ y\n' });
+    expect(res.ok).toBe(true);
+    expect(await read()).toBe('select 1;\n++ y\n');
+  });
+
+  it('applies search/replace edits in order', async () => {
+    const res = await edit({
+      edits: [
+        { search: 'line 2\n', replace: 'line two\n' },
+        { search: 'line', replace: 'row', all: true }
+      ]
+    });
+    expect(res.output.edits).toBe(2);
+    expect(await read()).toBe('row 1\nrow two\nrow 3\nrow 4\nrow 5\n');
+  });
+
+  it('refuses a search that is missing or ambiguous', async () => {
+    expect((await edit({ edits: [{ search: 'line 9', replace: 'x' }] })).error)
+      .toBe('app.js: edit 1 does not apply: search text not found (it must match the file exactly)');
+    expect((await edit({ edits: [{ search: 'line', replace: 'x' }] })).error)
+      .toMatch(/occurs 5 times; include more context or set all: true/);
+    expect(await read()).toBe(source);
+  });
+
+  it('needs exactly one of diff or edits', async () => {
+    expect((await edit({})).error).toBe('pass exactly one of "diff" or "edits"');
+    expect((await edit({ diff: '', edits: [] })).error).toBe('pass exactly one of "diff" or "edits"');
+  });
+
+  it('rejects path traversal', async () => {
+    await expect(
+      editFileTool.run({ path: '../evil.txt', edits: [{ search: 'a', replace: 'b' }] }, { workspaceRoot: workspace })
+    ).rejects.toThrow(/escapes workspace/);
+  });
+});
+
+describe('run_command tool', () => {
+  // '/ws' is not a git work tree: the write check's git calls fail and only the program reaches execFile
+  const ctx = (execFile, extra = {}) => ({
+    workspaceRoot: '/ws',
+    execFile: (file, ...rest) => (file === 'git' ? Promise.reject(new Error('not a git repository')) : execFile(file, ...rest)),
+    allowedCommands: ['eslint', 'tsc'],
+    ...extra
+  });
+
+  it('runs an allowlisted program with argv under a CPU limit', async () => {
+    const execFile = jest.fn().mockResolvedValue({ stdout: 'clean', stderr: '' });
+    const res = await runCommandTool.run({ command: 'eslint', args: ['src', '--fix; rm -rf /'] }, ctx(execFile, {
+      commandLimits: { cpuSeconds: 5, wallTimeMs: 1000 }
+    }));
+
+    expect(res.output).toEqual({
+      command: 'eslint src --fix; rm -rf /',
+      passed: true,
+      exitCode: 0,
+      stdout: 'clean',
+      stderr: '',
+      timedOut: false,
+      truncated: false
+    });
+    const [file, argv, options] = execFile.mock.calls[0];
+    expect(file).toBe('/bin/sh');
+    expect(argv.slice(3)).toEqual(['5', 'eslint', 'src', '--fix; rm -rf /']);
+    expect(options).toMatchObject({
+      cwd: path.resolve('/ws'), timeout: 1000, killSignal: 'SIGKILL', maxBuffer: 1024 * 1024
+    });
+  });
+
+  it('refuses programs outside the allowlist or given as a path', async () => {
+    const execFile = jest.fn();
+    expect((await runCommandTool.run({ command: 'curl' }, ctx(execFile))).error)
+      .toBe('command not allowed: curl (allowed: eslint, tsc)');
+    expect((await runCommandTool.run({ command: '../eslint' }, ctx(execFile))).error)
+      .toBe('command must be a bare program name: ../eslint');
+    expect((await runCommandTool.run({ command: 'tsc' }, ctx(execFile, { allowedCommands: [] }))).error)
+      .toBe('no commands are allowed for this project');
+    expect(execFile).not.toHaveBeenCalled();
+  });
+
+  it('reports a failing exit, a timeout and an output overflow as observations', async () => {
+    const fail = Object.assign(new Error('lint'), { code: 1, stdout: '3 problems', stderr: '' });
+    const slow = Object.assign(new Error('killed'), {
+      killed: true, signal: 'SIGKILL', stdout: '', stderr: ''
+    });
+    const loud = Object.assign(new Error('maxBuffer'), { code: 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER', stdout: 'x' });
+    const execFile = jest.fn()
+      .mockRejectedValueOnce(fail)
+      .mockRejectedValueOnce(slow)
+      .mockRejectedValueOnce(loud);
+
+    const failed = await runCommandTool.run({ command: 'eslint' }, ctx(execFile));
+    expect(failed.ok).toBe(true);
+    expect(failed.output).toMatchObject({ passed: false, exitCode: 1, stdout: '3 problems', timedOut: false });
+    expect((await runCommandTool.run({ command: 'tsc' }, ctx(execFile))).output)
+      .toMatchObject({ passed: false, exitCode: null, timedOut: true, stderr: 'killed\n[killed after 120000ms wall time]' });
+    expect((await runCommandTool.run({ command: 'tsc' }, ctx(execFile))).output)
+      .toMatchObject({ passed: false, truncated: true, timedOut: false });
+  });
+
+  it('hands the program a scrubbed environment', () => {
+    expect(scrubbedEnv({
+      PATH: '/usr/bin', HOME: '/home/z', DATABASE_URL: 'postgres://secret', ANTHROPIC_API_KEY: 'k'
+    })).toEqual({ CI: 'true', PATH: '/usr/bin', HOME: '/home/z' });
+  });
+
+  it('runs for real through the sh wrapper without interpreting args', async () => {
+    const { promisify } = require('util');
+    const execFile = promisify(require('child_process').execFile);
+    const res = await runCommandTool.run(
+      { command: 'echo', args: ['$HOME', '; ls'] },
+      { workspaceRoot: workspace, execFile, allowedCommands: ['echo'] }
+    );
+    expect(res.output).toMatchObject({ passed: true, stdout: '$HOME ; ls\n' });
+  });
+
+  it('reports the files the program changed in the work tree as writes', async () => {
+    const { promisify } = require('util');
+    const execFile = promisify(require('child_process').execFile);
+    await execFile('git', ['init', '-q'], { cwd: workspace });
+    await fs.writeFile(path.join(workspace, 'dirty.txt'), 'before');
+    await fs.writeFile(path.join(workspace, 'source.txt'), 'after');
+    const run = (command, args) => runCommandTool.run(
+      { command, args },
+      { workspaceRoot: workspace, execFile, allowedCommands: ['cp', 'touch', 'cat'] }
+    );
+
+    // An already-changed file counts when its content changes again
+    expect((await run('cp', ['source.txt', 'dirty.txt'])).writes).toEqual(['dirty.txt']);
+    expect((await run('touch', ['new.txt'])).writes).toEqual(['new.txt']);
+    expect(await run('cat', ['dirty.txt'])).not.toHaveProperty('writes');
+  });
+
+  it('errors when no execFile runner is provided', async () => {
+    const res = await runCommandTool.run({ command: 'tsc' }, { workspaceRoot: '/ws' });
+    expect(res).toEqual({ ok: false, error: 'no execFile runner available in context' });
+  });
+});
+
 describe('git tool', () => {
   const ctx = (execFile) => ({ workspaceRoot: workspace, execFile });
 
@@ -0,0 +1,126 @@
+/**
+ * Unit tests for trace helpers: prompt hashing and the replay model/tool doubles.
+ */
+
+const { hashPrompt, createReplay } = require('../../../src/orchestrator/trace');
+
+const registry = {
+  describe: jest.fn().mockReturnValue([{ name: 'read_file' }]),
+  invoke: jest.fn().mockResolvedValue({ ok: true, output: 'live' })
+};
+
+const steps = [
+  {
+    step: 0,
+    text: '{"tool":"read_file","args":{"path":"a.js"}}',
+    model: 'gemini-pro',
+    action: { tool: 'read_file', args: { path: 'a.js' } },
+    observation: { ok: true, output: 'recorded' }
+  },
+  {
+    step: 1, text: '{"type":"finish"}', model: 'gemini-pro', action: { type: 'finish' }, observation: null
+  }
+];
+
+describe('hashPrompt', () => {
+  it('is a stable sha256 hex digest', () => {
+    expect(hashPrompt('abc')).toBe(hashPrompt('abc'));
+    expect(hashPrompt('abc')).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashPrompt('abc')).not.toBe(hashPrompt('abd'));
+  });
+});
+
+describe('createReplay', () => {
+  beforeEach(() => registry.invoke.mockClear());
+
+  it('serves recorded model replies in order, then fails', async () => {
+    const { modelClient } = createReplay(steps, registry);
+    expect((await modelClient.generateOrchestratorResponse('p')).text).toBe(steps[0].text);
+    expect((await modelClient.generateOrchestratorResponse('p')).model).toBe('gemini-pro');
+    await expect(modelClient.generateOrchestratorResponse('p'))
+      .rejects.toThrow('no recorded model output for step 2');
+  });
+
+  it('answers a native step with the tool calls that produce its recorded action', async () => {
+    const native = [
+      {
+        step: 0,
+        native: true,
+        model: 'gpt-4o',
+        action: {
+          type: 'batch',
+          thought: 'look',
+          actions: [{ tool: 'read_file', args: { path: 'a.js' } }, { tool: 'read_file', args: { path: 'b.js' } }]
+        }
+      },
+      { step: 1, native: true, action: null },
+      {
+        step: 2, native: false, text: '{"type":"finish"}', action: { type: 'finish' }
+      }
+    ];
+    const { modelClient } = createReplay(native, registry);
+
+    expect(modelClient.supportsNativeTools('gpt-4o')).toBe(true);
+    expect(await modelClient.generateWithTools('p', [])).toEqual({
+      text: 'look',
+      toolCalls: [
+        { id: 'replay-0', name: 'read_file', args: { path: 'a.js' } },
+        { id: 'replay-1', name: 'read_file', args: { path: 'b.js' } }
+      ],
+      model: 'gpt-4o',
+      usage: null
+    });
+    expect((await modelClient.generateWithTools('p', [])).toolCalls).toEqual([
+      { id: 'replay-0', name: 'finish', args: null }
+    ]);
+    expect(modelClient.supportsNativeTools('gpt-4o')).toBe(false);
+    expect((await modelClient.generateOrchestratorResponse('p')).text).toBe('{"type":"finish"}');
+  });
+
+  it('returns recorded observations without running tools', async () => {
+    const { modelClient, toolRegistry } = createReplay(steps, registry);
+    await modelClient.generateOrchestratorResponse('p');
+    expect(await toolRegistry.invoke('read_file', { path: 'a.js' }, {}))
+      .toEqual({ ok: true, output: 'recorded' });
+    expect(toolRegistry.describe(null)).toEqual([{ name: 'read_file' }]);
+    expect(registry.invoke).not.toHaveBeenCalled();
+  });
+
+  it('reports a divergent tool call', async () => {
+    const { modelClient, toolRegistry } = createReplay(steps, registry);
+    await modelClient.generateOrchestratorResponse('p');
+    const obs = await toolRegistry.invoke('read_file', { path: 'b.js' }, {});
+    expect(obs).toEqual({ ok: false, error: 'replay diverged at step 0: recorded read_file, got read_file' });
+  });
+
+  it('matches the calls of a batch step to their recorded observations, in any order', async () => {
+    const batchSteps = [{
+      step: 0,
+      text: '{"actions":[]}',
+      action: {
+        type: 'batch',
+        actions: [
+          { type: 'tool', tool: 'read_file', args: { path: 'a.js' } },
+          { type: 'tool', tool: 'read_file', args: { path: 'b.js' } }
+        ]
+      },
+      observation: [{ ok: true, output: 'A' }, { ok: true, output: 'B' }]
+    }];
+    const { modelClient, toolRegistry } = createReplay(batchSteps, registry);
+    await modelClient.generateOrchestratorResponse('p');
+    expect(await toolRegistry.invoke('read_file', { path: 'b.js' }, {})).toEqual({ ok: true, output: 'B' });
+    expect(await toolRegistry.invoke('read_file', { path: 'a.js' }, {})).toEqual({ ok: true, output: 'A' });
+    expect((await toolRegistry.invoke('read_file', { path: 'a.js' }, {})).error)
+      .toBe('replay diverged at step 0: recorded read_file, read_file, got read_file');
+  });
+
+  it("runs tools for real in 'live' mode", async () => {
+    const { modelClient, toolRegistry } = createReplay(steps, registry, 'live');
+    await modelClient.generateOrchestratorResponse('p');
+    expect(await toolRegistry.invoke('read_file', { path: 'a.js' }, {})).toEqual({ ok: true, output: 'live' });
+  });
+
+  it('rejects unknown tool modes', () => {
+    expect(() => createReplay(steps, registry, 'mock')).toThrow(/recorded, live/);
+  });
+});
@@ -0,0 +1,307 @@
+/**
+ * Unit tests for workflow definitions: parsing (JSON/YAML), validation,
+ * normalization, and entry/exit condition evaluation.
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const {
+  DEFAULT_WORKFLOW,
+  validateWorkflow,
+  parseWorkflow,
+  usesDependencies,
+  evaluateConditions
+} = require('../../../src/orchestrator/workflow');
+
+function doc(stages, overrides = {}) {
+  return { version: 1, name: 'wf', stages, ...overrides };
+}
+
+describe('validateWorkflow', () => {
+  it('accepts the default workflow', () => {
+    expect(validateWorkflow(DEFAULT_WORKFLOW)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('rejects an unsupported version and empty stages', () => {
+    const { valid, errors } = validateWorkflow({ version: 2, stages: [] });
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringMatching(/unsupported workflow version/),
+      expect.stringMatching(/stages must be a non-empty array/)
+    ]));
+  });
+
+  it('flags duplicate numbers, bad complexity and bad agent counts', () => {
+    const { errors } = validateWorkflow(doc([
+      { number: 1, name: 'A', complexity: 'low' },
+      {
+        number: 1, name: 'B', complexity: 'extreme', agents: 0
+      }
+    ]));
+    expect(errors).toEqual([
+      'stages[1].number 1 is duplicated',
+      'stages[1].complexity must be one of: low, medium, high, code',
+      'stages[1].agents must be an integer between 1 and 20'
+    ]);
+  });
+
+  it('validates concurrency and onFailure', () => {
+    const { errors } = validateWorkflow(doc([{
+      number: 1, name: 'A', complexity: 'low', concurrency: 0, onFailure: 'explode'
+    }]));
+    expect(errors).toEqual([
+      'stages[0].concurrency must be an integer between 1 and 20',
+      'stages[0].onFailure must be one of: continue, cancel'
+    ]);
+  });
+
+  it('checks tool allowlists against registered tools when given', () => {
+    const wf = doc([{
+      number: 1, name: 'A', complexity: 'low', tools: ['read_file', 'rm_rf']
+    }]);
+    expect(validateWorkflow(wf).valid).toBe(true);
+    expect(validateWorkflow(wf, { toolNames: ['read_file'] }).errors)
+      .toEqual(['stages[0].tools: unknown tool "rm_rf"']);
+  });
+
+  it('only lets stage_completed reference earlier stages', () => {
+    const { errors } = validateWorkflow(doc([
+      {
+        number: 1, name: 'A', complexity: 'low', entry: [{ type: 'stage_completed', stage: 2 }]
+      },
+      {
+        number: 2, name: 'B', complexity: 'low', entry: [{ type: 'stage_completed', stage: 1 }]
+      }
+    ]));
+    expect(errors).toEqual(['stages[0].entry[0].stage must reference an earlier stage number']);
+  });
+
+  it('validates the approval mode', () => {
+    expect(validateWorkflow(doc([{
+      number: 1, name: 'A', complexity: 'low', approval: 'files_written'
+    }])).valid).toBe(true);
+    expect(validateWorkflow(doc([{
+      number: 1, name: 'A', complexity: 'low', approval: 'sometimes'
+    }])).errors).toEqual(['stages[0].approval must be one of: always, files_written']);
+  });
+
+  it('accepts stage and per-agent dependencies in any order', () => {
+    expect(validateWorkflow(doc([
+      {
+        number: 1, name: 'Tests', complexity: 'low', agents: 2, dependsOn: [{ stage: 2, per: 'agent' }]
+      },
+      {
+        number: 2, name: 'Dev', complexity: 'high', agents: 2, dependsOn: [3]
+      },
+      { number: 3, name: 'Research', complexity: 'low' }
+    ]))).toEqual({ valid: true, errors: [] });
+  });
+
+  it('rejects malformed, unknown, self and duplicate dependencies', () => {
+    const { errors } = validateWorkflow(doc([
+      {
+        number: 1, name: 'A', complexity: 'low', dependsOn: ['x', 9, 1, 2, { stage: 2 }]
+      },
+      {
+        number: 2, name: 'B', complexity: 'low', agents: 2, dependsOn: [{ stage: 1, per: 'agent' }]
+      },
+      {
+        number: 3, name: 'C', complexity: 'low', dependsOn: 2
+      }
+    ]));
+    expect(errors).toEqual([
+      'stages[0].dependsOn[0] must be a stage number or { stage, per: stage | agent }',
+      'stages[0].dependsOn[1] references unknown stage 9',
+      'stages[0].dependsOn[2]: a stage cannot depend on itself',
+      'stages[0].dependsOn[4]: stage 2 is listed twice',
+      'stages[1].dependsOn[0]: per-agent dependencies need the same number of agents in both stages',
+      'stages[2].dependsOn must be an array',
+      'dependsOn cycle: 1 -> 2 -> 1'
+    ]);
+  });
+
+  it('reports a dependency cycle', () => {
+    const { errors } = validateWorkflow(doc([
+      { number: 1, name: 'A', complexity: 'low' },
+      {
+        number: 2, name: 'B', complexity: 'low', dependsOn: [1, 4]
+      },
+      {
+        number: 3, name: 'C', complexity: 'low', dependsOn: [2]
+      },
+      {
+        number: 4, name: 'D', complexity: 'low', dependsOn: [3]
+      }
+    ]));
+    expect(errors).toEqual(['dependsOn cycle: 2 -> 4 -> 3 -> 2']);
+  });
+
+  it('rejects condition types in the wrong position', () => {
+    const { errors } = validateWorkflow(doc([{
+      number: 1, name: 'A', complexity: 'low', entry: [{ type: 'tasks_completed' }]
+    }]));
+    expect(errors[0]).toMatch(/entry\[0\]\.type must be one of: stage_completed, file_exists/);
+  });
+
+  it('only accepts bare program names as commands', () => {
+    const stages = [{ number: 1, name: 'A', complexity: 'low' }];
+    expect(validateWorkflow(doc(stages, { commands: ['tsc', 'eslint'] })).valid).toBe(true);
+    expect(validateWorkflow(doc(stages, { commands: ['/bin/rm', 'npm test', 3] })).errors).toEqual([
+      'commands[0] must be a bare program name (no path or arguments)',
+      'commands[1] must be a bare program name (no path or arguments)',
+      'commands[2] must be a bare program name (no path or arguments)'
+    ]);
+    expect(validateWorkflow(doc(stages, { commands: 'npx' })).errors)
+      .toEqual(['commands must be an array of program names']);
+  });
+
+  it("only accepts commands from the operator's allowlist when given one", () => {
+    const stages = [{ number: 1, name: 'A', complexity: 'low' }];
+    const options = { commandAllowlist: ['eslint', 'tsc'] };
+    expect(validateWorkflow(doc(stages, { commands: ['tsc'] }), options).valid).toBe(true);
+    expect(validateWorkflow(doc(stages, { commands: ['tsc', 'sh', 'node'] }), options).errors).toEqual([
+      'commands[1]: "sh" is not in the operator\'s command allowlist',
+      'commands[2]: "node" is not in the operator\'s command allowlist'
+    ]);
+  });
+});
+
+describe('validateWorkflow stage agents', () => {
+  it('accepts a catalogue agent and rejects anything else', () => {
+    const stage = (agent) => [{
+      number: 1, name: 'Review', complexity: 'low', agent
+    }];
+    expect(validateWorkflow(doc(stage('coderabbit'))).valid).toBe(true);
+    expect(parseWorkflow(doc(stage('mintlify'))).stages[0].agent).toBe('mintlify');
+    const { errors } = validateWorkflow(doc(stage('nobody')));
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/^stages\[0\]\.agent must be one of: pydantic-ai, /);
+    expect(validateWorkflow(doc(stage('constructor'))).valid).toBe(false);
+  });
+});
+
+describe('parseWorkflow', () => {
+  it('normalizes defaults', () => {
+    const wf = parseWorkflow(doc([{ number: 5, name: 'Testing', complexity: 'medium' }]));
+    expect(wf.stages[0]).toEqual({
+      number: 5,
+      name: 'Testing',
+      complexity: 'medium',
+      agents: 1,
+      concurrency: null,
+      onFailure: null,
+      agent: null,
+      tools: null,
+      approval: null,
+      dependsOn: [],
+      entry: [],
+      exit: []
+    });
+  });
+
+  it('keeps the commands allowlist, or null without one', () => {
+    const stages = [{ number: 1, name: 'A', complexity: 'low' }];
+    expect(parseWorkflow(doc(stages, { commands: ['tsc'] })).commands).toEqual(['tsc']);
+    expect(parseWorkflow(doc(stages)).commands).toBeNull();
+  });
+
+  it('normalizes dependencies and tells graph workflows apart', () => {
+    const wf = parseWorkflow(doc([
+      { number: 1, name: 'Dev', complexity: 'high' },
+      {
+        number: 2, name: 'Docs', complexity: 'low', dependsOn: [1]
+      },
+      {
+        number: 3, name: 'Tests', complexity: 'low', dependsOn: [{ stage: 1, per: 'agent' }]
+      }
+    ]));
+    expect(wf.stages.map((st) => st.dependsOn)).toEqual([
+      [], [{ stage: 1, per: 'stage' }], [{ stage: 1, per: 'agent' }]
+    ]);
+    expect(usesDependencies(wf)).toBe(true);
+    expect(usesDependencies(parseWorkflow(DEFAULT_WORKFLOW))).toBe(false);
+  });
+
+  it('parses a YAML document', () => {
+    const wf = parseWorkflow([
+      'version: 1',
+      'name: docs-only',
+      'stages:',
+      '  - number: 1',
+      '    name: Documentation',
+      '    complexity: medium',
+      '    agents: 2',
+      '    tools: [read_file, write_file]'
+    ].join('\n'));
+    expect(wf.name).toBe('docs-only');
+    expect(wf.stages[0]).toMatchObject({ agents: 2, tools: ['read_file', 'write_file'] });
+  });
+
+  it('parses a JSON string', () => {
+    const wf = parseWorkflow(JSON.stringify(DEFAULT_WORKFLOW));
+    expect(wf.stages).toHaveLength(8);
+  });
+
+  it('throws a ValidationError listing every problem', () => {
+    expect.assertions(3);
+    try {
+      parseWorkflow({ version: 1, stages: [{ number: 0 }] });
+    } catch (err) {
+      expect(err.name).toBe('ValidationError');
+      expect(err.statusCode).toBe(400);
+      expect(err.details.errors.length).toBeGreaterThan(1);
+    }
+  });
+
+  it('throws a ValidationError on an unparseable document', () => {
+    expect(() => parseWorkflow('stages: [unclosed')).toThrow(/Invalid workflow definition/);
+  });
+});
+
+describe('evaluateConditions', () => {
+  let workspace;
+
+  beforeEach(async () => {
+    workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'zekka-wf-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(workspace, { recursive: true, force: true });
+  });
+
+  it('is met when there are no conditions', async () => {
+    expect(await evaluateConditions([], { workspaceRoot: workspace }))
+      .toEqual({ met: true, unmet: [] });
+  });
+
+  it('checks file_exists inside the workspace', async () => {
+    await fs.writeFile(path.join(workspace, 'README.md'), '#');
+    const res = await evaluateConditions(
+      [{ type: 'file_exists', path: 'README.md' }, { type: 'file_exists', path: 'missing.md' }],
+      { workspaceRoot: workspace }
+    );
+    expect(res).toEqual({ met: false, unmet: ['file "missing.md" does not exist'] });
+  });
+
+  it('checks stage_completed against completed stages', async () => {
+    const conds = [{ type: 'stage_completed', stage: 3 }];
+    expect((await evaluateConditions(conds, {
+      workspaceRoot: workspace, completedStages: new Set([3])
+    })).met).toBe(true);
+    expect((await evaluateConditions(conds, {
+      workspaceRoot: workspace, completedStages: new Set()
+    })).met).toBe(false);
+  });
+
+  it('checks tasks_completed with and without a minimum', async () => {
+    const tasks = [{ status: 'completed' }, { status: 'failed' }];
+    expect((await evaluateConditions([{ type: 'tasks_completed' }], {
+      workspaceRoot: workspace, tasks
+    })).unmet).toEqual(['1/2 tasks completed']);
+    expect((await evaluateConditions([{ type: 'tasks_completed', min: 1 }], {
+      workspaceRoot: workspace, tasks
+    })).met).toBe(true);
+  });
+});
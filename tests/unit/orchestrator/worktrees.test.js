@@ -0,0 +1,131 @@
+/**
+ * Unit tests for WorktreeManager against a real, throwaway git repository.
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const childProcess = require('child_process');
+const { WorktreeManager } = require('../../../src/orchestrator/worktrees');
+
+const execFile = promisify(childProcess.execFile);
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {} };
+
+describe('WorktreeManager', () => {
+  let repo;
+  let manager;
+
+  const git = async (...args) => (await execFile('git', args, { cwd: repo })).stdout;
+  const write = (taskId, file, content) => fs.writeFile(path.join(manager.pathFor(taskId), file), content);
+
+  beforeEach(async () => {
+    repo = await fs.mkdtemp(path.join(os.tmpdir(), 'zekka-wt-'));
+    await git('init', '-q');
+    await fs.writeFile(path.join(repo, 'app.js'), 'line 1\nline 2\nline 3\nline 4\nline 5\n');
+    manager = new WorktreeManager({ repoRoot: repo, execFile, logger: silentLogger });
+  });
+
+  afterEach(async () => {
+    await fs.rm(repo, { recursive: true, force: true });
+  });
+
+  it('snapshots the workspace and isolates each task on its own branch', async () => {
+    // First use commits an empty repository's files, so there is nothing left to snapshot.
+    expect(await manager.snapshot('base')).toBe(false);
+    await fs.writeFile(path.join(repo, 'README.md'), 'hi\n');
+    expect(await manager.snapshot('before stage')).toBe(true);
+    const a = await manager.prepare('task-a');
+    const b = await manager.prepare('task-b');
+    expect(a.branch).toBe('zekka/task-a');
+
+    await write('task-a', 'app.js', 'changed by a\n');
+    expect(await fs.readFile(path.join(b.path, 'app.js'), 'utf8')).toBe('line 1\nline 2\nline 3\nline 4\nline 5\n');
+    expect(await manager.commit('task-a', 'a')).toBe(true);
+    expect(await manager.commit('task-b', 'b')).toBe(false);
+    // The worktrees stay out of the workspace's status.
+    expect(await git('status', '--porcelain')).toBe('');
+  });
+
+  it('merges non-overlapping edits without asking', async () => {
+    await manager.snapshot('base');
+    await manager.prepare('task-a');
+    await manager.prepare('task-b');
+    await write('task-a', 'app.js', 'line 1 (a)\nline 2\nline 3\nline 4\nline 5\n');
+    await write('task-b', 'app.js', 'line 1\nline 2\nline 3\nline 4\nline 5 (b)\n');
+    await manager.commit('task-a', 'a');
+    await manager.commit('task-b', 'b');
+    const onConflict = jest.fn();
+
+    expect(await manager.merge('task-a', onConflict)).toEqual({ status: 'merged', files: ['app.js'], conflicts: [] });
+    expect((await manager.merge('task-b', onConflict)).status).toBe('merged');
+    expect(onConflict).not.toHaveBeenCalled();
+    expect(await fs.readFile(path.join(repo, 'app.js'), 'utf8'))
+      .toBe('line 1 (a)\nline 2\nline 3\nline 4\nline 5 (b)\n');
+  });
+
+  it('hands textual conflicts to the callback with both versions and keeps the chosen side', async () => {
+    await manager.snapshot('base');
+    await manager.prepare('task-a');
+    await manager.prepare('task-b');
+    await write('task-a', 'app.js', 'a wins?\n');
+    await write('task-b', 'app.js', 'b wins?\n');
+    await write('task-b', 'extra.js', 'only b\n');
+    await manager.commit('task-a', 'a');
+    await manager.commit('task-b', 'b');
+    await manager.merge('task-a', jest.fn());
+
+    const onConflict = jest.fn().mockResolvedValue(new Map([['app.js', 'theirs']]));
+    const result = await manager.merge('task-b', onConflict);
+
+    expect(onConflict).toHaveBeenCalledWith([{ file: 'app.js', ours: 'a wins?\n', theirs: 'b wins?\n' }]);
+    expect(result).toEqual({ status: 'resolved', files: ['app.js', 'extra.js'], conflicts: [{ file: 'app.js', side: 'theirs' }] });
+    expect(await fs.readFile(path.join(repo, 'app.js'), 'utf8')).toBe('b wins?\n');
+    expect(await fs.readFile(path.join(repo, 'extra.js'), 'utf8')).toBe('only b\n');
+    expect(await git('status', '--porcelain')).toBe('');
+  });
+
+  it('writes a merged version the callback returns', async () => {
+    await manager.snapshot('base');
+    await manager.prepare('task-a');
+    await manager.prepare('task-b');
+    await write('task-a', 'app.js', 'a\n');
+    await write('task-b', 'app.js', 'b\n');
+    await manager.commit('task-a', 'a');
+    await manager.commit('task-b', 'b');
+    await manager.merge('task-a', jest.fn());
+
+    const result = await manager.merge('task-b', async () => new Map([['app.js', { content: 'a\nb\n' }]]));
+
+    expect(result.conflicts).toEqual([{ file: 'app.js', side: 'merged' }]);
+    expect(await fs.readFile(path.join(repo, 'app.js'), 'utf8')).toBe('a\nb\n');
+    expect(await git('status', '--porcelain')).toBe('');
+  });
+
+  it('aborts the merge when the callback throws, and removes branches', async () => {
+    await manager.snapshot('base');
+    await manager.prepare('task-a');
+    await manager.prepare('task-b');
+    await write('task-a', 'app.js', 'a\n');
+    await write('task-b', 'app.js', 'b\n');
+    await manager.commit('task-a', 'a');
+    await manager.commit('task-b', 'b');
+    await manager.merge('task-a', jest.fn());
+
+    await expect(manager.merge('task-b', () => Promise.reject(new Error('arbiter down')))).rejects.toThrow('arbiter down');
+    expect(await fs.readFile(path.join(repo, 'app.js'), 'utf8')).toBe('a\n');
+
+    await manager.remove('task-b');
+    expect(await manager.merge('task-b', jest.fn())).toEqual({ status: 'missing', files: [], conflicts: [] });
+  });
+
+  it('refuses a workspace that is not a git repository', async () => {
+    const plain = await fs.mkdtemp(path.join(os.tmpdir(), 'zekka-plain-'));
+    const other = new WorktreeManager({ repoRoot: plain, execFile, logger: silentLogger });
+    try {
+      await expect(other.prepare('task-a')).rejects.toThrow(/needs a git repository/);
+    } finally {
+      await fs.rm(plain, { recursive: true, force: true });
+    }
+  });
+});
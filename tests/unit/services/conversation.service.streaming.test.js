@@ -178,6 +178,10 @@ describe('ConversationService sendMessageTurnStream', () => {
 
     expect(chunks).toEqual(['Hello', ' world']);
     expect(modelClient.generateOrchestratorResponseStream).toHaveBeenCalledTimes(1);
+    // The model the user chose for the turn is pinned past the routing policy
+    expect(modelClient.generateOrchestratorResponseStream.mock.calls[0][1]).toEqual(
+      expect.objectContaining({ model: 'ollama', pinModel: true })
+    );
     expect(result.assistantMessage.content).toBe('Hello world');
     expect(analyticsService.trackTokenUsage).toHaveBeenCalledWith(
       'project-1',
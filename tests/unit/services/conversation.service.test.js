@@ -265,4 +265,12 @@ describe('ConversationService buffered turns', () => {
     expect(analyticsService.trackTokenUsage).not.toHaveBeenCalled();
   });
 
+  it('counts tokens for the answering model when the provider reported no usage', () => {
+    expect(service.normalizeUsage({}, 'hello world', 'hi there', 'gpt-4o')).toEqual({
+      input: 2, output: 2, total: 4
+    });
+    expect(service.normalizeUsage({ promptTokens: 40, completionTokens: 9 }, 'hello', 'hi', 'gpt-4o')).toEqual({
+      input: 40, output: 9, total: 49
+    });
+  });
 });
@@ -4,6 +4,8 @@ jest.mock('../../../src/utils/external-api-client', () => ({
     callOllamaStream: jest.fn(),
     callOpenAIStream: jest.fn(),
     callAnthropicStream: jest.fn(),
+    callAnthropic: jest.fn(),
+    callOpenAI: jest.fn(),
     getStats: jest.fn(() => ({})),
     close: jest.fn()
   }))
@@ -91,6 +93,7 @@ describe('ModelClient streaming', () => {
       'Say hello',
       {
         model: 'gpt-4o-mini',
+        pinModel: true,
         onToken: async (chunk) => {
           chunks.push(chunk);
         }
@@ -125,7 +128,8 @@ describe('ModelClient streaming', () => {
     const response = await modelClient.generateOrchestratorResponseStream(
       'Recover please',
       {
-        model: 'gpt-4o-mini'
+        model: 'gpt-4o-mini',
+        pinModel: true
       }
     );
 
@@ -154,6 +158,7 @@ describe('ModelClient streaming', () => {
 
     await modelClient.generateOrchestratorResponseStream('Be exact', {
       model: 'gpt-4o-mini',
+      pinModel: true,
       temperature: 0
     });
 
@@ -165,3 +170,117 @@ describe('ModelClient streaming', () => {
     );
   });
 });
+
+describe('ModelClient native tool calling', () => {
+  const tools = [{
+    name: 'read_file',
+    description: 'read',
+    parameters: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] }
+  }];
+  const savedEnv = { ...process.env };
+  let modelClient;
+  let apiClient;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.ANTHROPIC_API_KEY = 'a-key';
+    process.env.OPENAI_API_KEY = 'o-key';
+    modelClient = new ModelClient({ logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } });
+    apiClient = ExternalAPIClient.mock.results[0].value;
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  it('supports Anthropic and OpenAI models whose key is configured', () => {
+    expect(modelClient.supportsNativeTools('claude-sonnet-4-5')).toBe(true);
+    expect(modelClient.supportsNativeTools('gpt-4o')).toBe(true);
+    expect(modelClient.supportsNativeTools('gemini-pro')).toBe(false);
+    expect(modelClient.supportsNativeTools('ollama')).toBe(false);
+    delete process.env.OPENAI_API_KEY;
+    expect(modelClient.supportsNativeTools('gpt-4o')).toBe(false);
+  });
+
+  it('sends Anthropic tool definitions and reads back tool_use blocks', async () => {
+    apiClient.callAnthropic.mockResolvedValue({
+      content: [
+        { type: 'text', text: 'Reading it.' },
+        {
+          type: 'tool_use', id: 'tu_1', name: 'read_file', input: { path: 'a.js' }
+        }
+      ],
+      usage: { input_tokens: 30, output_tokens: 12 }
+    });
+
+    const response = await modelClient.generateWithTools('Do it', tools, { model: 'claude-sonnet-4-5' });
+
+    expect(apiClient.callAnthropic).toHaveBeenCalledWith(expect.objectContaining({
+      model: 'claude-sonnet-4-5-20250929',
+      tools: [{ name: 'read_file', description: 'read', input_schema: tools[0].parameters }],
+      tool_choice: { type: 'any', disable_parallel_tool_use: true }
+    }));
+    expect(response).toEqual({
+      text: 'Reading it.',
+      toolCalls: [{ id: 'tu_1', name: 'read_file', args: { path: 'a.js' } }],
+      usage: { promptTokens: 30, completionTokens: 12, totalTokens: 42 },
+      model: 'claude-sonnet-4-5',
+      fallbackUsed: false
+    });
+  });
+
+  it('sends OpenAI function tools and parses their arguments', async () => {
+    apiClient.callOpenAI.mockResolvedValue({
+      choices: [{
+        message: {
+          content: null,
+          tool_calls: [
+            { id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '{"path":"a.js"}' } },
+            { id: 'call_2', type: 'function', function: { name: 'read_file', arguments: '{"path":' } }
+          ]
+        }
+      }],
+      usage: { prompt_tokens: 20, completion_tokens: 5, total_tokens: 25 }
+    });
+
+    const response = await modelClient.generateWithTools('Do it', tools, { model: 'gpt-4o', temperature: 0 });
+
+    expect(apiClient.callOpenAI).toHaveBeenCalledWith(expect.objectContaining({
+      model: 'gpt-4o',
+      tools: [{ type: 'function', function: { name: 'read_file', description: 'read', parameters: tools[0].parameters } }],
+      tool_choice: 'required',
+      parallel_tool_calls: false,
+      temperature: 0
+    }));
+    expect(response.text).toBe('');
+    expect(response.toolCalls).toEqual([
+      { id: 'call_1', name: 'read_file', args: { path: 'a.js' } },
+      { id: 'call_2', name: 'read_file', args: null }
+    ]);
+    expect(response.usage).toEqual({ promptTokens: 20, completionTokens: 5, totalTokens: 25 });
+  });
+
+  it('lets the model call several tools at once with parallelToolCalls', async () => {
+    apiClient.callAnthropic.mockResolvedValue({ content: [], usage: { input_tokens: 1, output_tokens: 1 } });
+    apiClient.callOpenAI.mockResolvedValue({
+      choices: [{ message: { content: '' } }],
+      usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 }
+    });
+
+    await modelClient.generateWithTools('Do it', tools, { model: 'claude-sonnet-4-5', parallelToolCalls: true });
+    await modelClient.generateWithTools('Do it', tools, { model: 'gpt-4o', parallelToolCalls: true });
+
+    expect(apiClient.callAnthropic).toHaveBeenCalledWith(expect.objectContaining({
+      tool_choice: { type: 'any', disable_parallel_tool_use: false }
+    }));
+    expect(apiClient.callOpenAI).toHaveBeenCalledWith(expect.objectContaining({ parallel_tool_calls: true }));
+  });
+
+  it('does not fall back to Ollama', async () => {
+    apiClient.callOpenAI.mockRejectedValue(new Error('OpenAI down'));
+    await expect(modelClient.generateWithTools('Do it', tools, { model: 'gpt-4o' })).rejects.toThrow('OpenAI down');
+    await expect(modelClient.generateWithTools('Do it', tools, { model: 'gemini-pro' }))
+      .rejects.toThrow('Model gemini-pro has no native tool calling');
+    expect(apiClient.callOllama).not.toHaveBeenCalled();
+  });
+});
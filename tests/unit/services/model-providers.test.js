@@ -0,0 +1,312 @@
+/**
+ * Unit tests for the model provider adapters and their registry. Each adapter
+ * talks HTTP to a local mock of its provider's API (tests/helpers/mock-providers.helper).
+ */
+
+jest.mock('../../../src/utils/circuit-breaker', () => ({
+  ...jest.requireActual('../../../src/utils/circuit-breaker'),
+  CircuitBreaker: jest.fn().mockImplementation(() => ({
+    execute: jest.fn(async (fn) => await fn()),
+    getStats: jest.fn(() => ({})),
+    state: 'closed'
+  }))
+}));
+
+jest.mock('../../../src/utils/audit-logger', () => ({
+  AuditLogger: jest.fn().mockImplementation(() => ({ log: jest.fn() }))
+}));
+
+const { ExternalAPIClient } = require('../../../src/utils/external-api-client');
+const ModelClient = require('../../../src/services/model-client');
+const {
+  ProviderRegistry,
+  AnthropicAdapter,
+  OpenAIAdapter,
+  GeminiAdapter,
+  OllamaAdapter,
+  OpenAICompatibleAdapter,
+  parseProviderConfig
+} = require('../../../src/services/providers');
+const {
+  mockAnthropic, mockGemini, mockOllama, mockOpenAI
+} = require('../../helpers/mock-providers.helper');
+
+const silentLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+const savedEnv = { ...process.env };
+let server;
+
+function apiClientFor(baseUrls) {
+  return new ExternalAPIClient({ enableCache: false, enableLogging: false, baseUrls });
+}
+
+function streamed() {
+  const chunks = [];
+  return { chunks, onToken: async (chunk) => { chunks.push(chunk); } };
+}
+
+beforeEach(() => {
+  process.env.ANTHROPIC_API_KEY = 'a-key';
+  process.env.OPENAI_API_KEY = 'o-key';
+  process.env.GEMINI_API_KEY = 'g-key';
+});
+
+afterEach(async () => {
+  process.env = { ...savedEnv };
+  if (server) await server.close();
+  server = null;
+});
+
+describe('AnthropicAdapter', () => {
+  it('generates, streams and calls tools through the Messages API', async () => {
+    server = await mockAnthropic({ toolCall: { name: 'read_file', input: { path: 'a.js' } } });
+    const adapter = new AnthropicAdapter({ apiClient: apiClientFor({ anthropic: server.url }) });
+
+    const response = await adapter.generate({ model: 'claude-sonnet-4-5', prompt: 'Hi', maxTokens: 50 });
+    expect(response).toEqual({
+      text: 'Hello from Claude',
+      model: 'claude-sonnet-4-5',
+      usage: { promptTokens: 11, completionTokens: 4, totalTokens: 15 }
+    });
+    expect(server.requests[0].headers['x-api-key']).toBe('a-key');
+    expect(server.requests[0].body).toMatchObject({ model: 'claude-sonnet-4-5-20250929', max_tokens: 50 });
+
+    const { chunks, onToken } = streamed();
+    const stream = await adapter.stream({ model: 'claude-sonnet-4-5', prompt: 'Hi', onToken });
+    expect(chunks).toEqual(['Hello ', 'from ', 'Claude']);
+    expect(stream.usage).toEqual({ promptTokens: 11, completionTokens: 4, totalTokens: 15 });
+
+    const tools = [{ name: 'read_file', description: 'read', parameters: { type: 'object' } }];
+    const withTools = await adapter.generateWithTools('Read it', tools, { model: 'claude-sonnet-4-5' });
+    expect(withTools.toolCalls).toEqual([{ id: 'toolu_1', name: 'read_file', args: { path: 'a.js' } }]);
+    expect(server.requests[2].body.tools[0]).toEqual({
+      name: 'read_file', description: 'read', input_schema: { type: 'object' }
+    });
+  });
+
+  it('refuses to call without an API key and reports itself unconfigured', async () => {
+    delete process.env.ANTHROPIC_API_KEY;
+    const adapter = new AnthropicAdapter({ apiClient: apiClientFor({}) });
+    await expect(adapter.generate({ model: 'claude-sonnet-4-5', prompt: 'Hi' }))
+      .rejects.toThrow('ANTHROPIC_API_KEY not configured');
+    expect(await adapter.healthCheck()).toEqual({ available: false, configured: false });
+  });
+});
+
+describe('OpenAIAdapter', () => {
+  it('generates, streams with usage and parses tool calls', async () => {
+    server = await mockOpenAI({ toolCall: { name: 'read_file', arguments: '{"path":"a.js"}' } });
+    const adapter = new OpenAIAdapter({ apiClient: apiClientFor({ openai: server.url }) });
+
+    const response = await adapter.generate({ model: 'gpt-4o-mini', prompt: 'Hi', temperature: 0 });
+    expect(response.text).toBe('Hello from GPT');
+    expect(response.usage).toEqual({ promptTokens: 9, completionTokens: 3, totalTokens: 12 });
+    expect(server.requests[0].headers.authorization).toBe('Bearer o-key');
+    expect(server.requests[0].body.temperature).toBe(0);
+
+    const { chunks, onToken } = streamed();
+    const stream = await adapter.stream({ model: 'gpt-4o-mini', prompt: 'Hi', onToken });
+    expect(chunks).toEqual(['Hello ', 'from ', 'GPT']);
+    expect(stream.usage.totalTokens).toBe(12);
+
+    const tools = [{ name: 'read_file', description: 'read', parameters: { type: 'object' } }];
+    const withTools = await adapter.generateWithTools('Read it', tools, { model: 'gpt-4o', parallelToolCalls: true });
+    expect(withTools.toolCalls).toEqual([{ id: 'call_1', name: 'read_file', args: { path: 'a.js' } }]);
+    expect(server.requests[2].body).toMatchObject({ tool_choice: 'required', parallel_tool_calls: true });
+  });
+});
+
+describe('GeminiAdapter', () => {
+  it('generates through generateContent and streams as one buffered chunk', async () => {
+    process.env.GEMINI_MODEL = 'gemini-1.5-flash';
+    server = await mockGemini();
+    const adapter = new GeminiAdapter({ apiClient: apiClientFor({ gemini: server.url }) });
+
+    const { chunks, onToken } = streamed();
+    const response = await adapter.stream({ model: 'gemini-pro', prompt: 'Hi', onToken });
+    expect(response).toEqual({
+      text: 'Hello from Gemini',
+      model: 'gemini-pro',
+      usage: { promptTokens: 7, completionTokens: 4, totalTokens: 11 },
+      buffered: true
+    });
+    expect(chunks).toEqual(['Hello from Gemini']);
+    expect(server.requests[0].path).toBe('/v1beta/models/gemini-1.5-flash:generateContent?key=g-key');
+  });
+});
+
+describe('OllamaAdapter', () => {
+  it('generates and streams against OLLAMA_HOST, and checks /api/tags for health', async () => {
+    server = await mockOllama();
+    process.env.OLLAMA_HOST = server.url;
+    const adapter = new OllamaAdapter({
+      apiClient: apiClientFor({}), config: { model: 'llama3.1:8b', host: server.url }
+    });
+
+    const response = await adapter.generate({ model: 'ollama', prompt: 'Hi' });
+    expect(response).toEqual({
+      text: 'Hello from Llama',
+      model: 'llama3.1:8b',
+      usage: { promptTokens: 8, completionTokens: 3, totalTokens: 11 }
+    });
+
+    const { chunks, onToken } = streamed();
+    const stream = await adapter.stream({ model: 'ollama', prompt: 'Hi', onToken });
+    expect(chunks).toEqual(['Hello ', 'from ', 'Llama']);
+    expect(stream.text).toBe('Hello from Llama');
+
+    expect(await adapter.healthCheck()).toMatchObject({ available: true, configured: true });
+  });
+
+  it('reports an unreachable host as unavailable', async () => {
+    server = await mockOllama();
+    const { url } = server;
+    await server.close();
+    server = null;
+    const adapter = new OllamaAdapter({ apiClient: apiClientFor({}), config: { model: 'llama3.1:8b', host: url } });
+
+    const health = await adapter.healthCheck();
+    expect(health).toMatchObject({ available: false, configured: true });
+    expect(health.error).toEqual(expect.any(String));
+  });
+});
+
+describe('OpenAICompatibleAdapter', () => {
+  it('talks to a keyless local server at its baseUrl', async () => {
+    server = await mockOpenAI({ reply: 'Hello from vLLM' });
+    const adapter = new OpenAICompatibleAdapter({
+      name: 'vllm', type: 'openai-compatible', baseUrl: `${server.url}/v1/`, models: ['Qwen/*']
+    });
+
+    const response = await adapter.generate({ model: 'Qwen/Qwen2.5-7B', prompt: 'Hi' });
+    expect(response.text).toBe('Hello from vLLM');
+    expect(server.requests[0].path).toBe('/v1/chat/completions');
+    expect(server.requests[0].headers.authorization).toBeUndefined();
+
+    const { chunks, onToken } = streamed();
+    const stream = await adapter.stream({ model: 'Qwen/Qwen2.5-7B', prompt: 'Hello there', onToken });
+    expect(chunks).toEqual(['Hello ', 'from ', 'vLLM']);
+    // No usage in the stream: estimated
+    expect(stream.usage.completionTokens).toBeGreaterThan(0);
+
+    expect(await adapter.healthCheck()).toMatchObject({ available: true, configured: true });
+    expect(server.requests[2]).toMatchObject({ method: 'GET', path: '/v1/models' });
+    await expect(adapter.generateWithTools('Hi', [], { model: 'Qwen/Qwen2.5-7B' }))
+      .rejects.toThrow('Model provider vllm has no native tool calling');
+  });
+
+  it('addresses Azure OpenAI deployments with its api-key header', async () => {
+    process.env.AZURE_OPENAI_API_KEY = 'az-key';
+    server = await mockOpenAI();
+    const adapter = new OpenAICompatibleAdapter({
+      name: 'azure', type: 'azure-openai', endpoint: server.url, deployment: 'prod-gpt4o', models: ['azure-gpt-4o']
+    });
+
+    await adapter.generate({ model: 'azure-gpt-4o', prompt: 'Hi' });
+    expect(server.requests[0].path).toBe('/openai/deployments/prod-gpt4o/chat/completions?api-version=2024-06-01');
+    expect(server.requests[0].headers['api-key']).toBe('az-key');
+    expect(adapter.nativeTools).toBe(true);
+
+    delete process.env.AZURE_OPENAI_API_KEY;
+    expect(adapter.isConfigured()).toBe(false);
+    await expect(adapter.generate({ model: 'azure-gpt-4o', prompt: 'Hi' }))
+      .rejects.toThrow('AZURE_OPENAI_API_KEY not configured');
+  });
+
+  it('defaults Mistral to its key variable and calls tools', async () => {
+    process.env.MISTRAL_API_KEY = 'm-key';
+    server = await mockOpenAI({ toolCall: { name: 'list_directory', arguments: '{}' } });
+    const adapter = new OpenAICompatibleAdapter({
+      name: 'mistral', type: 'mistral', baseUrl: `${server.url}/v1`, models: ['mistral-*']
+    });
+
+    const tools = [{ name: 'list_directory', description: 'ls', parameters: { type: 'object' } }];
+    const response = await adapter.generateWithTools('Look', tools, { model: 'mistral-large-latest' });
+    expect(response.toolCalls).toEqual([{ id: 'call_1', name: 'list_directory', args: {} }]);
+    expect(server.requests[0].headers.authorization).toBe('Bearer m-key');
+  });
+
+  it('rejects bad configurations', () => {
+    expect(() => new OpenAICompatibleAdapter({ name: 'x', type: 'bedrock' })).toThrow(/unknown type "bedrock"/);
+    expect(() => new OpenAICompatibleAdapter({ name: 'My Server', type: 'openai-compatible' }))
+      .toThrow(/must be lower-case/);
+    expect(() => new OpenAICompatibleAdapter({ name: 'x', type: 'openai-compatible' })).toThrow(/"baseUrl" is required/);
+    expect(() => new OpenAICompatibleAdapter({ name: 'x', type: 'openai-compatible', baseUrl: 'http://169.254.169.254' }))
+      .toThrow(/blocked private\/loopback/);
+  });
+});
+
+describe('ProviderRegistry', () => {
+  const adapter = (name, matches) => ({
+    name,
+    nativeTools: false,
+    matches,
+    isConfigured: () => true,
+    generate: jest.fn(),
+    stream: jest.fn(),
+    countTokens: () => 1,
+    healthCheck: async () => ({ available: true, configured: true })
+  });
+
+  it('resolves by provider prefix, then by the first provider claiming the model', () => {
+    const registry = new ProviderRegistry()
+      .register(adapter('local', (m) => m === 'gpt-4o'))
+      .register(adapter('openai', (m) => m.startsWith('gpt-')));
+
+    expect(registry.resolve('gpt-4o').adapter.name).toBe('local');
+    expect(registry.resolve('gpt-4o-mini').adapter.name).toBe('openai');
+    expect(registry.resolve('openai/gpt-4o')).toEqual({ adapter: registry.get('openai'), model: 'gpt-4o' });
+    expect(registry.resolve('Qwen/Qwen2.5')).toBeNull();
+  });
+
+  it('rejects incomplete and duplicate providers', () => {
+    const registry = new ProviderRegistry().register(adapter('a', () => false));
+    expect(() => registry.register(adapter('a', () => false))).toThrow('model provider "a" is already registered');
+    expect(() => registry.register({ name: 'b', generate() {} }))
+      .toThrow('model provider "b" must implement matches, isConfigured, stream, countTokens, healthCheck');
+  });
+
+  it('reports every provider\'s health by name', async () => {
+    const registry = new ProviderRegistry().register(adapter('a', () => false)).register(adapter('b', () => false));
+    expect(await registry.healthCheck()).toEqual({
+      a: { available: true, configured: true },
+      b: { available: true, configured: true }
+    });
+  });
+});
+
+describe('parseProviderConfig', () => {
+  it('reads a JSON array and rejects anything else', () => {
+    expect(parseProviderConfig('')).toEqual([]);
+    expect(parseProviderConfig('[{"name":"x"}]')).toEqual([{ name: 'x' }]);
+    expect(() => parseProviderConfig('{oops')).toThrow(/MODEL_PROVIDERS is not valid JSON/);
+    expect(() => parseProviderConfig('{"name":"x"}')).toThrow(/must be a JSON array/);
+  });
+});
+
+describe('ModelClient with configured providers', () => {
+  it('routes components and streams to a provider from MODEL_PROVIDERS', async () => {
+    server = await mockOpenAI({ reply: 'Planned by a local model' });
+    process.env.ORCHESTRATOR_MODEL = 'lmstudio/qwen2.5-coder';
+    process.env.MODEL_PROVIDERS = JSON.stringify([
+      { name: 'lmstudio', type: 'openai-compatible', baseUrl: `${server.url}/v1` }
+    ]);
+    const tokenEconomics = { recordCost: jest.fn() };
+    const client = new ModelClient({ logger: silentLogger, tokenEconomics });
+
+    expect(client.providers.names()).toEqual(['lmstudio', 'anthropic', 'openai', 'gemini', 'ollama']);
+    const response = await client.generateOrchestratorResponse('Plan it', { projectId: 'p1' });
+    expect(response).toMatchObject({
+      text: 'Planned by a local model', model: 'lmstudio/qwen2.5-coder', fallbackUsed: false
+    });
+    expect(server.requests[0].body.model).toBe('qwen2.5-coder');
+    expect(tokenEconomics.recordCost).toHaveBeenCalledWith(expect.objectContaining({
+      projectId: 'p1', agentName: 'orchestrator', model: 'lmstudio/qwen2.5-coder', tokensInput: 9, tokensOutput: 3
+    }));
+
+    const { chunks, onToken } = streamed();
+    const stream = await client.generateOrchestratorResponseStream('Plan it', { onToken });
+    expect(stream).toMatchObject({ model: 'lmstudio/qwen2.5-coder', streamUsed: true });
+    expect(chunks.join('')).toBe('Planned by a local model');
+    expect(client.supportsNativeTools('lmstudio/qwen2.5-coder')).toBe(false);
+  });
+});
@@ -0,0 +1,311 @@
+jest.mock('../../../src/utils/external-api-client', () => ({
+  ExternalAPIClient: jest.fn().mockImplementation(() => ({
+    callOllama: jest.fn(),
+    callOllamaStream: jest.fn(),
+    callAnthropic: jest.fn(),
+    callOpenAI: jest.fn(),
+    callOpenAIStream: jest.fn(),
+    callGemini: jest.fn(),
+    getStats: jest.fn(() => ({})),
+    close: jest.fn()
+  }))
+}));
+
+const ModelClient = require('../../../src/services/model-client');
+const { ExternalAPIClient } = require('../../../src/utils/external-api-client');
+const { ModelRouter, classifyError, parseRoutingConfig } = require('../../../src/services/model-router');
+
+const silentLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+function httpError(status, data) {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.response = { status, data };
+  return err;
+}
+
+function openAIReply(text) {
+  return { choices: [{ message: { content: text } }], usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 } };
+}
+
+describe('classifyError', () => {
+  it('maps provider failures to fallback conditions', () => {
+    expect(classifyError(httpError(429))).toBe('rate_limit');
+    expect(classifyError(httpError(503))).toBe('server_error');
+    expect(classifyError(httpError(400, { error: { message: 'maximum context length is 8192 tokens' } })))
+      .toBe('context_length');
+    expect(classifyError(Object.assign(new Error('timeout of 60000ms exceeded'), { code: 'ECONNABORTED' })))
+      .toBe('timeout');
+    expect(classifyError(Object.assign(new Error('over budget'), { code: 'BUDGET_EXCEEDED' })))
+      .toBe('budget_exceeded');
+    expect(classifyError(httpError(401))).toBe('error');
+  });
+});
+
+describe('parseRoutingConfig', () => {
+  it('reads routes by component, defaulting a hop to any failure', () => {
+    expect(parseRoutingConfig('')).toEqual({});
+    expect(parseRoutingConfig(JSON.stringify({
+      orchestrator: { policy: 'cheapest', models: ['gemini-pro'], fallbacks: [{ model: 'ollama' }] }
+    }))).toEqual({
+      orchestrator: { policy: 'cheapest', models: ['gemini-pro'], fallbacks: [{ model: 'ollama', on: ['any'] }] }
+    });
+  });
+
+  it('rejects unknown components, policies and conditions', () => {
+    expect(() => parseRoutingConfig('{')).toThrow('MODEL_ROUTING is not valid JSON');
+    expect(() => parseRoutingConfig('[]')).toThrow('keyed by component');
+    expect(() => parseRoutingConfig('{"planner":{}}')).toThrow('unknown component "planner"');
+    expect(() => parseRoutingConfig('{"arbitrator":{"policy":"random"}}')).toThrow('policy must be one of');
+    expect(() => parseRoutingConfig('{"arbitrator":{"fallbacks":[{"model":"ollama","on":["402"]}]}}'))
+      .toThrow('on must list conditions');
+  });
+});
+
+describe('ModelRouter', () => {
+  it('plans the primary then the single fallback by default', () => {
+    const router = new ModelRouter();
+    expect(router.plan('arbitrator', { primary: 'claude-sonnet-4-5', fallback: 'ollama' })).toEqual({
+      policy: 'primary',
+      hops: [{ model: 'claude-sonnet-4-5', on: [] }, { model: 'ollama', on: ['any'] }]
+    });
+  });
+
+  it('picks the cheapest model that fits the context', () => {
+    const router = new ModelRouter();
+    const config = { policy: 'cheapest', models: ['claude-haiku-3-5', 'gemini-pro', 'gpt-4-turbo'] };
+    expect(router.plan('orchestrator', config, { requiredContext: 1000 }).hops[0].model).toBe('gemini-pro');
+    expect(router.plan('orchestrator', config, { requiredContext: 100000 }).hops[0].model).toBe('claude-haiku-3-5');
+    expect(router.plan('orchestrator', config, { model: 'gpt-4-turbo' })).toEqual(
+      expect.objectContaining({ policy: 'requested', hops: [{ model: 'gpt-4-turbo', on: [] }, expect.anything()] })
+    );
+  });
+
+  it('picks the lowest average latency, trying unmeasured models first', () => {
+    const router = new ModelRouter();
+    const config = { policy: 'lowest-latency', models: ['a', 'b'] };
+    router.recordLatency('a', 300);
+    expect(router.plan('orchestrator', config).hops[0].model).toBe('b');
+    router.recordLatency('b', 500);
+    expect(router.plan('orchestrator', config).hops[0].model).toBe('a');
+    router.recordLatency('a', 1000);
+    expect(router.getStats().latencyMs).toEqual({ a: 510, b: 500 });
+    expect(router.plan('orchestrator', config).hops[0].model).toBe('b');
+  });
+
+  it('takes turns per component', () => {
+    const router = new ModelRouter();
+    const config = { policy: 'round-robin', models: ['a', 'b', 'c'] };
+    const picks = [1, 2, 3, 4].map(() => router.plan('orchestrator', config).hops[0].model);
+    expect(picks).toEqual(['a', 'b', 'c', 'a']);
+    expect(router.plan('arbitrator', config).hops[0].model).toBe('a');
+  });
+});
+
+describe('ModelClient fallback chains', () => {
+  const savedEnv = { ...process.env };
+  let apiClient;
+
+  function clientWith(routing, options = {}) {
+    const client = new ModelClient({ logger: silentLogger, routing, ...options });
+    apiClient = ExternalAPIClient.mock.results[ExternalAPIClient.mock.results.length - 1].value;
+    return client;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.ANTHROPIC_API_KEY = 'a-key';
+    process.env.OPENAI_API_KEY = 'o-key';
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  it('walks the chain on matching failures and records every hop', async () => {
+    const client = clientWith({
+      arbitrator: {
+        fallbacks: [
+          { model: 'gpt-4-turbo', on: ['rate_limit'] },
+          { model: 'gpt-3.5-turbo', on: ['timeout'] },
+          { model: 'claude-haiku-3-5', on: ['server_error'] },
+          { model: 'ollama', on: ['any'] }
+        ]
+      }
+    });
+    apiClient.callAnthropic
+      .mockRejectedValueOnce(httpError(429))
+      .mockResolvedValueOnce({ content: [{ type: 'text', text: 'Resolved' }], usage: {} });
+    apiClient.callOpenAI.mockRejectedValueOnce(httpError(502));
+
+    const response = await client.generateArbitratorResponse('Resolve the conflict');
+
+    expect(response).toEqual(expect.objectContaining({
+      text: 'Resolved',
+      model: 'claude-haiku-3-5',
+      fallbackUsed: true,
+      fallbackReason: 'server_error'
+    }));
+    expect(response.routing.policy).toBe('primary');
+    expect(response.routing.hops.map(({ model, outcome, reason }) => ({ model, outcome, reason }))).toEqual([
+      { model: 'claude-sonnet-4-5', outcome: 'failed', reason: 'rate_limit' },
+      { model: 'gpt-4-turbo', outcome: 'failed', reason: 'server_error' },
+      { model: 'claude-haiku-3-5', outcome: 'ok', reason: undefined }
+    ]);
+    expect(apiClient.callOllama).not.toHaveBeenCalled();
+    expect(client.getStats().fallbackCount.arbitrator).toBe(2);
+  });
+
+  it('fails once no remaining hop takes over on the failure', async () => {
+    const client = clientWith({
+      arbitrator: { fallbacks: [{ model: 'gpt-4-turbo', on: ['rate_limit'] }] }
+    });
+    apiClient.callAnthropic.mockRejectedValueOnce(httpError(401));
+
+    await expect(client.generateArbitratorResponse('Resolve')).rejects.toMatchObject({
+      message: 'All models failed for arbitrator: claude-sonnet-4-5 (error)',
+      hops: [expect.objectContaining({ model: 'claude-sonnet-4-5', outcome: 'failed' })]
+    });
+    expect(apiClient.callOpenAI).not.toHaveBeenCalled();
+  });
+
+  it('skips models whose context window the prompt cannot fit', async () => {
+    const client = clientWith({
+      orchestrator: {
+        models: ['gpt-4'],
+        fallbacks: [{ model: 'gpt-4-turbo', on: ['context_length'] }]
+      }
+    });
+    apiClient.callOpenAI.mockResolvedValueOnce(openAIReply('Fits'));
+
+    const response = await client.generateOrchestratorResponse('word '.repeat(8000), { maxTokens: 1000 });
+
+    expect(apiClient.callOpenAI).toHaveBeenCalledTimes(1);
+    expect(apiClient.callOpenAI).toHaveBeenCalledWith(expect.objectContaining({ model: 'gpt-4-turbo' }));
+    expect(response.model).toBe('gpt-4-turbo');
+    expect(response.routing.hops[0]).toEqual({ model: 'gpt-4', provider: 'openai', outcome: 'skipped', reason: 'context_length' });
+  });
+
+  it('goes local once the budget is spent, when a hop takes over on that', async () => {
+    const tokenEconomics = {
+      recordCost: jest.fn(),
+      getBudgetStatus: jest.fn().mockResolvedValue({ daily: { remaining: 0 }, monthly: { remaining: 40 } })
+    };
+    const client = clientWith({
+      orchestrator: {
+        models: ['gpt-4-turbo'],
+        fallbacks: [{ model: 'ollama', on: ['budget_exceeded'] }]
+      }
+    }, { tokenEconomics });
+    apiClient.callOllama.mockResolvedValueOnce({ response: 'Local', prompt_eval_count: 3, eval_count: 1 });
+
+    const response = await client.generateOrchestratorResponse('Plan', { projectId: 'p1' });
+
+    expect(tokenEconomics.getBudgetStatus).toHaveBeenCalledWith('p1');
+    expect(apiClient.callOpenAI).not.toHaveBeenCalled();
+    expect(response).toEqual(expect.objectContaining({
+      text: 'Local', fallbackUsed: true, fallbackReason: 'budget_exceeded'
+    }));
+    expect(response.routing.hops.map((hop) => hop.outcome)).toEqual(['skipped', 'ok']);
+    expect(tokenEconomics.recordCost).toHaveBeenCalledWith(expect.objectContaining({ projectId: 'p1', model: 'llama3.1:8b' }));
+  });
+
+  it('skips a paid hop whose estimated cost the remaining budget cannot cover', async () => {
+    const tokenEconomics = {
+      recordCost: jest.fn(),
+      getBudgetStatus: jest.fn().mockResolvedValue({ daily: { remaining: 0.05 }, monthly: { remaining: 40 } })
+    };
+    const client = clientWith({
+      orchestrator: {
+        models: ['gpt-4-turbo'],
+        fallbacks: [{ model: 'ollama', on: ['budget_exceeded'] }]
+      }
+    }, { tokenEconomics });
+    apiClient.callOpenAI.mockResolvedValueOnce(openAIReply('Short'));
+    apiClient.callOllama.mockResolvedValueOnce({ response: 'Local', prompt_eval_count: 3, eval_count: 1 });
+
+    // 500 output tokens at $30/M fit in $0.05; 2000 ($0.06) do not
+    const short = await client.generateOrchestratorResponse('Plan', { maxTokens: 500 });
+    const long = await client.generateOrchestratorResponse('Plan', { maxTokens: 2000 });
+
+    expect(short.model).toBe('gpt-4-turbo');
+    expect(long).toEqual(expect.objectContaining({ text: 'Local', fallbackReason: 'budget_exceeded' }));
+  });
+
+  it('lets a call spend its own reservation and settles it with the cost', async () => {
+    const tokenEconomics = {
+      recordCost: jest.fn(),
+      getBudgetStatus: jest.fn().mockResolvedValue({ daily: { remaining: 0.05 }, monthly: { remaining: 40 } })
+    };
+    const client = clientWith({
+      orchestrator: {
+        models: ['gpt-4-turbo'],
+        fallbacks: [{ model: 'ollama', on: ['budget_exceeded'] }]
+      }
+    }, { tokenEconomics });
+    apiClient.callOpenAI.mockResolvedValueOnce(openAIReply('Reserved'));
+
+    // The $0.02 held for this call is part of what it may spend: $0.07 covers $0.06
+    const response = await client.generateOrchestratorResponse('Plan', {
+      projectId: 'p1', maxTokens: 2000, reservation: { id: 'r1', amount: 0.02 }
+    });
+
+    expect(response.model).toBe('gpt-4-turbo');
+    expect(tokenEconomics.recordCost).toHaveBeenCalledWith(expect.objectContaining({
+      projectId: 'p1', model: 'gpt-4-turbo', reservationId: 'r1'
+    }));
+  });
+
+  it('routes a call by its policy unless the caller pins the model', async () => {
+    const client = clientWith({
+      orchestrator: { policy: 'round-robin', models: ['gpt-4o-mini', 'gpt-4-turbo'] }
+    });
+    apiClient.callOpenAI.mockResolvedValue(openAIReply('Done'));
+
+    const routed = await client.generateOrchestratorResponse('Plan', { model: 'gpt-4o' });
+    expect(routed.model).toBe('gpt-4o-mini');
+    expect(routed.routing.policy).toBe('round-robin');
+
+    const pinned = await client.generateOrchestratorResponse('Plan', { model: 'gpt-4o', pinModel: true });
+    expect(pinned.model).toBe('gpt-4o');
+    expect(pinned.routing.policy).toBe('requested');
+    expect(apiClient.callOpenAI).toHaveBeenLastCalledWith(expect.objectContaining({ model: 'gpt-4o' }));
+  });
+
+  it('names the model the policy picks for a prompt, sized by its tokens', () => {
+    const client = clientWith({
+      orchestrator: { policy: 'round-robin', models: ['gpt-4o-mini', 'gpt-4-turbo'] }
+    });
+    expect(client.routedModel('orchestrator', 'Plan')).toBe('gpt-4o-mini');
+    expect(client.routedModel('orchestrator', 'Plan')).toBe('gpt-4-turbo');
+
+    // gemini-pro is the cheaper of the two, but a ~40k-token prompt overflows its 32k window
+    const cheapest = clientWith({ orchestrator: { policy: 'cheapest', models: ['claude-haiku-3-5', 'gemini-pro'] } });
+    expect(cheapest.routedModel('orchestrator', 'Plan')).toBe('gemini-pro');
+    expect(cheapest.routedModel('orchestrator', 'word '.repeat(40000))).toBe('claude-haiku-3-5');
+  });
+
+  it('streams a round-robin route, falling back on a failed stream', async () => {
+    const client = clientWith({
+      orchestrator: { policy: 'round-robin', models: ['gpt-4o-mini', 'gpt-4-turbo'] }
+    });
+    apiClient.callOpenAIStream
+      .mockResolvedValueOnce({ response: 'First', usage: {} })
+      .mockRejectedValueOnce(Object.assign(new Error('socket timed out'), { code: 'ETIMEDOUT' }));
+    apiClient.callOllamaStream.mockResolvedValueOnce({ response: 'Local', model: 'llama3.1:8b' });
+
+    const first = await client.generateOrchestratorResponseStream('One');
+    const second = await client.generateOrchestratorResponseStream('Two');
+
+    expect(first).toEqual(expect.objectContaining({ model: 'gpt-4o-mini', streamUsed: true, fallbackUsed: false }));
+    expect(second).toEqual(expect.objectContaining({
+      model: 'llama3.1:8b', streamUsed: true, fallbackUsed: true, fallbackReason: 'timeout'
+    }));
+    expect(second.routing).toEqual({
+      policy: 'round-robin',
+      hops: [
+        expect.objectContaining({ model: 'gpt-4-turbo', outcome: 'failed', reason: 'timeout' }),
+        expect.objectContaining({ model: 'ollama', provider: 'ollama', outcome: 'ok' })
+      ]
+    });
+  });
+});
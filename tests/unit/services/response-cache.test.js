@@ -0,0 +1,179 @@
+jest.mock('../../../src/utils/external-api-client', () => ({
+  ExternalAPIClient: jest.fn().mockImplementation(() => ({
+    callOllama: jest.fn(),
+    callOllamaStream: jest.fn(),
+    callAnthropic: jest.fn(),
+    callOpenAI: jest.fn(),
+    callOpenAIStream: jest.fn(),
+    getStats: jest.fn(() => ({})),
+    close: jest.fn()
+  }))
+}));
+
+const ModelClient = require('../../../src/services/model-client');
+const { ExternalAPIClient } = require('../../../src/utils/external-api-client');
+const { ResponseCache, normalizePrompt } = require('../../../src/services/response-cache');
+
+const silentLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+/** CacheManager's get/set over a Map, remembering each TTL. */
+function memoryStore() {
+  const entries = new Map();
+  return {
+    entries,
+    ttls: new Map(),
+    get: jest.fn(async (key) => (entries.has(key) ? entries.get(key) : null)),
+    async set(key, value, ttl) {
+      entries.set(key, value);
+      this.ttls.set(key, ttl);
+      return true;
+    }
+  };
+}
+
+describe('ResponseCache', () => {
+  it('normalizes line endings and trailing whitespace but nothing else', () => {
+    expect(normalizePrompt('\r\nFix\r\nthis   bug \t\n\nnow \n')).toBe('Fix\nthis   bug\n\nnow');
+    expect(normalizePrompt('Fix this')).not.toBe(normalizePrompt('fix this'));
+  });
+
+  it('keeps prompts that differ only in indentation apart', () => {
+    const cache = new ResponseCache({ cache: memoryStore() });
+    const prompt = (indent) => `Pick a version of app.py.\nA:\nif ok:\n${indent}run()\nB:\nrun()`;
+    const call = { model: 'gpt-4o', params: { maxTokens: 100, temperature: 0 }, projectId: 'p1' };
+
+    expect(cache.key({ ...call, prompt: prompt('    ') })).not.toBe(cache.key({ ...call, prompt: prompt('  ') }));
+    expect(cache.key({ ...call, prompt: prompt('\t') })).not.toBe(cache.key({ ...call, prompt: prompt(' ') }));
+  });
+
+  it('keys on model, prompt and parameters, scoped by project', () => {
+    const cache = new ResponseCache({ cache: memoryStore() });
+    const call = {
+      model: 'gpt-4o', prompt: 'Plan it', params: { maxTokens: 100, temperature: 0 }, projectId: 'p1'
+    };
+    const key = cache.key(call);
+
+    expect(key).toMatch(/^llm:p1:[0-9a-f]{64}$/);
+    expect(cache.key({ ...call, prompt: 'Plan it \r\n' })).toBe(key);
+    expect(cache.key({ ...call, prompt: 'Plan  it' })).not.toBe(key);
+    expect(cache.key({ ...call, model: 'gpt-4o-mini' })).not.toBe(key);
+    expect(cache.key({ ...call, params: { maxTokens: 100, temperature: 0.5 } })).not.toBe(key);
+    expect(cache.key({ ...call, projectId: 'p2' })).toBe(key.replace('llm:p1:', 'llm:p2:'));
+    expect(cache.key({ ...call, projectId: undefined })).toMatch(/^llm:global:/);
+  });
+});
+
+describe('ModelClient response cache', () => {
+  const savedEnv = { ...process.env };
+  let store;
+  let client;
+  let apiClient;
+  let tokenEconomics;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.OPENAI_API_KEY = 'o-key';
+    store = memoryStore();
+    tokenEconomics = { recordCost: jest.fn() };
+    client = new ModelClient({
+      logger: silentLogger,
+      tokenEconomics,
+      responseCache: new ResponseCache({ cache: store, ttl: 600 })
+    });
+    client.modelConfig.orchestrator.primary = 'gpt-4o';
+    apiClient = ExternalAPIClient.mock.results[0].value;
+    apiClient.callOpenAI.mockResolvedValue({
+      choices: [{ message: { content: 'The plan' } }],
+      usage: { prompt_tokens: 40, completion_tokens: 10, total_tokens: 50 }
+    });
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  it('is off unless the call opts in', async () => {
+    await client.generateOrchestratorResponse('Plan it', { projectId: 'p1' });
+    await client.generateOrchestratorResponse('Plan it', { projectId: 'p1' });
+
+    expect(apiClient.callOpenAI).toHaveBeenCalledTimes(2);
+    expect(store.get).not.toHaveBeenCalled();
+  });
+
+  it('serves a repeated call from the cache and records it at no cost', async () => {
+    const first = await client.generateOrchestratorResponse('Plan it', { projectId: 'p1', cache: true });
+    const second = await client.generateOrchestratorResponse('Plan it ', { projectId: 'p1', cache: true });
+
+    expect(apiClient.callOpenAI).toHaveBeenCalledTimes(1);
+    expect(first.cached).toBe(false);
+    expect(second).toEqual({
+      text: 'The plan',
+      model: 'gpt-4o',
+      usage: { promptTokens: 40, completionTokens: 10, totalTokens: 50 },
+      fallbackUsed: false,
+      cached: true,
+      routing: { policy: 'cache', hops: [] }
+    });
+    expect([...store.ttls.values()]).toEqual([600]);
+    expect(tokenEconomics.recordCost.mock.calls.map(([record]) => record.cached)).toEqual([false, true]);
+    expect(tokenEconomics.recordCost).toHaveBeenLastCalledWith(expect.objectContaining({
+      projectId: 'p1', model: 'gpt-4o', tokensInput: 40, tokensOutput: 10
+    }));
+    expect(client.getStats().responseCache).toEqual({
+      hits: 1, misses: 1, sets: 1, ttl: 600
+    });
+  });
+
+  it('keeps projects apart and honours a per-call ttl', async () => {
+    await client.generateOrchestratorResponse('Plan it', { projectId: 'p1', cache: { ttl: 30 } });
+    await client.generateOrchestratorResponse('Plan it', { projectId: 'p2', cache: true });
+
+    expect(apiClient.callOpenAI).toHaveBeenCalledTimes(2);
+    expect([...store.ttls.values()]).toEqual([30, 600]);
+  });
+
+  it('does not cache an answer from a fallback model', async () => {
+    apiClient.callOpenAI.mockRejectedValue(new Error('OpenAI down'));
+    apiClient.callOllama.mockResolvedValue({ response: 'Local plan', prompt_eval_count: 4, eval_count: 2 });
+
+    const response = await client.generateOrchestratorResponse('Plan it', { cache: true });
+
+    expect(response).toEqual(expect.objectContaining({ fallbackUsed: true, cached: false }));
+    expect(store.entries.size).toBe(0);
+  });
+
+  it('stores only a reply the call accepts', async () => {
+    apiClient.callOpenAI
+      .mockResolvedValueOnce({ choices: [{ message: { content: 'not json' } }], usage: {} })
+      .mockResolvedValueOnce({ choices: [{ message: { content: '{"ok":true}' } }], usage: {} });
+    const cache = { accept: (text) => text.startsWith('{') };
+
+    const first = await client.generateOrchestratorResponse('Plan it', { cache });
+    const second = await client.generateOrchestratorResponse('Plan it', { cache });
+    const third = await client.generateOrchestratorResponse('Plan it', { cache });
+
+    expect(apiClient.callOpenAI).toHaveBeenCalledTimes(2);
+    expect([first.text, second.text, third.text]).toEqual(['not json', '{"ok":true}', '{"ok":true}']);
+    expect(third.cached).toBe(true);
+  });
+
+  it('streams a cached answer as a single chunk', async () => {
+    apiClient.callOpenAIStream.mockResolvedValue({ response: 'Streamed plan', usage: {} });
+    const chunks = [];
+    const stream = () => client.generateOrchestratorResponseStream('Plan it', {
+      cache: true,
+      onToken: async (chunk, details) => {
+        chunks.push([chunk, details]);
+      }
+    });
+
+    await stream();
+    const response = await stream();
+
+    expect(apiClient.callOpenAIStream).toHaveBeenCalledTimes(1);
+    expect(chunks).toEqual([['Streamed plan', { done: true, cached: true }]]);
+    expect(response).toEqual(expect.objectContaining({
+      text: 'Streamed plan', cached: true, streamUsed: false, bufferedStream: true
+    }));
+  });
+});
@@ -0,0 +1,69 @@
+const {
+  countTokens, estimatePromptCost, fitsContext, tokenFamily
+} = require('../../../src/services/tokenizer');
+
+const CODE = `function total(cart) {
+  return cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+}
+`;
+
+describe('tokenFamily', () => {
+  it('picks the encoding for each model family', () => {
+    expect(tokenFamily('gpt-4o-mini')).toMatchObject({ family: 'gpt', encoding: 'o200k_base', scale: 1 });
+    expect(tokenFamily('o3-mini')).toMatchObject({ family: 'gpt', encoding: 'o200k_base' });
+    expect(tokenFamily('gpt-4-turbo')).toMatchObject({ family: 'gpt', encoding: 'cl100k_base', scale: 1 });
+    expect(tokenFamily('claude-sonnet-4-5')).toMatchObject({ family: 'claude', scale: 1.15 });
+    expect(tokenFamily('llama3.1:8b')).toMatchObject({ family: 'llama', scale: 1 });
+    expect(tokenFamily('codellama:13b')).toMatchObject({ family: 'llama', scale: 1.2 });
+    expect(tokenFamily('lmstudio/mistral-7b-instruct')).toMatchObject({ family: 'mistral' });
+    expect(tokenFamily('gemini-pro')).toMatchObject({ family: 'gemini', encoding: 'o200k_base' });
+    expect(tokenFamily('qwen2.5-coder')).toMatchObject({ family: 'other', scale: 1.1 });
+    expect(tokenFamily(undefined)).toMatchObject({ family: 'other' });
+  });
+});
+
+describe('countTokens', () => {
+  it('counts GPT tokens exactly', () => {
+    expect(countTokens('hello world', 'gpt-4o')).toBe(2);
+    expect(countTokens('hello world', 'gpt-3.5-turbo')).toBe(2);
+    expect(countTokens('', 'gpt-4o')).toBe(0);
+  });
+
+  it('follows the text where a characters-per-token guess does not', () => {
+    const repeated = 'x'.repeat(400);
+    const cjk = '日本語のテキストを数える';
+
+    expect(countTokens(repeated, 'gpt-4')).toBeLessThan(repeated.length / 4);
+    expect(countTokens(cjk, 'gpt-4')).toBeGreaterThan(cjk.length / 4);
+  });
+
+  it('scales the approximated families from their base encoding', () => {
+    const base = countTokens(CODE, 'gpt-4');
+
+    expect(countTokens(CODE, 'claude-sonnet-4-5')).toBe(Math.ceil(base * 1.15));
+    expect(countTokens(CODE, 'mistral-large')).toBe(Math.ceil(base * 1.1));
+    expect(countTokens(CODE, 'llama3.1:8b')).toBe(base);
+  });
+
+  it('counts special-token markup instead of rejecting it', () => {
+    expect(countTokens('end <|endoftext|>', 'gpt-4')).toBeGreaterThan(0);
+  });
+});
+
+describe('pre-flight checks', () => {
+  it('estimates the cost of a prompt and its completion', () => {
+    const cost = estimatePromptCost('gpt-4-turbo', CODE, 1000);
+
+    expect(cost.inputTokens).toBe(countTokens(CODE, 'gpt-4-turbo'));
+    expect(cost.outputTokens).toBe(1000);
+    expect(cost.totalCost).toBeCloseTo((cost.inputTokens * 10 + 1000 * 30) / 1e6, 8);
+  });
+
+  it('checks the prompt and completion against the context window', () => {
+    const prompt = 'word '.repeat(8000);
+
+    expect(fitsContext('gpt-4', prompt, 500)).toBe(false);
+    expect(fitsContext('gpt-4-turbo', prompt, 500)).toBe(true);
+    expect(fitsContext('some-unpriced-model', prompt, 500)).toBe(true);
+  });
+});
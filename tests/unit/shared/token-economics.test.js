@@ -0,0 +1,185 @@
+/**
+ * Unit tests for TokenEconomics budget scopes and reservations, against an
+ * in-memory stand-in for the cost_tracking and budget_reservations tables.
+ */
+
+const mockDb = {
+  projects: {},
+  costs: [],
+  reservations: [],
+  statements: [],
+
+  reset() {
+    this.projects = {};
+    this.costs = [];
+    this.reservations = [];
+    this.statements = [];
+  },
+
+  sum(rows, field, sql, id) {
+    return rows
+      .filter((row) => {
+        if (/tenant_id = \$3/.test(sql)) {
+          return row.tenant_id === id || this.projects[row.project_id]?.tenant_id === id;
+        }
+        return !/project_id = \$3/.test(sql) || row.project_id === id;
+      })
+      .reduce((total, row) => total + row[field], 0);
+  },
+
+  query(sql, params = []) {
+    this.statements.push(sql.trim().split(/\s+/).slice(0, 3).join(' '));
+    if (sql.includes('FROM orchestration_projects p')) {
+      const project = this.projects[params[0]];
+      return { rows: project ? [project] : [] };
+    }
+    if (sql.includes('AS reserved')) {
+      const active = this.reservations.filter((r) => r.status === 'reserved');
+      const spent = this.sum(this.costs, 'cost_usd', sql.split('budget_reservations')[0], params[2]);
+      return {
+        rows: [{
+          daily: String(spent),
+          monthly: String(spent),
+          reserved: String(this.sum(active, 'amount', sql.split('budget_reservations')[1], params[2]))
+        }]
+      };
+    }
+    if (sql.includes('INSERT INTO budget_reservations')) {
+      const [projectId, tenantId, taskId, model, amount] = params;
+      const id = `r${this.reservations.length + 1}`;
+      this.reservations.push({
+        id, project_id: projectId, tenant_id: tenantId, task_id: taskId, model, amount, status: 'reserved'
+      });
+      return { rows: [{ id, expires_at: new Date() }] };
+    }
+    if (sql.includes('INSERT INTO cost_tracking')) {
+      this.costs.push({ project_id: params[0], cost_usd: params[6] });
+      return { rows: [] };
+    }
+    const settle = sql.match(/SET status = '(settled|released)'/);
+    if (settle) {
+      const reservation = this.reservations.find((r) => r.id === params[0] && r.status === 'reserved');
+      if (reservation) reservation.status = settle[1];
+      return { rows: [] };
+    }
+    return { rows: [] };
+  }
+};
+
+jest.mock('pg', () => ({
+  Pool: jest.fn().mockImplementation(() => ({
+    query: async (sql, params) => mockDb.query(sql, params),
+    connect: async () => ({
+      query: async (sql, params) => mockDb.query(sql, params),
+      release: () => {}
+    }),
+    end: async () => {}
+  }))
+}));
+
+const TokenEconomics = require('../../../src/shared/token-economics');
+const { BudgetExceededError } = require('../../../src/utils/errors');
+
+describe('TokenEconomics budget reservations', () => {
+  let economics;
+
+  beforeEach(() => {
+    mockDb.reset();
+    // Both projects belong to tenant t1, which has a daily budget only
+    const project = {
+      budget_daily: '10.00',
+      budget_monthly: '100.00',
+      tenant_id: 't1',
+      tenant_budget_daily: '15.00',
+      tenant_budget_monthly: null
+    };
+    mockDb.projects['proj-a'] = { ...project };
+    mockDb.projects['proj-b'] = { ...project };
+    economics = new TokenEconomics({ dailyBudget: 50, monthlyBudget: 1000 });
+  });
+
+  it('holds a reservation as spend in every scope until it is settled', async () => {
+    const reservation = await economics.reserve({ projectId: 'proj-a', taskId: 'task-1', estimatedCost: 4 });
+
+    expect(reservation).toEqual(expect.objectContaining({
+      id: 'r1', amount: 4, projectId: 'proj-a', tenantId: 't1'
+    }));
+    expect(mockDb.statements.slice(0, 2)).toEqual([
+      'BEGIN', 'SELECT pg_advisory_xact_lock(hashtext(\'budget_reservations\'))'
+    ]);
+
+    const status = await economics.getBudgetStatus('proj-a');
+    expect(status.scopes.map(({ scope, id }) => [scope, id])).toEqual([
+      ['global', null], ['project', 'proj-a'], ['tenant', 't1']
+    ]);
+    expect(status.daily).toEqual({
+      spent: 0, reserved: 4, budget: 10, remaining: 6, percent: 40, scope: 'project'
+    });
+    expect(status.scopes[2].monthly.budget).toBe(Infinity);
+  });
+
+  it('refuses a reservation the tightest scope cannot cover, holding nothing', async () => {
+    await economics.reserve({ projectId: 'proj-a', estimatedCost: 9 });
+    await economics.reserve({ projectId: 'proj-b', estimatedCost: 5 });
+
+    // proj-b has $5 of its own left, but the tenant only $1
+    const refused = economics.reserve({ projectId: 'proj-b', estimatedCost: 2 });
+
+    await expect(refused).rejects.toBeInstanceOf(BudgetExceededError);
+    await expect(refused).rejects.toMatchObject({
+      code: 'BUDGET_EXCEEDED',
+      details: {
+        scope: 'tenant', id: 't1', window: 'daily', amount: 2, remaining: 1
+      }
+    });
+    expect(mockDb.reservations).toHaveLength(2);
+    expect(mockDb.statements).toContain('ROLLBACK');
+  });
+
+  it('settles a reservation with the recorded cost, after which release is a no-op', async () => {
+    const reservation = await economics.reserve({
+      projectId: 'proj-a', model: 'gpt-4', tokensInput: 1000, tokensOutput: 1000
+    });
+    expect(reservation.amount).toBeCloseTo(0.09, 8);
+
+    const cost = await economics.recordCost({
+      projectId: 'proj-a',
+      taskId: 'task-1',
+      agentName: 'agent-1',
+      model: 'gpt-4',
+      tokensInput: 1000,
+      tokensOutput: 200,
+      reservationId: reservation.id
+    });
+    await economics.release(reservation.id);
+
+    expect(cost).toBeCloseTo(0.042, 8);
+    expect(mockDb.reservations[0].status).toBe('settled');
+    const status = await economics.getBudgetStatus('proj-a');
+    expect(status.daily.reserved).toBe(0);
+    expect(status.daily.spent).toBeCloseTo(0.042, 8);
+  });
+
+  it('frees a released reservation', async () => {
+    const reservation = await economics.reserve({ projectId: 'proj-a', estimatedCost: 8 });
+    await economics.release(reservation.id);
+
+    expect(mockDb.reservations[0].status).toBe('released');
+    await expect(economics.reserve({ projectId: 'proj-a', estimatedCost: 8 })).resolves.toEqual(
+      expect.objectContaining({ id: 'r2' })
+    );
+  });
+
+  it('selects economic models once reservations bring a scope near its limit', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    expect(await economics.selectModel('high', 'proj-a')).toBe('claude-sonnet-4-5');
+
+    await economics.reserve({ projectId: 'proj-b', estimatedCost: 9 });
+    await economics.reserve({ projectId: 'proj-a', estimatedCost: 4 });
+
+    // proj-a is at 40% of its own budget, the tenant at 87%
+    expect(await economics.selectModel('high', 'proj-a')).toBe('gemini-pro');
+    expect(await economics.selectModel('low', 'proj-a')).toBe('mistral');
+    console.log.mockRestore();
+  });
+});